@@ -0,0 +1,28 @@
+-- Job nền dùng chung (bulk operation, export, import...): client poll GET /api/jobs/:id để xem tiến độ
+-- Job chạy trong process backend; khi server khởi động lại, job đang chạy bị đánh dấu failed
+
+CREATE TABLE IF NOT EXISTS background_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    job_type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+    params JSONB NOT NULL DEFAULT '{}',
+    total_items INTEGER NOT NULL DEFAULT 0,
+    processed_items INTEGER NOT NULL DEFAULT 0,
+    succeeded_items INTEGER NOT NULL DEFAULT 0,
+    failed_items INTEGER NOT NULL DEFAULT 0,
+    -- Kết quả theo từng item và dữ liệu riêng của từng loại job
+    result JSONB,
+    error TEXT,
+    cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_background_jobs_user ON background_jobs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_background_jobs_status ON background_jobs(status) WHERE status IN ('pending', 'running');
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,28 @@
+-- Bộ sưu tập bookmark: mỗi user tự đặt tên ("exam prep", "contract clauses"),
+-- một bộ sưu tập chứa bookmark từ nhiều document khác nhau
+
+CREATE TABLE IF NOT EXISTS bookmark_collections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS bookmark_collection_items (
+    collection_id UUID NOT NULL REFERENCES bookmark_collections(id) ON DELETE CASCADE,
+    bookmark_id UUID NOT NULL REFERENCES document_bookmarks(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (collection_id, bookmark_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bookmark_collections_user ON bookmark_collections(user_id);
+CREATE INDEX IF NOT EXISTS idx_bookmark_collection_items_bookmark ON bookmark_collection_items(bookmark_id);
+
+-- Lọc / tìm bookmark của một user trên mọi document
+CREATE INDEX IF NOT EXISTS idx_document_bookmarks_user ON document_bookmarks(user_id, created_at DESC);
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,33 @@
+-- Annotation / highlight dùng chung trên document, có thread trả lời, @mention và trạng thái resolved
+-- Annotation gốc (parent_id = null) gắn với một trang và một đoạn text hoặc một vùng chữ nhật
+-- Reply (parent_id != null) chỉ có nội dung, thuộc thread của annotation gốc
+
+CREATE TABLE IF NOT EXISTS document_annotations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES document_annotations(id) ON DELETE CASCADE,
+    -- Version của document lúc tạo annotation (version bị prune thì giữ lại version_number)
+    version_id UUID REFERENCES document_versions(id) ON DELETE SET NULL,
+    version_number INTEGER,
+    page_number INTEGER CHECK (page_number IS NULL OR page_number >= 1),
+    anchor_type VARCHAR(10) CHECK (anchor_type IS NULL OR anchor_type IN ('text', 'rect')),
+    -- text: { start, end } (offset ký tự trong trang); rect: { x, y, width, height } (tỉ lệ 0..1 theo trang)
+    anchor JSONB,
+    quote TEXT,
+    color VARCHAR(20),
+    body TEXT,
+    mentions UUID[] NOT NULL DEFAULT '{}',
+    is_resolved BOOLEAN NOT NULL DEFAULT FALSE,
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (parent_id IS NOT NULL OR (page_number IS NOT NULL AND anchor_type IS NOT NULL AND anchor IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_annotations_document ON document_annotations(document_id, page_number);
+CREATE INDEX IF NOT EXISTS idx_document_annotations_parent ON document_annotations(parent_id);
+CREATE INDEX IF NOT EXISTS idx_document_annotations_mentions ON document_annotations USING GIN (mentions);
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,62 @@
+-- Optimistic concurrency: documents.revision tăng mỗi khi bất kỳ cột nào của document thay đổi
+-- (kể cả cột do job nền cập nhật như content, preview_*, và is_protected / password_hash / visibility)
+-- để ETag luôn đổi khi dữ liệu GET /:id trả về đổi.
+-- Client gửi If-Match với ETag đã nhận, server trả 412 khi revision đã cũ
+-- Chỉ bỏ qua revision, updated_at và bộ đếm unlock sai (không trả về client)
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION bump_document_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (to_jsonb(NEW) - ARRAY['revision', 'updated_at', 'unlock_failed_attempts', 'unlock_locked_until'])
+        IS DISTINCT FROM
+       (to_jsonb(OLD) - ARRAY['revision', 'updated_at', 'unlock_failed_attempts', 'unlock_locked_until'])
+    THEN
+        NEW.revision := OLD.revision + 1;
+    ELSE
+        NEW.revision := OLD.revision;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_bump_document_revision ON documents;
+CREATE TRIGGER trg_bump_document_revision
+    BEFORE UPDATE ON documents
+    FOR EACH ROW
+    EXECUTE FUNCTION bump_document_revision();
+
+-- Edit lock (advisory): cho UI hiển thị "X đang chỉnh sửa", không chặn việc ghi
+-- Mỗi document có tối đa một lock; lock hết hạn coi như không tồn tại
+CREATE TABLE IF NOT EXISTS document_edit_locks (
+    document_id UUID PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    acquired_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_edit_locks_expires ON document_edit_locks(expires_at);
+
+-- Lấy hoặc gia hạn lock trong một câu lệnh
+-- Trả về lock hiện tại của document: nếu user_id khác người gọi thì lock đang thuộc về người khác
+CREATE OR REPLACE FUNCTION acquire_document_edit_lock(p_document_id UUID, p_user_id UUID, p_ttl_seconds INTEGER)
+RETURNS SETOF document_edit_locks AS $$
+BEGIN
+    INSERT INTO document_edit_locks (document_id, user_id, acquired_at, expires_at)
+    VALUES (p_document_id, p_user_id, NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (document_id) DO UPDATE
+        SET user_id = EXCLUDED.user_id,
+            acquired_at = CASE
+                WHEN document_edit_locks.user_id = EXCLUDED.user_id THEN document_edit_locks.acquired_at
+                ELSE EXCLUDED.acquired_at
+            END,
+            expires_at = EXCLUDED.expires_at
+        WHERE document_edit_locks.user_id = EXCLUDED.user_id
+           OR document_edit_locks.expires_at <= NOW();
+
+    RETURN QUERY SELECT * FROM document_edit_locks WHERE document_id = p_document_id;
+END;
+$$ LANGUAGE plpgsql;
+
+NOTIFY pgrst, 'reload schema';
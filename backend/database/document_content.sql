@@ -0,0 +1,10 @@
+-- Nội dung text trích xuất từ file (src/services/textExtractionService.js)
+-- content: toàn bộ text, dùng cho tìm kiếm theo nội dung (/api/search/content)
+-- content_pages: bản đồ trang [{ page, label, start, end }], start/end là vị trí ký tự trong content
+-- Được cập nhật khi upload và khi tạo / restore version
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS content TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_pages JSONB;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_extracted_at TIMESTAMP WITH TIME ZONE;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,41 @@
+-- Khóa tạm thời tài liệu sau nhiều lần unlock sai mật khẩu
+-- password_hash giờ có thể là định dạng scrypt (dài hơn 64 ký tự)
+
+ALTER TABLE documents ALTER COLUMN password_hash TYPE TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS unlock_failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS unlock_locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Ghi nhận một lần unlock thất bại (atomic)
+-- Khi đạt max_attempts thì khóa tài liệu lockout_seconds giây và reset bộ đếm
+-- Trả về thời điểm hết khóa (NULL nếu chưa bị khóa)
+CREATE OR REPLACE FUNCTION register_document_unlock_failure(
+    doc_id UUID,
+    max_attempts INTEGER,
+    lockout_seconds INTEGER
+)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    attempts INTEGER;
+    locked_until TIMESTAMP WITH TIME ZONE;
+BEGIN
+    UPDATE documents
+    SET unlock_failed_attempts = unlock_failed_attempts + 1
+    WHERE id = doc_id
+    RETURNING unlock_failed_attempts INTO attempts;
+
+    IF attempts IS NOT NULL AND attempts >= max_attempts THEN
+        locked_until := NOW() + make_interval(secs => lockout_seconds);
+
+        UPDATE documents
+        SET unlock_failed_attempts = 0,
+            unlock_locked_until = locked_until
+        WHERE id = doc_id;
+
+        RETURN locked_until;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+NOTIFY pgrst, 'reload schema';
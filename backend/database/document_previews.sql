@@ -0,0 +1,12 @@
+-- Preview của document (src/services/previewService.js)
+-- preview_status: NULL = đang tạo, 'ready', 'unsupported' (loại file không có preview), 'failed'
+-- preview_path: ảnh WebP trên Storage, nằm cạnh file gốc (<file_path>.preview.webp)
+-- preview_snippet: đoạn text ngắn cho TXT / MD
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS preview_status TEXT
+    CHECK (preview_status IS NULL OR preview_status IN ('ready', 'unsupported', 'failed'));
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS preview_path TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS preview_snippet TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS preview_generated_at TIMESTAMP WITH TIME ZONE;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,78 @@
+-- Lịch sử đọc: mỗi (document, user) một dòng, cập nhật khi user mở / tải / unlock document
+-- Dùng cho "recently opened", "continue reading", top documents trên dashboard và lượt xem theo group
+
+CREATE TABLE IF NOT EXISTS document_reads (
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    open_count INTEGER NOT NULL DEFAULT 0,
+    download_count INTEGER NOT NULL DEFAULT 0,
+    last_action VARCHAR(20) NOT NULL DEFAULT 'view' CHECK (last_action IN ('view', 'download', 'unlock', 'progress')),
+    last_page INTEGER CHECK (last_page IS NULL OR last_page >= 1),
+    total_pages INTEGER CHECK (total_pages IS NULL OR total_pages >= 1),
+    first_opened_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_opened_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (document_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_reads_user_recent ON document_reads(user_id, last_opened_at DESC);
+
+-- Ghi một lượt đọc trong một câu lệnh (tránh mất lượt khi nhiều request cùng lúc)
+-- p_action: view tăng open_count, download tăng download_count; unlock / progress chỉ cập nhật
+-- last_action và trang đang đọc (lượt mở đã được ghi bởi view, unlock không đếm thêm lần nữa)
+-- p_page / p_total_pages = null thì giữ giá trị cũ
+CREATE OR REPLACE FUNCTION record_document_read(
+    p_document_id UUID,
+    p_user_id UUID,
+    p_action VARCHAR,
+    p_page INTEGER DEFAULT NULL,
+    p_total_pages INTEGER DEFAULT NULL
+)
+RETURNS document_reads AS $$
+DECLARE
+    result document_reads;
+BEGIN
+    INSERT INTO document_reads (document_id, user_id, open_count, download_count, last_action, last_page, total_pages)
+    VALUES (
+        p_document_id,
+        p_user_id,
+        CASE WHEN p_action = 'view' THEN 1 ELSE 0 END,
+        CASE WHEN p_action = 'download' THEN 1 ELSE 0 END,
+        p_action,
+        p_page,
+        p_total_pages
+    )
+    ON CONFLICT (document_id, user_id) DO UPDATE
+        SET open_count = document_reads.open_count + CASE WHEN p_action = 'view' THEN 1 ELSE 0 END,
+            download_count = document_reads.download_count + CASE WHEN p_action = 'download' THEN 1 ELSE 0 END,
+            last_action = p_action,
+            last_page = COALESCE(p_page, document_reads.last_page),
+            total_pages = COALESCE(p_total_pages, document_reads.total_pages),
+            last_opened_at = NOW()
+    RETURNING * INTO result;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Tổng lượt xem / tải / số người đọc theo document, gộp trong SQL
+-- Dùng bởi fetchReadCounts (top documents trên dashboard, lượt xem theo group)
+CREATE OR REPLACE FUNCTION document_read_counts(p_document_ids UUID[])
+RETURNS TABLE (
+    document_id UUID,
+    view_count BIGINT,
+    download_count BIGINT,
+    reader_count BIGINT,
+    last_opened_at TIMESTAMP WITH TIME ZONE
+) AS $$
+    SELECT
+        dr.document_id,
+        COALESCE(SUM(dr.open_count), 0) AS view_count,
+        COALESCE(SUM(dr.download_count), 0) AS download_count,
+        COUNT(*) AS reader_count,
+        MAX(dr.last_opened_at) AS last_opened_at
+    FROM document_reads dr
+    WHERE dr.document_id = ANY(p_document_ids)
+    GROUP BY dr.document_id;
+$$ LANGUAGE sql STABLE;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,89 @@
+-- Public share links: token ẩn danh để tải tài liệu không cần tài khoản
+-- Dùng bởi src/controllers/shareLinkController.js (GET /s/:token)
+
+CREATE TABLE IF NOT EXISTS document_share_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,
+    label TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    password_hash TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    max_downloads INTEGER CHECK (max_downloads IS NULL OR max_downloads > 0),
+    download_count INTEGER NOT NULL DEFAULT 0,
+    access_count INTEGER NOT NULL DEFAULT 0,
+    last_accessed_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_share_links_document_id ON document_share_links(document_id);
+CREATE INDEX IF NOT EXISTS idx_document_share_links_created_by ON document_share_links(created_by);
+
+-- Đếm mỗi lần link được truy cập (kể cả khi bị từ chối do mật khẩu)
+CREATE OR REPLACE FUNCTION record_share_link_access(link_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE document_share_links
+    SET
+        access_count = access_count + 1,
+        last_accessed_at = NOW()
+    WHERE id = link_id;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Tăng download_count một cách atomic, chỉ khi link còn hiệu lực và chưa vượt giới hạn
+CREATE OR REPLACE FUNCTION consume_share_link_download(link_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE document_share_links
+    SET download_count = download_count + 1
+    WHERE id = link_id
+      AND is_active = true
+      AND (expires_at IS NULL OR expires_at > NOW())
+      AND (max_downloads IS NULL OR download_count < max_downloads);
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Khóa tạm thời link sau nhiều lần nhập sai mật khẩu (người ẩn danh không đoán mật khẩu không giới hạn)
+ALTER TABLE document_share_links ADD COLUMN IF NOT EXISTS unlock_failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE document_share_links ADD COLUMN IF NOT EXISTS unlock_locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Ghi nhận một lần nhập sai mật khẩu link (atomic), giống register_document_unlock_failure
+-- Trả về thời điểm hết khóa (NULL nếu chưa bị khóa)
+CREATE OR REPLACE FUNCTION register_share_link_unlock_failure(
+    link_id UUID,
+    max_attempts INTEGER,
+    lockout_seconds INTEGER
+)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    attempts INTEGER;
+    locked_until TIMESTAMP WITH TIME ZONE;
+BEGIN
+    UPDATE document_share_links
+    SET unlock_failed_attempts = unlock_failed_attempts + 1
+    WHERE id = link_id
+    RETURNING unlock_failed_attempts INTO attempts;
+
+    IF attempts IS NOT NULL AND attempts >= max_attempts THEN
+        locked_until := NOW() + make_interval(secs => lockout_seconds);
+
+        UPDATE document_share_links
+        SET unlock_failed_attempts = 0,
+            unlock_locked_until = locked_until
+        WHERE id = link_id;
+
+        RETURN locked_until;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,51 @@
+-- Chia sẻ tài liệu cho user/email (shared_documents) và ACL chi tiết (document_acl)
+-- Được đọc bởi hasDocumentAccess trong src/middleware/acl.js
+
+CREATE TABLE IF NOT EXISTS shared_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    shared_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    shared_with_user UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    shared_with_email TEXT,
+    access_level VARCHAR(20) NOT NULL DEFAULT 'view', -- view, edit, admin
+    expires_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT shared_documents_target_check CHECK (shared_with_user IS NOT NULL OR shared_with_email IS NOT NULL)
+);
+
+ALTER TABLE shared_documents ADD COLUMN IF NOT EXISTS shared_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE shared_documents ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_shared_documents_document_id ON shared_documents(document_id);
+CREATE INDEX IF NOT EXISTS idx_shared_documents_user ON shared_documents(shared_with_user);
+CREATE INDEX IF NOT EXISTS idx_shared_documents_email ON shared_documents(shared_with_email);
+
+-- Email được lưu và so khớp ở dạng chữ thường; chuẩn hóa các bản ghi cũ nhập theo kiểu gõ
+UPDATE shared_documents
+SET shared_with_email = lower(trim(shared_with_email))
+WHERE shared_with_email IS DISTINCT FROM lower(trim(shared_with_email));
+
+CREATE TABLE IF NOT EXISTS document_acl (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    subject_type VARCHAR(10) NOT NULL, -- user, group
+    subject_id UUID NOT NULL,
+    role VARCHAR(10) NOT NULL DEFAULT 'view', -- view, edit, admin
+    granted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (document_id, subject_type, subject_id)
+);
+
+ALTER TABLE document_acl ADD COLUMN IF NOT EXISTS granted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE document_acl ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE document_acl ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_document_acl_subject ON document_acl(document_id, subject_type, subject_id);
+CREATE INDEX IF NOT EXISTS idx_document_acl_document_id ON document_acl(document_id);
+CREATE INDEX IF NOT EXISTS idx_document_acl_subject ON document_acl(subject_type, subject_id);
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,11 @@
+-- Thùng rác: xóa document chỉ đánh dấu deleted_at, có thể khôi phục
+-- Sau TRASH_RETENTION_DAYS ngày (mặc định 30) job purge xóa hẳn document,
+-- các version, embedding và file trên Storage (xem src/services/trashService.js)
+-- Document trong thùng rác vẫn được tính vào quota cho tới khi bị purge
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_deleted_at ON documents(deleted_at) WHERE deleted_at IS NOT NULL;
+
+NOTIFY pgrst, 'reload schema';
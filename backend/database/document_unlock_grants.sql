@@ -0,0 +1,16 @@
+-- Unlock grant: sau khi unlock thành công, user được truy cập tài liệu có mật khẩu
+-- trong một khoảng thời gian mà không cần nhập lại mật khẩu
+-- Grant bị xóa khi owner đặt lại hoặc gỡ mật khẩu
+
+CREATE TABLE IF NOT EXISTS document_unlock_grants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (document_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_unlock_grants_lookup ON document_unlock_grants(document_id, user_id, expires_at);
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,7 @@
+-- Thống kê thay đổi của version so với nội dung trước đó (src/services/versionDiffService.js)
+-- diff_stats: { base_version_id, lines_added, lines_removed }
+-- NULL khi file không phải dạng text hoặc chưa tính xong
+
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS diff_stats JSONB;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,7 @@
+-- Nguồn của mind map được tạo tự động (POST /api/mindmaps/generate/...)
+-- { type: 'category', category_id, group_id } hoặc { type: 'document_outline', document_id, outline: 'headings' | 'pages' }
+-- Map tạo tay có source = null
+
+ALTER TABLE mindmaps ADD COLUMN IF NOT EXISTS source JSONB;
+
+NOTIFY pgrst, 'reload schema';
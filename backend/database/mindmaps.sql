@@ -0,0 +1,179 @@
+-- Mind map: map cá nhân (group_id null) hoặc thuộc group, gồm node, edge và vị trí node trên canvas
+-- Node tham chiếu một document, một category, giữ ghi chú rich-text inline hoặc chỉ là chủ đề (topic)
+
+CREATE TABLE IF NOT EXISTS mindmaps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+    created_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    last_edited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    -- Vị trí / mức zoom của canvas khi lưu: { x, y, zoom }
+    viewport JSONB,
+    -- Tăng mỗi lần lưu canvas, dùng để phát hiện hai người cùng sửa
+    revision INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mindmaps_created_by ON mindmaps(created_by, updated_at DESC) WHERE group_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_mindmaps_group ON mindmaps(group_id, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS mindmap_nodes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    mindmap_id UUID NOT NULL REFERENCES mindmaps(id) ON DELETE CASCADE,
+    node_type VARCHAR(10) NOT NULL CHECK (node_type IN ('topic', 'document', 'category', 'note')),
+    label VARCHAR(500),
+    -- Document / category bị xóa thì node vẫn còn, API trả về reference bị mất
+    document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+    category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+    -- Ghi chú rich-text: nội dung của editor (JSON) hoặc HTML / markdown dạng chuỗi
+    note JSONB,
+    -- Bản text thuần của note để tìm kiếm và hiển thị rút gọn
+    note_text TEXT,
+    position_x DOUBLE PRECISION NOT NULL DEFAULT 0,
+    position_y DOUBLE PRECISION NOT NULL DEFAULT 0,
+    width DOUBLE PRECISION,
+    height DOUBLE PRECISION,
+    -- Màu, hình dạng, font... do client quyết định
+    style JSONB,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- Cho phép edge tham chiếu (node, map) để hai đầu edge luôn thuộc cùng map
+    UNIQUE (id, mindmap_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mindmap_nodes_mindmap ON mindmap_nodes(mindmap_id);
+CREATE INDEX IF NOT EXISTS idx_mindmap_nodes_document ON mindmap_nodes(document_id) WHERE document_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_mindmap_nodes_category ON mindmap_nodes(category_id) WHERE category_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS mindmap_edges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    mindmap_id UUID NOT NULL REFERENCES mindmaps(id) ON DELETE CASCADE,
+    source_node_id UUID NOT NULL,
+    target_node_id UUID NOT NULL,
+    label VARCHAR(200),
+    style JSONB,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (source_node_id, mindmap_id) REFERENCES mindmap_nodes(id, mindmap_id) ON DELETE CASCADE,
+    FOREIGN KEY (target_node_id, mindmap_id) REFERENCES mindmap_nodes(id, mindmap_id) ON DELETE CASCADE,
+    CHECK (source_node_id <> target_node_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mindmap_edges_mindmap ON mindmap_edges(mindmap_id);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_mindmap_edges_pair ON mindmap_edges(mindmap_id, source_node_id, target_node_id);
+
+-- Lưu canvas trong một transaction: xóa edge / node, upsert node rồi edge, cập nhật viewport và revision
+-- p_nodes / p_edges là mảng JSON đầy đủ các cột (API đã gộp với dữ liệu cũ khi client chỉ gửi một phần)
+-- p_expected_revision khác null mà không khớp thì báo lỗi REVISION_MISMATCH (SQLSTATE 40001)
+-- Trả về revision mới
+CREATE OR REPLACE FUNCTION save_mindmap_batch(
+    p_mindmap_id UUID,
+    p_user_id UUID,
+    p_nodes JSONB DEFAULT '[]'::JSONB,
+    p_edges JSONB DEFAULT '[]'::JSONB,
+    p_deleted_node_ids UUID[] DEFAULT '{}',
+    p_deleted_edge_ids UUID[] DEFAULT '{}',
+    p_viewport JSONB DEFAULT NULL,
+    p_expected_revision INTEGER DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    current_revision INTEGER;
+BEGIN
+    SELECT revision INTO current_revision
+    FROM mindmaps
+    WHERE id = p_mindmap_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'MINDMAP_NOT_FOUND' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF p_expected_revision IS NOT NULL AND p_expected_revision <> current_revision THEN
+        RAISE EXCEPTION 'REVISION_MISMATCH' USING ERRCODE = '40001';
+    END IF;
+
+    -- Id của node / edge thuộc map khác
+    IF EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_nodes) AS n
+        JOIN mindmap_nodes m ON m.id = (n->>'id')::UUID
+        WHERE m.mindmap_id <> p_mindmap_id
+    ) OR EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_edges) AS e
+        JOIN mindmap_edges m ON m.id = (e->>'id')::UUID
+        WHERE m.mindmap_id <> p_mindmap_id
+    ) THEN
+        RAISE EXCEPTION 'FOREIGN_MINDMAP_ITEM' USING ERRCODE = '22023';
+    END IF;
+
+    DELETE FROM mindmap_edges WHERE mindmap_id = p_mindmap_id AND id = ANY(p_deleted_edge_ids);
+    DELETE FROM mindmap_nodes WHERE mindmap_id = p_mindmap_id AND id = ANY(p_deleted_node_ids);
+
+    INSERT INTO mindmap_nodes (
+        id, mindmap_id, node_type, label, document_id, category_id, note, note_text,
+        position_x, position_y, width, height, style, created_by
+    )
+    SELECT
+        (n->>'id')::UUID,
+        p_mindmap_id,
+        n->>'node_type',
+        n->>'label',
+        (n->>'document_id')::UUID,
+        (n->>'category_id')::UUID,
+        CASE WHEN jsonb_typeof(n->'note') = 'null' THEN NULL ELSE n->'note' END,
+        n->>'note_text',
+        COALESCE((n->>'position_x')::DOUBLE PRECISION, 0),
+        COALESCE((n->>'position_y')::DOUBLE PRECISION, 0),
+        (n->>'width')::DOUBLE PRECISION,
+        (n->>'height')::DOUBLE PRECISION,
+        CASE WHEN jsonb_typeof(n->'style') = 'null' THEN NULL ELSE n->'style' END,
+        p_user_id
+    FROM jsonb_array_elements(p_nodes) AS n
+    ON CONFLICT (id) DO UPDATE
+        SET node_type = EXCLUDED.node_type,
+            label = EXCLUDED.label,
+            document_id = EXCLUDED.document_id,
+            category_id = EXCLUDED.category_id,
+            note = EXCLUDED.note,
+            note_text = EXCLUDED.note_text,
+            position_x = EXCLUDED.position_x,
+            position_y = EXCLUDED.position_y,
+            width = EXCLUDED.width,
+            height = EXCLUDED.height,
+            style = EXCLUDED.style,
+            updated_at = NOW();
+
+    INSERT INTO mindmap_edges (id, mindmap_id, source_node_id, target_node_id, label, style, created_by)
+    SELECT
+        (e->>'id')::UUID,
+        p_mindmap_id,
+        (e->>'source_node_id')::UUID,
+        (e->>'target_node_id')::UUID,
+        e->>'label',
+        CASE WHEN jsonb_typeof(e->'style') = 'null' THEN NULL ELSE e->'style' END,
+        p_user_id
+    FROM jsonb_array_elements(p_edges) AS e
+    ON CONFLICT (id) DO UPDATE
+        SET source_node_id = EXCLUDED.source_node_id,
+            target_node_id = EXCLUDED.target_node_id,
+            label = EXCLUDED.label,
+            style = EXCLUDED.style,
+            updated_at = NOW();
+
+    UPDATE mindmaps
+    SET viewport = COALESCE(p_viewport, viewport),
+        revision = revision + 1,
+        last_edited_by = p_user_id,
+        updated_at = NOW()
+    WHERE id = p_mindmap_id
+    RETURNING revision INTO current_revision;
+
+    RETURN current_revision;
+END;
+$$ LANGUAGE plpgsql;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,112 @@
+-- Lưu file theo nội dung (content-addressed): file giống nhau chỉ lưu một object trên Storage
+-- Mỗi bản ghi documents / document_versions trỏ tới blob giữ một reference,
+-- object chỉ bị xóa khi ref_count về 0
+-- Mỗi lần blob được tạo lại (sau khi đã về 0) object nằm ở đường dẫn mới, nên object của
+-- blob vừa bị xóa không bao giờ được dùng lại dù việc xóa trên Storage diễn ra sau khi commit
+-- Dùng bởi src/services/blobStore.js
+
+CREATE TABLE IF NOT EXISTS storage_blobs (
+    sha256 TEXT PRIMARY KEY CHECK (sha256 ~ '^[a-f0-9]{64}$'),
+    file_path TEXT NOT NULL UNIQUE,
+    size BIGINT NOT NULL,
+    mime_type TEXT,
+    ref_count INTEGER NOT NULL DEFAULT 0 CHECK (ref_count >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Hash nội dung hiện tại của document / version (NULL với file upload trước khi có dedup)
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON documents(content_hash);
+CREATE INDEX IF NOT EXISTS idx_document_versions_content_hash ON document_versions(content_hash);
+
+-- Tạo blob mới (ref_count = 1) hoặc tăng reference của blob đã có
+-- Trả về file_path của blob (khác blob_path khi request khác đã tạo blob trước)
+CREATE OR REPLACE FUNCTION acquire_storage_blob(
+    blob_hash TEXT,
+    blob_path TEXT,
+    blob_size BIGINT,
+    blob_mime TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+    stored_path TEXT;
+BEGIN
+    INSERT INTO storage_blobs (sha256, file_path, size, mime_type, ref_count)
+    VALUES (blob_hash, blob_path, blob_size, blob_mime, 1)
+    ON CONFLICT (sha256) DO UPDATE
+    SET ref_count = storage_blobs.ref_count + 1,
+        updated_at = NOW()
+    RETURNING file_path INTO stored_path;
+
+    RETURN stored_path;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Tăng reference của blob đã tồn tại và trả về file_path (NULL nếu chưa có blob)
+-- Dùng trước khi upload để không tải lên nội dung đã có
+CREATE OR REPLACE FUNCTION reuse_storage_blob(blob_hash TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    stored_path TEXT;
+BEGIN
+    UPDATE storage_blobs
+    SET ref_count = ref_count + 1,
+        updated_at = NOW()
+    WHERE sha256 = blob_hash AND ref_count > 0
+    RETURNING file_path INTO stored_path;
+
+    RETURN stored_path;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Tăng reference của blob đã tồn tại (ví dụ khi restore version)
+CREATE OR REPLACE FUNCTION retain_storage_blob(blob_hash TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE storage_blobs
+    SET ref_count = ref_count + 1,
+        updated_at = NOW()
+    WHERE sha256 = blob_hash AND ref_count > 0;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Giảm reference dưới row lock; khi về 0 thì xóa bản ghi trong cùng transaction và
+-- trả về file_path để backend xóa object. acquire / reuse chạy song song phải chờ lock,
+-- sau đó tạo blob mới ở đường dẫn khác nên object trả về ở đây không còn ai dùng
+CREATE OR REPLACE FUNCTION release_storage_blob(blob_hash TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    remaining INTEGER;
+    stored_path TEXT;
+BEGIN
+    SELECT ref_count, file_path INTO remaining, stored_path
+    FROM storage_blobs
+    WHERE sha256 = blob_hash
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    remaining := GREATEST(remaining - 1, 0);
+
+    IF remaining > 0 THEN
+        UPDATE storage_blobs
+        SET ref_count = remaining,
+            updated_at = NOW()
+        WHERE sha256 = blob_hash;
+
+        RETURN NULL;
+    END IF;
+
+    DELETE FROM storage_blobs WHERE sha256 = blob_hash;
+    RETURN stored_path;
+END;
+$$ LANGUAGE plpgsql;
+
+NOTIFY pgrst, 'reload schema';
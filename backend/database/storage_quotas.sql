@@ -0,0 +1,176 @@
+-- Giới hạn dung lượng lưu trữ theo user và theo group
+-- Không có bản ghi thì dùng mặc định từ env (USER_STORAGE_QUOTA_BYTES / GROUP_STORAGE_QUOTA_BYTES)
+-- quota_bytes NULL = không giới hạn
+-- Dùng bởi src/services/storageQuotaService.js
+
+CREATE TABLE IF NOT EXISTS storage_quotas (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subject_type TEXT NOT NULL CHECK (subject_type IN ('user', 'group')),
+    subject_id UUID NOT NULL,
+    quota_bytes BIGINT CHECK (quota_bytes IS NULL OR quota_bytes >= 0),
+    note TEXT,
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (subject_type, subject_id)
+);
+
+-- Dung lượng đã dùng: file hiện tại của document + các file version khác file hiện tại
+-- Dung lượng tính cho người tạo document (owner_id) hoặc group chứa document (target_group_id)
+CREATE OR REPLACE FUNCTION storage_usage_breakdown(
+    owner_id UUID DEFAULT NULL,
+    target_group_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    category_id UUID,
+    document_type TEXT,
+    document_count BIGINT,
+    document_bytes BIGINT,
+    version_bytes BIGINT
+) AS $$
+    SELECT
+        d.category_id,
+        d.document_type::TEXT,
+        COUNT(*)::BIGINT,
+        COALESCE(SUM(d.file_size), 0)::BIGINT,
+        COALESCE(SUM(v.bytes), 0)::BIGINT
+    FROM documents d
+    LEFT JOIN LATERAL (
+        SELECT SUM(dv.file_size) AS bytes
+        FROM document_versions dv
+        WHERE dv.document_id = d.id
+          AND dv.file_path IS DISTINCT FROM d.file_path
+    ) v ON TRUE
+    WHERE (owner_id IS NULL OR d.created_by = owner_id)
+      AND (target_group_id IS NULL OR d.group_id = target_group_id)
+      AND (owner_id IS NOT NULL OR target_group_id IS NOT NULL)
+    GROUP BY d.category_id, d.document_type;
+$$ LANGUAGE sql STABLE;
+
+-- Dung lượng của group chia theo thành viên tạo document (giảm dần)
+CREATE OR REPLACE FUNCTION group_storage_by_member(target_group_id UUID)
+RETURNS TABLE (
+    user_id UUID,
+    document_count BIGINT,
+    total_bytes BIGINT
+) AS $$
+    SELECT
+        d.created_by,
+        COUNT(*)::BIGINT,
+        (COALESCE(SUM(d.file_size), 0) + COALESCE(SUM(v.bytes), 0))::BIGINT AS total_bytes
+    FROM documents d
+    LEFT JOIN LATERAL (
+        SELECT SUM(dv.file_size) AS bytes
+        FROM document_versions dv
+        WHERE dv.document_id = d.id
+          AND dv.file_path IS DISTINCT FROM d.file_path
+    ) v ON TRUE
+    WHERE d.group_id = target_group_id
+    GROUP BY d.created_by
+    ORDER BY total_bytes DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Giữ chỗ dung lượng cho một lần ghi (upload, version, import) trong lúc file đang được ghi
+-- Kiểm tra quota và giữ chỗ trong cùng một transaction (reserve_storage) để các upload song song
+-- không cùng vượt qua kiểm tra; bản ghi bị xóa khi ghi xong (hoặc hết hạn nếu server dừng giữa chừng)
+CREATE TABLE IF NOT EXISTS storage_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    group_id UUID,
+    bytes BIGINT NOT NULL CHECK (bytes >= 0),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_storage_reservations_user ON storage_reservations(user_id);
+CREATE INDEX IF NOT EXISTS idx_storage_reservations_group ON storage_reservations(group_id);
+CREATE INDEX IF NOT EXISTS idx_storage_reservations_expires ON storage_reservations(expires_at);
+
+-- Dung lượng đang dùng của user / group tính cả phần đang được giữ chỗ
+-- và các upload session chưa xong (pending còn hạn hoặc completing, theo total_size khai báo)
+CREATE OR REPLACE FUNCTION storage_committed_bytes(
+    owner_id UUID DEFAULT NULL,
+    target_group_id UUID DEFAULT NULL
+)
+RETURNS BIGINT AS $$
+DECLARE
+    v_total BIGINT;
+    v_sessions BIGINT := 0;
+BEGIN
+    SELECT
+        COALESCE((
+            SELECT SUM(b.document_bytes + b.version_bytes)
+            FROM storage_usage_breakdown(owner_id, target_group_id) b
+        ), 0)
+        + COALESCE((
+            SELECT SUM(r.bytes)
+            FROM storage_reservations r
+            WHERE r.expires_at > NOW()
+              AND (owner_id IS NULL OR r.user_id = owner_id)
+              AND (target_group_id IS NULL OR r.group_id = target_group_id)
+        ), 0)
+    INTO v_total;
+
+    -- upload_sessions.sql có thể chưa chạy
+    IF to_regclass('upload_sessions') IS NOT NULL THEN
+        SELECT COALESCE(SUM(s.total_size), 0)
+        INTO v_sessions
+        FROM upload_sessions s
+        WHERE (s.status = 'completing' OR (s.status = 'pending' AND s.expires_at > NOW()))
+          AND (owner_id IS NULL OR s.user_id = owner_id)
+          AND (target_group_id IS NULL OR s.group_id = target_group_id);
+    END IF;
+
+    RETURN v_total + v_sessions;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Kiểm tra quota rồi giữ chỗ p_bytes; quota truyền từ backend (NULL = không giới hạn)
+-- Advisory lock theo user / group (luôn lấy user trước group) nên các lần giữ chỗ
+-- của cùng một user / group chạy lần lượt
+-- Trả về reservation_id, hoặc reservation_id NULL kèm scope bị vượt và dung lượng đang dùng
+CREATE OR REPLACE FUNCTION reserve_storage(
+    p_user_id UUID,
+    p_group_id UUID,
+    p_bytes BIGINT,
+    p_user_quota BIGINT,
+    p_group_quota BIGINT,
+    p_ttl_seconds INTEGER
+)
+RETURNS TABLE (reservation_id UUID, exceeded_scope TEXT, used_bytes BIGINT) AS $$
+DECLARE
+    v_used BIGINT;
+    v_id UUID;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtextextended('storage_quota:user:' || p_user_id::TEXT, 0));
+    IF p_group_id IS NOT NULL THEN
+        PERFORM pg_advisory_xact_lock(hashtextextended('storage_quota:group:' || p_group_id::TEXT, 0));
+    END IF;
+
+    DELETE FROM storage_reservations WHERE expires_at <= NOW();
+
+    IF p_user_quota IS NOT NULL THEN
+        v_used := storage_committed_bytes(p_user_id, NULL);
+        IF v_used + p_bytes > p_user_quota THEN
+            RETURN QUERY SELECT NULL::UUID, 'user'::TEXT, v_used;
+            RETURN;
+        END IF;
+    END IF;
+
+    IF p_group_id IS NOT NULL AND p_group_quota IS NOT NULL THEN
+        v_used := storage_committed_bytes(NULL, p_group_id);
+        IF v_used + p_bytes > p_group_quota THEN
+            RETURN QUERY SELECT NULL::UUID, 'group'::TEXT, v_used;
+            RETURN;
+        END IF;
+    END IF;
+
+    INSERT INTO storage_reservations (user_id, group_id, bytes, expires_at)
+    VALUES (p_user_id, p_group_id, p_bytes, NOW() + make_interval(secs => p_ttl_seconds))
+    RETURNING id INTO v_id;
+
+    RETURN QUERY SELECT v_id, NULL::TEXT, NULL::BIGINT;
+END;
+$$ LANGUAGE plpgsql;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,15 @@
+-- Chạy MỘT LẦN khi deploy storage_quotas.sql lên hệ thống đang có dữ liệu
+-- User / group có từ trước được đặt quota_bytes = NULL (không giới hạn) để không ai bị chặn upload
+-- ngay sau khi deploy vì đã dùng quá quota mặc định; user / group tạo sau dùng mặc định từ env.
+-- Đổi quota sau đó qua PUT /api/quota/:subjectType/:subjectId (system admin)
+-- Bản ghi đã có (quota đặt tay) được giữ nguyên
+
+INSERT INTO storage_quotas (subject_type, subject_id, quota_bytes, note)
+SELECT 'user', u.id, NULL, 'Backfill: existing user before storage quotas'
+FROM auth.users u
+ON CONFLICT (subject_type, subject_id) DO NOTHING;
+
+INSERT INTO storage_quotas (subject_type, subject_id, quota_bytes, note)
+SELECT 'group', g.id, NULL, 'Backfill: existing group before storage quotas'
+FROM groups g
+ON CONFLICT (subject_type, subject_id) DO NOTHING;
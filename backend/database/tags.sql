@@ -0,0 +1,107 @@
+-- Tag registry: tag của user (document cá nhân) và tag của group (document thuộc group)
+-- documents.tags (TEXT[]) vẫn là nơi lưu tag của từng document; registry giữ màu và cho phép đổi tên / gộp tag
+
+CREATE TABLE IF NOT EXISTS tags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    scope_type VARCHAR(10) NOT NULL CHECK (scope_type IN ('user', 'group')),
+    scope_id UUID NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    color VARCHAR(20),
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_scope_name ON tags(scope_type, scope_id, lower(name));
+CREATE INDEX IF NOT EXISTS idx_documents_tags ON documents USING GIN (tags);
+
+-- Document thuộc phạm vi nào: có group_id thì thuộc group, không thì thuộc người tạo
+CREATE OR REPLACE FUNCTION document_in_tag_scope(doc documents, p_scope_type VARCHAR, p_scope_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT doc.deleted_at IS NULL AND (
+        (p_scope_type = 'group' AND doc.group_id = p_scope_id) OR
+        (p_scope_type = 'user' AND doc.group_id IS NULL AND doc.created_by = p_scope_id)
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Số document theo tag trong một phạm vi (kể cả tag chưa có trong registry)
+CREATE OR REPLACE FUNCTION get_tag_counts(p_scope_type VARCHAR, p_scope_id UUID)
+RETURNS TABLE (name TEXT, document_count BIGINT) AS $$
+    SELECT tag::TEXT AS name, COUNT(DISTINCT d.id) AS document_count
+    FROM documents d, unnest(d.tags) AS tag
+    WHERE document_in_tag_scope(d, p_scope_type, p_scope_id)
+    GROUP BY tag;
+$$ LANGUAGE sql STABLE;
+
+-- Đổi tên / gộp tag trong một phạm vi: các tag nguồn (không phân biệt hoa thường) được thay bằng p_target
+-- trên mọi document bị ảnh hưởng, registry được cập nhật trong cùng transaction
+-- Trả về số document đã sửa
+CREATE OR REPLACE FUNCTION replace_tags(
+    p_scope_type VARCHAR,
+    p_scope_id UUID,
+    p_sources TEXT[],
+    p_target TEXT,
+    p_user_id UUID
+)
+RETURNS INTEGER AS $$
+DECLARE
+    lowered TEXT[] := ARRAY(SELECT lower(s) FROM unnest(p_sources) AS s);
+    source_color VARCHAR(20);
+    affected INTEGER := 0;
+BEGIN
+    UPDATE documents d
+    SET tags = ARRAY(
+            SELECT t FROM (
+                SELECT DISTINCT ON (lower(t)) t, ord
+                FROM unnest(
+                    ARRAY(SELECT CASE WHEN lower(x) = ANY(lowered) THEN p_target ELSE x END FROM unnest(d.tags) AS x)
+                ) WITH ORDINALITY AS u(t, ord)
+                ORDER BY lower(t), ord
+            ) deduped
+            ORDER BY ord
+        ),
+        last_edited_by = p_user_id
+    WHERE document_in_tag_scope(d, p_scope_type, p_scope_id)
+      AND EXISTS (SELECT 1 FROM unnest(d.tags) AS x WHERE lower(x) = ANY(lowered));
+
+    GET DIAGNOSTICS affected = ROW_COUNT;
+
+    SELECT color INTO source_color
+    FROM tags
+    WHERE scope_type = p_scope_type AND scope_id = p_scope_id
+      AND lower(name) = ANY(lowered) AND color IS NOT NULL
+    LIMIT 1;
+
+    DELETE FROM tags
+    WHERE scope_type = p_scope_type AND scope_id = p_scope_id
+      AND lower(name) = ANY(lowered) AND lower(name) <> lower(p_target);
+
+    INSERT INTO tags (scope_type, scope_id, name, color, created_by)
+    VALUES (p_scope_type, p_scope_id, p_target, source_color, p_user_id)
+    ON CONFLICT (scope_type, scope_id, lower(name)) DO UPDATE
+        SET name = EXCLUDED.name,
+            color = COALESCE(tags.color, EXCLUDED.color),
+            updated_at = NOW();
+
+    RETURN affected;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Gỡ một tag khỏi mọi document trong phạm vi
+CREATE OR REPLACE FUNCTION remove_tag_from_documents(p_scope_type VARCHAR, p_scope_id UUID, p_name TEXT, p_user_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    affected INTEGER := 0;
+BEGIN
+    UPDATE documents d
+    SET tags = ARRAY(SELECT x FROM unnest(d.tags) AS x WHERE lower(x) <> lower(p_name)),
+        last_edited_by = p_user_id
+    WHERE document_in_tag_scope(d, p_scope_type, p_scope_id)
+      AND EXISTS (SELECT 1 FROM unnest(d.tags) AS x WHERE lower(x) = lower(p_name));
+
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    RETURN affected;
+END;
+$$ LANGUAGE plpgsql;
+
+NOTIFY pgrst, 'reload schema';
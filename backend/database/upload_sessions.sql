@@ -0,0 +1,34 @@
+-- Upload theo chunk (resumable) cho tài liệu lớn
+-- Dùng bởi src/controllers/uploadSessionController.js (/api/documents/uploads)
+-- Nội dung các chunk nằm trên đĩa của backend (UPLOAD_TMP_DIR), bảng này chỉ giữ metadata
+
+-- Giới hạn dung lượng upload riêng cho từng group (NULL = dùng MAX_UPLOAD_SIZE_BYTES)
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS max_upload_bytes BIGINT
+    CHECK (max_upload_bytes IS NULL OR max_upload_bytes > 0);
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+    category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    tags JSONB NOT NULL DEFAULT '[]'::jsonb,
+    file_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    total_size BIGINT NOT NULL CHECK (total_size > 0),
+    chunk_size INTEGER NOT NULL CHECK (chunk_size > 0),
+    total_chunks INTEGER NOT NULL CHECK (total_chunks > 0),
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'completing', 'completed', 'expired')),
+    document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_status_expires ON upload_sessions(status, expires_at);
+
+NOTIFY pgrst, 'reload schema';
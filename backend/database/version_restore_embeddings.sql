@@ -0,0 +1,66 @@
+-- Restore version tạo version mới ("Restored from vN") thay vì chỉ đổi is_current
+-- Embedding cũ của document chỉ bị thay khi job embedding mới thành công
+
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS restored_from_version_id UUID
+    REFERENCES document_versions(id) ON DELETE SET NULL;
+
+-- Thời điểm tạo chunk để phân biệt chunk cũ / chunk của job đang chạy
+-- Chunk có sẵn nhận thời điểm chạy migration, luôn cũ hơn mọi job sau này
+DO $$
+BEGIN
+    IF to_regclass('public.document_embeddings') IS NOT NULL THEN
+        ALTER TABLE document_embeddings ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+        CREATE INDEX IF NOT EXISTS idx_document_embeddings_document_created
+            ON document_embeddings(document_id, created_at);
+    END IF;
+END $$;
+
+-- Job thành công: xóa các chunk tạo trước khi job bắt đầu, trong một câu lệnh
+-- Job không ghi chunk nào thì giữ nguyên chunk cũ
+CREATE OR REPLACE FUNCTION replace_document_embeddings(job_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    job RECORD;
+    removed INTEGER := 0;
+BEGIN
+    SELECT document_id, started_at INTO job FROM embedding_jobs WHERE id = job_id;
+    IF job.document_id IS NULL OR job.started_at IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM document_embeddings
+        WHERE document_id = job.document_id AND created_at >= job.started_at
+    ) THEN
+        RETURN 0;
+    END IF;
+
+    DELETE FROM document_embeddings
+    WHERE document_id = job.document_id AND created_at < job.started_at;
+
+    GET DIAGNOSTICS removed = ROW_COUNT;
+    RETURN removed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Job thất bại: bỏ các chunk dở dang của job, giữ lại chunk cũ
+CREATE OR REPLACE FUNCTION discard_document_embeddings(job_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    job RECORD;
+    removed INTEGER := 0;
+BEGIN
+    SELECT document_id, started_at INTO job FROM embedding_jobs WHERE id = job_id;
+    IF job.document_id IS NULL OR job.started_at IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    DELETE FROM document_embeddings
+    WHERE document_id = job.document_id AND created_at >= job.started_at;
+
+    GET DIAGNOSTICS removed = ROW_COUNT;
+    RETURN removed;
+END;
+$$ LANGUAGE plpgsql;
+
+NOTIFY pgrst, 'reload schema';
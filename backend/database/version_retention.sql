@@ -0,0 +1,29 @@
+-- Chính sách giữ version theo document hoặc theo group (src/services/versionRetentionService.js)
+-- Một version được giữ nếu thỏa ít nhất một quy tắc:
+--   keep_last: N version mới nhất
+--   keep_daily_days: trong D ngày gần nhất, giữ version mới nhất của mỗi ngày
+--   keep_monthly: sau đó giữ version mới nhất của mỗi tháng, trong keep_monthly_months tháng (NULL = không giới hạn)
+-- Version đang dùng (file hiện tại của document) và version được ghim không bao giờ bị xóa
+-- Policy của document ưu tiên hơn policy của group; không có policy nào thì giữ tất cả
+
+CREATE TABLE IF NOT EXISTS version_retention_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subject_type TEXT NOT NULL CHECK (subject_type IN ('document', 'group')),
+    subject_id UUID NOT NULL,
+    keep_last INTEGER CHECK (keep_last IS NULL OR keep_last >= 1),
+    keep_daily_days INTEGER CHECK (keep_daily_days IS NULL OR keep_daily_days >= 1),
+    keep_monthly BOOLEAN NOT NULL DEFAULT FALSE,
+    keep_monthly_months INTEGER CHECK (keep_monthly_months IS NULL OR keep_monthly_months >= 1),
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    last_pruned_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (subject_type, subject_id)
+);
+
+-- Version được ghim không bị pruner xóa
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS pinned_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP WITH TIME ZONE;
+
+NOTIFY pgrst, 'reload schema';
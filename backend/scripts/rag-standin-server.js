@@ -0,0 +1,223 @@
+/**
+ * Stand-in cho Python RAG FastAPI server, dùng khi phát triển / kiểm thử không có Ollama
+ * Cùng API với server thật mà src/services/ragFastAPIService.js gọi:
+ *   GET  /health        → { status: 'healthy', model_loaded: true }
+ *   POST /rag/retrieve  { query, user_id, top_k } → { query, chunks: [{ chunk_id, document_id, title, chunk_index, content, score }] }
+ *   POST /rag/query     { query, user_id, top_k, system_prompt } → { answer, sources: [{ id, title }] }
+ *   POST /rag/generate  { prompt, system_prompt } → { answer } (chỉ gọi LLM, không retrieve)
+ *
+ * Nguồn dữ liệu: file RAG_STANDIN_FIXTURE ([{ id, title, content }]) nếu có,
+ * nếu không thì documents.content của user (và group của user) trên Supabase.
+ * Retrieve chấm điểm theo số từ trùng với query; /rag/query luôn retrieve như server thật.
+ * /rag/generate khi system prompt có danh sách excerpt đánh số (POST /api/rag/mindmap)
+ * trả về dàn ý JSON dựng từ các excerpt đó
+ *
+ * Chạy: npm run rag:standin (port RAG_STANDIN_PORT, mặc định 8001)
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const PORT = parseInt(process.env.RAG_STANDIN_PORT || '8001', 10);
+const FIXTURE_PATH = process.env.RAG_STANDIN_FIXTURE || '';
+const CHUNK_SIZE = 800;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+
+/**
+ * Cắt content thành chunk ~CHUNK_SIZE ký tự theo đoạn văn
+ */
+function chunkDocument(doc) {
+    const chunks = [];
+    let current = '';
+
+    const push = () => {
+        if (current.trim()) {
+            chunks.push({
+                chunk_id: `${doc.id}:${chunks.length}`,
+                document_id: doc.id,
+                title: doc.title,
+                chunk_index: chunks.length,
+                content: current.trim()
+            });
+        }
+        current = '';
+    };
+
+    for (const paragraph of (doc.content || '').split(/\n\s*\n/)) {
+        if (current && current.length + paragraph.length > CHUNK_SIZE) push();
+        current += `${paragraph}\n\n`;
+        while (current.length > CHUNK_SIZE * 2) {
+            const head = current.slice(0, CHUNK_SIZE);
+            current = current.slice(CHUNK_SIZE);
+            chunks.push({
+                chunk_id: `${doc.id}:${chunks.length}`,
+                document_id: doc.id,
+                title: doc.title,
+                chunk_index: chunks.length,
+                content: head.trim()
+            });
+        }
+    }
+    push();
+
+    return chunks;
+}
+
+async function loadDocuments(userId) {
+    if (FIXTURE_PATH) {
+        const fixture = JSON.parse(fs.readFileSync(path.resolve(FIXTURE_PATH), 'utf8'));
+        return Array.isArray(fixture) ? fixture : [];
+    }
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY || !userId) {
+        return [];
+    }
+
+    const { supabase } = require('../src/config/supabase');
+    const { data: memberships } = await supabase
+        .from('group_members')
+        .select('group_id')
+        .eq('user_id', userId)
+        .eq('is_active', true);
+
+    const groupIds = (memberships || []).map((row) => row.group_id);
+    const ownerFilter = groupIds.length
+        ? `created_by.eq.${userId},group_id.in.(${groupIds.join(',')})`
+        : `created_by.eq.${userId}`;
+
+    const { data, error } = await supabase
+        .from('documents')
+        .select('id, title, content')
+        .or(ownerFilter)
+        .is('deleted_at', null)
+        .not('content', 'is', null)
+        .limit(200);
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function retrieve({ query, user_id: userId, top_k: topK = 5 }) {
+    const terms = new Set(tokenize(query || ''));
+    const documents = await loadDocuments(userId);
+
+    return documents
+        .flatMap(chunkDocument)
+        .map((chunk) => {
+            const words = tokenize(chunk.content);
+            const hits = words.filter((word) => terms.has(word)).length;
+            return { ...chunk, score: words.length ? Number((hits / Math.sqrt(words.length)).toFixed(4)) : 0 };
+        })
+        .filter((chunk) => chunk.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, Math.max(1, Math.min(parseInt(topK, 10) || 5, 50)));
+}
+
+/**
+ * Dàn ý giả lập LLM: excerpt gom theo document, mỗi excerpt là một node con
+ */
+function outlineFromExcerpts(query, systemPrompt) {
+    const excerpts = [];
+    const pattern = /^\[(\d+)\] \(([^)]*)\) (.*)$/gm;
+    let match;
+    while ((match = pattern.exec(systemPrompt)) !== null) {
+        excerpts.push({ number: parseInt(match[1], 10), title: match[2], text: match[3] });
+    }
+    if (!excerpts.length) return null;
+
+    const byTitle = new Map();
+    for (const excerpt of excerpts) {
+        if (!byTitle.has(excerpt.title)) byTitle.set(excerpt.title, []);
+        byTitle.get(excerpt.title).push(excerpt);
+    }
+
+    const topic = (/about:\s*(.+)$/i.exec(query || '')?.[1] || query || 'Topic').trim();
+    const outline = {
+        title: topic,
+        children: [...byTitle.entries()].map(([title, items]) => ({
+            label: title,
+            sources: items.map((item) => item.number),
+            children: items.map((item) => ({
+                label: item.text.split(/\s+/).slice(0, 8).join(' '),
+                sources: [item.number]
+            }))
+        }))
+    };
+
+    // Bọc như LLM thật hay làm để client phải tự bóc JSON
+    return `Here is the mind map outline:\n\`\`\`json\n${JSON.stringify(outline, null, 2)}\n\`\`\``;
+}
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    let size = 0;
+    const parts = [];
+    req.on('data', (part) => {
+        size += part.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new Error('Request body too large'));
+            req.destroy();
+            return;
+        }
+        parts.push(part);
+    });
+    req.on('end', () => {
+        try {
+            resolve(parts.length ? JSON.parse(Buffer.concat(parts).toString('utf8')) : {});
+        } catch (error) {
+            reject(new Error('Invalid JSON body'));
+        }
+    });
+    req.on('error', reject);
+});
+
+const server = http.createServer(async (req, res) => {
+    try {
+        if (req.method === 'GET' && req.url === '/health') {
+            return sendJson(res, 200, { status: 'healthy', model_loaded: true, mode: 'standin' });
+        }
+
+        if (req.method === 'POST' && req.url === '/rag/retrieve') {
+            const body = await readJsonBody(req);
+            const chunks = await retrieve(body);
+            return sendJson(res, 200, { query: body.query, chunks });
+        }
+
+        if (req.method === 'POST' && req.url === '/rag/generate') {
+            const body = await readJsonBody(req);
+            const outline = body.system_prompt ? outlineFromExcerpts(body.prompt, body.system_prompt) : null;
+            return sendJson(res, 200, {
+                answer: outline || `[stand-in] ${String(body.prompt || '').slice(0, 300)}`
+            });
+        }
+
+        if (req.method === 'POST' && req.url === '/rag/query') {
+            const body = await readJsonBody(req);
+            const chunks = await retrieve(body);
+            const sources = [...new Map(chunks.map((chunk) => [chunk.document_id, { id: chunk.document_id, title: chunk.title }])).values()];
+            return sendJson(res, 200, {
+                answer: chunks.length
+                    ? `[stand-in] Most relevant excerpt: ${chunks[0].content.slice(0, 300)}`
+                    : '[stand-in] No matching content found.',
+                sources
+            });
+        }
+
+        return sendJson(res, 404, { detail: 'Not Found' });
+    } catch (error) {
+        console.error('[RAG_STANDIN] Request failed:', error);
+        return sendJson(res, 500, { detail: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 RAG stand-in server listening on http://localhost:${PORT}`);
+    console.log(`   Data source: ${FIXTURE_PATH ? `fixture ${FIXTURE_PATH}` : 'Supabase documents.content'}`);
+});
@@ -0,0 +1,762 @@
+/**
+ * Bookmark Controller
+ * Bookmark của user trên mọi document và bộ sưu tập bookmark (collections)
+ * Bookmark của từng document vẫn nằm ở /api/documents/:id/bookmarks
+ */
+const { supabase } = require('../config/supabase');
+const { hasDocumentAccess } = require('../middleware/acl');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+const APP_BASE_URL = (process.env.APP_BASE_URL || '').replace(/\/+$/, '');
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_COLLECTION_NAME_LENGTH = 100;
+
+// Document trong thùng rác bị loại nhờ !inner + filter deleted_at
+const BOOKMARK_SELECT = `
+    *,
+    document:document_id!inner (
+        id,
+        title,
+        file_name,
+        mime_type,
+        created_by,
+        group_id,
+        deleted_at
+    )
+`;
+
+const sendCollectionsUnavailable = (res) => res.status(503).json({
+    error: 'Service Unavailable',
+    message: 'Bookmark collections are not configured. Run database/bookmark_collections.sql',
+    code: 'COLLECTIONS_UNAVAILABLE'
+});
+
+/**
+ * Link tới document tại trang của bookmark (APP_BASE_URL trống thì dùng đường dẫn tương đối)
+ */
+const buildDocumentLink = (documentId, pageNumber) => `${APP_BASE_URL}/documents/${documentId}?page=${pageNumber}`;
+
+/**
+ * Rút gọn thông tin document trả về kèm link tới trang của bookmark
+ */
+const formatBookmark = ({ document, ...bookmark }) => ({
+    ...bookmark,
+    document: {
+        id: document.id,
+        title: document.title,
+        file_name: document.file_name,
+        mime_type: document.mime_type
+    },
+    link: buildDocumentLink(document.id, bookmark.page_number)
+});
+
+/**
+ * Id các document user còn quyền xem (vd. chưa rời group)
+ */
+const getAccessibleDocumentIds = async (user, documents) => {
+    const accessible = new Set();
+    const checked = new Set();
+    for (const document of documents) {
+        if (!document || checked.has(document.id)) continue;
+        checked.add(document.id);
+        if (await hasDocumentAccess(user.id, user.email, document, 'view')) {
+            accessible.add(document.id);
+        }
+    }
+    return accessible;
+};
+
+/**
+ * Bỏ bookmark của document user không còn quyền xem
+ */
+const filterAccessibleBookmarks = async (user, bookmarks) => {
+    const accessible = await getAccessibleDocumentIds(user, bookmarks.map((bookmark) => bookmark.document));
+    return bookmarks
+        .filter((bookmark) => bookmark.document && accessible.has(bookmark.document.id))
+        .map(formatBookmark);
+};
+
+/**
+ * Filter color / document_id / q cho danh sách bookmark
+ */
+const applyBookmarkFilters = (query, { color, document_id, q }) => {
+    if (color) {
+        query = query.eq('color', color);
+    }
+    if (document_id) {
+        query = query.eq('document_id', document_id);
+    }
+    if (q && q.trim()) {
+        // Ký tự , ( ) phá cú pháp filter or() của PostgREST
+        const searchTerm = q.trim().replace(/[,()]/g, ' ');
+        query = query.or(`title.ilike.%${searchTerm}%,note.ilike.%${searchTerm}%`);
+    }
+    return query;
+};
+
+const fetchCollection = async (userId, collectionId) => {
+    return supabase
+        .from('bookmark_collections')
+        .select('*')
+        .eq('id', collectionId)
+        .eq('user_id', userId)
+        .maybeSingle();
+};
+
+/**
+ * Bookmark trong collection theo thứ tự position
+ */
+const fetchCollectionBookmarks = async (user, collectionId) => {
+    const { data: items, error } = await supabase
+        .from('bookmark_collection_items')
+        .select('bookmark_id, position, added_at')
+        .eq('collection_id', collectionId)
+        .order('position', { ascending: true })
+        .order('added_at', { ascending: true });
+
+    if (error) return { error };
+    if (!items?.length) return { bookmarks: [] };
+
+    const { data: bookmarks, error: bookmarksError } = await supabase
+        .from('document_bookmarks')
+        .select(BOOKMARK_SELECT)
+        .in('id', items.map((item) => item.bookmark_id))
+        .eq('user_id', user.id)
+        .is('document.deleted_at', null);
+
+    if (bookmarksError) return { error: bookmarksError };
+
+    const byId = new Map((await filterAccessibleBookmarks(user, bookmarks || [])).map((bookmark) => [bookmark.id, bookmark]));
+    return {
+        bookmarks: items
+            .filter((item) => byId.has(item.bookmark_id))
+            .map((item) => ({ ...byId.get(item.bookmark_id), position: item.position, added_at: item.added_at }))
+    };
+};
+
+const parseCollectionInput = (body, { partial = false } = {}) => {
+    const value = {};
+
+    if (body.name !== undefined || !partial) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) {
+            return { ok: false, message: 'Collection name is required' };
+        }
+        if (name.length > MAX_COLLECTION_NAME_LENGTH) {
+            return { ok: false, message: `Collection name must be at most ${MAX_COLLECTION_NAME_LENGTH} characters` };
+        }
+        value.name = name;
+    }
+
+    if (body.description !== undefined) {
+        value.description = body.description || null;
+    }
+
+    return { ok: true, value };
+};
+
+const escapeMarkdown = (value) => String(value).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+/**
+ * Markdown của collection, nhóm bookmark theo document
+ */
+const buildCollectionMarkdown = (collection, bookmarks) => {
+    const lines = [`# ${escapeMarkdown(collection.name)}`, ''];
+    if (collection.description) {
+        lines.push(collection.description, '');
+    }
+
+    if (!bookmarks.length) {
+        lines.push('_No bookmarks_', '');
+        return lines.join('\n');
+    }
+
+    const groups = new Map();
+    bookmarks.forEach((bookmark) => {
+        if (!groups.has(bookmark.document.id)) groups.set(bookmark.document.id, []);
+        groups.get(bookmark.document.id).push(bookmark);
+    });
+
+    for (const entries of groups.values()) {
+        const { document } = entries[0];
+        lines.push(`## [${escapeMarkdown(document.title || document.file_name)}](${buildDocumentLink(document.id, 1)})`, '');
+
+        for (const bookmark of entries) {
+            const label = bookmark.title ? `Page ${bookmark.page_number}: ${escapeMarkdown(bookmark.title)}` : `Page ${bookmark.page_number}`;
+            lines.push(`- [${label}](${bookmark.link})`);
+            if (bookmark.note) {
+                bookmark.note.split('\n').forEach((noteLine) => lines.push(`  > ${noteLine}`));
+            }
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+};
+
+/**
+ * List all bookmarks of the current user across documents
+ * GET /api/bookmarks?color=&q=&document_id=&limit=&offset=
+ */
+const getMyBookmarks = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { color, q, document_id } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const filters = { color, document_id, q };
+
+        // Quyền xem được kiểm tra trước khi phân trang để limit/offset và total
+        // chỉ tính bookmark user thực sự thấy được
+        const { data: candidates, error: candidatesError } = await applyBookmarkFilters(
+            supabase
+                .from('document_bookmarks')
+                .select('document:document_id!inner (id, created_by, group_id, deleted_at)')
+                .eq('user_id', userId)
+                .is('document.deleted_at', null),
+            filters
+        );
+
+        if (candidatesError) {
+            console.error('Get my bookmarks error:', candidatesError);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: candidatesError.message
+            });
+        }
+
+        const documentIds = [...await getAccessibleDocumentIds(req.user, (candidates || []).map((row) => row.document))];
+        if (!documentIds.length) {
+            return res.status(200).json({
+                success: true,
+                data: [],
+                count: 0,
+                total: 0,
+                limit,
+                offset
+            });
+        }
+
+        const { data: bookmarks, error, count } = await applyBookmarkFilters(
+            supabase
+                .from('document_bookmarks')
+                .select(BOOKMARK_SELECT, { count: 'exact' })
+                .eq('user_id', userId)
+                .is('document.deleted_at', null)
+                .in('document_id', documentIds),
+            filters
+        )
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            console.error('Get my bookmarks error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const data = (bookmarks || []).map(formatBookmark);
+
+        return res.status(200).json({
+            success: true,
+            data,
+            count: data.length,
+            total: count ?? data.length,
+            limit,
+            offset
+        });
+
+    } catch (error) {
+        console.error('Get my bookmarks error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch bookmarks'
+        });
+    }
+};
+
+/**
+ * List bookmark collections of the current user
+ * GET /api/bookmarks/collections
+ */
+const getCollections = async (req, res) => {
+    try {
+        const { data: collections, error } = await supabase
+            .from('bookmark_collections')
+            .select('*, items:bookmark_collection_items(count)')
+            .eq('user_id', req.user.id)
+            .order('name', { ascending: true });
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return res.status(200).json({ success: true, data: [], count: 0 });
+            }
+            console.error('Get bookmark collections error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const data = (collections || []).map(({ items, ...collection }) => ({
+            ...collection,
+            bookmark_count: items?.[0]?.count || 0
+        }));
+
+        return res.status(200).json({
+            success: true,
+            data,
+            count: data.length
+        });
+
+    } catch (error) {
+        console.error('Get bookmark collections error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch bookmark collections'
+        });
+    }
+};
+
+/**
+ * Create a bookmark collection
+ * POST /api/bookmarks/collections
+ * Body: { name, description? }
+ */
+const createCollection = async (req, res) => {
+    try {
+        const parsed = parseCollectionInput(req.body);
+        if (!parsed.ok) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: parsed.message
+            });
+        }
+
+        const { data: collection, error } = await supabase
+            .from('bookmark_collections')
+            .insert({ ...parsed.value, user_id: req.user.id })
+            .select()
+            .single();
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return sendCollectionsUnavailable(res);
+            }
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Conflict',
+                    message: 'A collection with this name already exists',
+                    code: 'COLLECTION_EXISTS'
+                });
+            }
+            console.error('Create bookmark collection error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            data: collection,
+            message: 'Collection created successfully'
+        });
+
+    } catch (error) {
+        console.error('Create bookmark collection error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create bookmark collection'
+        });
+    }
+};
+
+/**
+ * Get a collection with its bookmarks
+ * GET /api/bookmarks/collections/:collectionId
+ */
+const getCollection = async (req, res) => {
+    try {
+        const { collectionId } = req.params;
+
+        const { data: collection, error } = await fetchCollection(req.user.id, collectionId);
+
+        if (error && !isMissingTableError(error)) {
+            console.error('Get bookmark collection error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!collection) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Collection not found'
+            });
+        }
+
+        const { bookmarks, error: itemsError } = await fetchCollectionBookmarks(req.user, collectionId);
+
+        if (itemsError) {
+            console.error('Get collection bookmarks error:', itemsError);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: itemsError.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: { ...collection, bookmarks, bookmark_count: bookmarks.length }
+        });
+
+    } catch (error) {
+        console.error('Get bookmark collection error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch bookmark collection'
+        });
+    }
+};
+
+/**
+ * Rename or describe a collection
+ * PUT /api/bookmarks/collections/:collectionId
+ */
+const updateCollection = async (req, res) => {
+    try {
+        const { collectionId } = req.params;
+
+        const parsed = parseCollectionInput(req.body, { partial: true });
+        if (!parsed.ok) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: parsed.message
+            });
+        }
+
+        const { data: collection, error } = await supabase
+            .from('bookmark_collections')
+            .update({ ...parsed.value, updated_at: new Date().toISOString() })
+            .eq('id', collectionId)
+            .eq('user_id', req.user.id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return sendCollectionsUnavailable(res);
+            }
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Conflict',
+                    message: 'A collection with this name already exists',
+                    code: 'COLLECTION_EXISTS'
+                });
+            }
+            console.error('Update bookmark collection error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!collection) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Collection not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: collection,
+            message: 'Collection updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update bookmark collection error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update bookmark collection'
+        });
+    }
+};
+
+/**
+ * Delete a collection (bookmarks themselves are kept)
+ * DELETE /api/bookmarks/collections/:collectionId
+ */
+const deleteCollection = async (req, res) => {
+    try {
+        const { collectionId } = req.params;
+
+        const { data, error } = await supabase
+            .from('bookmark_collections')
+            .delete()
+            .eq('id', collectionId)
+            .eq('user_id', req.user.id)
+            .select('id');
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return sendCollectionsUnavailable(res);
+            }
+            console.error('Delete bookmark collection error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!data?.length) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Collection not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Collection deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete bookmark collection error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete bookmark collection'
+        });
+    }
+};
+
+/**
+ * Add bookmarks (from any documents) to a collection
+ * POST /api/bookmarks/collections/:collectionId/items
+ * Body: { bookmark_ids: [] }
+ */
+const addCollectionItems = async (req, res) => {
+    try {
+        const { collectionId } = req.params;
+        const userId = req.user.id;
+        const bookmarkIds = Array.isArray(req.body.bookmark_ids)
+            ? Array.from(new Set(req.body.bookmark_ids.filter(Boolean)))
+            : [];
+
+        if (!bookmarkIds.length) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'bookmark_ids must be a non-empty array'
+            });
+        }
+
+        const { data: collection, error: collectionError } = await fetchCollection(userId, collectionId);
+        if (collectionError && isMissingTableError(collectionError)) {
+            return sendCollectionsUnavailable(res);
+        }
+        if (!collection) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Collection not found'
+            });
+        }
+
+        // Chỉ thêm được bookmark của chính user
+        const { data: ownBookmarks, error: bookmarksError } = await supabase
+            .from('document_bookmarks')
+            .select('id')
+            .in('id', bookmarkIds)
+            .eq('user_id', userId);
+
+        if (bookmarksError) {
+            console.error('Fetch bookmarks for collection error:', bookmarksError);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: bookmarksError.message
+            });
+        }
+
+        const ownIds = new Set((ownBookmarks || []).map((bookmark) => bookmark.id));
+        const missing = bookmarkIds.filter((bookmarkId) => !ownIds.has(bookmarkId));
+        if (missing.length) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Some bookmarks were not found',
+                data: { missing_bookmark_ids: missing }
+            });
+        }
+
+        const { data: last } = await supabase
+            .from('bookmark_collection_items')
+            .select('position')
+            .eq('collection_id', collectionId)
+            .order('position', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        const startPosition = (last?.position ?? -1) + 1;
+
+        // Bookmark đã có trong collection thì giữ nguyên vị trí
+        const { data: added, error } = await supabase
+            .from('bookmark_collection_items')
+            .upsert(
+                bookmarkIds.map((bookmarkId, index) => ({
+                    collection_id: collectionId,
+                    bookmark_id: bookmarkId,
+                    position: startPosition + index
+                })),
+                { onConflict: 'collection_id,bookmark_id', ignoreDuplicates: true }
+            )
+            .select('bookmark_id');
+
+        if (error) {
+            console.error('Add collection items error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await supabase
+            .from('bookmark_collections')
+            .update({ updated_at: new Date().toISOString() })
+            .eq('id', collectionId);
+
+        return res.status(200).json({
+            success: true,
+            data: { added_count: added?.length || 0 },
+            message: 'Bookmarks added to collection'
+        });
+
+    } catch (error) {
+        console.error('Add collection items error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to add bookmarks to collection'
+        });
+    }
+};
+
+/**
+ * Remove a bookmark from a collection
+ * DELETE /api/bookmarks/collections/:collectionId/items/:bookmarkId
+ */
+const removeCollectionItem = async (req, res) => {
+    try {
+        const { collectionId, bookmarkId } = req.params;
+
+        const { data: collection, error: collectionError } = await fetchCollection(req.user.id, collectionId);
+        if (collectionError && isMissingTableError(collectionError)) {
+            return sendCollectionsUnavailable(res);
+        }
+        if (!collection) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Collection not found'
+            });
+        }
+
+        const { data, error } = await supabase
+            .from('bookmark_collection_items')
+            .delete()
+            .eq('collection_id', collectionId)
+            .eq('bookmark_id', bookmarkId)
+            .select('bookmark_id');
+
+        if (error) {
+            console.error('Remove collection item error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!data?.length) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Bookmark is not in this collection'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Bookmark removed from collection'
+        });
+
+    } catch (error) {
+        console.error('Remove collection item error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to remove bookmark from collection'
+        });
+    }
+};
+
+/**
+ * Export a collection as markdown (links back to each document and page)
+ * GET /api/bookmarks/collections/:collectionId/export
+ */
+const exportCollection = async (req, res) => {
+    try {
+        const { collectionId } = req.params;
+
+        const { data: collection, error } = await fetchCollection(req.user.id, collectionId);
+
+        if (error && !isMissingTableError(error)) {
+            console.error('Export bookmark collection error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!collection) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Collection not found'
+            });
+        }
+
+        const { bookmarks, error: itemsError } = await fetchCollectionBookmarks(req.user, collectionId);
+
+        if (itemsError) {
+            console.error('Export collection bookmarks error:', itemsError);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: itemsError.message
+            });
+        }
+
+        // filename ASCII cho client cũ, filename* giữ nguyên tên (có dấu)
+        const asciiName = `${collection.name.replace(/[^\w\s.-]+/g, '').trim().replace(/\s+/g, '-') || 'bookmarks'}.md`;
+
+        res.set('Content-Type', 'text/markdown; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(`${collection.name}.md`)}`);
+        return res.status(200).send(buildCollectionMarkdown(collection, bookmarks));
+
+    } catch (error) {
+        console.error('Export bookmark collection error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to export bookmark collection'
+        });
+    }
+};
+
+module.exports = {
+    getMyBookmarks,
+    getCollections,
+    createCollection,
+    getCollection,
+    updateCollection,
+    deleteCollection,
+    addCollectionItems,
+    removeCollectionItem,
+    exportCollection
+};
@@ -0,0 +1,109 @@
+/**
+ * Bulk Document Controller
+ * Một thao tác trên nhiều document; batch lớn chạy thành job nền (poll qua /api/jobs/:id)
+ */
+const {
+    BULK_SYNC_LIMIT,
+    parseBulkRequest,
+    runBulkOperation
+} = require('../services/bulkDocumentService');
+const { createJob, runJob, formatJob, registerJobResumer } = require('../services/backgroundJobService');
+
+/**
+ * Handler của job bulk_documents (dùng khi tạo job và khi chạy lại job pending sau restart)
+ */
+const createBulkJobHandler = ({ operation, documentIds, params, user }) => async ({ reportItem, setResult, isCancelled }) => {
+    const failures = [];
+    const summary = await runBulkOperation({
+        operation,
+        documentIds,
+        params,
+        user,
+        onItem: async (result) => {
+            if (!result.ok) {
+                failures.push(result);
+                setResult({ operation, failures });
+            }
+            await reportItem(result.ok);
+        },
+        shouldStop: isCancelled
+    });
+
+    // Lưu đầy đủ kết quả từng document khi job xong
+    return summary;
+};
+
+registerJobResumer('bulk_documents', async (job, user) => {
+    const { operation, params, document_ids: documentIds } = job.params || {};
+    if (!operation || !Array.isArray(documentIds)) return null;
+    return createBulkJobHandler({ operation, documentIds, params, user });
+});
+
+/**
+ * Apply one operation to many documents
+ * POST /api/documents/bulk
+ * Body: { document_ids: [], operation, params? }
+ * operation: move_category | add_tags | remove_tags | attach_group | set_visibility | delete | reembed
+ */
+const bulkDocuments = async (req, res) => {
+    try {
+        const user = { id: req.user.id, email: req.user.email };
+
+        const parsed = await parseBulkRequest(req.body, user);
+        if (!parsed.ok) {
+            return res.status(parsed.status).json({
+                error: parsed.status === 403 ? 'Forbidden' : 'Bad Request',
+                message: parsed.message
+            });
+        }
+
+        const { operation, documentIds, params } = parsed.value;
+
+        if (documentIds.length <= BULK_SYNC_LIMIT) {
+            const summary = await runBulkOperation({ operation, documentIds, params, user });
+
+            return res.status(200).json({
+                success: true,
+                data: summary,
+                message: `${summary.succeeded} of ${documentIds.length} document(s) updated`
+            });
+        }
+
+        const created = await createJob({
+            userId: user.id,
+            type: 'bulk_documents',
+            params: { operation, params, document_ids: documentIds },
+            totalItems: documentIds.length
+        });
+
+        if (!created.ok) {
+            return res.status(created.status).json({
+                error: created.status === 503 ? 'Service Unavailable' : 'Bad Request',
+                message: created.message,
+                code: created.code
+            });
+        }
+
+        runJob(created.job, createBulkJobHandler({ operation, documentIds, params, user }));
+
+        return res.status(202).json({
+            success: true,
+            data: {
+                job: formatJob(created.job),
+                status_url: `/api/jobs/${created.job.id}`
+            },
+            message: `Bulk ${operation} queued for ${documentIds.length} document(s)`
+        });
+
+    } catch (error) {
+        console.error('Bulk documents error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to run bulk operation'
+        });
+    }
+};
+
+module.exports = {
+    bulkDocuments
+};
@@ -1,4 +1,6 @@
 const { supabase } = require('../config/supabase');
+const { fetchReadCounts } = require('../services/readingActivityService');
+const { parseTagFilter, applyTagFilter, fetchTagColors } = require('../services/tagService');
 
 const getDashboardSummary = async (req, res) => {
     try {
@@ -8,7 +10,8 @@ const getDashboardSummary = async (req, res) => {
             supabase
                 .from('documents')
                 .select('id', { count: 'exact', head: true })
-                .eq('created_by', userId),
+                .eq('created_by', userId)
+                .is('deleted_at', null),
             supabase
                 .from('group_members')
                 .select('group_id', { count: 'exact', head: true })
@@ -23,6 +26,7 @@ const getDashboardSummary = async (req, res) => {
                 .from('documents')
                 .select('id, title, updated_at, document_type')
                 .eq('created_by', userId)
+                .is('deleted_at', null)
                 .order('updated_at', { ascending: false })
                 .limit(5)
         ]);
@@ -63,12 +67,17 @@ const getDashboardSummary = async (req, res) => {
     }
 };
 
+/**
+ * Thống kê dashboard; ?tags=a,b&tag_mode=all|any giới hạn thống kê trong các document có tag
+ * GET /api/dashboard/statistics
+ */
 const getDashboardStatistics = async (req, res) => {
     try {
         const userId = req.user.id;
+        const tagFilter = parseTagFilter(req.query.tags);
 
-        const [documentsResult, groupsResult] = await Promise.all([
-            supabase
+        const [documentsResult, groupsResult, tagColors] = await Promise.all([
+            applyTagFilter(supabase
                 .from('documents')
                 .select(`
                     id,
@@ -78,18 +87,21 @@ const getDashboardStatistics = async (req, res) => {
                     created_at,
                     updated_at,
                     is_protected,
+                    tags,
                     categories:category_id (
                         id,
                         name,
                         color
                     )
                 `)
-                .eq('created_by', userId),
+                .eq('created_by', userId)
+                .is('deleted_at', null), tagFilter, req.query.tag_mode),
             supabase
                 .from('group_members')
                 .select('group_id', { count: 'exact', head: true })
                 .eq('user_id', userId)
-                .eq('is_active', true)
+                .eq('is_active', true),
+            fetchTagColors({ type: 'user', id: userId })
         ]);
 
         if (documentsResult.error) {
@@ -163,9 +175,39 @@ const getDashboardStatistics = async (req, res) => {
 
         const categories = Array.from(categoryMap.values()).sort((a, b) => b.count - a.count);
 
+        // Tag breakdown: gộp tag khác hoa thường, màu lấy từ registry của user
+        const tagMap = new Map();
+        documents.forEach((doc) => {
+            const seen = new Set();
+            (doc.tags || []).forEach((tag) => {
+                const key = tag.toLowerCase();
+                if (seen.has(key)) return;
+                seen.add(key);
+                if (!tagMap.has(key)) {
+                    tagMap.set(key, {
+                        name: tag,
+                        color: tagColors.get(key) || null,
+                        count: 0
+                    });
+                }
+                tagMap.get(key).count += 1;
+            });
+        });
+
+        const tags = Array.from(tagMap.values()).sort((a, b) => b.count - a.count);
+
+        // Top documents theo lượt mở + tải (document_reads), bằng nhau thì document cập nhật gần nhất lên trước
+        const readCounts = await fetchReadCounts(documents.map((doc) => doc.id));
+        const getReads = (doc) => {
+            const counts = readCounts.get(doc.id);
+            return counts ? counts.view_count + counts.download_count : 0;
+        };
+
         const topDocuments = documents
             .slice()
             .sort((a, b) => {
+                const readsDiff = getReads(b) - getReads(a);
+                if (readsDiff !== 0) return readsDiff;
                 const dateA = new Date(a.updated_at || a.created_at).getTime();
                 const dateB = new Date(b.updated_at || b.created_at).getTime();
                 return dateB - dateA;
@@ -177,6 +219,10 @@ const getDashboardStatistics = async (req, res) => {
                 updated_at: doc.updated_at || doc.created_at,
                 document_type: doc.document_type,
                 file_size: doc.file_size,
+                view_count: readCounts.get(doc.id)?.view_count || 0,
+                download_count: readCounts.get(doc.id)?.download_count || 0,
+                reader_count: readCounts.get(doc.id)?.reader_count || 0,
+                last_opened_at: readCounts.get(doc.id)?.last_opened_at || null,
                 category: doc.categories
                     ? { id: doc.categories.id, name: doc.categories.name }
                     : null
@@ -189,6 +235,7 @@ const getDashboardStatistics = async (req, res) => {
                 weeklyActivity,
                 documentTypes,
                 categories,
+                tags,
                 topDocuments
             }
         });
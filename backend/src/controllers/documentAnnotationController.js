@@ -0,0 +1,538 @@
+/**
+ * Document Annotation Controller
+ * Annotation / highlight dùng chung: ai xem được document thì xem được annotation,
+ * hỗ trợ thread trả lời, @mention thành viên group và trạng thái resolved
+ */
+const { supabase } = require('../config/supabase');
+const { hasDocumentAccess } = require('../middleware/acl');
+const {
+    parseAnchor,
+    parseBody,
+    parseColor,
+    normalizeQuote,
+    resolveMentions,
+    buildThreads
+} = require('../services/annotationService');
+
+const fetchDocument = async (id) => {
+    const { data } = await supabase
+        .from('documents')
+        .select('id, title, created_by, group_id')
+        .eq('id', id)
+        .single();
+    return data;
+};
+
+const fetchAnnotation = async (documentId, annotationId) => {
+    const { data } = await supabase
+        .from('document_annotations')
+        .select('*')
+        .eq('id', annotationId)
+        .eq('document_id', documentId)
+        .maybeSingle();
+    return data;
+};
+
+const fetchProfileMap = async (userIds) => {
+    const profileMap = new Map();
+    const ids = Array.from(new Set(userIds.filter(Boolean)));
+    if (!ids.length) return profileMap;
+
+    const { data: profiles, error } = await supabase
+        .from('profiles')
+        .select('id, username, full_name, avatar_url')
+        .in('id', ids);
+
+    if (error) {
+        console.error('Fetch profiles for annotations error:', error);
+    }
+    profiles?.forEach((profile) => profileMap.set(profile.id, profile));
+    return profileMap;
+};
+
+/**
+ * Ghi activity cho người tạo và cho từng user được mention (mention mới khi sửa)
+ */
+const logAnnotationActivity = async (userId, activityType, document, annotation, mentions = []) => {
+    const metadata = {
+        document_id: document.id,
+        document_title: document.title,
+        annotation_id: annotation.id,
+        parent_id: annotation.parent_id || null,
+        page_number: annotation.page_number || null
+    };
+
+    const rows = [{ user_id: userId, activity_type: activityType, metadata }];
+    mentions
+        .filter((mentionedId) => mentionedId !== userId)
+        .forEach((mentionedId) => rows.push({
+            user_id: mentionedId,
+            activity_type: 'annotation_mention',
+            metadata: { ...metadata, mentioned_by: userId }
+        }));
+
+    await supabase.from('activity_logs').insert(rows);
+};
+
+/**
+ * List annotations of a document as threads
+ * GET /api/documents/:id/annotations?page=&version_id=&include_resolved=true
+ */
+const getDocumentAnnotations = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { page, version_id, include_resolved } = req.query;
+
+        let rootQuery = supabase
+            .from('document_annotations')
+            .select('*')
+            .eq('document_id', id)
+            .is('parent_id', null)
+            .order('page_number', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (page !== undefined) {
+            const pageNumber = parseInt(page, 10);
+            if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'page must be a positive integer'
+                });
+            }
+            rootQuery = rootQuery.eq('page_number', pageNumber);
+        }
+        if (version_id) {
+            rootQuery = rootQuery.eq('version_id', version_id);
+        }
+        if (include_resolved === 'false') {
+            rootQuery = rootQuery.eq('is_resolved', false);
+        }
+
+        const { data: roots, error } = await rootQuery;
+
+        if (error) {
+            console.error('Get annotations error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        let replies = [];
+        if (roots?.length) {
+            const { data: replyRows, error: repliesError } = await supabase
+                .from('document_annotations')
+                .select('*')
+                .eq('document_id', id)
+                .in('parent_id', roots.map((root) => root.id));
+
+            if (repliesError) {
+                console.error('Get annotation replies error:', repliesError);
+            }
+            replies = replyRows || [];
+        }
+
+        const rows = [...(roots || []), ...replies];
+        const profileMap = await fetchProfileMap(rows.map((row) => row.created_by));
+        const threads = buildThreads(rows, profileMap);
+
+        return res.status(200).json({
+            success: true,
+            data: threads,
+            count: threads.length
+        });
+
+    } catch (error) {
+        console.error('Get document annotations error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch annotations'
+        });
+    }
+};
+
+/**
+ * Create an annotation, or a reply when parent_id is given
+ * POST /api/documents/:id/annotations
+ * Body: { page_number, anchor_type, anchor, quote?, color?, body? } | { parent_id, body }
+ */
+const createDocumentAnnotation = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+        const { parent_id, page_number, anchor_type, anchor, quote, color } = req.body;
+
+        const document = await fetchDocument(id);
+        if (!document) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Document not found'
+            });
+        }
+
+        const parsedBody = parseBody(req.body.body, { required: !!parent_id });
+        if (!parsedBody.ok) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: parsedBody.message
+            });
+        }
+
+        let record;
+        if (parent_id) {
+            const parent = await fetchAnnotation(id, parent_id);
+            if (!parent) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'Parent annotation not found'
+                });
+            }
+
+            // Thread chỉ một cấp: trả lời reply thì gắn vào annotation gốc
+            record = {
+                document_id: id,
+                parent_id: parent.parent_id || parent.id,
+                version_id: parent.version_id,
+                version_number: parent.version_number,
+                body: parsedBody.value
+            };
+        } else {
+            const pageNumber = Number(page_number);
+            if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'Valid page_number is required'
+                });
+            }
+
+            const parsedAnchor = parseAnchor(anchor_type, anchor);
+            if (!parsedAnchor.ok) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: parsedAnchor.message
+                });
+            }
+
+            const parsedColor = parseColor(color);
+            if (!parsedColor.ok) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: parsedColor.message
+                });
+            }
+
+            // Annotation gắn với version hiện tại của document
+            const { data: currentVersion } = await supabase
+                .from('document_versions')
+                .select('id, version_number')
+                .eq('document_id', id)
+                .eq('is_current', true)
+                .maybeSingle();
+
+            record = {
+                document_id: id,
+                version_id: currentVersion?.id || null,
+                version_number: currentVersion?.version_number ?? 0,
+                page_number: pageNumber,
+                anchor_type,
+                anchor: parsedAnchor.value,
+                quote: normalizeQuote(quote),
+                color: parsedColor.value,
+                body: parsedBody.value
+            };
+        }
+
+        const mentions = await resolveMentions(document, parsedBody.value);
+
+        const { data: annotation, error } = await supabase
+            .from('document_annotations')
+            .insert({ ...record, mentions, created_by: userId })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Create annotation error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        // Reply mới mở lại thread đã resolved
+        if (annotation.parent_id) {
+            await supabase
+                .from('document_annotations')
+                .update({ is_resolved: false, resolved_by: null, resolved_at: null })
+                .eq('id', annotation.parent_id)
+                .eq('is_resolved', true);
+        }
+
+        await logAnnotationActivity(
+            userId,
+            annotation.parent_id ? 'annotation_replied' : 'annotation_created',
+            document,
+            annotation,
+            mentions
+        );
+
+        return res.status(201).json({
+            success: true,
+            data: annotation,
+            message: annotation.parent_id ? 'Reply added successfully' : 'Annotation added successfully'
+        });
+
+    } catch (error) {
+        console.error('Create document annotation error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create annotation'
+        });
+    }
+};
+
+/**
+ * Update an annotation or reply (author only)
+ * PUT /api/documents/:id/annotations/:annotationId
+ * Body: { body?, color?, anchor_type?, anchor?, quote? }
+ */
+const updateDocumentAnnotation = async (req, res) => {
+    try {
+        const { id, annotationId } = req.params;
+        const userId = req.user.id;
+        const { color, anchor_type, anchor, quote } = req.body;
+
+        const existing = await fetchAnnotation(id, annotationId);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Annotation not found'
+            });
+        }
+
+        if (existing.created_by !== userId) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Only the author can edit this annotation'
+            });
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+        let document = null;
+        let newMentions = [];
+
+        if (req.body.body !== undefined) {
+            const parsedBody = parseBody(req.body.body, { required: !!existing.parent_id });
+            if (!parsedBody.ok) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: parsedBody.message
+                });
+            }
+
+            document = await fetchDocument(id);
+            const mentions = document ? await resolveMentions(document, parsedBody.value) : [];
+            updateData.body = parsedBody.value;
+            updateData.mentions = mentions;
+            newMentions = mentions.filter((mentionedId) => !(existing.mentions || []).includes(mentionedId));
+        }
+
+        if (!existing.parent_id) {
+            if (anchor !== undefined || anchor_type !== undefined) {
+                const parsedAnchor = parseAnchor(anchor_type || existing.anchor_type, anchor || existing.anchor);
+                if (!parsedAnchor.ok) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: parsedAnchor.message
+                    });
+                }
+                updateData.anchor_type = anchor_type || existing.anchor_type;
+                updateData.anchor = parsedAnchor.value;
+            }
+            if (quote !== undefined) updateData.quote = normalizeQuote(quote);
+            if (color !== undefined) {
+                const parsedColor = parseColor(color);
+                if (!parsedColor.ok) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: parsedColor.message
+                    });
+                }
+                updateData.color = parsedColor.value;
+            }
+        }
+
+        const { data: annotation, error } = await supabase
+            .from('document_annotations')
+            .update(updateData)
+            .eq('id', annotationId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Update annotation error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (document && newMentions.length) {
+            await logAnnotationActivity(userId, 'annotation_updated', document, annotation, newMentions);
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: annotation,
+            message: 'Annotation updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update document annotation error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update annotation'
+        });
+    }
+};
+
+/**
+ * Resolve or reopen an annotation thread (author or editors)
+ * PATCH /api/documents/:id/annotations/:annotationId/resolve
+ * Body: { resolved: boolean }
+ */
+const resolveDocumentAnnotation = async (req, res) => {
+    try {
+        const { id, annotationId } = req.params;
+        const userId = req.user.id;
+        const resolved = req.body.resolved !== false;
+
+        const existing = await fetchAnnotation(id, annotationId);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Annotation not found'
+            });
+        }
+
+        if (existing.parent_id) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Only top-level annotations can be resolved'
+            });
+        }
+
+        const document = await fetchDocument(id);
+        if (existing.created_by !== userId) {
+            const canEdit = document && await hasDocumentAccess(userId, req.user.email, document, 'edit');
+            if (!canEdit) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'Only the author or document editors can resolve this annotation'
+                });
+            }
+        }
+
+        const { data: annotation, error } = await supabase
+            .from('document_annotations')
+            .update({
+                is_resolved: resolved,
+                resolved_by: resolved ? userId : null,
+                resolved_at: resolved ? new Date().toISOString() : null
+            })
+            .eq('id', annotationId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Resolve annotation error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await logAnnotationActivity(
+            userId,
+            resolved ? 'annotation_resolved' : 'annotation_reopened',
+            document || { id },
+            annotation
+        );
+
+        return res.status(200).json({
+            success: true,
+            data: annotation,
+            message: resolved ? 'Annotation resolved' : 'Annotation reopened'
+        });
+
+    } catch (error) {
+        console.error('Resolve document annotation error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update annotation'
+        });
+    }
+};
+
+/**
+ * Delete an annotation (with its replies) or a reply (author or document admins)
+ * DELETE /api/documents/:id/annotations/:annotationId
+ */
+const deleteDocumentAnnotation = async (req, res) => {
+    try {
+        const { id, annotationId } = req.params;
+        const userId = req.user.id;
+
+        const existing = await fetchAnnotation(id, annotationId);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Annotation not found'
+            });
+        }
+
+        if (existing.created_by !== userId) {
+            const document = await fetchDocument(id);
+            const isAdmin = document && await hasDocumentAccess(userId, req.user.email, document, 'admin');
+            if (!isAdmin) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'Only the author or document admins can delete this annotation'
+                });
+            }
+        }
+
+        // Reply của annotation gốc bị xóa theo (ON DELETE CASCADE)
+        const { error } = await supabase
+            .from('document_annotations')
+            .delete()
+            .eq('id', annotationId);
+
+        if (error) {
+            console.error('Delete annotation error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Annotation deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete document annotation error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete annotation'
+        });
+    }
+};
+
+module.exports = {
+    getDocumentAnnotations,
+    createDocumentAnnotation,
+    updateDocumentAnnotation,
+    resolveDocumentAnnotation,
+    deleteDocumentAnnotation
+};
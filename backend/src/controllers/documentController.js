@@ -4,70 +4,146 @@ const multer = require('multer');
 const path = require('path');
 const crypto = require('crypto');
 const { spawn } = require('child_process');
-const embeddingQueue = require('../services/embeddingQueue');
+const { hashPassword, verifyPassword } = require('../services/passwordHasher');
+const { logSecurityEvent } = require('../middleware/groupPermissions');
+const {
+    ALLOWED_MIME_TYPES,
+    resolveUploadTarget,
+    storeDocument,
+    buildEmbeddingResponse
+} = require('../services/documentUploadService');
+const { inspectUpload, logRejectedUpload } = require('../services/uploadInspector');
+const { reserveQuota, releaseQuota } = require('../services/storageQuotaService');
+const { createSignedFileUrl } = require('../services/blobStore');
+const {
+    DOCUMENT_SELECT,
+    buildDocumentEtag,
+    checkIfMatch,
+    sendPreconditionFailed
+} = require('../services/documentRevisionService');
+const { queueDocumentRead } = require('../services/readingActivityService');
+const {
+    normalizeTagList,
+    parseTagFilter,
+    applyTagFilter,
+    queueTagRegistration
+} = require('../services/tagService');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+// Khóa tài liệu sau N lần unlock sai liên tiếp
+const UNLOCK_MAX_ATTEMPTS = parseInt(process.env.DOCUMENT_UNLOCK_MAX_ATTEMPTS || '5', 10);
+const UNLOCK_LOCKOUT_SECONDS = parseInt(process.env.DOCUMENT_UNLOCK_LOCKOUT_SECONDS || '900', 10);
+// Thời gian hiệu lực của unlock grant sau khi nhập đúng mật khẩu
+const UNLOCK_GRANT_TTL_SECONDS = parseInt(process.env.DOCUMENT_UNLOCK_GRANT_TTL_SECONDS || '1800', 10);
 
 /**
- * Cấu hình multer để xử lý upload files
- * Lưu file tạm thời trong memory trước khi upload lên Supabase Storage
+ * Thu hồi toàn bộ unlock grant của tài liệu (khi đổi hoặc gỡ mật khẩu)
+ */
+const revokeUnlockGrants = async (documentId) => {
+    const { error } = await supabase
+        .from('document_unlock_grants')
+        .delete()
+        .eq('document_id', documentId);
+
+    if (error && !isMissingTableError(error)) {
+        console.error('Revoke unlock grants error:', error);
+    }
+};
+
+/**
+ * Kiểm tra mật khẩu tài liệu với giới hạn số lần sai (dùng chung cho unlock và xóa)
+ * Đang bị khóa thì không kiểm tra; sai thì tăng bộ đếm qua register_document_unlock_failure;
+ * đúng thì reset bộ đếm và nâng cấp hash cũ (SHA-256) sang scrypt một cách âm thầm
+ * @param {Object} params
+ * @param {string} params.documentId
+ * @param {Object} params.document - cần password_hash, unlock_failed_attempts, unlock_locked_until
+ * @param {string} params.password
+ * @param {string} params.userId
+ * @param {Object} params.securityContext - metadata ghi kèm security event
+ * @returns {Promise<{ok: boolean, locked?: boolean, retryAfter?: number}>}
  */
-const DOCUMENT_SELECT = `
-    *,
-    categories:category_id (
-        id,
-        name,
-        color,
-        description
-    )
-`;
-
-const isMissingTableError = (error) => {
-    if (!error) return false;
-    const code = error.code || error.hint;
-    const rawMessage = error.message || error.details || '';
-    const normalizedMessage = typeof rawMessage === 'string' ? rawMessage.toLowerCase() : '';
-    return (
-        code === '42P01' ||
-        code === 'PGRST204' ||
-        code === 'PGRST205' ||
-        normalizedMessage.includes('does not exist') ||
-        normalizedMessage.includes('could not find the table')
-    );
+const verifyDocumentPassword = async ({ documentId, document, password, userId, securityContext }) => {
+    if (document.unlock_locked_until && new Date(document.unlock_locked_until) > new Date()) {
+        await logSecurityEvent(userId, 'document_unlock_blocked', {
+            ...securityContext,
+            locked_until: document.unlock_locked_until
+        });
+
+        return {
+            ok: false,
+            locked: true,
+            retryAfter: Math.ceil((new Date(document.unlock_locked_until) - Date.now()) / 1000)
+        };
+    }
+
+    const { valid, needsRehash } = await verifyPassword(password, document.password_hash);
+
+    if (!valid) {
+        const { data: lockedUntil, error: failureError } = await supabase.rpc('register_document_unlock_failure', {
+            doc_id: documentId,
+            max_attempts: UNLOCK_MAX_ATTEMPTS,
+            lockout_seconds: UNLOCK_LOCKOUT_SECONDS
+        });
+
+        if (failureError) {
+            console.error('Register unlock failure error:', failureError);
+        }
+
+        await logSecurityEvent(userId, 'document_unlock_failed', securityContext);
+
+        if (lockedUntil) {
+            await logSecurityEvent(userId, 'document_unlock_locked', {
+                ...securityContext,
+                locked_until: lockedUntil
+            });
+
+            return { ok: false, locked: true, retryAfter: UNLOCK_LOCKOUT_SECONDS };
+        }
+
+        return { ok: false, locked: false };
+    }
+
+    const securityUpdate = {};
+    if (document.unlock_failed_attempts || document.unlock_locked_until) {
+        securityUpdate.unlock_failed_attempts = 0;
+        securityUpdate.unlock_locked_until = null;
+    }
+    if (needsRehash) {
+        securityUpdate.password_hash = await hashPassword(password);
+    }
+
+    if (Object.keys(securityUpdate).length) {
+        const { error: securityUpdateError } = await supabase
+            .from('documents')
+            .update(securityUpdate)
+            .eq('id', documentId);
+
+        if (securityUpdateError) {
+            console.error('Update document password security error:', securityUpdateError);
+        }
+    }
+
+    return { ok: true };
 };
 
+const sendUnlockLocked = (res, retryAfter) => res.status(423).json({
+    error: 'Locked',
+    message: 'Too many failed attempts. Document is temporarily locked',
+    code: 'DOCUMENT_UNLOCK_LOCKED',
+    retryAfter
+});
+
+/**
+ * Cấu hình multer để xử lý upload files
+ * Lưu file tạm thời trong memory trước khi upload lên Supabase Storage
+ */
 const upload = multer({
     storage: multer.memoryStorage(),
     limits: {
-        fileSize: 50 * 1024 * 1024, // 50MB max file size
+        fileSize: 50 * 1024 * 1024, // 50MB max file size, file lớn hơn dùng /api/documents/uploads
     },
     fileFilter: (req, file, cb) => {
-        // Danh sách file types được phép
-        const allowedTypes = [
-            // Documents
-            'application/pdf',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'application/vnd.ms-excel',
-            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-            'application/vnd.ms-powerpoint',
-            'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-            'text/plain',
-            'text/markdown',
-            // Images
-            'image/jpeg',
-            'image/png',
-            'image/gif',
-            'image/webp',
-            'image/svg+xml',
-            // Videos
-            'video/mp4',
-            'video/webm',
-            'video/ogg',
-            // Archives
-            'application/zip',
-            'application/x-rar-compressed',
-        ];
-
-        if (allowedTypes.includes(file.mimetype)) {
+        if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
             cb(null, true);
         } else {
             cb(new Error(`File type ${file.mimetype} not allowed`), false);
@@ -193,9 +269,8 @@ async function runEmbedding(documentId) {
  */
 const uploadDocument = async (req, res) => {
     try {
-    const userId = req.user.id;
-    const userEmail = req.user.email;
-    const { title, description, category_id, group_id, tags } = req.body;
+        const userId = req.user.id;
+        const { title, group_id } = req.body;
         const file = req.file;
 
         if (!file) {
@@ -205,24 +280,12 @@ const uploadDocument = async (req, res) => {
             });
         }
 
-        let groupMembership = null;
-        if (group_id) {
-            const { data: membership, error: membershipError } = await supabase
-                .from('group_members')
-                .select('role')
-                .eq('group_id', group_id)
-                .eq('user_id', userId)
-                .eq('is_active', true)
-                .single();
-
-            if (membershipError || !membership) {
-                return res.status(403).json({
-                    error: 'Forbidden',
-                    message: 'You are not a member of this group'
-                });
-            }
-
-            groupMembership = membership;
+        const target = await resolveUploadTarget({ userId, groupId: group_id });
+        if (!target.ok) {
+            return res.status(target.status).json({
+                error: target.error,
+                message: target.message
+            });
         }
 
         if (!title || title.trim() === '') {
@@ -232,167 +295,62 @@ const uploadDocument = async (req, res) => {
             });
         }
 
-        // Sanitize file name để tránh ký tự đặc biệt
-        const sanitizeFileName = (name) => {
-            return name
-                .replace(/[^a-zA-Z0-9.-]/g, '_') // Thay thế ký tự đặc biệt bằng _
-                .replace(/_+/g, '_') // Gộp nhiều _ liên tiếp thành 1
-                .replace(/^_|_$/g, ''); // Xóa _ ở đầu và cuối
-        };
-
-        // Tạo file path: userId/categoryId/timestamp_filename
-        const timestamp = Date.now();
-        const fileExt = path.extname(file.originalname);
-        const sanitizedFileName = sanitizeFileName(file.originalname);
-        const fileName = `${timestamp}_${sanitizedFileName}`;
-        const filePath = category_id 
-            ? `${userId}/${category_id}/${fileName}`
-            : `${userId}/uncategorized/${fileName}`;
-
-        // Upload file lên Supabase Storage
-        const { data: uploadData, error: uploadError } = await supabase.storage
-            .from('documents')
-            .upload(filePath, file.buffer, {
-                contentType: file.mimetype,
-                cacheControl: '3600',
-                upsert: false
-            });
-
-        if (uploadError) {
-            console.error('Storage upload error:', uploadError);
-            return res.status(400).json({
-                error: 'Upload Failed',
-                message: uploadError.message
+        if (file.size > target.maxBytes) {
+            return res.status(413).json({
+                error: 'Payload Too Large',
+                message: `File exceeds the upload limit of ${target.maxBytes} bytes`
             });
         }
 
-        // Xác định document type dựa vào mime type
-        let documentType = 'document';
-        if (file.mimetype.startsWith('image/')) {
-            documentType = 'image';
-        } else if (file.mimetype.startsWith('video/')) {
-            documentType = 'video';
-        } else if (file.mimetype === 'application/pdf') {
-            documentType = 'pdf';
+        // Kiểm tra quota dung lượng của user và group và giữ chỗ cho tới khi ghi xong
+        const quota = await reserveQuota({ userId, groupId: group_id, additionalBytes: file.size });
+        if (!quota.ok) {
+            return res.status(quota.status).json({
+                error: 'Payload Too Large',
+                message: quota.message,
+                code: quota.code,
+                data: quota.data
+            });
         }
 
-        // Lưu metadata vào database
-        const documentData = {
-            title: title.trim(),
-            description: description || null,
-            file_name: file.originalname,
-            file_path: filePath,
-            file_size: file.size,
-            file_type: fileExt.replace('.', ''),
-            mime_type: file.mimetype,
-            category_id: category_id || null,
-            group_id: group_id || null,
-            created_by: userId,
-            last_edited_by: userId,
-            document_type: documentType,
-            tags: tags ? (Array.isArray(tags) ? tags : JSON.parse(tags)) : [],
-            metadata: {
-                original_name: file.originalname,
-                upload_date: new Date().toISOString()
+        try {
+            // Kiểm tra nội dung file (magic bytes, SVG script, virus scan)
+            const inspection = await inspectUpload(file);
+            if (!inspection.ok) {
+                await logRejectedUpload(req, file, inspection, { group_id: group_id || null });
+                return res.status(inspection.status).json({
+                    error: 'Upload Rejected',
+                    message: inspection.message,
+                    code: inspection.code
+                });
             }
-        };
 
-        const { data, error } = await supabase
-            .from('documents')
-            .insert([documentData])
-            .select()
-            .single();
-
-        if (error) {
-            // Nếu lưu database thất bại, xóa file đã upload
-            await supabase.storage.from('documents').remove([filePath]);
-            console.error('Database insert error:', error);
-            return res.status(400).json({
-                error: 'Bad Request',
-                message: error.message
+            const result = await storeDocument({
+                userId,
+                fields: req.body,
+                file,
+                body: file.buffer,
+                groupMembership: target.groupMembership
             });
-        }
 
-        if (group_id) {
-            const defaultAccess = groupMembership?.role === 'owner' ? 'admin' : 'write';
-            const { error: linkError } = await supabase
-                .from('group_documents')
-                .upsert({
-                    group_id,
-                    document_id: data.id,
-                    access_level: defaultAccess,
-                    added_by: userId
-                }, { onConflict: 'group_id,document_id' });
-
-            if (linkError) {
-                console.error('Error linking document to group:', linkError);
-                await supabase
-                    .from('documents')
-                    .delete()
-                    .eq('id', data.id);
-                await supabase.storage.from('documents').remove([filePath]);
-                return res.status(500).json({
-                    error: 'Internal Server Error',
-                    message: 'Document created but failed to link to group'
+            if (!result.ok) {
+                return res.status(result.status).json({
+                    error: result.error,
+                    message: result.message
                 });
             }
-        }
-
-        // Log activity
-        await supabase
-            .from('activity_logs')
-            .insert([{
-                user_id: userId,
-                activity_type: 'document_created',
-                metadata: { 
-                    document_id: data.id, 
-                    document_title: data.title,
-                    file_type: data.file_type
-                }
-            }]);
 
-        // AUTO EMBEDDING: Tự động tạo embeddings cho document vừa upload
-        // Chỉ embedding cho các file types hỗ trợ text extraction (PDF, DOCX, TXT, MD)
-        const embeddableTypes = [
-            'application/pdf',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'text/plain',
-            'text/markdown'
-        ];
-
-        let embeddingJobId = null;
-        if (embeddableTypes.includes(file.mimetype)) {
-            console.log('[UPLOAD] Document có thể embedding, thêm vào hàng đợi...');
-            
-            // Thêm vào hàng đợi embedding (async, không đợi)
-            // User sẽ nhận response ngay lập tức
-            embeddingJobId = await embeddingQueue.add(data.id, 'normal');
-            
-            if (embeddingJobId) {
-                console.log('[UPLOAD] ✅ Embedding job đã được tạo:', embeddingJobId);
-            } else {
-                console.log('[UPLOAD] ⚠️ Không thể tạo embedding job (có thể đã có job đang chạy)');
-            }
-        } else {
-            console.log('[UPLOAD] File type không hỗ trợ embedding:', file.mimetype);
+            // Response ngay lập tức, không đợi embedding
+            return res.status(201).json({
+                success: true,
+                data: result.document,
+                message: 'Document uploaded successfully',
+                embedding: buildEmbeddingResponse(result.embeddingJobId)
+            });
+        } finally {
+            await releaseQuota(quota.reservationId);
         }
 
-        // Response ngay lập tức, không đợi embedding
-        return res.status(201).json({
-            success: true,
-            data: data,
-            message: 'Document uploaded successfully',
-            embedding: embeddingJobId ? {
-                job_id: embeddingJobId,
-                status: 'pending',
-                message: 'Embedding queued for processing'
-            } : {
-                status: 'skipped',
-                message: 'File type not supported for embedding'
-            }
-        });
-
     } catch (error) {
         console.error('Upload document error:', error);
         return res.status(500).json({
@@ -404,13 +362,14 @@ const uploadDocument = async (req, res) => {
 
 /**
  * Lấy tất cả documents của user
- * GET /api/documents
+ * GET /api/documents?category_id=&document_type=&search=&tags=a,b&tag_mode=all|any
  */
 const getAllDocuments = async (req, res) => {
     try {
         const userId = req.user.id;
-        const userEmail = req.user.email;
-        const { category_id, document_type, search } = req.query;
+        const userEmail = req.user.email ? req.user.email.toLowerCase() : null;
+        const { category_id, document_type, search, tag_mode } = req.query;
+        const tagFilter = parseTagFilter(req.query.tags);
 
         const applyFilters = (query) => {
             let q = query;
@@ -423,7 +382,7 @@ const getAllDocuments = async (req, res) => {
             if (search) {
                 q = q.ilike('title', `%${search}%`);
             }
-            return q;
+            return applyTagFilter(q, tagFilter, tag_mode);
         };
 
         const ownQuery = applyFilters(
@@ -431,6 +390,7 @@ const getAllDocuments = async (req, res) => {
                 .from('documents')
                 .select(DOCUMENT_SELECT)
                 .eq('created_by', userId)
+                .is('deleted_at', null)
                 .order('created_at', { ascending: false })
         );
 
@@ -485,7 +445,8 @@ const getAllDocuments = async (req, res) => {
             const { data: inlineDocs, error: inlineError } = await supabase
                 .from('documents')
                 .select('id')
-                .in('group_id', groupIds);
+                .in('group_id', groupIds)
+                .is('deleted_at', null);
 
             if (inlineError) {
                 console.error('Fetch inline group documents error:', inlineError);
@@ -540,6 +501,31 @@ const getAllDocuments = async (req, res) => {
             groupAclDocs?.forEach(entry => accessibleDocIds.add(entry.document_id));
         }
 
+        let sharedLinkQuery = supabase
+            .from('shared_documents')
+            .select('document_id')
+            .eq('is_active', true);
+
+        sharedLinkQuery = userEmail
+            ? sharedLinkQuery.or(`shared_with_email.eq.${userEmail},shared_with_user.eq.${userId}`)
+            : sharedLinkQuery.eq('shared_with_user', userId);
+
+        const { data: directShares, error: directShareError } = await sharedLinkQuery;
+
+        if (directShareError) {
+            if (isMissingTableError(directShareError)) {
+                console.warn('shared_documents table missing; skipping direct share lookup');
+            } else {
+                console.error('Fetch shared documents (direct) error:', directShareError);
+                return res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: directShareError.message
+                });
+            }
+        }
+
+        directShares?.forEach(entry => accessibleDocIds.add(entry.document_id));
+
         ownDocIds.forEach(id => accessibleDocIds.delete(id));
 
         let sharedDocs = [];
@@ -551,6 +537,7 @@ const getAllDocuments = async (req, res) => {
                     .from('documents')
                     .select(DOCUMENT_SELECT)
                     .in('id', sharedIds)
+                    .is('deleted_at', null)
             );
 
             const { data: sharedData, error: sharedError } = await sharedQuery;
@@ -619,6 +606,12 @@ const getDocumentById = async (req, res) => {
             });
         }
 
+        // Ghi lượt mở (và trang đang đọc nếu client gửi ?page=) cho recent / continue reading
+        queueDocumentRead({ documentId: id, userId: req.user.id, action: 'view', page: req.query.page });
+
+        // ETag theo revision, client gửi lại qua If-Match khi cập nhật
+        res.set('ETag', buildDocumentEtag(data));
+
         return res.status(200).json({
             success: true,
             data: data
@@ -633,6 +626,54 @@ const getDocumentById = async (req, res) => {
     }
 };
 
+/**
+ * Lấy nội dung text đã trích xuất của document (route yêu cầu unlock nếu có mật khẩu)
+ * GET /api/documents/:id/content
+ */
+const getDocumentContent = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data, error } = await supabase
+            .from('documents')
+            .select('id, content, content_pages, content_extracted_at')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Get document content error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!data) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Document not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                document_id: data.id,
+                content: data.content || '',
+                pages: data.content_pages || [],
+                extracted_at: data.content_extracted_at
+            }
+        });
+
+    } catch (error) {
+        console.error('Get document content error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch document content'
+        });
+    }
+};
+
 /**
  * Lấy signed URL để download file
  * GET /api/documents/:id/download
@@ -645,7 +686,7 @@ const getDownloadUrl = async (req, res) => {
         // Kiểm tra quyền truy cập
         const { data: document, error: docError } = await supabase
             .from('documents')
-            .select('file_path, is_protected, password_hash')
+            .select('file_path, file_name, mime_type, is_protected, password_hash')
             .eq('id', id)
             .single();
 
@@ -656,7 +697,7 @@ const getDownloadUrl = async (req, res) => {
             });
         }
 
-        if (document.is_protected && document.password_hash) {
+        if (document.is_protected && document.password_hash && !req.documentAccess?.unlocked) {
             return res.status(403).json({
                 error: 'Forbidden',
                 message: 'Document is password protected'
@@ -664,9 +705,10 @@ const getDownloadUrl = async (req, res) => {
         }
 
         // Tạo signed URL (valid trong 1 giờ)
-        const { data, error } = await supabase.storage
-            .from('documents')
-            .createSignedUrl(document.file_path, 3600);
+        const { data, error } = await createSignedFileUrl(document.file_path, 3600, {
+            mimeType: document.mime_type,
+            fileName: document.file_name
+        });
 
         if (error) {
             console.error('Create signed URL error:', error);
@@ -676,6 +718,8 @@ const getDownloadUrl = async (req, res) => {
             });
         }
 
+        queueDocumentRead({ documentId: id, userId, action: 'download' });
+
         return res.status(200).json({
             success: true,
             data: {
@@ -705,7 +749,7 @@ const updateDocument = async (req, res) => {
 
         const { data: existingDoc, error: checkError } = await supabase
             .from('documents')
-            .select('id, created_by, group_id')
+            .select('id, created_by, group_id, revision')
             .eq('id', id)
             .single();
 
@@ -723,6 +767,11 @@ const updateDocument = async (req, res) => {
             });
         }
 
+        const precondition = checkIfMatch(req, existingDoc);
+        if (!precondition.ok) {
+            return sendPreconditionFailed(res, id);
+        }
+
         const updateData = {
             last_edited_by: userId
         };
@@ -730,14 +779,29 @@ const updateDocument = async (req, res) => {
         if (title !== undefined) updateData.title = title.trim();
         if (description !== undefined) updateData.description = description;
         if (category_id !== undefined) updateData.category_id = category_id;
-        if (tags !== undefined) updateData.tags = tags;
+        if (tags !== undefined) {
+            if (!Array.isArray(tags)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'tags must be an array of strings'
+                });
+            }
+            updateData.tags = normalizeTagList(tags);
+        }
 
-        const { data, error } = await supabase
+        let updateQuery = supabase
             .from('documents')
             .update(updateData)
-            .eq('id', id)
-            .select()
-            .single();
+            .eq('id', id);
+
+        // Chỉ ghi khi revision chưa đổi kể từ lúc kiểm tra (tránh race giữa hai request)
+        if (precondition.expectedRevision !== null) {
+            updateQuery = updateQuery.eq('revision', precondition.expectedRevision);
+        }
+
+        const { data, error } = await updateQuery
+            .select(DOCUMENT_SELECT)
+            .maybeSingle();
 
         if (error) {
             console.error('Update document error:', error);
@@ -747,6 +811,16 @@ const updateDocument = async (req, res) => {
             });
         }
 
+        if (!data) {
+            return sendPreconditionFailed(res, id);
+        }
+
+        if (updateData.tags) {
+            queueTagRegistration(data, updateData.tags, userId);
+        }
+
+        res.set('ETag', buildDocumentEtag(data));
+
         return res.status(200).json({
             success: true,
             data: data,
@@ -786,7 +860,7 @@ const setDocumentPassword = async (req, res) => {
             });
         }
 
-        const passwordHash = crypto.createHash('sha256').update(password).digest('hex');
+        const passwordHash = await hashPassword(password);
 
         const { data: existingDoc, error: fetchError } = await supabase
             .from('documents')
@@ -813,6 +887,8 @@ const setDocumentPassword = async (req, res) => {
             .update({
                 is_protected: true,
                 password_hash: passwordHash,
+                unlock_failed_attempts: 0,
+                unlock_locked_until: null,
                 last_edited_by: userId
             })
             .eq('id', id)
@@ -827,6 +903,8 @@ const setDocumentPassword = async (req, res) => {
             });
         }
 
+        await revokeUnlockGrants(id);
+
         await supabase
             .from('activity_logs')
             .insert([{
@@ -884,6 +962,8 @@ const removeDocumentPassword = async (req, res) => {
             .update({
                 is_protected: false,
                 password_hash: null,
+                unlock_failed_attempts: 0,
+                unlock_locked_until: null,
                 last_edited_by: userId
             })
             .eq('id', id)
@@ -898,6 +978,8 @@ const removeDocumentPassword = async (req, res) => {
             });
         }
 
+        await revokeUnlockGrants(id);
+
         await supabase
             .from('activity_logs')
             .insert([{
@@ -940,7 +1022,7 @@ const unlockDocument = async (req, res) => {
 
         const { data: document, error: docError } = await supabase
             .from('documents')
-            .select('password_hash, is_protected, file_path')
+            .select('password_hash, is_protected, file_path, file_name, mime_type, unlock_failed_attempts, unlock_locked_until')
             .eq('id', id)
             .single();
 
@@ -958,18 +1040,35 @@ const unlockDocument = async (req, res) => {
             });
         }
 
-        const passwordHash = crypto.createHash('sha256').update(password).digest('hex');
+        const securityContext = {
+            document_id: id,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        };
+
+        const verification = await verifyDocumentPassword({
+            documentId: id,
+            document,
+            password,
+            userId,
+            securityContext
+        });
+
+        if (!verification.ok) {
+            if (verification.locked) {
+                return sendUnlockLocked(res, verification.retryAfter);
+            }
 
-        if (passwordHash !== document.password_hash) {
             return res.status(401).json({
                 error: 'Unauthorized',
                 message: 'Invalid password'
             });
         }
 
-        const { data, error } = await supabase.storage
-            .from('documents')
-            .createSignedUrl(document.file_path, 3600);
+        const { data, error } = await createSignedFileUrl(document.file_path, 3600, {
+            mimeType: document.mime_type,
+            fileName: document.file_name
+        });
 
         if (error) {
             console.error('Create signed URL error:', error);
@@ -979,6 +1078,20 @@ const unlockDocument = async (req, res) => {
             });
         }
 
+        const grantExpiresAt = new Date(Date.now() + UNLOCK_GRANT_TTL_SECONDS * 1000).toISOString();
+        const { error: grantError } = await supabase
+            .from('document_unlock_grants')
+            .upsert({
+                document_id: id,
+                user_id: userId,
+                expires_at: grantExpiresAt,
+                created_at: new Date().toISOString()
+            }, { onConflict: 'document_id,user_id' });
+
+        if (grantError) {
+            console.error('Create unlock grant error:', grantError);
+        }
+
         await supabase
             .from('activity_logs')
             .insert([{
@@ -987,11 +1100,17 @@ const unlockDocument = async (req, res) => {
                 metadata: { document_id: id }
             }]);
 
+        queueDocumentRead({ documentId: id, userId, action: 'unlock' });
+
         return res.status(200).json({
             success: true,
             data: {
                 url: data.signedUrl,
-                expiresIn: 3600
+                expiresIn: 3600,
+                unlock: grantError ? null : {
+                    expires_at: grantExpiresAt,
+                    expiresIn: UNLOCK_GRANT_TTL_SECONDS
+                }
             }
         });
 
@@ -1005,7 +1124,44 @@ const unlockDocument = async (req, res) => {
 };
 
 /**
- * Xóa document
+ * Khóa lại tài liệu: thu hồi unlock grant của user hiện tại
+ * DELETE /api/documents/:id/unlock
+ */
+const lockDocument = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const { error } = await supabase
+            .from('document_unlock_grants')
+            .delete()
+            .eq('document_id', id)
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error('Lock document error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Document locked'
+        });
+
+    } catch (error) {
+        console.error('Lock document error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to lock document'
+        });
+    }
+};
+
+/**
+ * Xóa document (chuyển vào thùng rác, xem /api/trash)
  * DELETE /api/documents/:id
  */
 const deleteDocument = async (req, res) => {
@@ -1016,7 +1172,7 @@ const deleteDocument = async (req, res) => {
         // Lấy thông tin document
         const { data: document, error: getError } = await supabase
             .from('documents')
-            .select('file_path, is_protected, password_hash')
+            .select('title, is_protected, password_hash, unlock_failed_attempts, unlock_locked_until')
             .eq('id', id)
             .single();
 
@@ -1027,7 +1183,8 @@ const deleteDocument = async (req, res) => {
             });
         }
 
-        if (document.is_protected && document.password_hash) {
+        // Unlock grant còn hiệu lực thì không cần nhập lại mật khẩu
+        if (document.is_protected && document.password_hash && !req.documentAccess?.unlocked) {
             const { password } = req.body || {};
 
             if (!password || typeof password !== 'string') {
@@ -1037,9 +1194,24 @@ const deleteDocument = async (req, res) => {
                 });
             }
 
-            const passwordHash = crypto.createHash('sha256').update(password).digest('hex');
+            const verification = await verifyDocumentPassword({
+                documentId: id,
+                document,
+                password,
+                userId,
+                securityContext: {
+                    document_id: id,
+                    action: 'delete',
+                    ip: req.ip,
+                    userAgent: req.get('User-Agent')
+                }
+            });
 
-            if (passwordHash !== document.password_hash) {
+            if (verification.locked) {
+                return sendUnlockLocked(res, verification.retryAfter);
+            }
+
+            if (!verification.ok) {
                 return res.status(403).json({
                     error: 'Forbidden',
                     message: 'Invalid password'
@@ -1047,19 +1219,13 @@ const deleteDocument = async (req, res) => {
             }
         }
 
-        // Xóa file từ storage
-        const { error: storageError } = await supabase.storage
-            .from('documents')
-            .remove([document.file_path]);
-
-        if (storageError) {
-            console.error('Storage delete error:', storageError);
-        }
-
-        // Xóa record từ database
+        // Chuyển vào thùng rác, file / version / embedding được giữ lại cho tới khi purge
         const { error } = await supabase
             .from('documents')
-            .delete()
+            .update({
+                deleted_at: new Date().toISOString(),
+                deleted_by: userId
+            })
             .eq('id', id);
 
         if (error) {
@@ -1070,9 +1236,20 @@ const deleteDocument = async (req, res) => {
             });
         }
 
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: userId,
+                activity_type: 'document_trashed',
+                metadata: {
+                    document_id: id,
+                    document_title: document.title
+                }
+            }]);
+
         return res.status(200).json({
             success: true,
-            message: 'Document deleted successfully'
+            message: 'Document moved to trash'
         });
 
     } catch (error) {
@@ -1084,6 +1261,149 @@ const deleteDocument = async (req, res) => {
     }
 };
 
+/**
+ * Báo cáo các document trùng nội dung (cùng content_hash) trong thư viện của user và các group
+ * GET /api/documents/duplicates?group_id=
+ */
+const getDuplicateDocuments = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { group_id } = req.query;
+        const DUPLICATE_SELECT = 'id, title, file_name, file_size, mime_type, content_hash, created_by, group_id, category_id, created_at';
+
+        const { data: memberships, error: membershipError } = await supabase
+            .from('group_members')
+            .select('group_id')
+            .eq('user_id', userId)
+            .eq('is_active', true);
+
+        if (membershipError) {
+            console.error('Fetch memberships error:', membershipError);
+            return res.status(500).json({
+                error: 'Internal Server Error',
+                message: membershipError.message
+            });
+        }
+
+        let groupIds = (memberships || []).map(m => m.group_id);
+        if (group_id) {
+            if (!groupIds.includes(group_id)) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'You are not a member of this group'
+                });
+            }
+            groupIds = [group_id];
+        }
+
+        const documentsById = new Map();
+        const collect = (docs) => docs?.forEach(doc => documentsById.set(doc.id, doc));
+
+        // Thư viện cá nhân (bỏ qua khi chỉ xem một group)
+        if (!group_id) {
+            const { data: ownDocs, error: ownError } = await supabase
+                .from('documents')
+                .select(DUPLICATE_SELECT)
+                .eq('created_by', userId)
+                .is('deleted_at', null)
+                .not('content_hash', 'is', null);
+
+            if (ownError) {
+                console.error('Fetch own documents for duplicates error:', ownError);
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: ownError.message
+                });
+            }
+            collect(ownDocs);
+        }
+
+        if (groupIds.length) {
+            const { data: inlineDocs, error: inlineError } = await supabase
+                .from('documents')
+                .select(DUPLICATE_SELECT)
+                .in('group_id', groupIds)
+                .is('deleted_at', null)
+                .not('content_hash', 'is', null);
+
+            if (inlineError) {
+                console.error('Fetch group documents for duplicates error:', inlineError);
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: inlineError.message
+                });
+            }
+            collect(inlineDocs);
+
+            const { data: linkedDocs, error: linkedError } = await supabase
+                .from('group_documents')
+                .select('document_id')
+                .in('group_id', groupIds);
+
+            if (linkedError && !isMissingTableError(linkedError)) {
+                console.error('Fetch group document links error:', linkedError);
+            }
+
+            const linkedIds = (linkedDocs || [])
+                .map(entry => entry.document_id)
+                .filter(docId => !documentsById.has(docId));
+
+            if (linkedIds.length) {
+                const { data: linked, error: linkedFetchError } = await supabase
+                    .from('documents')
+                    .select(DUPLICATE_SELECT)
+                    .in('id', linkedIds)
+                    .is('deleted_at', null)
+                    .not('content_hash', 'is', null);
+
+                if (linkedFetchError) {
+                    console.error('Fetch linked documents for duplicates error:', linkedFetchError);
+                } else {
+                    collect(linked);
+                }
+            }
+        }
+
+        const byHash = new Map();
+        documentsById.forEach(doc => {
+            if (!byHash.has(doc.content_hash)) byHash.set(doc.content_hash, []);
+            byHash.get(doc.content_hash).push(doc);
+        });
+
+        const duplicates = [];
+        byHash.forEach((docs, contentHash) => {
+            if (docs.length < 2) return;
+            docs.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+            duplicates.push({
+                content_hash: contentHash,
+                file_size: docs[0].file_size,
+                mime_type: docs[0].mime_type,
+                count: docs.length,
+                documents: docs.map(doc => ({
+                    ...doc,
+                    is_owner: doc.created_by === userId
+                }))
+            });
+        });
+
+        duplicates.sort((a, b) => (b.count - a.count) || ((b.file_size || 0) - (a.file_size || 0)));
+
+        return res.status(200).json({
+            success: true,
+            data: duplicates,
+            count: duplicates.length,
+            redundant_documents: duplicates.reduce((sum, group) => sum + group.count - 1, 0)
+        });
+
+    } catch (error) {
+        console.error('Get duplicate documents error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch duplicate documents'
+        });
+    }
+};
+
 /**
  * Lấy documents theo category (for graph view)
  * GET /api/documents/by-category
@@ -1113,7 +1433,8 @@ const getDocumentsByCategory = async (req, res) => {
                     .from('documents')
                     .select('id, title, file_type, document_type, created_at')
                     .eq('category_id', category.id)
-                    .eq('created_by', userId);
+                    .eq('created_by', userId)
+                    .is('deleted_at', null);
 
                 return {
                     category: category,
@@ -1127,7 +1448,8 @@ const getDocumentsByCategory = async (req, res) => {
             .from('documents')
             .select('id, title, file_type, document_type, created_at')
             .is('category_id', null)
-            .eq('created_by', userId);
+            .eq('created_by', userId)
+            .is('deleted_at', null);
 
         return res.status(200).json({
             success: true,
@@ -1178,6 +1500,7 @@ const searchDocuments = async (req, res) => {
             `)
             // Tìm trong title hoặc file_name (case-insensitive)
             .or(`title.ilike.%${q}%,file_name.ilike.%${q}%`)
+            .is('deleted_at', null)
             .order('updated_at', { ascending: false });
 
         // Lọc theo document type nếu có
@@ -1226,13 +1549,16 @@ module.exports = {
     uploadDocument,
     getAllDocuments,
     getDocumentById,
+    getDocumentContent,
     getDownloadUrl,
     updateDocument,
     deleteDocument,
     getDocumentsByCategory,
+    getDuplicateDocuments,
     searchDocuments,
     setDocumentPassword,
     removeDocumentPassword,
-    unlockDocument
+    unlockDocument,
+    lockDocument
 };
 
@@ -0,0 +1,223 @@
+/**
+ * Document Edit Lock Controller
+ * Edit lock (advisory) có thời hạn để UI hiển thị ai đang chỉnh sửa document
+ * Lock không chặn việc ghi; xung đột ghi được xử lý bằng If-Match / revision
+ */
+const { supabase } = require('../config/supabase');
+const { hasDocumentAccess } = require('../middleware/acl');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+const DEFAULT_LOCK_TTL_SECONDS = parseInt(process.env.DOCUMENT_EDIT_LOCK_TTL_SECONDS || '120', 10);
+const MAX_LOCK_TTL_SECONDS = 15 * 60;
+
+const sendLocksUnavailable = (res) => res.status(503).json({
+    error: 'Service Unavailable',
+    message: 'Edit locks are not configured. Run database/document_concurrency.sql',
+    code: 'EDIT_LOCKS_UNAVAILABLE'
+});
+
+/**
+ * Gắn thông tin người giữ lock (username, full_name) để UI hiển thị
+ */
+const withHolder = async (lock, userId) => {
+    if (!lock) return null;
+
+    const { data: profile } = await supabase
+        .from('profiles')
+        .select('id, username, full_name, avatar_url')
+        .eq('id', lock.user_id)
+        .maybeSingle();
+
+    return {
+        document_id: lock.document_id,
+        user_id: lock.user_id,
+        acquired_at: lock.acquired_at,
+        expires_at: lock.expires_at,
+        is_mine: lock.user_id === userId,
+        holder: profile || { id: lock.user_id, username: null, full_name: null, avatar_url: null }
+    };
+};
+
+const fetchActiveLock = async (documentId) => {
+    return supabase
+        .from('document_edit_locks')
+        .select('document_id, user_id, acquired_at, expires_at')
+        .eq('document_id', documentId)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+};
+
+/**
+ * Get the current edit lock of a document
+ * GET /api/documents/:id/edit-lock
+ */
+const getEditLock = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: lock, error } = await fetchActiveLock(id);
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return res.status(200).json({ success: true, data: null });
+            }
+            console.error('Get edit lock error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: await withHolder(lock, req.user.id)
+        });
+
+    } catch (error) {
+        console.error('Get edit lock error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch edit lock'
+        });
+    }
+};
+
+/**
+ * Acquire or refresh the edit lock of a document
+ * POST /api/documents/:id/edit-lock
+ * Body: { ttl_seconds? }
+ */
+const acquireEditLock = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        let ttlSeconds = DEFAULT_LOCK_TTL_SECONDS;
+        if (req.body?.ttl_seconds !== undefined) {
+            ttlSeconds = Number(req.body.ttl_seconds);
+            if (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_LOCK_TTL_SECONDS) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `ttl_seconds must be an integer between 1 and ${MAX_LOCK_TTL_SECONDS}`
+                });
+            }
+        }
+
+        const { data, error } = await supabase.rpc('acquire_document_edit_lock', {
+            p_document_id: id,
+            p_user_id: userId,
+            p_ttl_seconds: ttlSeconds
+        });
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return sendLocksUnavailable(res);
+            }
+            console.error('Acquire edit lock error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const lock = await withHolder(Array.isArray(data) ? data[0] : data, userId);
+
+        if (!lock?.is_mine) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `Document is being edited by ${lock?.holder.full_name || lock?.holder.username || 'another user'}`,
+                code: 'EDIT_LOCKED',
+                data: lock
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: lock,
+            message: 'Edit lock acquired'
+        });
+
+    } catch (error) {
+        console.error('Acquire edit lock error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to acquire edit lock'
+        });
+    }
+};
+
+/**
+ * Release the edit lock of a document
+ * Người giữ lock tự nhả; admin của document có thể gỡ lock của người khác với ?force=true
+ * DELETE /api/documents/:id/edit-lock
+ */
+const releaseEditLock = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+        const force = req.query.force === 'true';
+
+        if (force) {
+            const { data: document } = await supabase
+                .from('documents')
+                .select('id, created_by, group_id')
+                .eq('id', id)
+                .single();
+
+            const allowed = document && await hasDocumentAccess(userId, req.user.email, document, 'admin');
+            if (!allowed) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'Only document admins can release another user\'s edit lock'
+                });
+            }
+        }
+
+        let query = supabase
+            .from('document_edit_locks')
+            .delete()
+            .eq('document_id', id);
+
+        if (!force) {
+            query = query.eq('user_id', userId);
+        }
+
+        const { data, error } = await query.select('document_id, user_id');
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return sendLocksUnavailable(res);
+            }
+            console.error('Release edit lock error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!data?.length) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: force ? 'Document has no edit lock' : 'You do not hold the edit lock of this document'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Edit lock released'
+        });
+
+    } catch (error) {
+        console.error('Release edit lock error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to release edit lock'
+        });
+    }
+};
+
+module.exports = {
+    getEditLock,
+    acquireEditLock,
+    releaseEditLock
+};
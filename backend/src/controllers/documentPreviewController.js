@@ -0,0 +1,138 @@
+/**
+ * Document Preview Controller
+ * Trả về preview (thumbnail / ảnh trang đầu / đoạn text ngắn) của document
+ * Preview được tạo nền sau khi upload hoặc đổi version (xem services/previewService.js)
+ */
+const { supabase } = require('../config/supabase');
+const {
+    PREVIEW_MIME_TYPE,
+    getPreviewKind,
+    buildPreviewEtag
+} = require('../services/previewService');
+
+const PREVIEW_SELECT = 'id, file_path, mime_type, content_hash, preview_status, preview_path, preview_snippet, preview_generated_at';
+
+// Preview đang tạo thì client phải hỏi lại, đã xong thì cache ngắn (ETag đổi khi có version mới)
+const PENDING_CACHE_CONTROL = 'private, no-cache';
+const READY_CACHE_CONTROL = 'private, max-age=300';
+const IMAGE_CACHE_CONTROL = 'private, max-age=86400';
+
+const fetchPreviewDocument = async (id) => {
+    const { data, error } = await supabase
+        .from('documents')
+        .select(PREVIEW_SELECT)
+        .eq('id', id)
+        .single();
+
+    if (error) {
+        console.error('Fetch document preview error:', error);
+        return null;
+    }
+    return data;
+};
+
+/**
+ * Get preview information of a document
+ * GET /api/documents/:id/preview
+ */
+const getDocumentPreview = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const document = await fetchPreviewDocument(id);
+        if (!document) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Document not found'
+            });
+        }
+
+        const status = document.preview_status || 'pending';
+        const kind = getPreviewKind(document.mime_type);
+
+        res.set('ETag', buildPreviewEtag(document));
+        res.set('Cache-Control', status === 'pending' ? PENDING_CACHE_CONTROL : READY_CACHE_CONTROL);
+
+        // Express trả 304 khi If-None-Match khớp ETag
+        return res.status(200).json({
+            success: true,
+            data: {
+                document_id: document.id,
+                status,
+                kind,
+                snippet: document.preview_snippet || null,
+                image_url: document.preview_path ? `/api/documents/${document.id}/preview/image` : null,
+                generated_at: document.preview_generated_at || null
+            }
+        });
+
+    } catch (error) {
+        console.error('Get document preview error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch document preview'
+        });
+    }
+};
+
+/**
+ * Get preview image (WebP) of a document
+ * GET /api/documents/:id/preview/image
+ */
+const getDocumentPreviewImage = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const document = await fetchPreviewDocument(id);
+        if (!document) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Document not found'
+            });
+        }
+
+        if (!document.preview_path) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Preview image is not available for this document',
+                code: document.preview_status ? 'PREVIEW_UNAVAILABLE' : 'PREVIEW_PENDING'
+            });
+        }
+
+        res.set('ETag', buildPreviewEtag(document));
+        res.set('Cache-Control', IMAGE_CACHE_CONTROL);
+
+        // Client đã có ảnh mới nhất thì không cần tải lại từ Storage
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        const { data: blob, error } = await supabase.storage
+            .from('documents')
+            .download(document.preview_path);
+
+        if (error) {
+            console.error('Download preview image error:', error);
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Preview image is not available for this document',
+                code: 'PREVIEW_UNAVAILABLE'
+            });
+        }
+
+        res.type(PREVIEW_MIME_TYPE);
+        return res.status(200).send(Buffer.from(await blob.arrayBuffer()));
+
+    } catch (error) {
+        console.error('Get document preview image error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch preview image'
+        });
+    }
+};
+
+module.exports = {
+    getDocumentPreview,
+    getDocumentPreviewImage
+};
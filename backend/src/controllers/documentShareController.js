@@ -0,0 +1,706 @@
+/**
+ * Document Share & ACL Controller
+ * Manages shared_documents (user/email shares) and document_acl (user/group grants)
+ */
+const { supabase } = require('../config/supabase');
+
+const VALID_ACCESS_LEVELS = ['view', 'edit', 'admin'];
+const VALID_SUBJECT_TYPES = ['user', 'group'];
+
+const SHARE_SELECT = 'id, document_id, shared_by, shared_with_user, shared_with_email, access_level, expires_at, is_active, created_at, updated_at';
+const ACL_SELECT = 'id, document_id, subject_type, subject_id, role, granted_by, expires_at, created_at, updated_at';
+
+/**
+ * Log document sharing activity
+ * @param {string} userId - User ID performing the action
+ * @param {string} activityType - Type of activity
+ * @param {object} metadata - Additional metadata about the activity
+ */
+const logDocumentActivity = async (userId, activityType, metadata = {}) => {
+    try {
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: userId,
+                activity_type: activityType,
+                metadata
+            }]);
+    } catch (error) {
+        console.error('Failed to log document activity:', error);
+        // Don't throw error to avoid breaking main functionality
+    }
+};
+
+/**
+ * Parse expiry từ body: expires_at (ISO) hoặc expires_in_days (number)
+ * null nghĩa là không hết hạn, undefined nghĩa là không thay đổi
+ */
+const parseExpiry = (body) => {
+    const { expires_at, expires_in_days } = body;
+
+    if (expires_at === null) return { value: null };
+
+    if (expires_at !== undefined) {
+        const date = new Date(expires_at);
+        if (Number.isNaN(date.getTime())) {
+            return { error: 'expires_at must be a valid date' };
+        }
+        if (date <= new Date()) {
+            return { error: 'expires_at must be in the future' };
+        }
+        return { value: date.toISOString() };
+    }
+
+    if (expires_in_days !== undefined && expires_in_days !== null) {
+        const days = Number(expires_in_days);
+        if (!Number.isFinite(days) || days <= 0) {
+            return { error: 'expires_in_days must be a positive number' };
+        }
+        return { value: new Date(Date.now() + days * 24 * 3600 * 1000).toISOString() };
+    }
+
+    return { value: undefined };
+};
+
+const isExpired = (entry) => entry.expires_at && new Date(entry.expires_at) <= new Date();
+
+const fetchDocumentOwner = async (documentId) => {
+    const { data, error } = await supabase
+        .from('documents')
+        .select('id, title, created_by')
+        .eq('id', documentId)
+        .single();
+
+    if (error) throw error;
+    return data;
+};
+
+// ============================================
+// SHARE ENDPOINTS (shared_documents)
+// ============================================
+
+/**
+ * List shares of a document
+ * GET /api/documents/:id/shares?include_inactive=true
+ */
+const getDocumentShares = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const includeInactive = req.query.include_inactive === 'true';
+
+        let query = supabase
+            .from('shared_documents')
+            .select(SHARE_SELECT)
+            .eq('document_id', id)
+            .order('created_at', { ascending: false });
+
+        if (!includeInactive) {
+            query = query.eq('is_active', true);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Get document shares error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const shares = (data || []).map(share => ({ ...share, is_expired: !!isExpired(share) }));
+
+        return res.status(200).json({
+            success: true,
+            data: shares,
+            count: shares.length
+        });
+
+    } catch (error) {
+        console.error('Get document shares error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch document shares'
+        });
+    }
+};
+
+/**
+ * Share a document with a user or an email
+ * POST /api/documents/:id/shares
+ * Body: { user_id?, email?, access_level?, expires_at?, expires_in_days? }
+ */
+const createDocumentShare = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+        const { user_id, email, access_level = 'view' } = req.body;
+
+        if (!user_id && !email) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Either user_id or email is required'
+            });
+        }
+
+        if (!VALID_ACCESS_LEVELS.includes(access_level)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `access_level must be one of: ${VALID_ACCESS_LEVELS.join(', ')}`
+            });
+        }
+
+        const expiry = parseExpiry(req.body);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: expiry.error
+            });
+        }
+
+        const normalizedEmail = email ? String(email).trim().toLowerCase() : null;
+        if (normalizedEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid email address'
+            });
+        }
+
+        const document = await fetchDocumentOwner(id);
+
+        if (user_id) {
+            const { data: target, error: targetError } = await supabase.auth.admin.getUserById(user_id);
+            if (targetError || !target?.user) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'Target user not found'
+                });
+            }
+        }
+
+        if (user_id === document.created_by) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'The document owner already has full access'
+            });
+        }
+
+        // Nếu đã có share đang active cho cùng target thì cập nhật thay vì tạo mới
+        let existingQuery = supabase
+            .from('shared_documents')
+            .select('id')
+            .eq('document_id', id)
+            .eq('is_active', true);
+
+        existingQuery = user_id
+            ? existingQuery.eq('shared_with_user', user_id)
+            : existingQuery.eq('shared_with_email', normalizedEmail);
+
+        const { data: existing, error: existingError } = await existingQuery.limit(1);
+
+        if (existingError) {
+            console.error('Check existing share error:', existingError);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: existingError.message
+            });
+        }
+
+        const shareData = {
+            access_level,
+            expires_at: expiry.value === undefined ? null : expiry.value,
+            updated_at: new Date().toISOString()
+        };
+
+        let result;
+        if (existing?.length) {
+            result = await supabase
+                .from('shared_documents')
+                .update(shareData)
+                .eq('id', existing[0].id)
+                .select(SHARE_SELECT)
+                .single();
+        } else {
+            result = await supabase
+                .from('shared_documents')
+                .insert([{
+                    ...shareData,
+                    document_id: id,
+                    shared_by: userId,
+                    shared_with_user: user_id || null,
+                    shared_with_email: normalizedEmail,
+                    is_active: true
+                }])
+                .select(SHARE_SELECT)
+                .single();
+        }
+
+        if (result.error) {
+            console.error('Create document share error:', result.error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: result.error.message
+            });
+        }
+
+        await logDocumentActivity(userId, existing?.length ? 'document_share_updated' : 'document_shared', {
+            document_id: id,
+            document_title: document.title,
+            share_id: result.data.id,
+            shared_with_user: result.data.shared_with_user,
+            shared_with_email: result.data.shared_with_email,
+            access_level,
+            expires_at: result.data.expires_at
+        });
+
+        return res.status(existing?.length ? 200 : 201).json({
+            success: true,
+            data: result.data,
+            message: existing?.length ? 'Share updated successfully' : 'Document shared successfully'
+        });
+
+    } catch (error) {
+        if (error?.code === 'PGRST116') {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Document not found'
+            });
+        }
+        console.error('Create document share error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to share document'
+        });
+    }
+};
+
+/**
+ * Update access level or expiry of a share
+ * PUT /api/documents/:id/shares/:shareId
+ * Body: { access_level?, expires_at?, expires_in_days? }
+ */
+const updateDocumentShare = async (req, res) => {
+    try {
+        const { id, shareId } = req.params;
+        const userId = req.user.id;
+        const { access_level } = req.body;
+
+        if (access_level !== undefined && !VALID_ACCESS_LEVELS.includes(access_level)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `access_level must be one of: ${VALID_ACCESS_LEVELS.join(', ')}`
+            });
+        }
+
+        const expiry = parseExpiry(req.body);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: expiry.error
+            });
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+        if (access_level !== undefined) updateData.access_level = access_level;
+        if (expiry.value !== undefined) updateData.expires_at = expiry.value;
+
+        const { data, error } = await supabase
+            .from('shared_documents')
+            .update(updateData)
+            .eq('id', shareId)
+            .eq('document_id', id)
+            .eq('is_active', true)
+            .select(SHARE_SELECT)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'Share not found'
+                });
+            }
+            console.error('Update document share error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await logDocumentActivity(userId, 'document_share_updated', {
+            document_id: id,
+            share_id: shareId,
+            access_level: data.access_level,
+            expires_at: data.expires_at
+        });
+
+        return res.status(200).json({
+            success: true,
+            data,
+            message: 'Share updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update document share error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update share'
+        });
+    }
+};
+
+/**
+ * Revoke a share
+ * DELETE /api/documents/:id/shares/:shareId
+ */
+const revokeDocumentShare = async (req, res) => {
+    try {
+        const { id, shareId } = req.params;
+        const userId = req.user.id;
+
+        const { data, error } = await supabase
+            .from('shared_documents')
+            .update({
+                is_active: false,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', shareId)
+            .eq('document_id', id)
+            .eq('is_active', true)
+            .select(SHARE_SELECT)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'Share not found'
+                });
+            }
+            console.error('Revoke document share error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await logDocumentActivity(userId, 'document_share_revoked', {
+            document_id: id,
+            share_id: shareId,
+            shared_with_user: data.shared_with_user,
+            shared_with_email: data.shared_with_email
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Share revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke document share error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to revoke share'
+        });
+    }
+};
+
+// ============================================
+// ACL ENDPOINTS (document_acl)
+// ============================================
+
+/**
+ * List ACL entries of a document
+ * GET /api/documents/:id/acl
+ */
+const getDocumentAcl = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data, error } = await supabase
+            .from('document_acl')
+            .select(ACL_SELECT)
+            .eq('document_id', id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Get document ACL error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const entries = (data || []).map(entry => ({ ...entry, is_expired: !!isExpired(entry) }));
+
+        return res.status(200).json({
+            success: true,
+            data: entries,
+            count: entries.length
+        });
+
+    } catch (error) {
+        console.error('Get document ACL error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch document ACL'
+        });
+    }
+};
+
+/**
+ * Grant a user or a group access to a document
+ * POST /api/documents/:id/acl
+ * Body: { subject_type, subject_id, role?, expires_at?, expires_in_days? }
+ */
+const grantDocumentAcl = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+        const { subject_type, subject_id, role = 'view' } = req.body;
+
+        if (!VALID_SUBJECT_TYPES.includes(subject_type) || !subject_id) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'subject_type (user or group) and subject_id are required'
+            });
+        }
+
+        if (!VALID_ACCESS_LEVELS.includes(role)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `role must be one of: ${VALID_ACCESS_LEVELS.join(', ')}`
+            });
+        }
+
+        const expiry = parseExpiry(req.body);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: expiry.error
+            });
+        }
+
+        const document = await fetchDocumentOwner(id);
+
+        if (subject_type === 'user') {
+            if (subject_id === document.created_by) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'The document owner already has full access'
+                });
+            }
+
+            const { data: target, error: targetError } = await supabase.auth.admin.getUserById(subject_id);
+            if (targetError || !target?.user) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'Target user not found'
+                });
+            }
+        } else {
+            const { data: group, error: groupError } = await supabase
+                .from('groups')
+                .select('id')
+                .eq('id', subject_id)
+                .single();
+
+            if (groupError || !group) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'Target group not found'
+                });
+            }
+        }
+
+        const { data, error } = await supabase
+            .from('document_acl')
+            .upsert({
+                document_id: id,
+                subject_type,
+                subject_id,
+                role,
+                granted_by: userId,
+                expires_at: expiry.value === undefined ? null : expiry.value,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'document_id,subject_type,subject_id' })
+            .select(ACL_SELECT)
+            .single();
+
+        if (error) {
+            console.error('Grant document ACL error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await logDocumentActivity(userId, 'document_acl_granted', {
+            document_id: id,
+            document_title: document.title,
+            acl_id: data.id,
+            subject_type,
+            subject_id,
+            role,
+            expires_at: data.expires_at
+        });
+
+        return res.status(201).json({
+            success: true,
+            data,
+            message: 'Access granted successfully'
+        });
+
+    } catch (error) {
+        if (error?.code === 'PGRST116') {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Document not found'
+            });
+        }
+        console.error('Grant document ACL error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to grant access'
+        });
+    }
+};
+
+/**
+ * Update role or expiry of an ACL entry
+ * PUT /api/documents/:id/acl/:entryId
+ * Body: { role?, expires_at?, expires_in_days? }
+ */
+const updateDocumentAcl = async (req, res) => {
+    try {
+        const { id, entryId } = req.params;
+        const userId = req.user.id;
+        const { role } = req.body;
+
+        if (role !== undefined && !VALID_ACCESS_LEVELS.includes(role)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `role must be one of: ${VALID_ACCESS_LEVELS.join(', ')}`
+            });
+        }
+
+        const expiry = parseExpiry(req.body);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: expiry.error
+            });
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+        if (role !== undefined) updateData.role = role;
+        if (expiry.value !== undefined) updateData.expires_at = expiry.value;
+
+        const { data, error } = await supabase
+            .from('document_acl')
+            .update(updateData)
+            .eq('id', entryId)
+            .eq('document_id', id)
+            .select(ACL_SELECT)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'ACL entry not found'
+                });
+            }
+            console.error('Update document ACL error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await logDocumentActivity(userId, 'document_acl_updated', {
+            document_id: id,
+            acl_id: entryId,
+            subject_type: data.subject_type,
+            subject_id: data.subject_id,
+            role: data.role,
+            expires_at: data.expires_at
+        });
+
+        return res.status(200).json({
+            success: true,
+            data,
+            message: 'Access updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update document ACL error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update access'
+        });
+    }
+};
+
+/**
+ * Revoke an ACL entry
+ * DELETE /api/documents/:id/acl/:entryId
+ */
+const revokeDocumentAcl = async (req, res) => {
+    try {
+        const { id, entryId } = req.params;
+        const userId = req.user.id;
+
+        const { data, error } = await supabase
+            .from('document_acl')
+            .delete()
+            .eq('id', entryId)
+            .eq('document_id', id)
+            .select(ACL_SELECT)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'ACL entry not found'
+                });
+            }
+            console.error('Revoke document ACL error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await logDocumentActivity(userId, 'document_acl_revoked', {
+            document_id: id,
+            acl_id: entryId,
+            subject_type: data.subject_type,
+            subject_id: data.subject_id
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Access revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke document ACL error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to revoke access'
+        });
+    }
+};
+
+module.exports = {
+    getDocumentShares,
+    createDocumentShare,
+    updateDocumentShare,
+    revokeDocumentShare,
+    getDocumentAcl,
+    grantDocumentAcl,
+    updateDocumentAcl,
+    revokeDocumentAcl
+};
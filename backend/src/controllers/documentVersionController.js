@@ -4,12 +4,36 @@
  */
 const { supabase } = require('../config/supabase');
 const multer = require('multer');
-const path = require('path');
-
-// Multer config for version uploads
+const {
+    ALLOWED_MIME_TYPES,
+    EMBEDDABLE_MIME_TYPES,
+    buildEmbeddingResponse
+} = require('../services/documentUploadService');
+const embeddingQueue = require('../services/embeddingQueue');
+const { inspectUpload, logRejectedUpload } = require('../services/uploadInspector');
+const { hashBuffer, putBlob, retainBlob, releaseBlob } = require('../services/blobStore');
+const { reserveQuota, releaseQuota } = require('../services/storageQuotaService');
+const { queueContentIndexing } = require('../services/textExtractionService');
+const { queuePreviewGeneration, PENDING_PREVIEW_FIELDS } = require('../services/previewService');
+const { loadVersionText, diffTexts, queueVersionDiffStats } = require('../services/versionDiffService');
+const { queueVersionPruning } = require('../services/versionRetentionService');
+const {
+    buildDocumentEtag,
+    checkIfMatch,
+    sendPreconditionFailed
+} = require('../services/documentRevisionService');
+
+// Multer config for version uploads (cùng danh sách file types với upload thường)
 const versionUpload = multer({
     storage: multer.memoryStorage(),
-    limits: { fileSize: 50 * 1024 * 1024 }
+    limits: { fileSize: 50 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`File type ${file.mimetype} not allowed`), false);
+        }
+    }
 });
 
 // ============================================
@@ -48,8 +72,11 @@ const getDocumentVersions = async (req, res) => {
                 file_path,
                 file_size,
                 file_name,
+                mime_type,
                 change_description,
+                diff_stats,
                 is_current,
+                is_pinned,
                 created_at,
                 created_by
             `)
@@ -64,14 +91,23 @@ const getDocumentVersions = async (req, res) => {
             });
         }
 
+        // Số dòng thay đổi so với nội dung trước đó (null khi không diff được)
+        const withChangeSummary = (versions || []).map(version => ({
+            ...version,
+            changed_lines: version.diff_stats
+                ? version.diff_stats.lines_added + version.diff_stats.lines_removed
+                : null
+        }));
+
         // If no versions exist, return the original document as version 0
-        const allVersions = versions?.length ? versions : [{
+        const allVersions = withChangeSummary.length ? withChangeSummary : [{
             id: null,
             version_number: 0,
             file_path: document.file_path,
             file_size: document.file_size,
             file_name: document.file_name,
             change_description: 'Original upload',
+            changed_lines: null,
             is_current: true,
             created_at: document.created_at,
             created_by: document.created_by
@@ -124,90 +160,287 @@ const createDocumentVersion = async (req, res) => {
             });
         }
 
-        // Create file path for new version
-        const timestamp = Date.now();
-        const fileExt = path.extname(file.originalname);
-        const sanitizedName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-        const fileName = `${timestamp}_v_${sanitizedName}`;
-        const filePath = document.category_id
-            ? `${userId}/${document.category_id}/versions/${fileName}`
-            : `${userId}/uncategorized/versions/${fileName}`;
-
-        // Upload new version file to storage
-        const { error: uploadError } = await supabase.storage
-            .from('documents')
-            .upload(filePath, file.buffer, {
-                contentType: file.mimetype,
-                cacheControl: '3600',
-                upsert: false
+        // Kiểm tra If-Match trước khi upload để không lưu file vô ích
+        const precondition = checkIfMatch(req, document);
+        if (!precondition.ok) {
+            return sendPreconditionFailed(res, id);
+        }
+
+        // Version được tính vào dung lượng của người tạo document và group chứa document,
+        // giữ chỗ cho tới khi ghi xong
+        const quota = await reserveQuota({
+            userId: document.created_by,
+            groupId: document.group_id,
+            additionalBytes: file.size
+        });
+        if (!quota.ok) {
+            return res.status(quota.status).json({
+                error: 'Payload Too Large',
+                message: quota.message,
+                code: quota.code,
+                data: quota.data
             });
+        }
 
-        if (uploadError) {
-            console.error('Version upload error:', uploadError);
-            return res.status(400).json({
-                error: 'Upload Failed',
-                message: uploadError.message
+        try {
+            // Kiểm tra nội dung file (magic bytes, SVG script, virus scan)
+            const inspection = await inspectUpload(file);
+            if (!inspection.ok) {
+                await logRejectedUpload(req, file, inspection, { document_id: id });
+                return res.status(inspection.status).json({
+                    error: 'Upload Rejected',
+                    message: inspection.message,
+                    code: inspection.code
+                });
+            }
+
+            const contentHash = hashBuffer(file.buffer);
+
+            // Upload new version file to storage (nội dung trùng thì dùng lại blob có sẵn)
+            const blob = await putBlob({
+                hash: contentHash,
+                body: file.buffer,
+                size: file.size,
+                mimeType: file.mimetype
             });
+
+            if (!blob.ok) {
+                console.error('Version upload error:', blob.error);
+                return res.status(400).json({
+                    error: 'Upload Failed',
+                    message: blob.error?.message || 'Failed to store file'
+                });
+            }
+
+            const filePath = blob.filePath;
+
+            // Create version record (trigger will auto-set version_number)
+            const { data: version, error: versionError } = await supabase
+                .from('document_versions')
+                .insert({
+                    document_id: id,
+                    file_path: filePath,
+                    file_size: file.size,
+                    file_name: file.originalname,
+                    mime_type: file.mimetype,
+                    content_hash: contentHash,
+                    created_by: userId,
+                    change_description: change_description || null
+                })
+                .select()
+                .single();
+
+            if (versionError) {
+                // Trả lại reference của version (xóa file nếu không ai dùng)
+                await releaseBlob(contentHash);
+                console.error('Create version error:', versionError);
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: versionError.message
+                });
+            }
+
+            // Document giữ reference riêng tới nội dung hiện tại của nó
+            await retainBlob(contentHash);
+
+            // Update main document to point to new version
+            let updateQuery = supabase
+                .from('documents')
+                .update({
+                    file_path: filePath,
+                    file_size: file.size,
+                    file_name: file.originalname,
+                    content_hash: contentHash,
+                    last_edited_by: userId,
+                    updated_at: new Date().toISOString(),
+                    ...PENDING_PREVIEW_FIELDS
+                })
+                .eq('id', id);
+
+            if (precondition.expectedRevision !== null) {
+                updateQuery = updateQuery.eq('revision', precondition.expectedRevision);
+            }
+
+            const { data: updatedDocument, error: updateError } = await updateQuery
+                .select('id, revision')
+                .maybeSingle();
+
+            // Document bị người khác sửa trong lúc upload: bỏ version vừa tạo
+            if (!updateError && !updatedDocument) {
+                await supabase
+                    .from('document_versions')
+                    .delete()
+                    .eq('id', version.id);
+                await releaseBlob(contentHash);
+                await releaseBlob(contentHash);
+                return sendPreconditionFailed(res, id);
+            }
+
+            // Document không trỏ được sang version mới: bỏ version vừa tạo, không báo thành công
+            if (updateError) {
+                console.error('Update document after version error:', updateError);
+                await supabase
+                    .from('document_versions')
+                    .delete()
+                    .eq('id', version.id);
+                await releaseBlob(contentHash);
+                await releaseBlob(contentHash);
+                return res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: 'Failed to update document to the new version'
+                });
+            }
+
+            await releaseBlob(document.content_hash);
+
+            // Cập nhật content và preview theo file của version mới (chạy nền)
+            const derivedParams = {
+                documentId: id,
+                contentHash,
+                mimeType: file.mimetype,
+                size: file.size,
+                buffer: file.buffer,
+                filePath
+            };
+            queueContentIndexing(derivedParams);
+            queuePreviewGeneration(derivedParams);
+
+            // Thống kê số dòng thay đổi so với nội dung trước đó (chạy nền)
+            queueVersionDiffStats({
+                version,
+                buffer: file.buffer,
+                previousText: document.content
+            });
+
+            // Áp dụng chính sách giữ version (nếu có) sau khi thêm version mới
+            queueVersionPruning(id);
+
+            res.set('ETag', buildDocumentEtag(updatedDocument));
+
+            return res.status(201).json({
+                success: true,
+                data: version,
+                message: 'New version created successfully'
+            });
+        } finally {
+            await releaseQuota(quota.reservationId);
         }
 
-        // Create version record (trigger will auto-set version_number)
-        const { data: version, error: versionError } = await supabase
-            .from('document_versions')
-            .insert({
-                document_id: id,
-                file_path: filePath,
-                file_size: file.size,
-                file_name: file.originalname,
-                mime_type: file.mimetype,
-                created_by: userId,
-                change_description: change_description || null
-            })
-            .select()
-            .single();
+    } catch (error) {
+        console.error('Create document version error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create document version'
+        });
+    }
+};
+
+/**
+ * Tìm version theo id hoặc theo version_number
+ */
+const findVersion = async (documentId, ref) => {
+    let query = supabase
+        .from('document_versions')
+        .select('id, version_number, file_path, file_name, file_size, mime_type, created_at, created_by')
+        .eq('document_id', documentId);
+
+    query = /^\d+$/.test(ref)
+        ? query.eq('version_number', parseInt(ref, 10))
+        : query.eq('id', ref);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) {
+        console.error('Fetch version for diff error:', error);
+        return null;
+    }
+    return data;
+};
 
-        if (versionError) {
-            // Cleanup uploaded file on error
-            await supabase.storage.from('documents').remove([filePath]);
-            console.error('Create version error:', versionError);
+/**
+ * Diff the text content of two versions
+ * GET /api/documents/:id/versions/:a/diff/:b?mode=line|word&context=3
+ * :a, :b là version id hoặc version_number
+ */
+const getVersionDiff = async (req, res) => {
+    try {
+        const { id, a, b } = req.params;
+        const mode = req.query.mode || 'line';
+        const context = Math.min(Math.max(parseInt(req.query.context, 10) || 3, 0), 50);
+
+        if (!['line', 'word'].includes(mode)) {
             return res.status(400).json({
                 error: 'Bad Request',
-                message: versionError.message
+                message: 'mode must be either line or word'
             });
         }
 
-        // Update main document to point to new version
-        const { error: updateError } = await supabase
-            .from('documents')
-            .update({
-                file_path: filePath,
-                file_size: file.size,
-                file_name: file.originalname,
-                last_edited_by: userId,
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', id);
+        const [fromVersion, toVersion] = await Promise.all([
+            findVersion(id, a),
+            findVersion(id, b)
+        ]);
 
-        if (updateError) {
-            console.error('Update document after version error:', updateError);
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Version not found'
+            });
         }
 
-        return res.status(201).json({
+        const [fromText, toText] = await Promise.all([
+            loadVersionText(fromVersion),
+            loadVersionText(toVersion)
+        ]);
+
+        const failed = [fromText, toText].find(result => !result.ok);
+        if (failed) {
+            return res.status(failed.status).json({
+                error: failed.status === 404 ? 'Not Found' : 'Unsupported Media Type',
+                message: failed.message,
+                code: failed.code
+            });
+        }
+
+        const diff = await diffTexts(fromText.text, toText.text, { mode, context });
+        if (!diff.ok) {
+            return res.status(diff.status).json({
+                error: diff.status === 413 ? 'Payload Too Large' : 'Unprocessable Entity',
+                message: diff.message,
+                code: diff.code
+            });
+        }
+
+        const describe = ({ id: versionId, version_number, file_name, created_at, created_by }) => ({
+            id: versionId,
+            version_number,
+            file_name,
+            created_at,
+            created_by
+        });
+
+        return res.status(200).json({
             success: true,
-            data: version,
-            message: 'New version created successfully'
+            data: {
+                document_id: id,
+                mode,
+                from: describe(fromVersion),
+                to: describe(toVersion),
+                stats: diff.stats,
+                changes: diff.changes
+            }
         });
 
     } catch (error) {
-        console.error('Create document version error:', error);
+        console.error('Get version diff error:', error);
         return res.status(500).json({
             error: 'Internal Server Error',
-            message: 'Failed to create document version'
+            message: 'Failed to diff document versions'
         });
     }
 };
 
 /**
  * Restore document to a specific version
+ * Tạo version mới ("Restored from vN") trỏ tới file của version được chọn để giữ lịch sử tuyến tính
  * POST /api/documents/:id/versions/:versionId/restore
  */
 const restoreDocumentVersion = async (req, res) => {
@@ -230,19 +463,88 @@ const restoreDocumentVersion = async (req, res) => {
             });
         }
 
+        const { data: document } = await supabase
+            .from('documents')
+            .select('id, revision, content_hash, content')
+            .eq('id', id)
+            .single();
+
+        const precondition = document
+            ? checkIfMatch(req, document)
+            : { ok: true, expectedRevision: null };
+        if (!precondition.ok) {
+            return sendPreconditionFailed(res, id);
+        }
+
+        // Version mới giữ reference riêng tới nội dung của version được restore
+        if (version.content_hash) {
+            await retainBlob(version.content_hash);
+        }
+
+        const { data: restoredVersion, error: insertError } = await supabase
+            .from('document_versions')
+            .insert({
+                document_id: id,
+                file_path: version.file_path,
+                file_size: version.file_size,
+                file_name: version.file_name,
+                mime_type: version.mime_type,
+                content_hash: version.content_hash || null,
+                created_by: userId,
+                change_description: `Restored from v${version.version_number}`,
+                restored_from_version_id: version.id
+            })
+            .select()
+            .single();
+
+        if (insertError) {
+            console.error('Create restored version error:', insertError);
+            await releaseBlob(version.content_hash);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: insertError.message
+            });
+        }
+
+        // Document giữ reference riêng tới nội dung của version được restore
+        if (version.content_hash) {
+            await retainBlob(version.content_hash);
+        }
+
         // Update document to use this version's file
-        const { error: updateError } = await supabase
+        let updateQuery = supabase
             .from('documents')
             .update({
                 file_path: version.file_path,
                 file_size: version.file_size,
                 file_name: version.file_name,
+                content_hash: version.content_hash || null,
                 last_edited_by: userId,
-                updated_at: new Date().toISOString()
+                updated_at: new Date().toISOString(),
+                ...PENDING_PREVIEW_FIELDS
             })
             .eq('id', id);
 
-        if (updateError) {
+        if (precondition.expectedRevision !== null) {
+            updateQuery = updateQuery.eq('revision', precondition.expectedRevision);
+        }
+
+        const { data: updatedDocument, error: updateError } = await updateQuery
+            .select('id, revision')
+            .maybeSingle();
+
+        if (updateError || !updatedDocument) {
+            await supabase
+                .from('document_versions')
+                .delete()
+                .eq('id', restoredVersion.id);
+            await releaseBlob(version.content_hash);
+            await releaseBlob(version.content_hash);
+
+            if (!updateError) {
+                return sendPreconditionFailed(res, id);
+            }
+
             console.error('Restore version error:', updateError);
             return res.status(400).json({
                 error: 'Bad Request',
@@ -250,21 +552,67 @@ const restoreDocumentVersion = async (req, res) => {
             });
         }
 
-        // Mark this version as current
+        await releaseBlob(document?.content_hash);
+
+        // Mark the new version as current
         await supabase
             .from('document_versions')
             .update({ is_current: false })
-            .eq('document_id', id);
+            .eq('document_id', id)
+            .neq('id', restoredVersion.id);
 
         await supabase
             .from('document_versions')
             .update({ is_current: true })
-            .eq('id', versionId);
+            .eq('id', restoredVersion.id);
+
+        const derivedParams = {
+            documentId: id,
+            contentHash: version.content_hash || null,
+            mimeType: version.mime_type,
+            size: version.file_size,
+            filePath: version.file_path
+        };
+        queueContentIndexing(derivedParams);
+        queuePreviewGeneration(derivedParams);
+
+        queueVersionDiffStats({
+            version: restoredVersion,
+            previousText: document?.content
+        });
+        queueVersionPruning(id);
+
+        // Embedding cũ thuộc về file trước đó: embedding lại với ưu tiên cao,
+        // chunk cũ chỉ bị thay khi job mới thành công (xem embeddingQueue.swapEmbeddings)
+        let embeddingJobId = null;
+        if (EMBEDDABLE_MIME_TYPES.includes(version.mime_type)) {
+            try {
+                embeddingJobId = await embeddingQueue.add(id, 'high');
+            } catch (embeddingError) {
+                console.error('Queue embedding after restore error:', embeddingError);
+            }
+        }
+
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: userId,
+                activity_type: 'version_restored',
+                metadata: {
+                    document_id: id,
+                    version_id: restoredVersion.id,
+                    restored_from_version_id: version.id,
+                    restored_from_version_number: version.version_number
+                }
+            }]);
+
+        res.set('ETag', buildDocumentEtag(updatedDocument));
 
         return res.status(200).json({
             success: true,
             message: `Restored to version ${version.version_number}`,
-            data: version
+            data: restoredVersion,
+            embedding: buildEmbeddingResponse(embeddingJobId)
         });
 
     } catch (error) {
@@ -546,6 +894,7 @@ module.exports = {
     versionUpload,
     getDocumentVersions,
     createDocumentVersion,
+    getVersionDiff,
     restoreDocumentVersion,
     getDocumentBookmarks,
     addDocumentBookmark,
@@ -0,0 +1,170 @@
+/**
+ * Export Controller
+ * Export toàn bộ thư viện của user hoặc của group thành ZIP (job nền, poll qua /api/jobs/:id)
+ */
+const { supabase } = require('../config/supabase');
+const {
+    prepareExport,
+    runExport,
+    createExportDownloadUrl
+} = require('../services/exportService');
+const { createJob, runJob, formatJob, getJob, registerJobResumer } = require('../services/backgroundJobService');
+
+// Job export pending khi server khởi động lại: lập lại danh sách document (kiểm tra lại quyền) rồi chạy
+registerJobResumer('export', async (job, user) => {
+    const { scope, include_versions: includeVersions } = job.params || {};
+    if (!scope) return null;
+
+    const groupId = scope.type === 'group' ? scope.id : null;
+    const prepared = await prepareExport(user, groupId, { includeVersions: !!includeVersions });
+    if (!prepared.ok) return null;
+
+    return (context) => runExport(context, {
+        user,
+        scope: prepared.scope,
+        documents: prepared.documents,
+        includeVersions: !!includeVersions
+    });
+});
+
+/**
+ * Export every document of the current user, or of a group, as a ZIP archive
+ * POST /api/export
+ * Body: { group_id?, include_versions? }
+ */
+const createExport = async (req, res) => {
+    try {
+        const user = { id: req.user.id, email: req.user.email };
+        const { group_id } = req.body;
+        const includeVersions = req.body.include_versions === true;
+
+        const prepared = await prepareExport(user, group_id, { includeVersions });
+        if (!prepared.ok) {
+            const errorByStatus = { 403: 'Forbidden', 404: 'Not Found', 413: 'Payload Too Large' };
+            return res.status(prepared.status).json({
+                error: errorByStatus[prepared.status] || 'Bad Request',
+                message: prepared.message,
+                code: prepared.code
+            });
+        }
+
+        const { scope, documents, totalBytes, limits } = prepared;
+
+        const created = await createJob({
+            userId: user.id,
+            type: 'export',
+            params: {
+                scope,
+                include_versions: includeVersions,
+                total_bytes: totalBytes
+            },
+            totalItems: documents.length,
+            limits
+        });
+
+        if (!created.ok) {
+            const errorNames = { 429: 'Too Many Requests', 503: 'Service Unavailable' };
+            return res.status(created.status).json({
+                error: errorNames[created.status] || 'Bad Request',
+                message: created.message,
+                code: created.code
+            });
+        }
+
+        runJob(created.job, (context) => runExport(context, { user, scope, documents, includeVersions }));
+
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: user.id,
+                activity_type: 'library_exported',
+                metadata: {
+                    job_id: created.job.id,
+                    scope_type: scope.type,
+                    scope_id: scope.id,
+                    document_count: documents.length,
+                    include_versions: includeVersions
+                }
+            }]);
+
+        return res.status(202).json({
+            success: true,
+            data: {
+                job: formatJob(created.job),
+                status_url: `/api/jobs/${created.job.id}`
+            },
+            message: `Export of ${documents.length} document(s) queued`
+        });
+
+    } catch (error) {
+        console.error('Create export error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to start export'
+        });
+    }
+};
+
+/**
+ * Fresh download link for a finished export (the link stored on the job expires)
+ * GET /api/export/:jobId/download
+ */
+const getExportDownload = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+
+        const { data: job, error } = await getJob(req.user.id, jobId);
+        if (error || !job || job.job_type !== 'export') {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Export not found'
+            });
+        }
+
+        if (job.result?.expired) {
+            return res.status(410).json({
+                error: 'Gone',
+                message: 'Export file has expired. Start a new export',
+                code: 'EXPORT_EXPIRED'
+            });
+        }
+
+        if (job.status !== 'completed' || !job.result?.file_path) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `Export is ${job.status}`,
+                code: 'EXPORT_NOT_READY'
+            });
+        }
+
+        const download = await createExportDownloadUrl(job.result.file_path, job.result.file_name);
+        if (!download.url) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Export file is no longer available'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                url: download.url,
+                file_name: job.result.file_name,
+                size: job.result.size,
+                expires_at: download.expiresAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Get export download error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to generate export download URL'
+        });
+    }
+};
+
+module.exports = {
+    createExport,
+    getExportDownload
+};
@@ -1,5 +1,6 @@
 const { supabase } = require('../config/supabase');
 const { logGroupActivity } = require('./groupActivityController');
+const { fetchReadCounts } = require('../services/readingActivityService');
 
 /**
  * Groups Controller
@@ -308,7 +309,7 @@ const createGroup = async (req, res) => {
 const updateGroup = async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, description, color } = req.body;
+        const { name, description, color, max_upload_bytes } = req.body;
         const userId = req.user.id;
 
         // Check if user has permission to update
@@ -342,6 +343,27 @@ const updateGroup = async (req, res) => {
         if (description !== undefined) updateData.description = description?.trim() || null;
         if (color !== undefined) updateData.color = color;
 
+        // Giới hạn dung lượng upload của group, chỉ owner được đổi (null = dùng mặc định)
+        if (max_upload_bytes !== undefined) {
+            if (membership.role !== 'owner') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied',
+                    message: 'Only the group owner can change the upload limit'
+                });
+            }
+
+            const maxUploadBytes = max_upload_bytes === null ? null : Number(max_upload_bytes);
+            if (maxUploadBytes !== null && (!Number.isInteger(maxUploadBytes) || maxUploadBytes <= 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation error',
+                    message: 'max_upload_bytes must be a positive integer or null'
+                });
+            }
+            updateData.max_upload_bytes = maxUploadBytes;
+        }
+
         const { data: group, error } = await supabase
             .from('groups')
             .update(updateData)
@@ -504,22 +526,52 @@ const getGroupStats = async (req, res) => {
             console.error('Error getting member count:', memberCountError);
         }
 
-        // Get document count
+        // Get document count (không tính document trong thùng rác)
         const { count: documentCount, error: documentCountError } = await supabase
             .from('group_documents')
-            .select('*', { count: 'exact', head: true })
-            .eq('group_id', id);
+            .select('document_id, document:document_id!inner(deleted_at)', { count: 'exact', head: true })
+            .eq('group_id', id)
+            .is('document.deleted_at', null);
 
         if (documentCountError) {
             console.error('Error getting document count:', documentCountError);
         }
 
+        // Owner xem được lượt xem của từng document trong group
+        let documentViews;
+        if (membership.role === 'owner') {
+            const { data: groupDocuments, error: groupDocumentsError } = await supabase
+                .from('group_documents')
+                .select('document_id, document:document_id!inner(id, title, deleted_at)')
+                .eq('group_id', id)
+                .is('document.deleted_at', null);
+
+            if (groupDocumentsError) {
+                console.error('Error getting group documents for view counts:', groupDocumentsError);
+            }
+
+            const documents = (groupDocuments || []).map((entry) => entry.document);
+            const readCounts = await fetchReadCounts(documents.map((document) => document.id));
+
+            documentViews = documents
+                .map((document) => ({
+                    document_id: document.id,
+                    title: document.title,
+                    view_count: readCounts.get(document.id)?.view_count || 0,
+                    download_count: readCounts.get(document.id)?.download_count || 0,
+                    reader_count: readCounts.get(document.id)?.reader_count || 0,
+                    last_opened_at: readCounts.get(document.id)?.last_opened_at || null
+                }))
+                .sort((a, b) => b.view_count - a.view_count);
+        }
+
         res.json({
             success: true,
             data: {
                 member_count: memberCount || 0,
                 document_count: documentCount || 0,
-                user_role: membership.role
+                user_role: membership.role,
+                ...(documentViews ? { document_views: documentViews } : {})
             }
         });
     } catch (error) {
@@ -83,7 +83,8 @@ const getGroupDocuments = async (req, res) => {
         const { data: inlineDocuments, error: inlineError } = await supabase
             .from('documents')
             .select(DOC_SELECT)
-            .eq('group_id', groupId);
+            .eq('group_id', groupId)
+            .is('deleted_at', null);
 
         if (inlineError) {
             console.error('Fetch inline group documents error:', inlineError);
@@ -93,7 +94,7 @@ const getGroupDocuments = async (req, res) => {
         const combined = [];
 
         for (const entry of linkDocuments || []) {
-            if (!entry.document) continue;
+            if (!entry.document || entry.document.deleted_at) continue;
             combined.push({ ...entry.document, access_level: entry.access_level });
         }
 
@@ -0,0 +1,185 @@
+/**
+ * Import Controller
+ * Nhập document từ file ZIP (ZIP export của hệ thống hoặc cây thư mục bất kỳ)
+ * Cả dry_run=true (chỉ lập kế hoạch) lẫn import thật đều chạy thành job nền (poll qua /api/jobs/:id)
+ * vì phải giải nén và quét toàn bộ archive
+ */
+const multer = require('multer');
+const path = require('path');
+const { supabase } = require('../config/supabase');
+const { resolveUploadTarget } = require('../services/documentUploadService');
+const {
+    CONFLICT_STRATEGIES,
+    IMPORT_CONCURRENCY_LIMITS,
+    readArchive,
+    runImportPlan,
+    runImport
+} = require('../services/importService');
+const { checkJobLimits, createJob, runJob, formatJob } = require('../services/backgroundJobService');
+
+// Toàn bộ ZIP nằm trong memory trong lúc import (JSZip cần cả archive),
+// nên số import đồng thời bị giới hạn bởi IMPORT_CONCURRENCY_LIMITS
+const IMPORT_MAX_ARCHIVE_BYTES = parseInt(process.env.IMPORT_MAX_ARCHIVE_BYTES || String(200 * 1024 * 1024), 10);
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: IMPORT_MAX_ARCHIVE_BYTES
+    },
+    fileFilter: (req, file, cb) => {
+        if (ZIP_MIME_TYPES.includes(file.mimetype) && path.extname(file.originalname).toLowerCase() === '.zip') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only .zip archives can be imported'), false);
+        }
+    }
+});
+
+/**
+ * Từ chối sớm khi đã đủ số import đang chạy, trước khi nhận archive vào memory
+ * createJob kiểm tra lại giới hạn khi tạo job
+ */
+const checkImportCapacity = async (req, res, next) => {
+    const allowed = await checkJobLimits({ userId: req.user.id, type: 'import', limits: IMPORT_CONCURRENCY_LIMITS });
+    if (!allowed.ok) {
+        return res.status(allowed.status).json({
+            error: 'Too Many Requests',
+            message: allowed.message,
+            code: allowed.code
+        });
+    }
+    return next();
+};
+
+/**
+ * Category đích phải thuộc cùng phạm vi với import (thư viện cá nhân hoặc group)
+ */
+const validateParentCategory = async (categoryId, userId, groupId) => {
+    const { data: category } = await supabase
+        .from('categories')
+        .select('id, created_by, group_id')
+        .eq('id', categoryId)
+        .maybeSingle();
+
+    if (!category) return false;
+    return groupId
+        ? category.group_id === groupId
+        : category.created_by === userId && !category.group_id;
+};
+
+/**
+ * Import documents from a ZIP archive; folders become categories
+ * POST /api/import
+ * Multipart: archive (file), group_id?, category_id?, on_conflict? (skip | import), dry_run?
+ */
+const importArchive = async (req, res) => {
+    try {
+        const user = { id: req.user.id, email: req.user.email };
+        const groupId = req.body.group_id || null;
+        const parentCategoryId = req.body.category_id || null;
+        const onConflict = req.body.on_conflict || 'skip';
+        const dryRun = req.body.dry_run === 'true' || req.body.dry_run === true;
+
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'No archive provided'
+            });
+        }
+
+        if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `on_conflict must be one of: ${CONFLICT_STRATEGIES.join(', ')}`
+            });
+        }
+
+        const target = await resolveUploadTarget({ userId: user.id, groupId });
+        if (!target.ok) {
+            return res.status(target.status).json({
+                error: target.error,
+                message: target.message
+            });
+        }
+
+        if (parentCategoryId && !(await validateParentCategory(parentCategoryId, user.id, groupId))) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'category_id must be a category of the import target'
+            });
+        }
+
+        const archive = await readArchive(req.file.buffer);
+        if (!archive.ok) {
+            return res.status(archive.status).json({
+                error: archive.status === 413 ? 'Payload Too Large' : 'Bad Request',
+                message: archive.message,
+                code: archive.code
+            });
+        }
+
+        const created = await createJob({
+            userId: user.id,
+            type: 'import',
+            params: {
+                file_name: req.file.originalname,
+                group_id: groupId,
+                category_id: parentCategoryId,
+                on_conflict: onConflict,
+                manifest: !!archive.manifest,
+                dry_run: dryRun
+            },
+            totalItems: archive.files.length,
+            limits: IMPORT_CONCURRENCY_LIMITS
+        });
+
+        if (!created.ok) {
+            const errorNames = { 429: 'Too Many Requests', 503: 'Service Unavailable' };
+            return res.status(created.status).json({
+                error: errorNames[created.status] || 'Bad Request',
+                message: created.message,
+                code: created.code
+            });
+        }
+
+        const handler = dryRun ? runImportPlan : runImport;
+        runJob(created.job, (context) => handler(context, {
+            archive,
+            user,
+            target: {
+                groupId,
+                parentCategoryId,
+                groupMembership: target.groupMembership,
+                maxBytes: target.maxBytes
+            },
+            onConflict,
+            requestInfo: { ip: req.ip, userAgent: req.get('User-Agent') }
+        }));
+
+        return res.status(202).json({
+            success: true,
+            data: {
+                job: formatJob(created.job),
+                status_url: `/api/jobs/${created.job.id}`
+            },
+            message: dryRun
+                ? `Dry run of ${archive.files.length} file(s) queued, nothing will be written`
+                : `Import of ${archive.files.length} file(s) queued`
+        });
+
+    } catch (error) {
+        console.error('Import archive error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to import archive'
+        });
+    }
+};
+
+module.exports = {
+    checkImportCapacity,
+    importUpload,
+    importArchive
+};
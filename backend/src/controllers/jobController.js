@@ -0,0 +1,139 @@
+/**
+ * Job Controller
+ * Xem tiến độ và hủy job nền của user (bulk operation, export, import...)
+ */
+const { supabase } = require('../config/supabase');
+const { JOB_STATUSES, formatJob, getJob, requestCancel } = require('../services/backgroundJobService');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+/**
+ * List recent jobs of the current user
+ * GET /api/jobs?status=&type=
+ */
+const getMyJobs = async (req, res) => {
+    try {
+        const { status, type } = req.query;
+
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `status must be one of: ${JOB_STATUSES.join(', ')}`
+            });
+        }
+
+        let query = supabase
+            .from('background_jobs')
+            .select('*')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .limit(50);
+
+        if (status) query = query.eq('status', status);
+        if (type) query = query.eq('job_type', type);
+
+        const { data: jobs, error } = await query;
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return res.status(200).json({ success: true, data: [], count: 0 });
+            }
+            console.error('Get jobs error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        // Danh sách không kèm result (có thể rất lớn), xem chi tiết qua GET /api/jobs/:id
+        const data = (jobs || []).map((job) => ({ ...formatJob(job), result: undefined }));
+
+        return res.status(200).json({
+            success: true,
+            data,
+            count: data.length
+        });
+
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch jobs'
+        });
+    }
+};
+
+/**
+ * Get status and progress of a job
+ * GET /api/jobs/:id
+ */
+const getJobStatus = async (req, res) => {
+    try {
+        const { data: job, error } = await getJob(req.user.id, req.params.id);
+
+        if (error && !isMissingTableError(error)) {
+            console.error('Get job error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Job not found'
+            });
+        }
+
+        // Job chưa xong thì client phải poll lại
+        res.set('Cache-Control', 'no-store');
+
+        return res.status(200).json({
+            success: true,
+            data: formatJob(job)
+        });
+
+    } catch (error) {
+        console.error('Get job error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch job'
+        });
+    }
+};
+
+/**
+ * Cancel a pending or running job
+ * POST /api/jobs/:id/cancel
+ */
+const cancelJob = async (req, res) => {
+    try {
+        const result = await requestCancel(req.user.id, req.params.id);
+
+        if (!result.ok) {
+            return res.status(result.status).json({
+                error: result.status === 404 ? 'Not Found' : result.status === 409 ? 'Conflict' : 'Bad Request',
+                message: result.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: formatJob(result.job),
+            message: result.job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested'
+        });
+
+    } catch (error) {
+        console.error('Cancel job error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to cancel job'
+        });
+    }
+};
+
+module.exports = {
+    getMyJobs,
+    getJobStatus,
+    cancelJob
+};
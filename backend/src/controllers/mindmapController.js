@@ -0,0 +1,888 @@
+/**
+ * Mind Map Controller
+ * Map cá nhân hoặc của group; node tham chiếu document / category hoặc giữ ghi chú rich-text
+ * Canvas lưu một lần qua PUT /api/mindmaps/:mapId/batch; các endpoint node / edge đơn lẻ dùng chung đường lưu đó
+ * Map cũng có thể tạo sẵn từ cây category hoặc dàn ý của document (POST /api/mindmaps/generate/...)
+ */
+const { supabase } = require('../config/supabase');
+const { buildDocumentEtag, checkIfMatch } = require('../services/documentRevisionService');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+const {
+    isUuid,
+    getGroupRole,
+    listMindmaps,
+    normalizeTitle,
+    normalizeViewport,
+    saveMindmapBatch,
+    fetchMindmapGraph,
+    hydrateNodes
+} = require('../services/mindmapService');
+const {
+    buildCategoryTree,
+    buildDocumentOutline,
+    canCreateInScope,
+    createGeneratedMindmap
+} = require('../services/mindmapGenerationService');
+const { memberRoleAllows } = require('../middleware/acl');
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_GENERATE_DEPTH = 20;
+
+const errorNames = {
+    400: 'Bad Request',
+    403: 'Forbidden',
+    404: 'Not Found',
+    409: 'Conflict',
+    412: 'Precondition Failed',
+    422: 'Unprocessable Entity',
+    503: 'Service Unavailable'
+};
+
+const sendServiceError = (res, result, fallbackMessage) => {
+    if (!result.status) {
+        console.error(`${fallbackMessage}:`, result.error);
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: result.error?.message || fallbackMessage
+        });
+    }
+
+    return res.status(result.status).json({
+        error: errorNames[result.status] || 'Bad Request',
+        message: result.message,
+        code: result.code
+    });
+};
+
+// ETag của map dùng chung định dạng "<id>:<revision>" với document
+const sendRevisionMismatch = async (res, mapId) => {
+    const { data: current } = await supabase
+        .from('mindmaps')
+        .select('*')
+        .eq('id', mapId)
+        .maybeSingle();
+
+    if (current) {
+        res.set('ETag', buildDocumentEtag(current));
+    }
+
+    return res.status(412).json({
+        error: 'Precondition Failed',
+        message: 'Mind map has been modified by someone else. Reload it and try again.',
+        code: 'REVISION_MISMATCH',
+        data: current || null
+    });
+};
+
+const formatAccess = (access) => ({
+    role: access.role,
+    can_edit: access.canEdit,
+    can_manage: access.canManage
+});
+
+const normalizeDescription = (description) => {
+    if (description === undefined) return { ok: true, value: undefined };
+    if (description === null || description === '') return { ok: true, value: null };
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+        return { ok: false, message: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    return { ok: true, value: description };
+};
+
+/**
+ * Lưu batch cho một map và trả lỗi / 412 theo kiểu chung
+ * @returns {Promise<Object|null>} kết quả lưu, null khi đã trả response lỗi
+ */
+const runBatch = async (req, res, changes, failureMessage) => {
+    const precondition = checkIfMatch(req, req.mindmap);
+    if (!precondition.ok) {
+        await sendRevisionMismatch(res, req.mindmap.id);
+        return null;
+    }
+
+    const result = await saveMindmapBatch(
+        { id: req.user.id, email: req.user.email },
+        req.mindmap,
+        changes,
+        precondition.expectedRevision
+    );
+
+    if (!result.ok) {
+        if (result.code === 'REVISION_MISMATCH') {
+            await sendRevisionMismatch(res, req.mindmap.id);
+        } else {
+            sendServiceError(res, result, failureMessage);
+        }
+        return null;
+    }
+
+    res.set('ETag', buildDocumentEtag({ id: req.mindmap.id, revision: result.revision }));
+    return result;
+};
+
+const itemExists = async (table, mapId, itemId) => {
+    if (!isUuid(itemId)) return false;
+
+    const { data } = await supabase
+        .from(table)
+        .select('id')
+        .eq('id', itemId)
+        .eq('mindmap_id', mapId)
+        .maybeSingle();
+
+    return !!data;
+};
+
+const fetchNode = async (req, nodeId) => {
+    const { data: node } = await supabase
+        .from('mindmap_nodes')
+        .select('*')
+        .eq('id', nodeId)
+        .maybeSingle();
+
+    if (!node) return null;
+    const [hydrated] = await hydrateNodes({ id: req.user.id, email: req.user.email }, [node]);
+    return hydrated;
+};
+
+const fetchEdge = async (edgeId) => {
+    const { data: edge } = await supabase
+        .from('mindmap_edges')
+        .select('*')
+        .eq('id', edgeId)
+        .maybeSingle();
+
+    return edge;
+};
+
+/**
+ * List personal mind maps of the current user
+ * GET /api/mindmaps
+ */
+const getMindmaps = async (req, res) => {
+    try {
+        const result = await listMindmaps({ userId: req.user.id });
+        if (!result.ok) {
+            return sendServiceError(res, result, 'Get mind maps error');
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
+
+    } catch (error) {
+        console.error('Get mind maps error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch mind maps'
+        });
+    }
+};
+
+/**
+ * List mind maps of a group
+ * GET /api/mindmaps/groups/:groupId
+ */
+const getGroupMindmaps = async (req, res) => {
+    try {
+        const result = await listMindmaps({ groupId: req.params.groupId });
+        if (!result.ok) {
+            return sendServiceError(res, result, 'Get group mind maps error');
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
+
+    } catch (error) {
+        console.error('Get group mind maps error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch group mind maps'
+        });
+    }
+};
+
+/**
+ * Create a personal mind map, or a group mind map when mounted under /groups/:groupId
+ * POST /api/mindmaps
+ * POST /api/mindmaps/groups/:groupId
+ * Body: { title, description?, viewport? }
+ */
+const createMindmap = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const groupId = req.params.groupId || null;
+
+        const title = normalizeTitle(req.body.title);
+        const description = normalizeDescription(req.body.description);
+        const viewport = normalizeViewport(req.body.viewport);
+        const invalid = [title, description, viewport].find((field) => !field.ok);
+        if (invalid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: invalid.message
+            });
+        }
+
+        // Viewer của group chỉ được xem map
+        if (groupId && !memberRoleAllows(await getGroupRole(userId, groupId), 'edit')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Group viewers cannot create mind maps'
+            });
+        }
+
+        const { data, error } = await supabase
+            .from('mindmaps')
+            .insert([{
+                title: title.value,
+                description: description.value || null,
+                viewport: viewport.value || null,
+                group_id: groupId,
+                created_by: userId,
+                last_edited_by: userId
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return res.status(503).json({
+                    error: 'Service Unavailable',
+                    message: 'Mind maps are not configured. Run database/mindmaps.sql',
+                    code: 'MINDMAPS_UNAVAILABLE'
+                });
+            }
+            console.error('Create mind map error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: userId,
+                activity_type: 'mindmap_created',
+                metadata: { mindmap_id: data.id, mindmap_title: data.title, group_id: groupId }
+            }]);
+
+        res.set('ETag', buildDocumentEtag(data));
+
+        return res.status(201).json({
+            success: true,
+            data: { ...data, nodes: [], edges: [] },
+            message: 'Mind map created successfully'
+        });
+
+    } catch (error) {
+        console.error('Create mind map error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create mind map'
+        });
+    }
+};
+
+/**
+ * Get a mind map with its nodes (with document / category details) and edges
+ * GET /api/mindmaps/:mapId
+ */
+const getMindmap = async (req, res) => {
+    try {
+        const graph = await fetchMindmapGraph({ id: req.user.id, email: req.user.email }, req.mindmap);
+        if (!graph.ok) {
+            return sendServiceError(res, graph, 'Get mind map error');
+        }
+
+        res.set('ETag', buildDocumentEtag(req.mindmap));
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...req.mindmap,
+                access: formatAccess(req.mindmapAccess),
+                nodes: graph.nodes,
+                edges: graph.edges
+            }
+        });
+
+    } catch (error) {
+        console.error('Get mind map error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch mind map'
+        });
+    }
+};
+
+/**
+ * Update mind map title, description or viewport
+ * PUT /api/mindmaps/:mapId
+ * Body: { title?, description?, viewport? }
+ */
+const updateMindmap = async (req, res) => {
+    try {
+        const mindmap = req.mindmap;
+        const { title, description, viewport } = req.body;
+
+        const updateData = {};
+        if (title !== undefined) {
+            const normalized = normalizeTitle(title);
+            if (!normalized.ok) {
+                return res.status(400).json({ error: 'Bad Request', message: normalized.message });
+            }
+            updateData.title = normalized.value;
+        }
+
+        const normalizedDescription = normalizeDescription(description);
+        const normalizedViewport = normalizeViewport(viewport);
+        const invalid = [normalizedDescription, normalizedViewport].find((field) => !field.ok);
+        if (invalid) {
+            return res.status(400).json({ error: 'Bad Request', message: invalid.message });
+        }
+        if (normalizedDescription.value !== undefined) updateData.description = normalizedDescription.value;
+        if (normalizedViewport.value !== undefined) updateData.viewport = normalizedViewport.value;
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Nothing to update'
+            });
+        }
+
+        const precondition = checkIfMatch(req, mindmap);
+        if (!precondition.ok) {
+            return sendRevisionMismatch(res, mindmap.id);
+        }
+
+        // Chỉ cập nhật khi revision chưa đổi kể từ lúc middleware đọc map
+        const { data, error } = await supabase
+            .from('mindmaps')
+            .update({
+                ...updateData,
+                revision: mindmap.revision + 1,
+                last_edited_by: req.user.id,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', mindmap.id)
+            .eq('revision', mindmap.revision)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Update mind map error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!data) {
+            return sendRevisionMismatch(res, mindmap.id);
+        }
+
+        res.set('ETag', buildDocumentEtag(data));
+
+        return res.status(200).json({
+            success: true,
+            data,
+            message: 'Mind map updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update mind map error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update mind map'
+        });
+    }
+};
+
+/**
+ * Delete a mind map with its nodes and edges (documents and categories are untouched)
+ * DELETE /api/mindmaps/:mapId
+ */
+const deleteMindmap = async (req, res) => {
+    try {
+        const { error } = await supabase
+            .from('mindmaps')
+            .delete()
+            .eq('id', req.mindmap.id);
+
+        if (error) {
+            console.error('Delete mind map error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: req.user.id,
+                activity_type: 'mindmap_deleted',
+                metadata: { mindmap_id: req.mindmap.id, mindmap_title: req.mindmap.title, group_id: req.mindmap.group_id }
+            }]);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Mind map deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete mind map error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete mind map'
+        });
+    }
+};
+
+/**
+ * Save canvas changes in one call
+ * PUT /api/mindmaps/:mapId/batch
+ * Body: { nodes?, edges?, deleted_node_ids?, deleted_edge_ids?, viewport? }
+ *   node mới: id (UUID) hoặc client_id tạm; node cũ: id + các trường thay đổi (vd. chỉ position)
+ */
+const saveMindmap = async (req, res) => {
+    try {
+        const result = await runBatch(req, res, req.body || {}, 'Save mind map error');
+        if (!result) return;
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                revision: result.revision,
+                id_map: result.id_map,
+                node_ids: result.node_ids,
+                edge_ids: result.edge_ids
+            },
+            message: 'Mind map saved successfully'
+        });
+
+    } catch (error) {
+        console.error('Save mind map error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to save mind map'
+        });
+    }
+};
+
+/**
+ * Add a node
+ * POST /api/mindmaps/:mapId/nodes
+ * Body: { node_type, label?, document_id?, category_id?, note?, position?, width?, height?, style? }
+ */
+const createNode = async (req, res) => {
+    try {
+        const { id, client_id: ignoredClientId, ...input } = req.body || {};
+        if (id !== undefined && (!isUuid(id) || await itemExists('mindmap_nodes', req.mindmap.id, id))) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'id must be a new UUID'
+            });
+        }
+
+        const result = await runBatch(req, res, { nodes: [{ ...input, id }] }, 'Create mind map node error');
+        if (!result) return;
+
+        return res.status(201).json({
+            success: true,
+            data: { node: await fetchNode(req, result.node_ids[0]), revision: result.revision },
+            message: 'Node created successfully'
+        });
+
+    } catch (error) {
+        console.error('Create mind map node error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create node'
+        });
+    }
+};
+
+/**
+ * Update a node (partial)
+ * PUT /api/mindmaps/:mapId/nodes/:nodeId
+ */
+const updateNode = async (req, res) => {
+    try {
+        const { nodeId } = req.params;
+        if (!(await itemExists('mindmap_nodes', req.mindmap.id, nodeId))) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Node not found'
+            });
+        }
+
+        const { id, client_id: ignoredClientId, ...input } = req.body || {};
+        const result = await runBatch(req, res, { nodes: [{ ...input, id: nodeId }] }, 'Update mind map node error');
+        if (!result) return;
+
+        return res.status(200).json({
+            success: true,
+            data: { node: await fetchNode(req, nodeId), revision: result.revision },
+            message: 'Node updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update mind map node error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update node'
+        });
+    }
+};
+
+/**
+ * Delete a node and its edges
+ * DELETE /api/mindmaps/:mapId/nodes/:nodeId
+ */
+const deleteNode = async (req, res) => {
+    try {
+        const { nodeId } = req.params;
+        if (!(await itemExists('mindmap_nodes', req.mindmap.id, nodeId))) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Node not found'
+            });
+        }
+
+        const result = await runBatch(req, res, { deleted_node_ids: [nodeId] }, 'Delete mind map node error');
+        if (!result) return;
+
+        return res.status(200).json({
+            success: true,
+            data: { revision: result.revision },
+            message: 'Node deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete mind map node error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete node'
+        });
+    }
+};
+
+/**
+ * Connect two nodes
+ * POST /api/mindmaps/:mapId/edges
+ * Body: { source_node_id, target_node_id, label?, style? }
+ */
+const createEdge = async (req, res) => {
+    try {
+        const { id, ...input } = req.body || {};
+        if (id !== undefined && (!isUuid(id) || await itemExists('mindmap_edges', req.mindmap.id, id))) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'id must be a new UUID'
+            });
+        }
+
+        const result = await runBatch(req, res, { edges: [{ ...input, id }] }, 'Create mind map edge error');
+        if (!result) return;
+
+        return res.status(201).json({
+            success: true,
+            data: { edge: await fetchEdge(result.edge_ids[0]), revision: result.revision },
+            message: 'Edge created successfully'
+        });
+
+    } catch (error) {
+        console.error('Create mind map edge error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create edge'
+        });
+    }
+};
+
+/**
+ * Update an edge (partial)
+ * PUT /api/mindmaps/:mapId/edges/:edgeId
+ */
+const updateEdge = async (req, res) => {
+    try {
+        const { edgeId } = req.params;
+        if (!(await itemExists('mindmap_edges', req.mindmap.id, edgeId))) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Edge not found'
+            });
+        }
+
+        const { id, ...input } = req.body || {};
+        const result = await runBatch(req, res, { edges: [{ ...input, id: edgeId }] }, 'Update mind map edge error');
+        if (!result) return;
+
+        return res.status(200).json({
+            success: true,
+            data: { edge: await fetchEdge(edgeId), revision: result.revision },
+            message: 'Edge updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update mind map edge error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update edge'
+        });
+    }
+};
+
+/**
+ * Delete an edge
+ * DELETE /api/mindmaps/:mapId/edges/:edgeId
+ */
+const deleteEdge = async (req, res) => {
+    try {
+        const { edgeId } = req.params;
+        if (!(await itemExists('mindmap_edges', req.mindmap.id, edgeId))) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Edge not found'
+            });
+        }
+
+        const result = await runBatch(req, res, { deleted_edge_ids: [edgeId] }, 'Delete mind map edge error');
+        if (!result) return;
+
+        return res.status(200).json({
+            success: true,
+            data: { revision: result.revision },
+            message: 'Edge deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete mind map edge error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete edge'
+        });
+    }
+};
+
+/**
+ * max_depth không gửi = không giới hạn
+ */
+const parseMaxDepth = (value) => {
+    if (value === undefined || value === null || value === '') return { ok: true, value: null };
+    const depth = Number(value);
+    if (!Number.isInteger(depth) || depth < 0 || depth > MAX_GENERATE_DEPTH) {
+        return { ok: false, message: `max_depth must be an integer between 0 and ${MAX_GENERATE_DEPTH}` };
+    }
+    return { ok: true, value: depth };
+};
+
+/**
+ * Trả map vừa tạo kèm node / edge giống GET /api/mindmaps/:mapId
+ */
+const sendGeneratedMindmap = async (req, res, generated, source) => {
+    const user = { id: req.user.id, email: req.user.email };
+    const graph = await fetchMindmapGraph(user, generated.mindmap);
+    if (!graph.ok) {
+        return sendServiceError(res, graph, 'Generate mind map error');
+    }
+
+    await supabase
+        .from('activity_logs')
+        .insert([{
+            user_id: user.id,
+            activity_type: 'mindmap_generated',
+            metadata: {
+                mindmap_id: generated.mindmap.id,
+                mindmap_title: generated.mindmap.title,
+                group_id: generated.mindmap.group_id,
+                source,
+                node_count: generated.node_count
+            }
+        }]);
+
+    res.set('ETag', buildDocumentEtag(generated.mindmap));
+
+    return res.status(201).json({
+        success: true,
+        data: {
+            ...generated.mindmap,
+            nodes: graph.nodes,
+            edges: graph.edges,
+            truncated: generated.truncated
+        },
+        message: generated.truncated
+            ? `Mind map generated with the first ${generated.node_count} nodes (limit reached)`
+            : 'Mind map generated successfully'
+    });
+};
+
+/**
+ * Generate a mind map from a category subtree (categories become branches, documents become leaves).
+ * Without category_id the whole personal library (or group library with group_id) is used
+ * POST /api/mindmaps/generate/category
+ * Body: { category_id?, group_id?, title?, description?, include_documents? (default true), max_depth? }
+ */
+const generateFromCategory = async (req, res) => {
+    try {
+        const user = { id: req.user.id, email: req.user.email };
+        const { category_id: categoryId, group_id: groupId, title, include_documents: includeDocuments } = req.body;
+
+        const maxDepth = parseMaxDepth(req.body.max_depth);
+        const description = normalizeDescription(req.body.description);
+        const invalid = [maxDepth, description].find((field) => !field.ok);
+        if (invalid) {
+            return res.status(400).json({ error: 'Bad Request', message: invalid.message });
+        }
+        const customTitle = title !== undefined ? normalizeTitle(title) : null;
+        if (customTitle && !customTitle.ok) {
+            return res.status(400).json({ error: 'Bad Request', message: customTitle.message });
+        }
+
+        const built = await buildCategoryTree(user, {
+            categoryId: categoryId || null,
+            groupId: groupId || null,
+            includeDocuments: includeDocuments !== false && includeDocuments !== 'false',
+            maxDepth: maxDepth.value
+        });
+        if (!built.ok) {
+            return sendServiceError(res, built, 'Build category mind map error');
+        }
+
+        // Map cùng phạm vi với category nguồn
+        if (!(await canCreateInScope(user, built.groupId))) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Group viewers cannot create mind maps'
+            });
+        }
+
+        const source = { type: 'category', category_id: categoryId || null, group_id: built.groupId };
+        const generated = await createGeneratedMindmap(user, {
+            tree: built.tree,
+            title: customTitle ? customTitle.value : built.title,
+            description: description.value || null,
+            groupId: built.groupId,
+            source
+        });
+        if (!generated.ok) {
+            return sendServiceError(res, generated, 'Generate category mind map error');
+        }
+
+        return sendGeneratedMindmap(req, res, generated, source);
+
+    } catch (error) {
+        console.error('Generate category mind map error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to generate mind map'
+        });
+    }
+};
+
+/**
+ * Generate a mind map from a document's headings, or from its pages / slides / sheets when it has none
+ * POST /api/mindmaps/generate/document/:id
+ * Body: { group_id?, title?, description?, max_depth? }
+ */
+const generateFromDocument = async (req, res) => {
+    try {
+        const user = { id: req.user.id, email: req.user.email };
+        const groupId = req.body.group_id || null;
+        const { title } = req.body;
+
+        const maxDepth = parseMaxDepth(req.body.max_depth);
+        const description = normalizeDescription(req.body.description);
+        const invalid = [maxDepth, description].find((field) => !field.ok);
+        if (invalid) {
+            return res.status(400).json({ error: 'Bad Request', message: invalid.message });
+        }
+        const customTitle = title !== undefined ? normalizeTitle(title) : null;
+        if (customTitle && !customTitle.ok) {
+            return res.status(400).json({ error: 'Bad Request', message: customTitle.message });
+        }
+
+        // Dàn ý chứa heading / đoạn trích của document: document có mật khẩu chỉ tạo được map cá nhân,
+        // nếu không thành viên group đọc được nội dung mà không cần mở khóa
+        if (groupId && req.documentAccess?.isProtected) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Mind maps of password-protected documents can only be personal',
+                code: 'PROTECTED_DOCUMENT_PERSONAL_ONLY'
+            });
+        }
+
+        if (!(await canCreateInScope(user, groupId))) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Only group members with edit rights can create group mind maps'
+            });
+        }
+
+        const { data: document, error } = await supabase
+            .from('documents')
+            .select('id, title, content, content_pages')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error) {
+            console.error('Generate document mind map error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const built = buildDocumentOutline(document, { maxDepth: maxDepth.value });
+        if (!built.ok) {
+            return sendServiceError(res, built, 'Build document outline error');
+        }
+
+        const source = { type: 'document_outline', document_id: document.id, outline: built.outline };
+        const generated = await createGeneratedMindmap(user, {
+            tree: built.tree,
+            title: customTitle ? customTitle.value : document.title,
+            description: description.value || null,
+            groupId,
+            source
+        });
+        if (!generated.ok) {
+            return sendServiceError(res, generated, 'Generate document mind map error');
+        }
+
+        return sendGeneratedMindmap(req, res, generated, source);
+
+    } catch (error) {
+        console.error('Generate document mind map error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to generate mind map'
+        });
+    }
+};
+
+module.exports = {
+    getMindmaps,
+    getGroupMindmaps,
+    createMindmap,
+    getMindmap,
+    updateMindmap,
+    deleteMindmap,
+    saveMindmap,
+    createNode,
+    updateNode,
+    deleteNode,
+    createEdge,
+    updateEdge,
+    deleteEdge,
+    generateFromCategory,
+    generateFromDocument
+};
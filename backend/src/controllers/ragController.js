@@ -1,6 +1,10 @@
 const path = require('path');
 const { spawn } = require('child_process');
 const ragFastAPIService = require('../services/ragFastAPIService');
+const { generateRagMindmap } = require('../services/ragMindmapService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_TOPIC_LENGTH = 500;
 
 /**
  * POST /api/rag/chat
@@ -139,4 +143,59 @@ async function chatRAG(req, res) {
   }
 }
 
-module.exports = { chatRAG };
+/**
+ * POST /api/rag/mindmap
+ * Tạo mind map cho một chủ đề từ các chunk liên quan trong tài liệu user xem được.
+ * Mỗi node kèm citations (document + chunk); kết quả chưa được lưu, client lưu qua /api/mindmaps
+ *
+ * Body: { topic, topK?, documentIds?, model? }
+ * Auth: JWT token (req.user.id)
+ */
+async function generateMindmapRAG(req, res) {
+  try {
+    const { topic, topK, documentIds, model } = req.body || {};
+    if (!topic || typeof topic !== 'string' || !topic.trim() || topic.length > MAX_TOPIC_LENGTH) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Field 'topic' là bắt buộc (tối đa ${MAX_TOPIC_LENGTH} ký tự)`,
+        code: 'INVALID_TOPIC'
+      });
+    }
+
+    if (documentIds !== undefined && (!Array.isArray(documentIds) || !documentIds.every((id) => UUID_PATTERN.test(id)))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: "Field 'documentIds' phải là mảng UUID",
+        code: 'INVALID_DOCUMENT_IDS'
+      });
+    }
+
+    const result = await generateRagMindmap(
+      { id: req.user.id, email: req.user.email },
+      { topic: topic.trim(), topK, documentIds: documentIds || null, model }
+    );
+
+    if (!result.ok) {
+      const errorNames = { 422: 'Unprocessable Entity', 502: 'Bad Gateway', 503: 'Service Unavailable' };
+      return res.status(result.status).json({
+        error: errorNames[result.status] || 'Bad Request',
+        message: result.message,
+        code: result.code
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('[RAG] Mind map handler error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message,
+      code: 'RAG_MINDMAP_ERROR'
+    });
+  }
+}
+
+module.exports = { chatRAG, generateMindmapRAG };
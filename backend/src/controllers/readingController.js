@@ -0,0 +1,233 @@
+/**
+ * Reading Controller
+ * Document mở gần đây, "continue reading" và lưu trang đang đọc của user
+ */
+const { supabase } = require('../config/supabase');
+const { hasDocumentAccess } = require('../middleware/acl');
+const { recordDocumentRead } = require('../services/readingActivityService');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const READ_SELECT = `
+    document_id,
+    open_count,
+    download_count,
+    last_action,
+    last_page,
+    total_pages,
+    first_opened_at,
+    last_opened_at,
+    document:document_id!inner (
+        id,
+        title,
+        file_name,
+        mime_type,
+        document_type,
+        file_size,
+        created_by,
+        group_id,
+        updated_at,
+        deleted_at
+    )
+`;
+
+const parseLimit = (value) => Math.min(Math.max(parseInt(value, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+/**
+ * Bỏ document user không còn quyền xem và định dạng kết quả
+ */
+const formatReads = async (user, reads) => {
+    const access = new Map();
+    for (const read of reads) {
+        if (!access.has(read.document.id)) {
+            access.set(read.document.id, await hasDocumentAccess(user.id, user.email, read.document, 'view'));
+        }
+    }
+
+    return reads
+        .filter((read) => access.get(read.document.id))
+        .map(({ document, ...read }) => ({
+            ...read,
+            progress: read.last_page && read.total_pages
+                ? Math.min(read.last_page / read.total_pages, 1)
+                : null,
+            document: {
+                id: document.id,
+                title: document.title,
+                file_name: document.file_name,
+                mime_type: document.mime_type,
+                document_type: document.document_type,
+                file_size: document.file_size,
+                updated_at: document.updated_at
+            }
+        }));
+};
+
+/**
+ * Documents recently opened by the current user
+ * GET /api/me/recent?limit=
+ */
+const getRecentDocuments = async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+
+        const { data: reads, error } = await supabase
+            .from('document_reads')
+            .select(READ_SELECT)
+            .eq('user_id', req.user.id)
+            .is('document.deleted_at', null)
+            .order('last_opened_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return res.status(200).json({ success: true, data: [], count: 0 });
+            }
+            console.error('Get recent documents error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const data = await formatReads(req.user, reads || []);
+
+        return res.status(200).json({
+            success: true,
+            data,
+            count: data.length
+        });
+
+    } catch (error) {
+        console.error('Get recent documents error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch recent documents'
+        });
+    }
+};
+
+/**
+ * Documents the current user started but has not finished reading
+ * GET /api/me/continue-reading?limit=
+ */
+const getContinueReading = async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+
+        // Lấy dư để bù những document đã đọc xong bị lọc bỏ
+        const { data: reads, error } = await supabase
+            .from('document_reads')
+            .select(READ_SELECT)
+            .eq('user_id', req.user.id)
+            .gt('last_page', 1)
+            .is('document.deleted_at', null)
+            .order('last_opened_at', { ascending: false })
+            .limit(limit * 2);
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return res.status(200).json({ success: true, data: [], count: 0 });
+            }
+            console.error('Get continue reading error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const unfinished = (reads || []).filter((read) => !read.total_pages || read.last_page < read.total_pages);
+        const data = (await formatReads(req.user, unfinished)).slice(0, limit);
+
+        return res.status(200).json({
+            success: true,
+            data,
+            count: data.length
+        });
+
+    } catch (error) {
+        console.error('Get continue reading error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch reading progress'
+        });
+    }
+};
+
+/**
+ * Save the page the current user is reading
+ * PUT /api/documents/:id/progress
+ * Body: { page, total_pages? }
+ */
+const updateReadingProgress = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { page, total_pages } = req.body;
+
+        const pageNumber = Number(page);
+        if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Valid page is required'
+            });
+        }
+
+        if (total_pages !== undefined && total_pages !== null) {
+            const totalPages = Number(total_pages);
+            if (!Number.isInteger(totalPages) || totalPages < pageNumber) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'total_pages must be an integer not less than page'
+                });
+            }
+        }
+
+        const result = await recordDocumentRead({
+            documentId: id,
+            userId: req.user.id,
+            action: 'progress',
+            page: pageNumber,
+            totalPages: total_pages
+        });
+
+        if (!result.ok) {
+            if (isMissingTableError(result.error)) {
+                return res.status(503).json({
+                    error: 'Service Unavailable',
+                    message: 'Reading progress is not configured. Run database/document_reads.sql',
+                    code: 'READING_PROGRESS_UNAVAILABLE'
+                });
+            }
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: result.error?.message || 'Failed to save reading progress'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                document_id: id,
+                last_page: result.data?.last_page ?? pageNumber,
+                total_pages: result.data?.total_pages ?? null,
+                last_opened_at: result.data?.last_opened_at || null
+            },
+            message: 'Reading progress saved'
+        });
+
+    } catch (error) {
+        console.error('Update reading progress error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to save reading progress'
+        });
+    }
+};
+
+module.exports = {
+    getRecentDocuments,
+    getContinueReading,
+    updateReadingProgress
+};
@@ -1,8 +1,17 @@
 const { supabase } = require('../config/supabase');
+const { parseTagFilter, applyTagFilter, fetchTagsWithCounts } = require('../services/tagService');
+const { getActiveUnlockGrant } = require('../middleware/acl');
+
+// Cột trả về trong kết quả tìm kiếm; content chỉ đọc qua GET /api/documents/:id/content
+const SEARCH_DOCUMENT_COLUMNS = 'id, title, description, file_name, file_type, file_size, category_id, tags, is_protected, created_at, updated_at';
+// Số ký tự lấy quanh từ khóa đầu tiên khi trả đoạn trích nội dung
+const CONTENT_EXCERPT_RADIUS = 200;
 
 /**
  * Tìm kiếm toàn diện với full-text search
  * GET /api/search
+ * Chỉ khớp title / description / file_name; tìm trong nội dung file dùng GET /api/search/content,
+ * đọc nội dung dùng GET /api/documents/:id/content
  */
 const globalSearch = async (req, res) => {
     try {
@@ -12,6 +21,7 @@ const globalSearch = async (req, res) => {
             type,
             category_id,
             file_type,
+            tag_mode,
             date_start,
             date_end,
             size_min,
@@ -20,7 +30,6 @@ const globalSearch = async (req, res) => {
             offset = 0,
             sort_by = 'relevance',
             sort_order = 'desc',
-            include_content = false,
             fuzzy_search = true
         } = req.query;
 
@@ -39,7 +48,7 @@ const globalSearch = async (req, res) => {
         let documentsQuery = supabase
             .from('documents')
             .select(`
-                *,
+                ${SEARCH_DOCUMENT_COLUMNS},
                 categories:category_id (
                     id,
                     name,
@@ -47,7 +56,8 @@ const globalSearch = async (req, res) => {
                     description
                 )
             `)
-            .eq('created_by', userId);
+            .eq('created_by', userId)
+            .is('deleted_at', null);
 
         // Tạo base query cho categories
         let categoriesQuery = supabase
@@ -83,6 +93,10 @@ const globalSearch = async (req, res) => {
             documentsQuery = documentsQuery.eq('file_type', file_type);
         }
 
+        // ?tags=a,b&tag_mode=all|any
+        const tagFilter = parseTagFilter(req.query.tags);
+        documentsQuery = applyTagFilter(documentsQuery, tagFilter, tag_mode);
+
         if (date_start && date_end) {
             documentsQuery = documentsQuery
                 .gte('created_at', date_start)
@@ -117,7 +131,6 @@ const globalSearch = async (req, res) => {
                     id: doc.id,
                     type: 'document',
                     title: doc.title,
-                    content: include_content ? doc.content : undefined,
                     description: doc.description,
                     file_name: doc.file_name,
                     file_type: doc.file_type,
@@ -125,6 +138,7 @@ const globalSearch = async (req, res) => {
                     category_id: doc.category_id,
                     category_name: doc.categories?.name,
                     category_color: doc.categories?.color,
+                    tags: doc.tags || [],
                     created_at: doc.created_at,
                     updated_at: doc.updated_at,
                     relevance_score: calculateRelevanceScore(doc, searchQuery)
@@ -228,6 +242,7 @@ const globalSearch = async (req, res) => {
                 type,
                 category_id,
                 file_type,
+                tags: tagFilter.length ? { values: tagFilter, mode: tag_mode === 'any' ? 'any' : 'all' } : undefined,
                 date_range: date_start && date_end ? { start: date_start, end: date_end } : undefined,
                 size_range: size_min && size_max ? { min: parseInt(size_min), max: parseInt(size_max) } : undefined
             },
@@ -363,7 +378,7 @@ const quickSearch = async (req, res) => {
         category_id,
         categories:category_id (name, color)
       `)
-
+      .is('deleted_at', null)
       .or(`title.ilike.%${searchQuery}%,file_name.ilike.%${searchQuery}%`)
       .order('created_at', { ascending: false })
       .limit(searchLimit);
@@ -439,10 +454,13 @@ const searchInContent = async (req, res) => {
         let query_builder = supabase
             .from('documents')
             .select(`
-                *,
+                ${SEARCH_DOCUMENT_COLUMNS},
+                content,
+                content_pages,
                 categories:category_id (name, color)
             `)
             .eq('created_by', userId)
+            .is('deleted_at', null)
             .ilike('content', `%${searchQuery}%`);
 
         // Filter by file types
@@ -461,11 +479,18 @@ const searchInContent = async (req, res) => {
             });
         }
 
-        const results = data.map(doc => ({
+        // Document có mật khẩu chỉ xuất hiện khi user đang có unlock grant còn hạn
+        const visible = [];
+        for (const doc of data) {
+            if (doc.is_protected && !(await getActiveUnlockGrant(userId, doc.id))) continue;
+            visible.push(doc);
+        }
+
+        const results = visible.map(doc => ({
             id: doc.id,
             type: 'document',
             title: doc.title,
-            content: doc.content,
+            content: contentExcerpt(doc.content, searchQuery),
             description: doc.description,
             file_name: doc.file_name,
             file_type: doc.file_type,
@@ -474,8 +499,9 @@ const searchInContent = async (req, res) => {
             category_color: doc.categories?.color,
             created_at: doc.created_at,
             updated_at: doc.updated_at,
+            matched_pages: findMatchingPages(doc.content, doc.content_pages, searchQuery),
             highlight: {
-                content: highlightText(doc.content, searchQuery)
+                content: highlightText(contentExcerpt(doc.content, searchQuery), searchQuery)
             }
         }));
 
@@ -517,6 +543,7 @@ const getSuggestions = async (req, res) => {
             .from('documents')
             .select('title')
             .eq('created_by', userId)
+            .is('deleted_at', null)
             .ilike('title', `%${searchQuery}%`)
             .limit(searchLimit);
 
@@ -785,11 +812,6 @@ function calculateRelevanceScore(item, query) {
         score += 3;
     }
     
-    // Content match (if available)
-    if (item.content && item.content.toLowerCase().includes(queryLower)) {
-        score += 2;
-    }
-    
     // Exact match bonus
     if (item.title && item.title.toLowerCase() === queryLower) {
         score += 20;
@@ -808,6 +830,41 @@ function highlightText(text, query) {
     return text.replace(regex, '<mark>$1</mark>');
 }
 
+/**
+ * Helper function: Đoạn trích quanh lần xuất hiện đầu tiên của từ khóa (không trả cả nội dung)
+ */
+function contentExcerpt(text, query) {
+    if (!text) return '';
+
+    const index = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+    const start = Math.max(0, index - CONTENT_EXCERPT_RADIUS);
+    const end = Math.min(text.length, (index === -1 ? 0 : index + query.length) + CONTENT_EXCERPT_RADIUS);
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Helper function: Các trang (theo content_pages) có chứa từ khóa
+ */
+function findMatchingPages(text, pages, query) {
+    if (!text || !Array.isArray(pages) || !pages.length || !query) return [];
+
+    const lowerText = text.toLowerCase();
+    const lowerQuery = query.toLowerCase();
+    const matched = [];
+
+    let index = lowerText.indexOf(lowerQuery);
+    while (index !== -1) {
+        const page = pages.find(p => index >= p.start && index < p.end);
+        if (page && !matched.some(m => m.page === page.page)) {
+            matched.push({ page: page.page, label: page.label });
+        }
+        index = lowerText.indexOf(lowerQuery, index + lowerQuery.length);
+    }
+
+    return matched;
+}
+
 /**
  * Helper function: Get search facets
  */
@@ -823,11 +880,18 @@ async function getSearchFacets(userId, query) {
         const { data: fileTypes, error: typesError } = await supabase
             .from('documents')
             .select('file_type')
-            .eq('created_by', userId);
+            .eq('created_by', userId)
+            .is('deleted_at', null);
+
+        // Tag facets (registry của user kèm số document)
+        const tagsResult = await fetchTagsWithCounts({ type: 'user', id: userId });
 
         const facets = {
             categories: categories || [],
-            file_types: []
+            file_types: [],
+            tags: tagsResult.ok
+                ? tagsResult.data.map(tag => ({ name: tag.name, color: tag.color, count: tag.document_count }))
+                : []
         };
 
         if (!typesError && fileTypes) {
@@ -845,7 +909,7 @@ async function getSearchFacets(userId, query) {
         return facets;
     } catch (error) {
         console.error('Get facets error:', error);
-        return { categories: [], file_types: [] };
+        return { categories: [], file_types: [], tags: [] };
     }
 }
 
@@ -0,0 +1,576 @@
+/**
+ * Public Share Link Controller
+ * Owners mint anonymous links for a document; anyone holding the token
+ * can fetch a short-lived signed URL via GET /s/:token
+ */
+const { supabase } = require('../config/supabase');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('../services/passwordHasher');
+const { createSignedFileUrl } = require('../services/blobStore');
+
+const SHARE_LINK_SELECT = 'id, document_id, token, label, created_by, expires_at, max_downloads, download_count, access_count, last_accessed_at, is_active, revoked_at, created_at, password_hash';
+
+// Signed URL cho link công khai sống ngắn hơn download thường (mặc định 5 phút)
+const SHARE_LINK_URL_TTL = parseInt(process.env.SHARE_LINK_URL_TTL_SECONDS || '300', 10);
+const DEFAULT_LINK_EXPIRY_DAYS = 7;
+// Khóa link sau N lần nhập sai mật khẩu liên tiếp
+const UNLOCK_MAX_ATTEMPTS = parseInt(process.env.SHARE_LINK_UNLOCK_MAX_ATTEMPTS || '5', 10);
+const UNLOCK_LOCKOUT_SECONDS = parseInt(process.env.SHARE_LINK_UNLOCK_LOCKOUT_SECONDS || '900', 10);
+
+const logDocumentActivity = async (userId, activityType, metadata = {}) => {
+    try {
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: userId,
+                activity_type: activityType,
+                metadata
+            }]);
+    } catch (error) {
+        console.error('Failed to log share link activity:', error);
+    }
+};
+
+/**
+ * Ẩn password_hash, chỉ trả về cờ is_protected
+ */
+const toPublicLink = (link) => {
+    const { password_hash, ...rest } = link;
+    return {
+        ...rest,
+        is_protected: !!password_hash,
+        is_expired: !!(link.expires_at && new Date(link.expires_at) <= new Date()),
+        is_exhausted: link.max_downloads !== null && link.max_downloads !== undefined && link.download_count >= link.max_downloads
+    };
+};
+
+// ============================================
+// OWNER ENDPOINTS
+// ============================================
+
+/**
+ * Create a public share link
+ * POST /api/documents/:id/links
+ * Body: { label?, expires_at?, expires_in_days?, max_downloads?, password? }
+ */
+const createShareLink = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+        const { label, expires_at, expires_in_days, max_downloads, password } = req.body;
+
+        let expiresAt;
+        if (expires_at === null) {
+            expiresAt = null;
+        } else if (expires_at !== undefined) {
+            const date = new Date(expires_at);
+            if (Number.isNaN(date.getTime()) || date <= new Date()) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'expires_at must be a valid future date'
+                });
+            }
+            expiresAt = date.toISOString();
+        } else {
+            const days = expires_in_days !== undefined ? Number(expires_in_days) : DEFAULT_LINK_EXPIRY_DAYS;
+            if (!Number.isFinite(days) || days <= 0) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'expires_in_days must be a positive number'
+                });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 3600 * 1000).toISOString();
+        }
+
+        let maxDownloads = null;
+        if (max_downloads !== undefined && max_downloads !== null) {
+            maxDownloads = Number(max_downloads);
+            if (!Number.isInteger(maxDownloads) || maxDownloads < 1) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'max_downloads must be a positive integer'
+                });
+            }
+        }
+
+        let passwordHash = null;
+        if (password !== undefined && password !== null && password !== '') {
+            if (typeof password !== 'string' || password.length < 6) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'Password must be at least 6 characters'
+                });
+            }
+            passwordHash = await hashPassword(password);
+        }
+
+        const { data: document, error: docError } = await supabase
+            .from('documents')
+            .select('id, title, is_protected, password_hash')
+            .eq('id', id)
+            .single();
+
+        if (docError || !document) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Document not found'
+            });
+        }
+
+        // Link không thử mật khẩu của document (không có lockout cho người ẩn danh): tài liệu có mật khẩu cần mật khẩu riêng cho link
+        if (document.is_protected && document.password_hash && !passwordHash) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Links to a password protected document need their own password',
+                code: 'LINK_PASSWORD_REQUIRED'
+            });
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+
+        const { data, error } = await supabase
+            .from('document_share_links')
+            .insert([{
+                document_id: id,
+                token,
+                label: label || null,
+                created_by: userId,
+                password_hash: passwordHash,
+                expires_at: expiresAt,
+                max_downloads: maxDownloads
+            }])
+            .select(SHARE_LINK_SELECT)
+            .single();
+
+        if (error) {
+            console.error('Create share link error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await logDocumentActivity(userId, 'share_link_created', {
+            document_id: id,
+            document_title: document.title,
+            link_id: data.id,
+            expires_at: data.expires_at,
+            max_downloads: data.max_downloads,
+            is_protected: !!passwordHash
+        });
+
+        return res.status(201).json({
+            success: true,
+            data: {
+                ...toPublicLink(data),
+                path: `/s/${token}`
+            },
+            message: 'Share link created successfully'
+        });
+
+    } catch (error) {
+        console.error('Create share link error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create share link'
+        });
+    }
+};
+
+/**
+ * List share links of a document
+ * GET /api/documents/:id/links
+ */
+const getDocumentShareLinks = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data, error } = await supabase
+            .from('document_share_links')
+            .select(SHARE_LINK_SELECT)
+            .eq('document_id', id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Get share links error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const links = (data || []).map(toPublicLink);
+
+        return res.status(200).json({
+            success: true,
+            data: links,
+            count: links.length
+        });
+
+    } catch (error) {
+        console.error('Get share links error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch share links'
+        });
+    }
+};
+
+/**
+ * List all share links created by the current user
+ * GET /api/documents/links
+ */
+const getMyShareLinks = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { active_only } = req.query;
+
+        let query = supabase
+            .from('document_share_links')
+            .select(`
+                ${SHARE_LINK_SELECT},
+                document:document_id (
+                    id,
+                    title,
+                    file_name
+                )
+            `)
+            .eq('created_by', userId)
+            .order('created_at', { ascending: false });
+
+        if (active_only === 'true') {
+            query = query.eq('is_active', true);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Get my share links error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const links = (data || []).map(toPublicLink);
+
+        return res.status(200).json({
+            success: true,
+            data: links,
+            count: links.length
+        });
+
+    } catch (error) {
+        console.error('Get my share links error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch share links'
+        });
+    }
+};
+
+/**
+ * Revoke a share link
+ * DELETE /api/documents/:id/links/:linkId
+ */
+const revokeShareLink = async (req, res) => {
+    try {
+        const { id, linkId } = req.params;
+        const userId = req.user.id;
+
+        const { data, error } = await supabase
+            .from('document_share_links')
+            .update({
+                is_active: false,
+                revoked_at: new Date().toISOString()
+            })
+            .eq('id', linkId)
+            .eq('document_id', id)
+            .eq('is_active', true)
+            .select('id')
+            .single();
+
+        if (error || !data) {
+            if (!error || error.code === 'PGRST116') {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'Share link not found'
+                });
+            }
+            console.error('Revoke share link error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        await logDocumentActivity(userId, 'share_link_revoked', {
+            document_id: id,
+            link_id: linkId
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Share link revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke share link error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to revoke share link'
+        });
+    }
+};
+
+// ============================================
+// PUBLIC ENDPOINTS (không cần đăng nhập)
+// ============================================
+
+/**
+ * Resolve link: kiểm tra hiệu lực, mật khẩu rồi cấp signed URL
+ * Chỉ kiểm tra mật khẩu riêng của link; link không mật khẩu tới document đang is_protected bị từ chối
+ * Nhập sai mật khẩu SHARE_LINK_UNLOCK_MAX_ATTEMPTS lần liên tiếp thì link bị khóa tạm thời (423)
+ */
+const resolveShareLink = async (req, res, password) => {
+    const { token } = req.params;
+
+    if (!token || !/^[a-f0-9]{16,128}$/i.test(token)) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Share link not found'
+        });
+    }
+
+    const { data: link, error: linkError } = await supabase
+        .from('document_share_links')
+        .select(`
+            ${SHARE_LINK_SELECT},
+            unlock_failed_attempts,
+            unlock_locked_until,
+            document:document_id (
+                id,
+                title,
+                file_name,
+                file_size,
+                mime_type,
+                file_path,
+                is_protected,
+                password_hash,
+                deleted_at
+            )
+        `)
+        .eq('token', token)
+        .single();
+
+    // Document trong thùng rác: link coi như không tồn tại (khôi phục document thì link dùng lại được)
+    if (linkError || !link || !link.document || link.document.deleted_at) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Share link not found'
+        });
+    }
+
+    await supabase.rpc('record_share_link_access', { link_id: link.id });
+
+    if (!link.is_active) {
+        return res.status(410).json({
+            error: 'Gone',
+            message: 'This share link has been revoked',
+            code: 'LINK_REVOKED'
+        });
+    }
+
+    if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+        return res.status(410).json({
+            error: 'Gone',
+            message: 'This share link has expired',
+            code: 'LINK_EXPIRED'
+        });
+    }
+
+    if (link.max_downloads !== null && link.download_count >= link.max_downloads) {
+        return res.status(410).json({
+            error: 'Gone',
+            message: 'This share link has reached its download limit',
+            code: 'LINK_EXHAUSTED'
+        });
+    }
+
+    const document = link.document;
+    const requiredHash = link.password_hash;
+
+    // Document được đặt mật khẩu sau khi tạo link không mật khẩu: không rơi về mật khẩu của document
+    // (người ẩn danh đoán được mà không bị khóa), chủ sở hữu phải tạo link mới có mật khẩu
+    if (!requiredHash && document.is_protected && document.password_hash) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'This document is password protected and the link has no password of its own',
+            code: 'LINK_PASSWORD_REQUIRED'
+        });
+    }
+
+    const documentInfo = {
+        title: document.title,
+        file_name: document.file_name,
+        file_size: document.file_size,
+        mime_type: document.mime_type
+    };
+
+    if (requiredHash) {
+        if (!password || typeof password !== 'string') {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Password is required to access this link',
+                code: 'PASSWORD_REQUIRED',
+                data: documentInfo
+            });
+        }
+
+        if (link.unlock_locked_until && new Date(link.unlock_locked_until) > new Date()) {
+            return res.status(423).json({
+                error: 'Locked',
+                message: 'Too many failed attempts. This link is temporarily locked',
+                code: 'LINK_LOCKED',
+                retryAfter: Math.ceil((new Date(link.unlock_locked_until) - Date.now()) / 1000)
+            });
+        }
+
+        const { valid } = await verifyPassword(password, requiredHash);
+        if (!valid) {
+            const { data: lockedUntil, error: failureError } = await supabase.rpc('register_share_link_unlock_failure', {
+                link_id: link.id,
+                max_attempts: UNLOCK_MAX_ATTEMPTS,
+                lockout_seconds: UNLOCK_LOCKOUT_SECONDS
+            });
+
+            if (failureError) {
+                console.error('Register share link unlock failure error:', failureError);
+            }
+
+            if (lockedUntil) {
+                await logDocumentActivity(null, 'share_link_locked', {
+                    document_id: document.id,
+                    link_id: link.id,
+                    ip: req.ip,
+                    locked_until: lockedUntil
+                });
+
+                return res.status(423).json({
+                    error: 'Locked',
+                    message: 'Too many failed attempts. This link is temporarily locked',
+                    code: 'LINK_LOCKED',
+                    retryAfter: UNLOCK_LOCKOUT_SECONDS
+                });
+            }
+
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid password',
+                code: 'INVALID_PASSWORD'
+            });
+        }
+
+        if (link.unlock_failed_attempts || link.unlock_locked_until) {
+            const { error: resetError } = await supabase
+                .from('document_share_links')
+                .update({ unlock_failed_attempts: 0, unlock_locked_until: null })
+                .eq('id', link.id);
+
+            if (resetError) {
+                console.error('Reset share link unlock counters error:', resetError);
+            }
+        }
+    }
+
+    const { data: consumed, error: consumeError } = await supabase.rpc('consume_share_link_download', {
+        link_id: link.id
+    });
+
+    if (consumeError) {
+        console.error('Consume share link error:', consumeError);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to resolve share link'
+        });
+    }
+
+    if (!consumed) {
+        return res.status(410).json({
+            error: 'Gone',
+            message: 'This share link is no longer available',
+            code: 'LINK_UNAVAILABLE'
+        });
+    }
+
+    const { data, error } = await createSignedFileUrl(document.file_path, SHARE_LINK_URL_TTL, {
+        mimeType: document.mime_type,
+        fileName: document.file_name
+    });
+
+    if (error) {
+        console.error('Create signed URL error:', error);
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: error.message
+        });
+    }
+
+    await logDocumentActivity(null, 'share_link_downloaded', {
+        document_id: document.id,
+        link_id: link.id,
+        ip: req.ip
+    });
+
+    return res.status(200).json({
+        success: true,
+        data: {
+            ...documentInfo,
+            url: data.signedUrl,
+            expiresIn: SHARE_LINK_URL_TTL
+        }
+    });
+};
+
+/**
+ * Open a public share link
+ * GET /s/:token
+ */
+const openShareLink = async (req, res) => {
+    try {
+        return await resolveShareLink(req, res, null);
+    } catch (error) {
+        console.error('Open share link error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to open share link'
+        });
+    }
+};
+
+/**
+ * Unlock a password protected share link
+ * POST /s/:token
+ * Body: { password }
+ */
+const unlockShareLink = async (req, res) => {
+    try {
+        const { password } = req.body || {};
+        return await resolveShareLink(req, res, password);
+    } catch (error) {
+        console.error('Unlock share link error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to unlock share link'
+        });
+    }
+};
+
+module.exports = {
+    createShareLink,
+    getDocumentShareLinks,
+    getMyShareLinks,
+    revokeShareLink,
+    openShareLink,
+    unlockShareLink
+};
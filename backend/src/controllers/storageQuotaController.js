@@ -0,0 +1,290 @@
+/**
+ * Storage Quota Controller
+ * Báo cáo dung lượng đã dùng / còn lại của user và group, system admin đặt quota
+ */
+const { supabase } = require('../config/supabase');
+const {
+    getQuotaBytes,
+    getUsageBreakdown,
+    buildSummary,
+    setQuota
+} = require('../services/storageQuotaService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const QUOTA_SUBJECT_TYPES = ['user', 'group'];
+
+/**
+ * Gộp các dòng từ storage_usage_breakdown theo category và theo document type
+ */
+const buildBreakdowns = async (rows) => {
+    const categoryMap = new Map();
+    const typeMap = new Map();
+
+    rows.forEach((row) => {
+        const bytes = row.document_bytes + row.version_bytes;
+
+        const categoryKey = row.category_id || 'uncategorized';
+        const category = categoryMap.get(categoryKey) || {
+            category_id: row.category_id,
+            bytes: 0,
+            version_bytes: 0,
+            document_count: 0
+        };
+        category.bytes += bytes;
+        category.version_bytes += row.version_bytes;
+        category.document_count += row.document_count;
+        categoryMap.set(categoryKey, category);
+
+        const typeKey = (row.document_type || 'other').toLowerCase();
+        const type = typeMap.get(typeKey) || {
+            document_type: typeKey,
+            bytes: 0,
+            version_bytes: 0,
+            document_count: 0
+        };
+        type.bytes += bytes;
+        type.version_bytes += row.version_bytes;
+        type.document_count += row.document_count;
+        typeMap.set(typeKey, type);
+    });
+
+    const categoryIds = Array.from(categoryMap.values())
+        .map((entry) => entry.category_id)
+        .filter(Boolean);
+
+    const categoryInfo = new Map();
+    if (categoryIds.length) {
+        const { data: categories, error } = await supabase
+            .from('categories')
+            .select('id, name, color')
+            .in('id', categoryIds);
+
+        if (error) {
+            console.error('Fetch categories for quota error:', error);
+        }
+        categories?.forEach((category) => categoryInfo.set(category.id, category));
+    }
+
+    const byCategory = Array.from(categoryMap.values()).map((entry) => ({
+        ...entry,
+        name: entry.category_id ? (categoryInfo.get(entry.category_id)?.name || 'Unknown') : 'Uncategorized',
+        color: entry.category_id ? categoryInfo.get(entry.category_id)?.color || null : null
+    }));
+
+    const byDocumentType = Array.from(typeMap.values());
+
+    byCategory.sort((a, b) => b.bytes - a.bytes);
+    byDocumentType.sort((a, b) => b.bytes - a.bytes);
+
+    return { byCategory, byDocumentType };
+};
+
+/**
+ * Get storage quota and usage of the current user (or a group the user belongs to)
+ * GET /api/quota?group_id=
+ */
+const getStorageQuota = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { group_id } = req.query;
+
+        if (group_id) {
+            const { data: membership, error: membershipError } = await supabase
+                .from('group_members')
+                .select('role')
+                .eq('group_id', group_id)
+                .eq('user_id', userId)
+                .eq('is_active', true)
+                .single();
+
+            if (membershipError || !membership) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'You are not a member of this group'
+                });
+            }
+        }
+
+        const scope = group_id ? { groupId: group_id } : { userId };
+        const [quotaBytes, usage] = await Promise.all([
+            group_id ? getQuotaBytes('group', group_id) : getQuotaBytes('user', userId),
+            getUsageBreakdown(scope)
+        ]);
+
+        const { byCategory, byDocumentType } = await buildBreakdowns(usage.rows);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                scope: group_id ? 'group' : 'user',
+                subject_id: group_id || userId,
+                ...buildSummary(quotaBytes, usage.usedBytes),
+                document_bytes: usage.documentBytes,
+                version_bytes: usage.versionBytes,
+                document_count: usage.documentCount,
+                by_category: byCategory,
+                by_document_type: byDocumentType
+            }
+        });
+
+    } catch (error) {
+        console.error('Get storage quota error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch storage quota'
+        });
+    }
+};
+
+/**
+ * Get group storage usage with the members consuming the most space (owner only)
+ * GET /api/groups/:groupId/storage?limit=10
+ */
+const getGroupStorageUsage = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+        const [quotaBytes, usage, membersResult] = await Promise.all([
+            getQuotaBytes('group', groupId),
+            getUsageBreakdown({ groupId }),
+            supabase.rpc('group_storage_by_member', { target_group_id: groupId })
+        ]);
+
+        if (membersResult.error) {
+            console.error('Group storage by member error:', membersResult.error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch group storage',
+                message: membersResult.error.message
+            });
+        }
+
+        const topMembers = (membersResult.data || []).slice(0, limit).map((row) => ({
+            user_id: row.user_id,
+            document_count: Number(row.document_count) || 0,
+            total_bytes: Number(row.total_bytes) || 0
+        }));
+
+        const userIds = topMembers.map((member) => member.user_id).filter(Boolean);
+        const profileMap = new Map();
+        if (userIds.length) {
+            const { data: profiles, error: profilesError } = await supabase
+                .from('profiles')
+                .select('id, username, full_name, avatar_url')
+                .in('id', userIds);
+
+            if (profilesError) {
+                console.error('Fetch profiles for group storage error:', profilesError);
+            }
+            profiles?.forEach((profile) => profileMap.set(profile.id, profile));
+        }
+
+        const { byCategory, byDocumentType } = await buildBreakdowns(usage.rows);
+
+        res.json({
+            success: true,
+            data: {
+                group_id: groupId,
+                ...buildSummary(quotaBytes, usage.usedBytes),
+                document_bytes: usage.documentBytes,
+                version_bytes: usage.versionBytes,
+                document_count: usage.documentCount,
+                by_category: byCategory,
+                by_document_type: byDocumentType,
+                top_members: topMembers.map((member) => ({
+                    ...member,
+                    profile: profileMap.get(member.user_id) || null,
+                    share: usage.usedBytes ? member.total_bytes / usage.usedBytes : 0
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get group storage usage error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Set the storage quota of a user or group (system admin only)
+ * PUT /api/quota/:subjectType/:subjectId
+ * Body: { quota_bytes: number | null (không giới hạn), note? }
+ */
+const setStorageQuota = async (req, res) => {
+    try {
+        const { subjectType, subjectId } = req.params;
+        const { quota_bytes: quotaBytes, note } = req.body || {};
+
+        if (!QUOTA_SUBJECT_TYPES.includes(subjectType) || !UUID_PATTERN.test(subjectId)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'subjectType must be user or group and subjectId a UUID'
+            });
+        }
+
+        if (quotaBytes === undefined || (quotaBytes !== null && (!Number.isSafeInteger(quotaBytes) || quotaBytes < 0))) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'quota_bytes must be a non-negative integer or null (unlimited)'
+            });
+        }
+
+        if (note !== undefined && note !== null && typeof note !== 'string') {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'note must be a string'
+            });
+        }
+
+        const result = await setQuota({
+            subjectType,
+            subjectId,
+            quotaBytes,
+            note: note || null,
+            updatedBy: req.user.id
+        });
+
+        if (!result.ok) {
+            return res.status(result.status).json({
+                error: 'Bad Request',
+                message: result.message
+            });
+        }
+
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: req.user.id,
+                activity_type: 'storage_quota_updated',
+                metadata: {
+                    subject_type: subjectType,
+                    subject_id: subjectId,
+                    quota_bytes: quotaBytes
+                }
+            }]);
+
+        return res.status(200).json({
+            success: true,
+            data: result.data,
+            message: 'Storage quota updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Set storage quota error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update storage quota'
+        });
+    }
+};
+
+module.exports = {
+    getStorageQuota,
+    getGroupStorageUsage,
+    setStorageQuota
+};
@@ -0,0 +1,452 @@
+/**
+ * Tag Controller
+ * Registry tag của user và của group: danh sách kèm số document, màu, đổi tên, gộp và xóa tag
+ * Đổi tên / gộp tag viết lại documents.tags của mọi document trong phạm vi
+ */
+const { supabase } = require('../config/supabase');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+const {
+    normalizeTagName,
+    normalizeTagList,
+    resolveTagScope,
+    fetchTagsWithCounts,
+    replaceTags,
+    removeTagFromDocuments
+} = require('../services/tagService');
+
+const MAX_MERGE_SOURCES = 50;
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const sendTagsUnavailable = (res) => res.status(503).json({
+    error: 'Service Unavailable',
+    message: 'Tags are not configured. Run database/tags.sql',
+    code: 'TAGS_UNAVAILABLE'
+});
+
+const parseColor = (color) => {
+    if (color === undefined) return { ok: true, value: undefined };
+    if (color === null || color === '') return { ok: true, value: null };
+    return typeof color === 'string' && COLOR_PATTERN.test(color)
+        ? { ok: true, value: color }
+        : { ok: false };
+};
+
+/**
+ * Lấy tag theo id và kiểm tra quyền sửa trên phạm vi của tag
+ * @returns {Promise<{ok: boolean, tag?: Object, scope?: Object, status?: number, message?: string}>}
+ */
+const fetchTagForWrite = async (user, tagId) => {
+    const { data: tag, error } = await supabase
+        .from('tags')
+        .select('*')
+        .eq('id', tagId)
+        .maybeSingle();
+
+    if (error) {
+        return { ok: false, error };
+    }
+
+    // Tag cá nhân của user khác: trả 404 để không lộ sự tồn tại
+    if (!tag || (tag.scope_type === 'user' && tag.scope_id !== user.id)) {
+        return { ok: false, status: 404, message: 'Tag not found' };
+    }
+
+    const access = await resolveTagScope(user, tag.scope_type === 'group' ? tag.scope_id : undefined, 'write');
+    if (!access.ok) {
+        return access;
+    }
+
+    return { ok: true, tag, scope: access.scope };
+};
+
+const sendTagLookupError = (res, result) => {
+    if (result.error) {
+        if (isMissingTableError(result.error)) {
+            return sendTagsUnavailable(res);
+        }
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: result.error.message
+        });
+    }
+    return res.status(result.status).json({
+        error: result.status === 404 ? 'Not Found' : 'Forbidden',
+        message: result.message
+    });
+};
+
+/**
+ * List tags of the current user (or of a group) with document counts
+ * GET /api/tags?group_id=
+ */
+const getTags = async (req, res) => {
+    try {
+        const access = await resolveTagScope(req.user, req.query.group_id, 'read');
+        if (!access.ok) {
+            return res.status(access.status).json({
+                error: 'Forbidden',
+                message: access.message
+            });
+        }
+
+        const result = await fetchTagsWithCounts(access.scope);
+        if (!result.ok) {
+            console.error('Get tags error:', result.error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: result.error.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
+
+    } catch (error) {
+        console.error('Get tags error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch tags'
+        });
+    }
+};
+
+/**
+ * Add a tag to the registry
+ * POST /api/tags
+ * Body: { name, color?, group_id? }
+ */
+const createTag = async (req, res) => {
+    try {
+        const { color, group_id } = req.body;
+        const name = normalizeTagName(req.body.name);
+
+        if (!name) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Tag name is required (max 50 characters)'
+            });
+        }
+
+        const parsedColor = parseColor(color);
+        if (!parsedColor.ok) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'color must be a hex color such as #3b82f6'
+            });
+        }
+
+        const access = await resolveTagScope(req.user, group_id, 'write');
+        if (!access.ok) {
+            return res.status(access.status).json({
+                error: 'Forbidden',
+                message: access.message
+            });
+        }
+
+        const { data, error } = await supabase
+            .from('tags')
+            .insert({
+                scope_type: access.scope.type,
+                scope_id: access.scope.id,
+                name,
+                color: parsedColor.value ?? null,
+                created_by: req.user.id
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (isMissingTableError(error)) {
+                return sendTagsUnavailable(res);
+            }
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Conflict',
+                    message: 'A tag with this name already exists'
+                });
+            }
+            console.error('Create tag error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            data,
+            message: 'Tag created successfully'
+        });
+
+    } catch (error) {
+        console.error('Create tag error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create tag'
+        });
+    }
+};
+
+/**
+ * Rename a tag and/or change its color; renaming rewrites every document in the scope
+ * PUT /api/tags/:tagId
+ * Body: { name?, color? }
+ */
+const updateTag = async (req, res) => {
+    try {
+        const { tagId } = req.params;
+        const { color } = req.body;
+
+        const name = req.body.name !== undefined ? normalizeTagName(req.body.name) : undefined;
+        if (name === null) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Tag name must be 1-50 characters'
+            });
+        }
+
+        const parsedColor = parseColor(color);
+        if (!parsedColor.ok) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'color must be a hex color such as #3b82f6'
+            });
+        }
+
+        const lookup = await fetchTagForWrite(req.user, tagId);
+        if (!lookup.ok) {
+            return sendTagLookupError(res, lookup);
+        }
+
+        const { tag, scope } = lookup;
+        let affectedDocuments = 0;
+
+        if (name && name !== tag.name) {
+            // Trùng tên với tag khác: dùng POST /api/tags/merge
+            if (name.toLowerCase() !== tag.name.toLowerCase()) {
+                const { data: existing } = await supabase
+                    .from('tags')
+                    .select('id')
+                    .eq('scope_type', scope.type)
+                    .eq('scope_id', scope.id)
+                    .ilike('name', name.replace(/[\\%_]/g, '\\$&'))
+                    .maybeSingle();
+
+                if (existing) {
+                    return res.status(409).json({
+                        error: 'Conflict',
+                        message: 'A tag with this name already exists. Merge the tags instead',
+                        code: 'TAG_EXISTS'
+                    });
+                }
+            }
+
+            const result = await replaceTags(scope, [tag.name], name, req.user.id);
+            if (!result.ok) {
+                console.error('Rename tag error:', result.error);
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: result.error.message
+                });
+            }
+            affectedDocuments = result.affected;
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+        if (parsedColor.value !== undefined) updateData.color = parsedColor.value;
+
+        // Khi đổi tên, replace_tags đã thay dòng registry cũ bằng tên mới nên tìm theo tên
+        const { data, error } = await supabase
+            .from('tags')
+            .update(updateData)
+            .eq('scope_type', scope.type)
+            .eq('scope_id', scope.id)
+            .ilike('name', (name || tag.name).replace(/[\\%_]/g, '\\$&'))
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Update tag error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (name && name !== tag.name) {
+            await supabase
+                .from('activity_logs')
+                .insert([{
+                    user_id: req.user.id,
+                    activity_type: 'tag_renamed',
+                    metadata: {
+                        scope_type: scope.type,
+                        scope_id: scope.id,
+                        from: tag.name,
+                        to: name,
+                        affected_documents: affectedDocuments
+                    }
+                }]);
+        }
+
+        return res.status(200).json({
+            success: true,
+            data,
+            affected_documents: affectedDocuments,
+            message: 'Tag updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update tag error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update tag'
+        });
+    }
+};
+
+/**
+ * Merge several tags into one; every document carrying a source tag gets the target instead
+ * POST /api/tags/merge
+ * Body: { sources: string[], target, group_id? }
+ */
+const mergeTags = async (req, res) => {
+    try {
+        const { group_id } = req.body;
+        const sources = normalizeTagList(req.body.sources);
+        const target = normalizeTagName(req.body.target);
+
+        if (!sources.length || sources.length > MAX_MERGE_SOURCES) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `sources must be an array of 1-${MAX_MERGE_SOURCES} tag names`
+            });
+        }
+
+        if (!target) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'target tag name is required (max 50 characters)'
+            });
+        }
+
+        const access = await resolveTagScope(req.user, group_id, 'write');
+        if (!access.ok) {
+            return res.status(access.status).json({
+                error: 'Forbidden',
+                message: access.message
+            });
+        }
+
+        const result = await replaceTags(access.scope, sources, target, req.user.id);
+        if (!result.ok) {
+            if (isMissingTableError(result.error)) {
+                return sendTagsUnavailable(res);
+            }
+            console.error('Merge tags error:', result.error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: result.error.message
+            });
+        }
+
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: req.user.id,
+                activity_type: 'tags_merged',
+                metadata: {
+                    scope_type: access.scope.type,
+                    scope_id: access.scope.id,
+                    sources,
+                    target,
+                    affected_documents: result.affected
+                }
+            }]);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                target,
+                sources,
+                affected_documents: result.affected
+            },
+            message: 'Tags merged successfully'
+        });
+
+    } catch (error) {
+        console.error('Merge tags error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to merge tags'
+        });
+    }
+};
+
+/**
+ * Remove a tag from the registry, optionally from every document in the scope as well
+ * DELETE /api/tags/:tagId?remove_from_documents=true
+ */
+const deleteTag = async (req, res) => {
+    try {
+        const { tagId } = req.params;
+        const removeFromDocuments = req.query.remove_from_documents === 'true';
+
+        const lookup = await fetchTagForWrite(req.user, tagId);
+        if (!lookup.ok) {
+            return sendTagLookupError(res, lookup);
+        }
+
+        const { tag, scope } = lookup;
+        let affectedDocuments = 0;
+
+        if (removeFromDocuments) {
+            const result = await removeTagFromDocuments(scope, tag.name, req.user.id);
+            if (!result.ok) {
+                console.error('Remove tag from documents error:', result.error);
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: result.error.message
+                });
+            }
+            affectedDocuments = result.affected;
+        }
+
+        const { error } = await supabase
+            .from('tags')
+            .delete()
+            .eq('id', tag.id);
+
+        if (error) {
+            console.error('Delete tag error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            affected_documents: affectedDocuments,
+            message: 'Tag deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete tag'
+        });
+    }
+};
+
+module.exports = {
+    getTags,
+    createTag,
+    updateTag,
+    mergeTags,
+    deleteTag
+};
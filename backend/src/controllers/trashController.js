@@ -0,0 +1,371 @@
+/**
+ * Trash Controller
+ * Liệt kê, khôi phục và xóa hẳn các document đã bị xóa (soft delete)
+ */
+const { supabase } = require('../config/supabase');
+const { hasDocumentAccess } = require('../middleware/acl');
+const {
+    TRASH_RETENTION_DAYS,
+    PURGE_SELECT,
+    getPurgeDate,
+    purgeDocument
+} = require('../services/trashService');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Số document id mỗi lần lọc .in('id', ...)
+const ID_BATCH_SIZE = 200;
+
+const TRASH_SELECT = `
+    id,
+    title,
+    file_name,
+    file_size,
+    file_type,
+    mime_type,
+    document_type,
+    content_hash,
+    file_path,
+    created_by,
+    group_id,
+    category_id,
+    created_at,
+    deleted_at,
+    deleted_by,
+    categories:category_id (
+        id,
+        name,
+        color
+    )
+`;
+
+const logActivity = async (userId, activityType, metadata) => {
+    await supabase
+        .from('activity_logs')
+        .insert([{
+            user_id: userId,
+            activity_type: activityType,
+            metadata
+        }]);
+};
+
+// Bỏ các cột nội bộ trước khi trả về client
+const toTrashItem = ({ file_path, content_hash, ...document }) => {
+    const purgeAt = getPurgeDate(document.deleted_at);
+    return {
+        ...document,
+        purge_at: purgeAt.toISOString(),
+        days_until_purge: Math.max(Math.ceil((purgeAt.getTime() - Date.now()) / DAY_MS), 0)
+    };
+};
+
+/**
+ * Lấy document trong thùng rác và kiểm tra user có quyền admin trên document
+ * @returns {Promise<{ok: boolean, status?: number, error?: string, message?: string, document?: Object}>}
+ */
+const fetchTrashedDocument = async (req, id) => {
+    const { data: document, error } = await supabase
+        .from('documents')
+        .select(TRASH_SELECT)
+        .eq('id', id)
+        .not('deleted_at', 'is', null)
+        .maybeSingle();
+
+    if (error || !document) {
+        return { ok: false, status: 404, error: 'Not Found', message: 'Document not found in trash' };
+    }
+
+    const allowed = await hasDocumentAccess(req.user.id, req.user.email, document, 'admin');
+    if (!allowed) {
+        return { ok: false, status: 403, error: 'Forbidden', message: 'You do not have permission to manage this document' };
+    }
+
+    return { ok: true, document };
+};
+
+/**
+ * Đọc cột document_id từ bảng liên kết (group_documents / document_acl / shared_documents)
+ * Bảng chưa migrate thì coi như không có liên kết
+ */
+const selectLinkedDocumentIds = async (query, label) => {
+    const { data, error } = await query;
+    if (error) {
+        if (!isMissingTableError(error)) {
+            console.error(`Get trash ${label} error:`, error);
+        }
+        return [];
+    }
+    return (data || []).map((row) => row.document_id);
+};
+
+/**
+ * Document trong thùng rác mà user có thể có quyền admin: của user / do user xóa,
+ * thuộc hoặc gắn vào group user là thành viên, được chia sẻ hoặc cấp ACL cho user
+ * Quyền thật được kiểm tra lại bằng hasDocumentAccess (giống restore / purge)
+ */
+const fetchTrashCandidates = async (user) => {
+    const { data: memberships } = await supabase
+        .from('group_members')
+        .select('group_id')
+        .eq('user_id', user.id)
+        .eq('is_active', true);
+
+    const groupIds = (memberships || []).map((membership) => membership.group_id);
+    const email = user.email ? String(user.email).trim().toLowerCase() : null;
+
+    const ownerFilters = [`created_by.eq.${user.id}`, `deleted_by.eq.${user.id}`];
+    if (groupIds.length) ownerFilters.push(`group_id.in.(${groupIds.join(',')})`);
+
+    const aclFilters = [`and(subject_type.eq.user,subject_id.eq.${user.id})`];
+    if (groupIds.length) aclFilters.push(`and(subject_type.eq.group,subject_id.in.(${groupIds.join(',')}))`);
+
+    const shareFilters = [`shared_with_user.eq.${user.id}`];
+    if (email) shareFilters.push(`shared_with_email.eq.${email}`);
+
+    const [owned, groupLinked, aclLinked, shared] = await Promise.all([
+        supabase
+            .from('documents')
+            .select(TRASH_SELECT)
+            .not('deleted_at', 'is', null)
+            .or(ownerFilters.join(',')),
+        groupIds.length
+            ? selectLinkedDocumentIds(
+                supabase.from('group_documents').select('document_id').in('group_id', groupIds),
+                'group documents'
+            )
+            : [],
+        selectLinkedDocumentIds(
+            supabase.from('document_acl').select('document_id').or(aclFilters.join(',')),
+            'document acl'
+        ),
+        selectLinkedDocumentIds(
+            supabase.from('shared_documents').select('document_id').eq('is_active', true).or(shareFilters.join(',')),
+            'shared documents'
+        )
+    ]);
+
+    if (owned.error) throw owned.error;
+
+    const documents = new Map((owned.data || []).map((document) => [document.id, document]));
+    const linkedIds = [...new Set([...groupLinked, ...aclLinked, ...shared])].filter((id) => !documents.has(id));
+
+    for (let i = 0; i < linkedIds.length; i += ID_BATCH_SIZE) {
+        const { data, error } = await supabase
+            .from('documents')
+            .select(TRASH_SELECT)
+            .not('deleted_at', 'is', null)
+            .in('id', linkedIds.slice(i, i + ID_BATCH_SIZE));
+
+        if (error) throw error;
+        (data || []).forEach((document) => documents.set(document.id, document));
+    }
+
+    return Array.from(documents.values());
+};
+
+/**
+ * Get documents in trash the current user can restore or purge
+ * (own documents and group / shared documents the user has admin permission on, whoever deleted them)
+ * GET /api/trash
+ */
+const getTrash = async (req, res) => {
+    try {
+        const candidates = await fetchTrashCandidates(req.user);
+
+        const data = [];
+        for (const document of candidates) {
+            if (await hasDocumentAccess(req.user.id, req.user.email, document, 'admin')) {
+                data.push(document);
+            }
+        }
+
+        data.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+
+        return res.status(200).json({
+            success: true,
+            data: data.map(toTrashItem),
+            count: data.length,
+            retention_days: TRASH_RETENTION_DAYS
+        });
+
+    } catch (error) {
+        console.error('Get trash error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch trash'
+        });
+    }
+};
+
+/**
+ * Restore a document from trash
+ * POST /api/trash/:id/restore
+ */
+const restoreDocument = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const target = await fetchTrashedDocument(req, id);
+        if (!target.ok) {
+            return res.status(target.status).json({
+                error: target.error,
+                message: target.message
+            });
+        }
+
+        const { data, error } = await supabase
+            .from('documents')
+            .update({
+                deleted_at: null,
+                deleted_by: null,
+                last_edited_by: userId
+            })
+            .eq('id', id)
+            .not('deleted_at', 'is', null)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Restore document error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!data) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Document not found in trash'
+            });
+        }
+
+        await logActivity(userId, 'document_restored', {
+            document_id: id,
+            document_title: data.title
+        });
+
+        return res.status(200).json({
+            success: true,
+            data,
+            message: 'Document restored successfully'
+        });
+
+    } catch (error) {
+        console.error('Restore document error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to restore document'
+        });
+    }
+};
+
+/**
+ * Permanently delete a document in trash
+ * DELETE /api/trash/:id
+ */
+const purgeTrashedDocument = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const target = await fetchTrashedDocument(req, id);
+        if (!target.ok) {
+            return res.status(target.status).json({
+                error: target.error,
+                message: target.message
+            });
+        }
+
+        const result = await purgeDocument(target.document);
+        if (!result.ok) {
+            console.error('Purge document error:', result.error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: result.error?.message || 'Failed to delete document'
+            });
+        }
+
+        await logActivity(req.user.id, 'document_purged', {
+            document_id: id,
+            document_title: target.document.title
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Document permanently deleted'
+        });
+
+    } catch (error) {
+        console.error('Purge document error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete document'
+        });
+    }
+};
+
+/**
+ * Permanently delete every trashed document the current user can manage
+ * DELETE /api/trash
+ */
+const emptyTrash = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const { data: documents, error } = await supabase
+            .from('documents')
+            .select(`${PURGE_SELECT}, title, created_by, group_id`)
+            .not('deleted_at', 'is', null)
+            .or(`created_by.eq.${userId},deleted_by.eq.${userId}`);
+
+        if (error) {
+            console.error('Empty trash error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        let purged = 0;
+        const failed = [];
+
+        for (const document of documents || []) {
+            const allowed = await hasDocumentAccess(userId, req.user.email, document, 'admin');
+            if (!allowed) continue;
+
+            const result = await purgeDocument(document);
+            if (result.ok) {
+                purged++;
+            } else {
+                console.error(`Purge document ${document.id} error:`, result.error);
+                failed.push(document.id);
+            }
+        }
+
+        if (purged) {
+            await logActivity(userId, 'trash_emptied', { purged_count: purged });
+        }
+
+        return res.status(200).json({
+            success: true,
+            count: purged,
+            failed,
+            message: `${purged} document(s) permanently deleted`
+        });
+
+    } catch (error) {
+        console.error('Empty trash error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to empty trash'
+        });
+    }
+};
+
+module.exports = {
+    getTrash,
+    restoreDocument,
+    purgeTrashedDocument,
+    emptyTrash
+};
@@ -0,0 +1,598 @@
+/**
+ * Upload Session Controller
+ * Upload tài liệu lớn theo từng chunk, có thể tiếp tục khi mất kết nối:
+ * tạo session -> PUT từng chunk -> kiểm tra chunk đã nhận -> complete
+ */
+const { supabase } = require('../config/supabase');
+const {
+    ALLOWED_MIME_TYPES,
+    resolveUploadTarget,
+    storeDocument,
+    buildEmbeddingResponse
+} = require('../services/documentUploadService');
+const {
+    MIN_CHUNK_SIZE,
+    MAX_CHUNK_SIZE,
+    DEFAULT_CHUNK_SIZE,
+    MAX_TOTAL_CHUNKS,
+    MAX_ACTIVE_SESSIONS_PER_USER,
+    getSessionExpiry,
+    getExpectedChunkSize,
+    writeChunk,
+    listReceivedChunks,
+    sealSessionFiles,
+    unsealSessionFiles,
+    createAssembledStream,
+    removeSessionFiles,
+    countActiveSessions
+} = require('../services/uploadSessionService');
+const { inspectUpload, logRejectedUpload } = require('../services/uploadInspector');
+const { hashStream } = require('../services/blobStore');
+const { reserveQuota, releaseQuota } = require('../services/storageQuotaService');
+
+const SESSION_SELECT = 'id, user_id, group_id, category_id, title, description, tags, file_name, mime_type, total_size, chunk_size, total_chunks, status, document_id, expires_at, completed_at, created_at, updated_at';
+
+const fetchOwnSession = async (sessionId, userId) => {
+    const { data, error } = await supabase
+        .from('upload_sessions')
+        .select(SESSION_SELECT)
+        .eq('id', sessionId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !data) return null;
+    return data;
+};
+
+const isSessionExpired = (session) => {
+    return session.status === 'expired'
+        || (session.status === 'pending' && new Date(session.expires_at) <= new Date());
+};
+
+/**
+ * Kiểm tra session còn nhận chunk được không, trả về response lỗi nếu không
+ */
+const rejectInactiveSession = (res, session) => {
+    if (isSessionExpired(session)) {
+        return res.status(410).json({
+            error: 'Gone',
+            message: 'Upload session has expired',
+            code: 'UPLOAD_SESSION_EXPIRED'
+        });
+    }
+
+    if (session.status !== 'pending') {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: `Upload session is ${session.status}`,
+            code: 'UPLOAD_SESSION_CLOSED'
+        });
+    }
+
+    return null;
+};
+
+const withChunkState = async (session) => {
+    const received = await listReceivedChunks(session);
+    const receivedSet = new Set(received);
+    const missing = [];
+    for (let index = 0; index < session.total_chunks; index++) {
+        if (!receivedSet.has(index)) missing.push(index);
+    }
+
+    return {
+        ...session,
+        received_chunks: received,
+        missing_chunks: missing,
+        received_bytes: received.reduce((sum, index) => sum + getExpectedChunkSize(session, index), 0)
+    };
+};
+
+/**
+ * Create an upload session
+ * POST /api/documents/uploads
+ * Body: { title, description?, category_id?, group_id?, tags?, file_name, mime_type, total_size, chunk_size? }
+ */
+const createUploadSession = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { title, description, category_id, group_id, tags, file_name, mime_type } = req.body;
+        const totalSize = Number(req.body.total_size);
+        const chunkSize = req.body.chunk_size !== undefined ? Number(req.body.chunk_size) : DEFAULT_CHUNK_SIZE;
+
+        if (!title || title.trim() === '') {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Document title is required'
+            });
+        }
+
+        if (!file_name || typeof file_name !== 'string') {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'file_name is required'
+            });
+        }
+
+        if (!ALLOWED_MIME_TYPES.includes(mime_type)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `File type ${mime_type} not allowed`
+            });
+        }
+
+        if (!Number.isInteger(totalSize) || totalSize <= 0) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'total_size must be a positive integer'
+            });
+        }
+
+        if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `chunk_size must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`
+            });
+        }
+
+        const totalChunks = Math.ceil(totalSize / chunkSize);
+        if (totalChunks > MAX_TOTAL_CHUNKS) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Too many chunks (max ${MAX_TOTAL_CHUNKS}), use a larger chunk_size`
+            });
+        }
+
+        let tagList = [];
+        if (tags) {
+            try {
+                tagList = Array.isArray(tags) ? tags : JSON.parse(tags);
+            } catch (parseError) {
+                tagList = null;
+            }
+            if (!Array.isArray(tagList)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'tags must be an array'
+                });
+            }
+        }
+
+        const target = await resolveUploadTarget({ userId, groupId: group_id });
+        if (!target.ok) {
+            return res.status(target.status).json({
+                error: target.error,
+                message: target.message
+            });
+        }
+
+        if (totalSize > target.maxBytes) {
+            return res.status(413).json({
+                error: 'Payload Too Large',
+                message: `File exceeds the upload limit of ${target.maxBytes} bytes`
+            });
+        }
+
+        if (await countActiveSessions(userId) >= MAX_ACTIVE_SESSIONS_PER_USER) {
+            return res.status(429).json({
+                error: 'Too Many Requests',
+                message: `You can have at most ${MAX_ACTIVE_SESSIONS_PER_USER} unfinished upload sessions. Complete or cancel one first`,
+                code: 'TOO_MANY_UPLOAD_SESSIONS'
+            });
+        }
+
+        // Session chưa xong được tính vào dung lượng đã dùng theo total_size (storage_committed_bytes):
+        // giữ chỗ trong lúc tạo session để hai request song song không cùng vượt quota
+        const quota = await reserveQuota({ userId, groupId: group_id, additionalBytes: totalSize });
+        if (!quota.ok) {
+            return res.status(quota.status).json({
+                error: 'Payload Too Large',
+                message: quota.message,
+                code: quota.code,
+                data: quota.data
+            });
+        }
+
+        const { data, error } = await supabase
+            .from('upload_sessions')
+            .insert([{
+                user_id: userId,
+                group_id: group_id || null,
+                category_id: category_id || null,
+                title: title.trim(),
+                description: description || null,
+                tags: tagList,
+                file_name,
+                mime_type,
+                total_size: totalSize,
+                chunk_size: chunkSize,
+                total_chunks: totalChunks,
+                expires_at: getSessionExpiry()
+            }])
+            .select(SESSION_SELECT)
+            .single();
+
+        await releaseQuota(quota.reservationId);
+
+        if (error) {
+            console.error('Create upload session error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            data: {
+                ...data,
+                received_chunks: [],
+                missing_chunks: Array.from({ length: totalChunks }, (_, index) => index),
+                received_bytes: 0
+            },
+            message: 'Upload session created successfully'
+        });
+
+    } catch (error) {
+        console.error('Create upload session error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create upload session'
+        });
+    }
+};
+
+/**
+ * Get upload session status (chunks received / missing)
+ * GET /api/documents/uploads/:sessionId
+ */
+const getUploadSession = async (req, res) => {
+    try {
+        const session = await fetchOwnSession(req.params.sessionId, req.user.id);
+
+        if (!session) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Upload session not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...(await withChunkState(session)),
+                is_expired: isSessionExpired(session)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get upload session error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch upload session'
+        });
+    }
+};
+
+/**
+ * Upload one chunk (raw body, Content-Type: application/octet-stream)
+ * PUT /api/documents/uploads/:sessionId/chunks/:index
+ * Gửi lại cùng index sẽ ghi đè chunk cũ
+ */
+const uploadChunk = async (req, res) => {
+    try {
+        const session = await fetchOwnSession(req.params.sessionId, req.user.id);
+
+        if (!session) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Upload session not found'
+            });
+        }
+
+        const rejected = rejectInactiveSession(res, session);
+        if (rejected) return rejected;
+
+        const index = Number(req.params.index);
+        if (!Number.isInteger(index) || index < 0 || index >= session.total_chunks) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Chunk index must be between 0 and ${session.total_chunks - 1}`
+            });
+        }
+
+        const expectedSize = getExpectedChunkSize(session, index);
+        const contentLength = req.headers['content-length'];
+        if (contentLength !== undefined && Number(contentLength) !== expectedSize) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Chunk ${index} must be exactly ${expectedSize} bytes`
+            });
+        }
+
+        const result = await writeChunk(session, index, req);
+        if (!result.ok) {
+            return res.status(result.status).json({
+                error: result.status === 413 ? 'Payload Too Large' : 'Bad Request',
+                message: result.message
+            });
+        }
+
+        // Gia hạn session mỗi khi nhận chunk mới
+        await supabase
+            .from('upload_sessions')
+            .update({
+                expires_at: getSessionExpiry(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', session.id)
+            .eq('status', 'pending');
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                index,
+                size: result.size
+            },
+            message: 'Chunk uploaded successfully'
+        });
+
+    } catch (error) {
+        console.error('Upload chunk error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to upload chunk'
+        });
+    }
+};
+
+/**
+ * Finalize upload: ghép các chunk, lưu lên Storage và tạo document
+ * POST /api/documents/uploads/:sessionId/complete
+ * Gọi lại sau khi đã complete sẽ trả về document đã tạo
+ */
+const completeUploadSession = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const session = await fetchOwnSession(req.params.sessionId, userId);
+
+        if (!session) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Upload session not found'
+            });
+        }
+
+        if (session.status === 'completed' && session.document_id) {
+            const { data: document } = await supabase
+                .from('documents')
+                .select('id, title, description, file_name, file_path, file_size, file_type, mime_type, content_hash, category_id, group_id, created_by, document_type, tags, visibility, is_protected, revision, created_at, updated_at')
+                .eq('id', session.document_id)
+                .single();
+
+            return res.status(200).json({
+                success: true,
+                data: document || { id: session.document_id },
+                message: 'Upload session already completed'
+            });
+        }
+
+        const rejected = rejectInactiveSession(res, session);
+        if (rejected) return rejected;
+
+        const state = await withChunkState(session);
+        if (state.missing_chunks.length > 0) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Upload is incomplete, ${state.missing_chunks.length} chunk(s) missing`,
+                code: 'UPLOAD_INCOMPLETE',
+                data: { missing_chunks: state.missing_chunks }
+            });
+        }
+
+        // Quyền trong group có thể đã thay đổi kể từ lúc tạo session
+        const target = await resolveUploadTarget({ userId, groupId: session.group_id });
+        if (!target.ok) {
+            return res.status(target.status).json({
+                error: target.error,
+                message: target.message
+            });
+        }
+
+        if (session.total_size > target.maxBytes) {
+            return res.status(413).json({
+                error: 'Payload Too Large',
+                message: `File exceeds the upload limit of ${target.maxBytes} bytes`
+            });
+        }
+
+        // Chiếm session (pending -> completing) trước khi ghép / kiểm tra file:
+        // hai request complete song song không tạo 2 document
+        const { data: claimed } = await supabase
+            .from('upload_sessions')
+            .update({ status: 'completing', updated_at: new Date().toISOString() })
+            .eq('id', session.id)
+            .eq('status', 'pending')
+            .select('id')
+            .maybeSingle();
+
+        if (!claimed) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: 'Upload session is already being completed',
+                code: 'UPLOAD_SESSION_CLOSED'
+            });
+        }
+
+        // Chốt các chunk: nội dung được kiểm tra, hash và lưu là cùng một bản, chunk gửi tới sau bị bỏ qua
+        // Dung lượng của session đã được tính vào quota từ lúc tạo (storage_committed_bytes)
+        try {
+            await sealSessionFiles(session.id);
+        } catch (sealError) {
+            console.error('Seal upload session error:', sealError);
+            await supabase
+                .from('upload_sessions')
+                .update({ status: 'pending', updated_at: new Date().toISOString() })
+                .eq('id', session.id);
+            return res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Failed to complete upload'
+            });
+        }
+
+        const file = {
+            originalname: session.file_name,
+            mimetype: session.mime_type,
+            size: session.total_size,
+            createReadStream: () => createAssembledStream(session)
+        };
+
+        // Kiểm tra nội dung file đã ghép (magic bytes, SVG script, virus scan)
+        const inspection = await inspectUpload(file);
+        if (!inspection.ok) {
+            await logRejectedUpload(req, file, inspection, {
+                upload_session_id: session.id,
+                group_id: session.group_id
+            });
+
+            // File bị từ chối thì bỏ luôn session, trừ khi chỉ là lỗi tạm thời của scanner
+            if (inspection.status !== 503) {
+                await supabase
+                    .from('upload_sessions')
+                    .update({ status: 'expired', updated_at: new Date().toISOString() })
+                    .eq('id', session.id)
+                    .eq('status', 'completing');
+                await removeSessionFiles(session.id);
+            } else {
+                await unsealSessionFiles(session.id);
+                await supabase
+                    .from('upload_sessions')
+                    .update({ status: 'pending', updated_at: new Date().toISOString() })
+                    .eq('id', session.id)
+                    .eq('status', 'completing');
+            }
+
+            return res.status(inspection.status).json({
+                error: 'Upload Rejected',
+                message: inspection.message,
+                code: inspection.code
+            });
+        }
+
+        let result;
+        try {
+            const contentHash = await hashStream(createAssembledStream(session));
+            result = await storeDocument({
+                userId,
+                fields: {
+                    title: session.title,
+                    description: session.description,
+                    category_id: session.category_id,
+                    group_id: session.group_id,
+                    tags: session.tags
+                },
+                file,
+                body: createAssembledStream(session),
+                contentHash,
+                groupMembership: target.groupMembership
+            });
+        } catch (storeError) {
+            result = null;
+            console.error('Complete upload session store error:', storeError);
+        }
+
+        if (!result || !result.ok) {
+            // Trả session về pending để client có thể gọi complete lại
+            await unsealSessionFiles(session.id);
+            await supabase
+                .from('upload_sessions')
+                .update({ status: 'pending', updated_at: new Date().toISOString() })
+                .eq('id', session.id);
+
+            return res.status(result ? result.status : 500).json({
+                error: result ? result.error : 'Internal Server Error',
+                message: result ? result.message : 'Failed to complete upload'
+            });
+        }
+
+        await supabase
+            .from('upload_sessions')
+            .update({
+                status: 'completed',
+                document_id: result.document.id,
+                completed_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', session.id);
+
+        await removeSessionFiles(session.id);
+
+        return res.status(201).json({
+            success: true,
+            data: result.document,
+            message: 'Document uploaded successfully',
+            embedding: buildEmbeddingResponse(result.embeddingJobId)
+        });
+
+    } catch (error) {
+        console.error('Complete upload session error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to complete upload'
+        });
+    }
+};
+
+/**
+ * Abort an upload session and discard received chunks
+ * DELETE /api/documents/uploads/:sessionId
+ */
+const cancelUploadSession = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('upload_sessions')
+            .update({ status: 'expired', updated_at: new Date().toISOString() })
+            .eq('id', req.params.sessionId)
+            .eq('user_id', req.user.id)
+            .eq('status', 'pending')
+            .select('id')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Cancel upload session error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!data) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Upload session not found or already closed'
+            });
+        }
+
+        await removeSessionFiles(data.id);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Upload session cancelled successfully'
+        });
+
+    } catch (error) {
+        console.error('Cancel upload session error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to cancel upload session'
+        });
+    }
+};
+
+module.exports = {
+    createUploadSession,
+    getUploadSession,
+    uploadChunk,
+    completeUploadSession,
+    cancelUploadSession
+};
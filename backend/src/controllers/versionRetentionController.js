@@ -0,0 +1,364 @@
+/**
+ * Version Retention Controller
+ * Ghim version và cấu hình chính sách giữ version theo document / group
+ */
+const { supabase } = require('../config/supabase');
+const {
+    POLICY_FIELDS,
+    VERSION_SELECT,
+    parsePolicyInput,
+    selectVersionsToPrune,
+    resolvePolicy,
+    pruneDocumentVersions,
+    queueVersionPruning
+} = require('../services/versionRetentionService');
+
+const pickPolicy = (policy) => {
+    if (!policy) return null;
+    const result = { id: policy.id, scope: policy.subject_type, subject_id: policy.subject_id };
+    POLICY_FIELDS.forEach((field) => { result[field] = policy[field]; });
+    result.last_pruned_at = policy.last_pruned_at || null;
+    result.updated_at = policy.updated_at || null;
+    return result;
+};
+
+const upsertPolicy = async (subjectType, subjectId, value, userId) => {
+    return supabase
+        .from('version_retention_policies')
+        .upsert({
+            subject_type: subjectType,
+            subject_id: subjectId,
+            ...value,
+            updated_by: userId,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'subject_type,subject_id' })
+        .select()
+        .single();
+};
+
+const deletePolicy = async (subjectType, subjectId) => {
+    return supabase
+        .from('version_retention_policies')
+        .delete()
+        .eq('subject_type', subjectType)
+        .eq('subject_id', subjectId)
+        .select('id');
+};
+
+const setVersionPin = async (req, res, pinned) => {
+    try {
+        const { id, versionId } = req.params;
+        const userId = req.user.id;
+
+        const { data, error } = await supabase
+            .from('document_versions')
+            .update({
+                is_pinned: pinned,
+                pinned_by: pinned ? userId : null,
+                pinned_at: pinned ? new Date().toISOString() : null
+            })
+            .eq('id', versionId)
+            .eq('document_id', id)
+            .select('id, version_number, is_pinned, pinned_by, pinned_at')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Update version pin error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!data) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Version not found'
+            });
+        }
+
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: userId,
+                activity_type: pinned ? 'version_pinned' : 'version_unpinned',
+                metadata: {
+                    document_id: id,
+                    version_id: versionId,
+                    version_number: data.version_number
+                }
+            }]);
+
+        // Bỏ ghim có thể làm version rơi vào diện bị xóa
+        if (!pinned) {
+            queueVersionPruning(id);
+        }
+
+        return res.status(200).json({
+            success: true,
+            data,
+            message: pinned ? 'Version pinned' : 'Version unpinned'
+        });
+
+    } catch (error) {
+        console.error('Update version pin error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update version pin'
+        });
+    }
+};
+
+/**
+ * Pin a version so it is never pruned
+ * POST /api/documents/:id/versions/:versionId/pin
+ */
+const pinVersion = (req, res) => setVersionPin(req, res, true);
+
+/**
+ * Unpin a version
+ * DELETE /api/documents/:id/versions/:versionId/pin
+ */
+const unpinVersion = (req, res) => setVersionPin(req, res, false);
+
+/**
+ * Get the retention policy applied to a document and the versions it would prune
+ * GET /api/documents/:id/retention
+ */
+const getDocumentRetention = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: document, error: documentError } = await supabase
+            .from('documents')
+            .select('id, group_id, file_path, content_hash')
+            .eq('id', id)
+            .single();
+
+        if (documentError || !document) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Document not found'
+            });
+        }
+
+        const policy = await resolvePolicy(document);
+
+        let wouldPrune = [];
+        if (policy) {
+            const { data: versions, error: versionsError } = await supabase
+                .from('document_versions')
+                .select(VERSION_SELECT)
+                .eq('document_id', id);
+
+            if (versionsError) {
+                console.error('Fetch versions for retention error:', versionsError);
+            }
+
+            wouldPrune = selectVersionsToPrune(versions || [], policy, document)
+                .map(({ id: versionId, version_number, file_size, created_at }) => ({
+                    id: versionId,
+                    version_number,
+                    file_size,
+                    created_at
+                }));
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                document_id: id,
+                policy: pickPolicy(policy),
+                would_prune: wouldPrune
+            }
+        });
+
+    } catch (error) {
+        console.error('Get document retention error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to fetch retention policy'
+        });
+    }
+};
+
+/**
+ * Set the retention policy of a document
+ * PUT /api/documents/:id/retention
+ */
+const setDocumentRetention = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const parsed = parsePolicyInput(req.body);
+        if (!parsed.ok) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: parsed.message
+            });
+        }
+
+        const { data, error } = await upsertPolicy('document', id, parsed.value, req.user.id);
+
+        if (error) {
+            console.error('Set document retention error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        const result = await pruneDocumentVersions(id, data);
+        if (!result.ok) {
+            console.error('Prune after policy update error:', result.error);
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: pickPolicy(data),
+            pruned_count: result.pruned,
+            message: 'Retention policy saved'
+        });
+
+    } catch (error) {
+        console.error('Set document retention error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to save retention policy'
+        });
+    }
+};
+
+/**
+ * Remove the retention policy of a document (falls back to the group policy)
+ * DELETE /api/documents/:id/retention
+ */
+const deleteDocumentRetention = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data, error } = await deletePolicy('document', id);
+
+        if (error) {
+            console.error('Delete document retention error:', error);
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message
+            });
+        }
+
+        if (!data?.length) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Document has no retention policy'
+            });
+        }
+
+        // Policy của group (nếu có) được áp dụng từ giờ
+        queueVersionPruning(id);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Retention policy removed'
+        });
+
+    } catch (error) {
+        console.error('Delete document retention error:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to remove retention policy'
+        });
+    }
+};
+
+/**
+ * Get the retention policy of a group
+ * GET /api/groups/:groupId/retention
+ */
+const getGroupRetention = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+
+        const { data, error } = await supabase
+            .from('version_retention_policies')
+            .select('*')
+            .eq('subject_type', 'group')
+            .eq('subject_id', groupId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Get group retention error:', error);
+            return res.status(500).json({ success: false, error: 'Failed to fetch retention policy', message: error.message });
+        }
+
+        res.json({ success: true, data: pickPolicy(data) });
+    } catch (error) {
+        console.error('Get group retention error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+    }
+};
+
+/**
+ * Set the retention policy of a group (admin+)
+ * PUT /api/groups/:groupId/retention
+ */
+const setGroupRetention = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+
+        const parsed = parsePolicyInput(req.body);
+        if (!parsed.ok) {
+            return res.status(400).json({ success: false, error: 'Invalid policy', message: parsed.message });
+        }
+
+        const { data, error } = await upsertPolicy('group', groupId, parsed.value, req.user.id);
+
+        if (error) {
+            console.error('Set group retention error:', error);
+            return res.status(500).json({ success: false, error: 'Failed to save retention policy', message: error.message });
+        }
+
+        // Group có thể có nhiều document, pruner định kỳ sẽ áp dụng policy mới
+        res.json({ success: true, data: pickPolicy(data), message: 'Retention policy saved' });
+    } catch (error) {
+        console.error('Set group retention error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+    }
+};
+
+/**
+ * Remove the retention policy of a group (admin+)
+ * DELETE /api/groups/:groupId/retention
+ */
+const deleteGroupRetention = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+
+        const { data, error } = await deletePolicy('group', groupId);
+
+        if (error) {
+            console.error('Delete group retention error:', error);
+            return res.status(500).json({ success: false, error: 'Failed to remove retention policy', message: error.message });
+        }
+
+        if (!data?.length) {
+            return res.status(404).json({ success: false, error: 'Not found', message: 'Group has no retention policy' });
+        }
+
+        res.json({ success: true, message: 'Retention policy removed' });
+    } catch (error) {
+        console.error('Delete group retention error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+    }
+};
+
+module.exports = {
+    pinVersion,
+    unpinVersion,
+    getDocumentRetention,
+    setDocumentRetention,
+    deleteDocumentRetention,
+    getGroupRetention,
+    setGroupRetention,
+    deleteGroupRetention
+};
@@ -1,4 +1,5 @@
 const { supabase } = require('../config/supabase');
+const { isMissingTableError } = require('../utils/supabaseErrors');
 
 const memberRoleRank = {
     viewer: 1,
@@ -48,20 +49,6 @@ const memberRoleAllows = (memberRole, requiredPermission) => {
     return memberRank >= requiredRank;
 };
 
-const isMissingTableError = (error) => {
-    if (!error) return false;
-    const code = error.code || error.hint;
-    const rawMessage = error.message || error.details || '';
-    const normalizedMessage = typeof rawMessage === 'string' ? rawMessage.toLowerCase() : '';
-    return (
-        code === '42P01' ||
-        code === 'PGRST204' ||
-        code === 'PGRST205' ||
-        normalizedMessage.includes('does not exist') ||
-        normalizedMessage.includes('could not find the table')
-    );
-};
-
 const groupAccessAllows = (accessLevel, requiredPermission) => {
     const access = groupAccessRank[accessLevel] || 0;
     const needed = permissionRank[requiredPermission] || 0;
@@ -83,7 +70,7 @@ const shareAccessAllows = (accessLevel, requiredPermission) => {
 const fetchDocument = async (docId) => {
     const { data, error } = await supabase
         .from('documents')
-        .select('id, created_by, group_id')
+        .select('id, created_by, group_id, is_protected, password_hash, deleted_at')
         .eq('id', docId)
         .single();
 
@@ -91,6 +78,30 @@ const fetchDocument = async (docId) => {
     return data;
 };
 
+/**
+ * Tìm unlock grant còn hiệu lực của user cho tài liệu có mật khẩu
+ * @returns {Promise<{expires_at: string}|null>}
+ */
+const getActiveUnlockGrant = async (userId, docId) => {
+    const { data, error } = await supabase
+        .from('document_unlock_grants')
+        .select('expires_at')
+        .eq('document_id', docId)
+        .eq('user_id', userId)
+        .gt('expires_at', new Date().toISOString())
+        .limit(1);
+
+    if (error) {
+        if (isMissingTableError(error)) {
+            console.warn('document_unlock_grants table missing; treating protected documents as locked');
+            return null;
+        }
+        throw error;
+    }
+
+    return data?.[0] || null;
+};
+
 const getUserGroupMemberships = async (userId, groupIds) => {
     if (!groupIds.length) return [];
 
@@ -151,7 +162,7 @@ const hasDocumentAccess = async (userId, userEmail, document, requiredPermission
     try {
         const { data, error: aclError } = await supabase
             .from('document_acl')
-            .select('subject_type, subject_id, role')
+            .select('subject_type, subject_id, role, expires_at')
             .eq('document_id', document.id);
 
         if (aclError) {
@@ -162,7 +173,8 @@ const hasDocumentAccess = async (userId, userEmail, document, requiredPermission
             }
         }
 
-        aclEntries = data || [];
+        const now = new Date();
+        aclEntries = (data || []).filter(entry => !entry.expires_at || new Date(entry.expires_at) > now);
     } catch (error) {
         if (!isMissingTableError(error)) {
             throw error;
@@ -190,6 +202,8 @@ const hasDocumentAccess = async (userId, userEmail, document, requiredPermission
     }
 
     if (userEmail || userId) {
+        // shared_with_email lưu chữ thường (documentShareController), so khớp không phân biệt hoa thường
+        const email = userEmail ? String(userEmail).trim().toLowerCase() : null;
         try {
             let shareQuery = supabase
                 .from('shared_documents')
@@ -197,10 +211,10 @@ const hasDocumentAccess = async (userId, userEmail, document, requiredPermission
                 .eq('document_id', document.id)
                 .eq('is_active', true);
 
-            if (userEmail && userId) {
-                shareQuery = shareQuery.or(`shared_with_email.eq.${userEmail},shared_with_user.eq.${userId}`);
-            } else if (userEmail) {
-                shareQuery = shareQuery.eq('shared_with_email', userEmail);
+            if (email && userId) {
+                shareQuery = shareQuery.or(`shared_with_email.eq.${email},shared_with_user.eq.${userId}`);
+            } else if (email) {
+                shareQuery = shareQuery.eq('shared_with_email', email);
             } else {
                 shareQuery = shareQuery.eq('shared_with_user', userId);
             }
@@ -236,7 +250,15 @@ const hasDocumentAccess = async (userId, userEmail, document, requiredPermission
     return false;
 };
 
-const requireDocumentPermission = (requiredPermission = 'view') => {
+/**
+ * Middleware kiểm tra quyền trên document (:id)
+ * @param {string} requiredPermission - view | download | edit | admin
+ * @param {object} options
+ * @param {boolean} options.requireUnlock - Tài liệu có mật khẩu phải có unlock grant còn hiệu lực
+ *
+ * Gắn req.documentAccess = { documentId, isProtected, unlocked, unlockExpiresAt } cho controller
+ */
+const requireDocumentPermission = (requiredPermission = 'view', { requireUnlock = false } = {}) => {
     return async (req, res, next) => {
         try {
             const userId = req.user?.id;
@@ -248,7 +270,8 @@ const requireDocumentPermission = (requiredPermission = 'view') => {
             }
 
             const document = await fetchDocument(docId);
-            if (!document) {
+            // Document trong thùng rác chỉ thao tác được qua /api/trash
+            if (!document || document.deleted_at) {
                 return res.status(404).json({ success: false, error: 'Not Found', message: 'Document not found' });
             }
 
@@ -257,6 +280,25 @@ const requireDocumentPermission = (requiredPermission = 'view') => {
                 return res.status(403).json({ success: false, error: 'Forbidden', message: 'You do not have permission to access this document' });
             }
 
+            const isProtected = !!(document.is_protected && document.password_hash);
+            const grant = isProtected ? await getActiveUnlockGrant(userId, document.id) : null;
+
+            req.documentAccess = {
+                documentId: document.id,
+                isProtected,
+                unlocked: !isProtected || !!grant,
+                unlockExpiresAt: grant?.expires_at || null
+            };
+
+            if (requireUnlock && !req.documentAccess.unlocked) {
+                return res.status(423).json({
+                    success: false,
+                    error: 'Locked',
+                    message: 'Document is password protected. Unlock it first',
+                    code: 'DOCUMENT_LOCKED'
+                });
+            }
+
             return next();
         } catch (error) {
             if (error?.code === 'PGRST116') {
@@ -271,5 +313,7 @@ const requireDocumentPermission = (requiredPermission = 'view') => {
 
 module.exports = {
     requireDocumentPermission,
-    hasDocumentAccess
+    hasDocumentAccess,
+    getActiveUnlockGrant,
+    memberRoleAllows
 };
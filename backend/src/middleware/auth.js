@@ -105,4 +105,20 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateUser };
+/**
+ * Chỉ cho system admin đi tiếp (dùng sau authenticateUser)
+ * Admin được đánh dấu bằng app_metadata.role = 'admin' trên Supabase Auth;
+ * app_metadata chỉ service role sửa được nên user không tự cấp quyền cho mình
+ */
+const requireSystemAdmin = (req, res, next) => {
+  if (req.user?.app_metadata?.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'System administrator access required',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+  next();
+};
+
+module.exports = { authenticateUser, requireSystemAdmin };
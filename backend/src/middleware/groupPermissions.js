@@ -295,6 +295,7 @@ const isGroupMember = (groupIdParam = 'groupId') => {
 };
 
 module.exports = {
+    logSecurityEvent,
     checkGroupPermission,
     isGroupOwner,
     isGroupAdmin,
@@ -0,0 +1,47 @@
+const { fetchMindmap, getMindmapAccess } = require('../services/mindmapService');
+
+const accessFlag = {
+    view: 'canView',
+    edit: 'canEdit',
+    manage: 'canManage'
+};
+
+/**
+ * Kiểm tra quyền trên mind map theo req.params.mapId, gắn req.mindmap và req.mindmapAccess
+ * @param {string} requiredPermission - view | edit | manage
+ */
+const requireMindmapPermission = (requiredPermission = 'view') => {
+    return async (req, res, next) => {
+        try {
+            const result = await fetchMindmap(req.params.mapId);
+            if (!result.ok) {
+                if (result.status === 503) {
+                    return res.status(503).json({ success: false, error: 'Service Unavailable', message: result.message, code: result.code });
+                }
+                throw result.error;
+            }
+
+            const access = result.mindmap ? await getMindmapAccess(req.user, result.mindmap) : null;
+
+            // Không xem được thì trả 404 để không lộ map cá nhân / map của group khác
+            if (!access || !access.canView) {
+                return res.status(404).json({ success: false, error: 'Not Found', message: 'Mind map not found' });
+            }
+
+            if (!access[accessFlag[requiredPermission]]) {
+                return res.status(403).json({ success: false, error: 'Forbidden', message: 'You do not have permission to modify this mind map' });
+            }
+
+            req.mindmap = result.mindmap;
+            req.mindmapAccess = access;
+            return next();
+        } catch (error) {
+            console.error('Mind map ACL middleware error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+        }
+    };
+};
+
+module.exports = {
+    requireMindmapPermission
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const {
+    getMyBookmarks,
+    getCollections,
+    createCollection,
+    getCollection,
+    updateCollection,
+    deleteCollection,
+    addCollectionItems,
+    removeCollectionItem,
+    exportCollection
+} = require('../controllers/bookmarkController');
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+router.get('/', getMyBookmarks);
+
+// Bookmark collections
+router.get('/collections', getCollections);
+router.post('/collections', createCollection);
+router.get('/collections/:collectionId', getCollection);
+router.put('/collections/:collectionId', updateCollection);
+router.delete('/collections/:collectionId', deleteCollection);
+router.post('/collections/:collectionId/items', addCollectionItems);
+router.delete('/collections/:collectionId/items/:bookmarkId', removeCollectionItem);
+router.get('/collections/:collectionId/export', exportCollection);
+
+module.exports = router;
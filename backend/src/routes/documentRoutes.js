@@ -6,18 +6,22 @@ const {
     uploadDocument,
     getAllDocuments,
     getDocumentById,
+    getDocumentContent,
     getDownloadUrl,
     updateDocument,
     deleteDocument,
     getDocumentsByCategory,
+    getDuplicateDocuments,
     setDocumentPassword,
     removeDocumentPassword,
-    unlockDocument
+    unlockDocument,
+    lockDocument
 } = require('../controllers/documentController');
 const {
     versionUpload,
     getDocumentVersions,
     createDocumentVersion,
+    getVersionDiff,
     restoreDocumentVersion,
     getDocumentBookmarks,
     addDocumentBookmark,
@@ -25,6 +29,54 @@ const {
     removeDocumentBookmark,
     updateDocumentVisibility
 } = require('../controllers/documentVersionController');
+const {
+    getDocumentShares,
+    createDocumentShare,
+    updateDocumentShare,
+    revokeDocumentShare,
+    getDocumentAcl,
+    grantDocumentAcl,
+    updateDocumentAcl,
+    revokeDocumentAcl
+} = require('../controllers/documentShareController');
+const {
+    createShareLink,
+    getDocumentShareLinks,
+    getMyShareLinks,
+    revokeShareLink
+} = require('../controllers/shareLinkController');
+const {
+    createUploadSession,
+    getUploadSession,
+    uploadChunk,
+    completeUploadSession,
+    cancelUploadSession
+} = require('../controllers/uploadSessionController');
+const {
+    getDocumentPreview,
+    getDocumentPreviewImage
+} = require('../controllers/documentPreviewController');
+const {
+    pinVersion,
+    unpinVersion,
+    getDocumentRetention,
+    setDocumentRetention,
+    deleteDocumentRetention
+} = require('../controllers/versionRetentionController');
+const {
+    getDocumentAnnotations,
+    createDocumentAnnotation,
+    updateDocumentAnnotation,
+    resolveDocumentAnnotation,
+    deleteDocumentAnnotation
+} = require('../controllers/documentAnnotationController');
+const {
+    getEditLock,
+    acquireEditLock,
+    releaseEditLock
+} = require('../controllers/documentEditLockController');
+const { updateReadingProgress } = require('../controllers/readingController');
+const { bulkDocuments } = require('../controllers/bulkDocumentController');
 const { requireDocumentPermission } = require('../middleware/acl');
 
 // Tất cả routes đều cần authentication
@@ -34,29 +86,82 @@ router.use(authenticateUser);
 router.post('/upload', upload.single('file'), uploadDocument);
 router.get('/', getAllDocuments);
 router.get('/by-category', getDocumentsByCategory);
+router.get('/links', getMyShareLinks);
+router.get('/duplicates', getDuplicateDocuments);
+router.post('/bulk', bulkDocuments);
+
+// Chunked / resumable upload routes
+router.post('/uploads', createUploadSession);
+router.get('/uploads/:sessionId', getUploadSession);
+router.put('/uploads/:sessionId/chunks/:index', uploadChunk);
+router.post('/uploads/:sessionId/complete', completeUploadSession);
+router.delete('/uploads/:sessionId', cancelUploadSession);
 
 // Document access routes guarded by ACL middleware
-router.get('/:id', requireDocumentPermission('view'), getDocumentById);
-router.get('/:id/download', requireDocumentPermission('view'), getDownloadUrl);
-router.put('/:id', requireDocumentPermission('edit'), updateDocument);
+// Tài liệu có mật khẩu phải unlock trước; chỉ unlock / lock và DELETE /:id (nhận mật khẩu trong body) không cần
+router.get('/:id', requireDocumentPermission('view', { requireUnlock: true }), getDocumentById);
+router.get('/:id/content', requireDocumentPermission('view', { requireUnlock: true }), getDocumentContent);
+router.get('/:id/download', requireDocumentPermission('view', { requireUnlock: true }), getDownloadUrl);
+router.get('/:id/preview', requireDocumentPermission('view', { requireUnlock: true }), getDocumentPreview);
+router.get('/:id/preview/image', requireDocumentPermission('view', { requireUnlock: true }), getDocumentPreviewImage);
+router.put('/:id', requireDocumentPermission('edit', { requireUnlock: true }), updateDocument);
 router.delete('/:id', requireDocumentPermission('admin'), deleteDocument);
-router.post('/:id/protect', requireDocumentPermission('admin'), setDocumentPassword);
-router.delete('/:id/protect', requireDocumentPermission('admin'), removeDocumentPassword);
+router.post('/:id/protect', requireDocumentPermission('admin', { requireUnlock: true }), setDocumentPassword);
+router.delete('/:id/protect', requireDocumentPermission('admin', { requireUnlock: true }), removeDocumentPassword);
 router.post('/:id/unlock', requireDocumentPermission('view'), unlockDocument);
+router.delete('/:id/unlock', requireDocumentPermission('view'), lockDocument);
+router.put('/:id/progress', requireDocumentPermission('view', { requireUnlock: true }), updateReadingProgress);
+
+// Advisory edit lock routes (hiển thị ai đang chỉnh sửa)
+router.get('/:id/edit-lock', requireDocumentPermission('view', { requireUnlock: true }), getEditLock);
+router.post('/:id/edit-lock', requireDocumentPermission('edit', { requireUnlock: true }), acquireEditLock);
+router.delete('/:id/edit-lock', requireDocumentPermission('edit', { requireUnlock: true }), releaseEditLock);
 
 // Version history routes
-router.get('/:id/versions', requireDocumentPermission('view'), getDocumentVersions);
-router.post('/:id/versions', requireDocumentPermission('edit'), versionUpload.single('file'), createDocumentVersion);
-router.post('/:id/versions/:versionId/restore', requireDocumentPermission('edit'), restoreDocumentVersion);
+router.get('/:id/versions', requireDocumentPermission('view', { requireUnlock: true }), getDocumentVersions);
+router.post('/:id/versions', requireDocumentPermission('edit', { requireUnlock: true }), versionUpload.single('file'), createDocumentVersion);
+router.get('/:id/versions/:a/diff/:b', requireDocumentPermission('view', { requireUnlock: true }), getVersionDiff);
+router.post('/:id/versions/:versionId/restore', requireDocumentPermission('edit', { requireUnlock: true }), restoreDocumentVersion);
+router.post('/:id/versions/:versionId/pin', requireDocumentPermission('edit', { requireUnlock: true }), pinVersion);
+router.delete('/:id/versions/:versionId/pin', requireDocumentPermission('edit', { requireUnlock: true }), unpinVersion);
+
+// Version retention policy routes
+router.get('/:id/retention', requireDocumentPermission('admin', { requireUnlock: true }), getDocumentRetention);
+router.put('/:id/retention', requireDocumentPermission('admin', { requireUnlock: true }), setDocumentRetention);
+router.delete('/:id/retention', requireDocumentPermission('admin', { requireUnlock: true }), deleteDocumentRetention);
 
 // Bookmark routes
-router.get('/:id/bookmarks', requireDocumentPermission('view'), getDocumentBookmarks);
-router.post('/:id/bookmarks', requireDocumentPermission('view'), addDocumentBookmark);
-router.put('/:id/bookmarks/:bookmarkId', requireDocumentPermission('view'), updateDocumentBookmark);
-router.delete('/:id/bookmarks/:bookmarkId', requireDocumentPermission('view'), removeDocumentBookmark);
+router.get('/:id/bookmarks', requireDocumentPermission('view', { requireUnlock: true }), getDocumentBookmarks);
+router.post('/:id/bookmarks', requireDocumentPermission('view', { requireUnlock: true }), addDocumentBookmark);
+router.put('/:id/bookmarks/:bookmarkId', requireDocumentPermission('view', { requireUnlock: true }), updateDocumentBookmark);
+router.delete('/:id/bookmarks/:bookmarkId', requireDocumentPermission('view', { requireUnlock: true }), removeDocumentBookmark);
+
+// Annotation routes (dùng chung cho mọi người xem được document)
+router.get('/:id/annotations', requireDocumentPermission('view', { requireUnlock: true }), getDocumentAnnotations);
+router.post('/:id/annotations', requireDocumentPermission('view', { requireUnlock: true }), createDocumentAnnotation);
+router.put('/:id/annotations/:annotationId', requireDocumentPermission('view', { requireUnlock: true }), updateDocumentAnnotation);
+router.patch('/:id/annotations/:annotationId/resolve', requireDocumentPermission('view', { requireUnlock: true }), resolveDocumentAnnotation);
+router.delete('/:id/annotations/:annotationId', requireDocumentPermission('view', { requireUnlock: true }), deleteDocumentAnnotation);
+
+// Sharing routes (shared_documents)
+router.get('/:id/shares', requireDocumentPermission('admin', { requireUnlock: true }), getDocumentShares);
+router.post('/:id/shares', requireDocumentPermission('admin', { requireUnlock: true }), createDocumentShare);
+router.put('/:id/shares/:shareId', requireDocumentPermission('admin', { requireUnlock: true }), updateDocumentShare);
+router.delete('/:id/shares/:shareId', requireDocumentPermission('admin', { requireUnlock: true }), revokeDocumentShare);
+
+// Fine-grained ACL routes (document_acl)
+router.get('/:id/acl', requireDocumentPermission('admin', { requireUnlock: true }), getDocumentAcl);
+router.post('/:id/acl', requireDocumentPermission('admin', { requireUnlock: true }), grantDocumentAcl);
+router.put('/:id/acl/:entryId', requireDocumentPermission('admin', { requireUnlock: true }), updateDocumentAcl);
+router.delete('/:id/acl/:entryId', requireDocumentPermission('admin', { requireUnlock: true }), revokeDocumentAcl);
+
+// Public share link routes (token ẩn danh, xem /s/:token)
+router.get('/:id/links', requireDocumentPermission('admin', { requireUnlock: true }), getDocumentShareLinks);
+router.post('/:id/links', requireDocumentPermission('admin', { requireUnlock: true }), createShareLink);
+router.delete('/:id/links/:linkId', requireDocumentPermission('admin', { requireUnlock: true }), revokeShareLink);
 
 // Visibility route
-router.patch('/:id/visibility', requireDocumentPermission('admin'), updateDocumentVisibility);
+router.patch('/:id/visibility', requireDocumentPermission('admin', { requireUnlock: true }), updateDocumentVisibility);
 
 module.exports = router;
 
@@ -0,0 +1,15 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const {
+    createExport,
+    getExportDownload
+} = require('../controllers/exportController');
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+router.post('/', createExport);
+router.get('/:jobId/download', getExportDownload);
+
+module.exports = router;
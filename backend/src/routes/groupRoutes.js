@@ -50,6 +50,13 @@ const {
     getGroupRoles
 } = require('../controllers/groupPermissionController');
 
+const { getGroupStorageUsage } = require('../controllers/storageQuotaController');
+const {
+    getGroupRetention,
+    setGroupRetention,
+    deleteGroupRetention
+} = require('../controllers/versionRetentionController');
+
 const {
     getGroupTodos,
     getGroupTodoStats
@@ -89,6 +96,10 @@ router.delete('/:id',
     deleteGroup
 ); // DELETE /api/groups/:id
 router.get('/:id/stats', checkGroupPermission('group', 'read', 'id'), getGroupStats); // GET /api/groups/:id/stats
+router.get('/:groupId/storage', isGroupOwner('groupId'), getGroupStorageUsage); // GET /api/groups/:groupId/storage (owner only)
+router.get('/:groupId/retention', isGroupMember('groupId'), getGroupRetention); // GET /api/groups/:groupId/retention
+router.put('/:groupId/retention', isGroupAdmin('groupId'), setGroupRetention); // PUT /api/groups/:groupId/retention (admin+)
+router.delete('/:groupId/retention', isGroupAdmin('groupId'), deleteGroupRetention); // DELETE /api/groups/:groupId/retention (admin+)
 router.put('/:id/visibility', isGroupAdmin('id'), updateGroupVisibility); // PUT /api/groups/:id/visibility
 router.post('/:id/transfer-ownership', isGroupOwner('id'), transferOwnership); // POST /api/groups/:id/transfer-ownership
 
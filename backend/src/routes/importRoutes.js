@@ -0,0 +1,15 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const {
+    checkImportCapacity,
+    importUpload,
+    importArchive
+} = require('../controllers/importController');
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+router.post('/', checkImportCapacity, importUpload.single('archive'), importArchive);
+
+module.exports = router;
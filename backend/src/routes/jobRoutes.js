@@ -0,0 +1,17 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const {
+    getMyJobs,
+    getJobStatus,
+    cancelJob
+} = require('../controllers/jobController');
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+router.get('/', getMyJobs);
+router.get('/:id', getJobStatus);
+router.post('/:id/cancel', cancelJob);
+
+module.exports = router;
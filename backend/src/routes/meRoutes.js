@@ -0,0 +1,15 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const {
+    getRecentDocuments,
+    getContinueReading
+} = require('../controllers/readingController');
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+router.get('/recent', getRecentDocuments);
+router.get('/continue-reading', getContinueReading);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const { isGroupMember } = require('../middleware/groupPermissions');
+const { requireDocumentPermission } = require('../middleware/acl');
+const { requireMindmapPermission } = require('../middleware/mindmapAcl');
+const {
+    getMindmaps,
+    getGroupMindmaps,
+    createMindmap,
+    getMindmap,
+    updateMindmap,
+    deleteMindmap,
+    saveMindmap,
+    createNode,
+    updateNode,
+    deleteNode,
+    createEdge,
+    updateEdge,
+    deleteEdge,
+    generateFromCategory,
+    generateFromDocument
+} = require('../controllers/mindmapController');
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+router.get('/', getMindmaps);
+router.post('/', createMindmap);
+router.get('/groups/:groupId', isGroupMember('groupId'), getGroupMindmaps);
+router.post('/groups/:groupId', isGroupMember('groupId'), createMindmap);
+
+// Tạo map từ cây category hoặc dàn ý của document (document có mật khẩu phải được mở khóa trước
+// và chỉ tạo được map cá nhân)
+router.post('/generate/category', generateFromCategory);
+router.post('/generate/document/:id', requireDocumentPermission('view', { requireUnlock: true }), generateFromDocument);
+
+router.get('/:mapId', requireMindmapPermission('view'), getMindmap);
+router.put('/:mapId', requireMindmapPermission('edit'), updateMindmap);
+router.delete('/:mapId', requireMindmapPermission('manage'), deleteMindmap);
+router.put('/:mapId/batch', requireMindmapPermission('edit'), saveMindmap);
+
+router.post('/:mapId/nodes', requireMindmapPermission('edit'), createNode);
+router.put('/:mapId/nodes/:nodeId', requireMindmapPermission('edit'), updateNode);
+router.delete('/:mapId/nodes/:nodeId', requireMindmapPermission('edit'), deleteNode);
+
+router.post('/:mapId/edges', requireMindmapPermission('edit'), createEdge);
+router.put('/:mapId/edges/:edgeId', requireMindmapPermission('edit'), updateEdge);
+router.delete('/:mapId/edges/:edgeId', requireMindmapPermission('edit'), deleteEdge);
+
+module.exports = router;
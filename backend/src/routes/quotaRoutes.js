@@ -0,0 +1,12 @@
+const express = require('express');
+const { authenticateUser, requireSystemAdmin } = require('../middleware/auth');
+const { getStorageQuota, setStorageQuota } = require('../controllers/storageQuotaController');
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+router.get('/', getStorageQuota);
+router.put('/:subjectType/:subjectId', requireSystemAdmin, setStorageQuota);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateUser } = require('../middleware/auth');
-const { chatRAG } = require('../controllers/ragController');
+const { chatRAG, generateMindmapRAG } = require('../controllers/ragController');
 
 // Yêu cầu xác thực (Supabase JWT) trước khi sử dụng RAG API
 router.use(authenticateUser);
@@ -9,4 +9,7 @@ router.use(authenticateUser);
 // POST /api/rag/chat - Endpoint để chat với tài liệu qua RAG
 router.post('/chat', chatRAG);
 
+// POST /api/rag/mindmap - Tạo mind map (kèm nguồn trích dẫn) cho một chủ đề từ tài liệu
+router.post('/mindmap', generateMindmapRAG);
+
 module.exports = router;
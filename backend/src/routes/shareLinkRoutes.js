@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { openShareLink, unlockShareLink } = require('../controllers/shareLinkController');
+
+// Public routes - không yêu cầu authentication, token chính là quyền truy cập
+router.get('/:token', openShareLink);
+router.post('/:token', unlockShareLink);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const {
+    getTags,
+    createTag,
+    updateTag,
+    mergeTags,
+    deleteTag
+} = require('../controllers/tagController');
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+router.get('/', getTags);
+router.post('/', createTag);
+router.post('/merge', mergeTags);
+router.put('/:tagId', updateTag);
+router.delete('/:tagId', deleteTag);
+
+module.exports = router;
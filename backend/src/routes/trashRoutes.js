@@ -0,0 +1,19 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const {
+    getTrash,
+    restoreDocument,
+    purgeTrashedDocument,
+    emptyTrash
+} = require('../controllers/trashController');
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+router.get('/', getTrash);
+router.delete('/', emptyTrash);
+router.post('/:id/restore', restoreDocument);
+router.delete('/:id', purgeTrashedDocument);
+
+module.exports = router;
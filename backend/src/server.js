@@ -13,6 +13,21 @@ const inviteRoutes = require('./routes/inviteRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
 const ragRoutes = require('./routes/ragRoutes');
 const embeddingRoutes = require('./routes/embeddingRoutes');
+const shareLinkRoutes = require('./routes/shareLinkRoutes');
+const quotaRoutes = require('./routes/quotaRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const bookmarkRoutes = require('./routes/bookmarkRoutes');
+const meRoutes = require('./routes/meRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const importRoutes = require('./routes/importRoutes');
+const mindmapRoutes = require('./routes/mindmapRoutes');
+const uploadSessionService = require('./services/uploadSessionService');
+const trashService = require('./services/trashService');
+const versionRetentionService = require('./services/versionRetentionService');
+const backgroundJobService = require('./services/backgroundJobService');
+const exportService = require('./services/exportService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,7 +48,8 @@ app.use((req, res, next) => {
     }
     
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, If-Match, If-None-Match');
+    res.header('Access-Control-Expose-Headers', 'ETag');
     res.header('Access-Control-Allow-Credentials', 'true');
     res.header('Access-Control-Max-Age', '86400'); // 24 hours
     
@@ -54,7 +70,8 @@ app.use(cors({
     origin: ['http://localhost:5173', 'http://localhost:5174', 'http://localhost:3000'],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'If-Match', 'If-None-Match'],
+    exposedHeaders: ['ETag']
 }));
 
 // Enhanced CORS debugging middleware with timing
@@ -99,6 +116,18 @@ app.use('/api/invites', inviteRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/rag', ragRoutes);
 app.use('/api/embedding', embeddingRoutes);
+app.use('/api/quota', quotaRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/mindmaps', mindmapRoutes);
+
+// Public share links (không cần authentication)
+app.use('/s', shareLinkRoutes);
 
 // Enhanced 404 handler with detailed logging
 app.use((req, res) => {
@@ -133,6 +162,23 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server is running on http://localhost:${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Dọn dẹp upload session hết hạn
+  uploadSessionService.startCleanupJob();
+
+  // Xóa hẳn document nằm trong thùng rác quá hạn
+  trashService.startPurgeJob();
+
+  // Xóa version thừa theo chính sách giữ version
+  versionRetentionService.startPruneJob();
+
+  // Xóa file export quá hạn trên Storage
+  exportService.startCleanupJob();
+
+  // Job nền đang chạy dở khi server dừng bị đánh dấu failed, job chưa chạy được chạy lại
+  backgroundJobService.recoverInterruptedJobs().catch((error) => {
+    console.error('Recover interrupted jobs failed:', error);
+  });
 });
 
 module.exports = app;
@@ -0,0 +1,172 @@
+const { supabase } = require('../config/supabase');
+
+/**
+ * Annotation Service
+ * Kiểm tra anchor của annotation (đoạn text / vùng chữ nhật trên trang),
+ * tìm user được @mention và dựng thread trả lời
+ */
+
+const ANCHOR_TYPES = ['text', 'rect'];
+const MAX_BODY_LENGTH = 10000;
+const MAX_QUOTE_LENGTH = 2000;
+const DEFAULT_COLOR = '#FACC15';
+// Cùng định dạng màu với tag: #rgb hoặc #rrggbb
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// @username: chữ, số, dấu chấm, gạch dưới, gạch ngang
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_.-]{2,50})/g;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isRatio = (value) => isFiniteNumber(value) && value >= 0 && value <= 1;
+
+/**
+ * Kiểm tra và chuẩn hóa anchor
+ * text: { start, end } - offset ký tự trong trang (end > start)
+ * rect: { x, y, width, height } - tỉ lệ 0..1 theo kích thước trang
+ * @returns {{ok: boolean, value?: Object, message?: string}}
+ */
+function parseAnchor(anchorType, anchor) {
+    if (!ANCHOR_TYPES.includes(anchorType)) {
+        return { ok: false, message: `anchor_type must be one of: ${ANCHOR_TYPES.join(', ')}` };
+    }
+
+    if (!anchor || typeof anchor !== 'object' || Array.isArray(anchor)) {
+        return { ok: false, message: 'anchor must be an object' };
+    }
+
+    if (anchorType === 'text') {
+        const { start, end } = anchor;
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) {
+            return { ok: false, message: 'Text anchor requires integer start and end with end > start' };
+        }
+        return { ok: true, value: { start, end } };
+    }
+
+    const { x, y, width, height } = anchor;
+    if (![x, y, width, height].every(isRatio) || width === 0 || height === 0 || x + width > 1 || y + height > 1) {
+        return { ok: false, message: 'Rect anchor requires x, y, width, height as ratios within the page (0..1)' };
+    }
+    return { ok: true, value: { x, y, width, height } };
+}
+
+/**
+ * Kiểm tra nội dung annotation / reply
+ * @returns {{ok: boolean, value?: string|null, message?: string}}
+ */
+function parseBody(body, { required = false } = {}) {
+    if (body === undefined || body === null || body === '') {
+        return required ? { ok: false, message: 'body is required' } : { ok: true, value: null };
+    }
+    if (typeof body !== 'string') {
+        return { ok: false, message: 'body must be a string' };
+    }
+    const trimmed = body.trim();
+    if (required && !trimmed) {
+        return { ok: false, message: 'body is required' };
+    }
+    if (trimmed.length > MAX_BODY_LENGTH) {
+        return { ok: false, message: `body must be at most ${MAX_BODY_LENGTH} characters` };
+    }
+    return { ok: true, value: trimmed || null };
+}
+
+/**
+ * Kiểm tra màu highlight, bỏ trống thì dùng màu mặc định
+ * @returns {{ok: boolean, value?: string, message?: string}}
+ */
+function parseColor(color) {
+    if (color === undefined || color === null || color === '') {
+        return { ok: true, value: DEFAULT_COLOR };
+    }
+    if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+        return { ok: false, message: 'color must be a hex color like #FACC15' };
+    }
+    return { ok: true, value: color };
+}
+
+const normalizeQuote = (quote) => (typeof quote === 'string' && quote.trim()
+    ? quote.slice(0, MAX_QUOTE_LENGTH)
+    : null);
+
+/**
+ * Tìm user được @mention trong nội dung
+ * Chỉ nhận thành viên đang hoạt động của group chứa document (và owner của document)
+ * @param {Object} document - { created_by, group_id }
+ * @param {string|null} body
+ * @returns {Promise<string[]>} - user id được mention
+ */
+async function resolveMentions(document, body) {
+    if (!body) return [];
+
+    const usernames = new Set();
+    for (const match of body.matchAll(MENTION_PATTERN)) {
+        usernames.add(match[2].replace(/[.-]+$/, '').toLowerCase());
+    }
+    if (!usernames.size) return [];
+
+    const candidateIds = new Set([document.created_by]);
+    if (document.group_id) {
+        const { data: members, error } = await supabase
+            .from('group_members')
+            .select('user_id')
+            .eq('group_id', document.group_id)
+            .eq('is_active', true);
+
+        if (error) {
+            console.error('[ANNOTATIONS] Fetch group members for mentions error:', error);
+        }
+        members?.forEach((member) => candidateIds.add(member.user_id));
+    }
+
+    const { data: profiles, error: profilesError } = await supabase
+        .from('profiles')
+        .select('id, username')
+        .in('id', Array.from(candidateIds).filter(Boolean));
+
+    if (profilesError) {
+        console.error('[ANNOTATIONS] Fetch profiles for mentions error:', profilesError);
+        return [];
+    }
+
+    return (profiles || [])
+        .filter((profile) => profile.username && usernames.has(profile.username.toLowerCase()))
+        .map((profile) => profile.id);
+}
+
+/**
+ * Gom reply vào annotation gốc và gắn thông tin tác giả
+ * @param {Array} rows - document_annotations
+ * @param {Map} profileMap - user id -> profile
+ * @returns {Array} - Annotation gốc, mỗi cái có replies[] theo thứ tự thời gian
+ */
+function buildThreads(rows, profileMap) {
+    const withAuthor = (row) => ({
+        ...row,
+        author: profileMap.get(row.created_by) || { id: row.created_by, username: null, full_name: null, avatar_url: null }
+    });
+
+    const roots = new Map();
+    rows.filter((row) => !row.parent_id).forEach((row) => {
+        roots.set(row.id, { ...withAuthor(row), replies: [] });
+    });
+
+    rows
+        .filter((row) => row.parent_id && roots.has(row.parent_id))
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .forEach((row) => roots.get(row.parent_id).replies.push(withAuthor(row)));
+
+    return Array.from(roots.values()).map((root) => ({
+        ...root,
+        reply_count: root.replies.length
+    }));
+}
+
+module.exports = {
+    ANCHOR_TYPES,
+    parseAnchor,
+    parseBody,
+    parseColor,
+    normalizeQuote,
+    resolveMentions,
+    buildThreads
+};
@@ -0,0 +1,400 @@
+const { supabase } = require('../config/supabase');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+/**
+ * Background Job Service
+ * Job nền dùng chung (bảng background_jobs): tạo job, chạy handler trong process,
+ * cập nhật tiến độ cho client poll qua GET /api/jobs/:id và hủy job theo yêu cầu
+ */
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Không ghi tiến độ quá dày (mỗi item một lần update sẽ rất tốn với batch lớn)
+const PROGRESS_FLUSH_MS = 1000;
+const CANCEL_CHECK_MS = 2000;
+
+// job_type -> async (job, user) => handler | null; dùng để chạy lại job pending sau khi server khởi động lại
+const jobResumers = new Map();
+
+/**
+ * Thông tin job trả về cho client
+ */
+function formatJob(job) {
+    if (!job) return null;
+    return {
+        id: job.id,
+        type: job.job_type,
+        status: job.status,
+        progress: job.total_items
+            ? Math.round((job.processed_items / job.total_items) * 100)
+            : (job.status === 'completed' ? 100 : 0),
+        total_items: job.total_items,
+        processed_items: job.processed_items,
+        succeeded_items: job.succeeded_items,
+        failed_items: job.failed_items,
+        result: job.result || null,
+        error: job.error || null,
+        cancel_requested: job.cancel_requested,
+        created_at: job.created_at,
+        started_at: job.started_at || null,
+        completed_at: job.completed_at || null
+    };
+}
+
+/**
+ * Số job cùng loại chưa xong (pending / running), của một user hoặc toàn hệ thống
+ */
+async function countActiveJobs(type, userId = null) {
+    let query = supabase
+        .from('background_jobs')
+        .select('id', { count: 'exact', head: true })
+        .eq('job_type', type)
+        .in('status', ['pending', 'running']);
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+}
+
+/**
+ * Kiểm tra giới hạn số job cùng loại chạy đồng thời
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.type
+ * @param {Object} params.limits - { perUser?, total? }
+ * @returns {Promise<{ok: boolean, status?: number, code?: string, message?: string}>}
+ */
+async function checkJobLimits({ userId, type, limits }) {
+    try {
+        if (limits.perUser && await countActiveJobs(type, userId) >= limits.perUser) {
+            return {
+                ok: false,
+                status: 429,
+                code: 'TOO_MANY_JOBS',
+                message: `You already have ${limits.perUser} ${type} job(s) running. Wait for them to finish`
+            };
+        }
+        if (limits.total && await countActiveJobs(type) >= limits.total) {
+            return {
+                ok: false,
+                status: 429,
+                code: 'TOO_MANY_JOBS',
+                message: `Too many ${type} jobs are running. Try again in a few minutes`
+            };
+        }
+    } catch (error) {
+        if (!isMissingTableError(error)) {
+            console.error('[JOBS] Count active jobs error:', error);
+        }
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Tạo job mới (status pending)
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.type - bulk_documents | export | import ...
+ * @param {Object} [params.params] - Tham số của job (lưu lại để xem / debug)
+ * @param {number} [params.totalItems]
+ * @param {Object} [params.limits] - { perUser?, total? }: số job cùng loại chạy đồng thời tối đa, vượt thì trả 429
+ * @returns {Promise<{ok: boolean, job?: Object, status?: number, code?: string, message?: string}>}
+ */
+async function createJob({ userId, type, params = {}, totalItems = 0, limits = null }) {
+    if (limits) {
+        const allowed = await checkJobLimits({ userId, type, limits });
+        if (!allowed.ok) return allowed;
+    }
+
+    const { data: job, error } = await supabase
+        .from('background_jobs')
+        .insert({
+            user_id: userId,
+            job_type: type,
+            params,
+            total_items: totalItems
+        })
+        .select()
+        .single();
+
+    if (error) {
+        if (isMissingTableError(error)) {
+            return {
+                ok: false,
+                status: 503,
+                code: 'JOBS_UNAVAILABLE',
+                message: 'Background jobs are not configured. Run database/background_jobs.sql'
+            };
+        }
+        console.error('[JOBS] Create job error:', error);
+        return { ok: false, status: 400, code: 'JOB_CREATE_FAILED', message: error.message };
+    }
+
+    return { ok: true, job };
+}
+
+/**
+ * Lấy job của user
+ */
+async function getJob(userId, jobId) {
+    const { data, error } = await supabase
+        .from('background_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    return { data, error };
+}
+
+async function updateJob(jobId, fields) {
+    const { error } = await supabase
+        .from('background_jobs')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', jobId);
+
+    if (error) {
+        console.error(`[JOBS] Update job ${jobId} error:`, error);
+    }
+}
+
+/**
+ * Chạy handler của job nền, không chặn response
+ * Handler nhận context:
+ *   - job: bản ghi background_jobs
+ *   - reportItem(ok): đếm một item đã xử lý (thành công / thất bại)
+ *   - setResult(result): dữ liệu kết quả, được lưu cùng tiến độ
+ *   - isCancelled(): user đã yêu cầu hủy chưa (handler nên dừng giữa các item)
+ * Handler trả về result cuối cùng (ghi vào background_jobs.result)
+ * @param {Object} job
+ * @param {Function} handler - async (context) => result
+ */
+function runJob(job, handler) {
+    const counters = { processed_items: 0, succeeded_items: 0, failed_items: 0 };
+    let result = null;
+    let lastFlush = 0;
+    let lastCancelCheck = 0;
+    let cancelled = false;
+
+    const flush = async (force = false) => {
+        const now = Date.now();
+        if (!force && now - lastFlush < PROGRESS_FLUSH_MS) return;
+        lastFlush = now;
+        await updateJob(job.id, { ...counters, result });
+    };
+
+    const context = {
+        job,
+        reportItem: async (ok) => {
+            counters.processed_items += 1;
+            if (ok) counters.succeeded_items += 1;
+            else counters.failed_items += 1;
+            await flush();
+        },
+        setResult: (value) => {
+            result = value;
+        },
+        isCancelled: async () => {
+            if (cancelled) return true;
+            const now = Date.now();
+            if (now - lastCancelCheck < CANCEL_CHECK_MS) return false;
+            lastCancelCheck = now;
+
+            const { data } = await supabase
+                .from('background_jobs')
+                .select('cancel_requested')
+                .eq('id', job.id)
+                .maybeSingle();
+            cancelled = !!data?.cancel_requested;
+            return cancelled;
+        }
+    };
+
+    setImmediate(async () => {
+        // Job bị hủy trước khi kịp chạy thì bỏ qua
+        const { data: started } = await supabase
+            .from('background_jobs')
+            .update({ status: 'running', started_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+            .eq('id', job.id)
+            .eq('status', 'pending')
+            .select('id');
+
+        if (!started?.length) return;
+
+        try {
+            const finalResult = await handler(context);
+            if (finalResult !== undefined) result = finalResult;
+
+            await updateJob(job.id, {
+                ...counters,
+                result,
+                status: cancelled ? 'cancelled' : 'completed',
+                completed_at: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`[JOBS] Job ${job.id} (${job.job_type}) failed:`, error);
+            await updateJob(job.id, {
+                ...counters,
+                result,
+                status: 'failed',
+                error: error.message || 'Job failed',
+                completed_at: new Date().toISOString()
+            });
+        }
+    });
+}
+
+/**
+ * Yêu cầu hủy job (handler dừng ở item kế tiếp); job chưa chạy thì hủy ngay
+ * @returns {Promise<{ok: boolean, job?: Object, status?: number, message?: string}>}
+ */
+async function requestCancel(userId, jobId) {
+    const { data: job, error } = await getJob(userId, jobId);
+    if (error || !job) {
+        return { ok: false, status: 404, message: 'Job not found' };
+    }
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+        return { ok: false, status: 409, message: `Job is already ${job.status}` };
+    }
+
+    const fields = job.status === 'pending'
+        ? { cancel_requested: true, status: 'cancelled', completed_at: new Date().toISOString() }
+        : { cancel_requested: true };
+
+    const { data: updated, error: updateError } = await supabase
+        .from('background_jobs')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', jobId)
+        .select()
+        .single();
+
+    if (updateError) {
+        return { ok: false, status: 400, message: updateError.message };
+    }
+
+    return { ok: true, job: updated };
+}
+
+/**
+ * Đăng ký cách chạy lại job pending của một loại job sau khi server khởi động lại
+ * resume(job, user) trả về handler cho runJob, hoặc null nếu job không chạy lại được
+ * (ví dụ dữ liệu đầu vào chỉ nằm trong memory của process cũ)
+ * @param {string} type
+ * @param {Function} resume - async (job, user) => handler | null
+ */
+function registerJobResumer(type, resume) {
+    jobResumers.set(type, resume);
+}
+
+/**
+ * Chủ của job ({ id, email }), email dùng cho quyền theo chia sẻ qua email
+ */
+async function resolveJobUser(job) {
+    const { data, error } = await supabase.auth.admin.getUserById(job.user_id);
+    if (error) {
+        console.warn(`[JOBS] Resolve owner of job ${job.id} error:`, error.message || error);
+    }
+    return { id: job.user_id, email: data?.user?.email || null };
+}
+
+const failJobs = async (status, message) => {
+    const { data, error } = await supabase
+        .from('background_jobs')
+        .update({
+            status: 'failed',
+            error: message,
+            completed_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('status', status)
+        .select('id');
+
+    if (error) throw error;
+    return data || [];
+};
+
+/**
+ * Khi khởi động: job đang chạy (running) khi server dừng sẽ không bao giờ xong nên đánh dấu failed;
+ * job chưa chạy (pending) được chạy lại nếu loại job có resumer, không thì đánh dấu failed
+ * @returns {Promise<{failed: number, requeued: number}>}
+ */
+async function recoverInterruptedJobs() {
+    let failed = 0;
+    let requeued = 0;
+
+    try {
+        failed += (await failJobs('running', 'Interrupted by server restart')).length;
+
+        const { data: pendingJobs, error } = await supabase
+            .from('background_jobs')
+            .select('*')
+            .eq('status', 'pending')
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        for (const job of pendingJobs || []) {
+            const resume = jobResumers.get(job.job_type);
+            let handler = null;
+
+            if (resume) {
+                try {
+                    handler = await resume(job, await resolveJobUser(job));
+                } catch (resumeError) {
+                    console.error(`[JOBS] Resume job ${job.id} (${job.job_type}) error:`, resumeError);
+                }
+            }
+
+            if (handler) {
+                // runJob chỉ chạy khi job vẫn pending (bị hủy trong lúc chờ thì bỏ qua)
+                runJob(job, handler);
+                requeued += 1;
+                continue;
+            }
+
+            const { data: marked } = await supabase
+                .from('background_jobs')
+                .update({
+                    status: 'failed',
+                    error: 'Interrupted by server restart before it started',
+                    completed_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', job.id)
+                .eq('status', 'pending')
+                .select('id');
+
+            failed += marked?.length || 0;
+        }
+    } catch (error) {
+        if (!isMissingTableError(error)) {
+            console.error('[JOBS] Recover interrupted jobs error:', error);
+        }
+    }
+
+    if (failed) {
+        console.log(`[JOBS] Marked ${failed} interrupted job(s) as failed`);
+    }
+    if (requeued) {
+        console.log(`[JOBS] Requeued ${requeued} pending job(s)`);
+    }
+    return { failed, requeued };
+}
+
+module.exports = {
+    JOB_STATUSES,
+    FINISHED_STATUSES,
+    formatJob,
+    checkJobLimits,
+    createJob,
+    getJob,
+    runJob,
+    requestCancel,
+    registerJobResumer,
+    recoverInterruptedJobs
+};
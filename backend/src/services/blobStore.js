@@ -0,0 +1,157 @@
+const { supabase } = require('../config/supabase');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { getPreviewPath } = require('./previewService');
+
+/**
+ * Blob Store
+ * Lưu file trên Supabase Storage theo SHA-256 của nội dung (blobs/<2 ký tự đầu>/<hash>-<suffix>)
+ * File trùng nội dung dùng chung một object, số reference nằm trong bảng storage_blobs
+ * Mỗi lần blob được tạo mới thì upload vào đường dẫn mới, nên object của blob vừa về 0
+ * (đang chờ xóa trên Storage) không bao giờ được dùng lại
+ *
+ * Quy ước: mỗi bản ghi documents và document_versions có content_hash giữ đúng một
+ * reference. Khi bản ghi đổi sang nội dung khác hoặc bị xóa thì phải releaseBlob()
+ */
+
+const BUCKET = 'documents';
+// Mimetype có thể chạy script khi trình duyệt mở trực tiếp: signed URL luôn trả về dạng tải xuống
+const ATTACHMENT_ONLY_MIME_TYPES = ['image/svg+xml'];
+
+const createBlobPath = (hash) => `blobs/${hash.slice(0, 2)}/${hash}-${crypto.randomBytes(6).toString('hex')}`;
+
+/**
+ * SHA-256 của Buffer
+ * @returns {string} - hex
+ */
+function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * SHA-256 của stream (đọc hết stream)
+ * @returns {Promise<string>} - hex
+ */
+async function hashStream(stream) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(stream, hash);
+    return hash.digest('hex');
+}
+
+/**
+ * Lưu nội dung và lấy một reference tới blob
+ * Nếu blob đã tồn tại thì không upload lại, chỉ tăng ref_count
+ * @param {Object} params
+ * @param {string} params.hash - SHA-256 hex của nội dung
+ * @param {Buffer|import('stream').Readable} params.body
+ * @param {number} params.size
+ * @param {string} params.mimeType
+ * @returns {Promise<{ok: boolean, filePath?: string, deduplicated?: boolean, error?: Object}>}
+ */
+async function putBlob({ hash, body, size, mimeType }) {
+    const { data: existingPath, error: reuseError } = await supabase.rpc('reuse_storage_blob', { blob_hash: hash });
+
+    if (reuseError) {
+        return { ok: false, error: reuseError };
+    }
+
+    if (existingPath) {
+        return { ok: true, filePath: existingPath, deduplicated: true };
+    }
+
+    const filePath = createBlobPath(hash);
+    const { error: uploadError } = await supabase.storage
+        .from(BUCKET)
+        .upload(filePath, body, {
+            contentType: mimeType,
+            cacheControl: '3600',
+            upsert: false
+        });
+
+    if (uploadError) {
+        return { ok: false, error: uploadError };
+    }
+
+    const { data: storedPath, error: acquireError } = await supabase.rpc('acquire_storage_blob', {
+        blob_hash: hash,
+        blob_path: filePath,
+        blob_size: size,
+        blob_mime: mimeType
+    });
+
+    // Request khác tạo blob cùng nội dung trước (acquire trả về đường dẫn của blob đó)
+    // hoặc lỗi: object vừa upload không được ai tham chiếu
+    if (acquireError || (storedPath && storedPath !== filePath)) {
+        const { error: removeError } = await supabase.storage.from(BUCKET).remove([filePath]);
+        if (removeError) {
+            console.error('[BLOB_STORE] Remove unused upload error:', removeError);
+        }
+    }
+
+    if (acquireError) {
+        return { ok: false, error: acquireError };
+    }
+
+    return {
+        ok: true,
+        filePath: storedPath || filePath,
+        deduplicated: !!storedPath && storedPath !== filePath
+    };
+}
+
+/**
+ * Thêm một reference cho blob đã tồn tại
+ * @returns {Promise<boolean>}
+ */
+async function retainBlob(hash) {
+    const { data, error } = await supabase.rpc('retain_storage_blob', { blob_hash: hash });
+    if (error) {
+        console.error('[BLOB_STORE] Retain blob error:', error);
+        return false;
+    }
+    return !!data;
+}
+
+/**
+ * Bỏ một reference; xóa object trên Storage khi không còn ai dùng
+ */
+async function releaseBlob(hash) {
+    if (!hash) return;
+
+    const { data: orphanPath, error } = await supabase.rpc('release_storage_blob', { blob_hash: hash });
+    if (error) {
+        console.error('[BLOB_STORE] Release blob error:', error);
+        return;
+    }
+
+    // Xóa cả ảnh preview nằm cạnh file (nếu có)
+    if (orphanPath) {
+        const { error: removeError } = await supabase.storage.from(BUCKET).remove([orphanPath, getPreviewPath(orphanPath)]);
+        if (removeError) {
+            console.error('[BLOB_STORE] Remove orphan blob error:', removeError);
+        }
+    }
+}
+
+/**
+ * Signed URL tới file của document. SVG luôn có Content-Disposition: attachment để
+ * không được render (và chạy script) trên origin của Storage
+ * @param {string} filePath
+ * @param {number} expiresIn - giây
+ * @param {{mimeType?: string, fileName?: string}} [file]
+ */
+async function createSignedFileUrl(filePath, expiresIn, { mimeType, fileName } = {}) {
+    const options = ATTACHMENT_ONLY_MIME_TYPES.includes(mimeType) ? { download: fileName || true } : undefined;
+    return supabase.storage
+        .from(BUCKET)
+        .createSignedUrl(filePath, expiresIn, options);
+}
+
+module.exports = {
+    createSignedFileUrl,
+    hashBuffer,
+    hashStream,
+    putBlob,
+    retainBlob,
+    releaseBlob
+};
@@ -0,0 +1,341 @@
+const { supabase } = require('../config/supabase');
+const { hasDocumentAccess, getActiveUnlockGrant } = require('../middleware/acl');
+const { EMBEDDABLE_MIME_TYPES } = require('./documentUploadService');
+const embeddingQueue = require('./embeddingQueue');
+const { normalizeTagList, queueTagRegistration } = require('./tagService');
+
+/**
+ * Bulk Document Service
+ * Một thao tác trên nhiều document: chuyển category, thêm / bỏ tag, gắn vào group,
+ * đổi visibility, chuyển vào thùng rác, embedding lại
+ *
+ * Quyền được kiểm tra trên từng document; kết quả trả về theo từng document
+ */
+
+const MAX_BULK_ITEMS = parseInt(process.env.BULK_MAX_ITEMS || '1000', 10);
+// Batch nhỏ chạy ngay trong request, lớn hơn thì chạy thành job nền
+const BULK_SYNC_LIMIT = parseInt(process.env.BULK_SYNC_LIMIT || '25', 10);
+
+const BULK_DOCUMENT_SELECT = 'id, title, created_by, group_id, category_id, tags, mime_type, is_protected, password_hash, deleted_at';
+
+const VISIBILITIES = ['private', 'public', 'shared'];
+const GROUP_ACCESS_LEVELS = ['read', 'write', 'admin'];
+
+const OPERATIONS = {
+    move_category: {
+        permission: 'edit',
+        parse: async (params, user) => {
+            const categoryId = params.category_id ?? null;
+            if (categoryId === null) return { ok: true, value: { category_id: null } };
+
+            const { data: category } = await supabase
+                .from('categories')
+                .select('id, created_by, group_id')
+                .eq('id', categoryId)
+                .maybeSingle();
+
+            if (!category) {
+                return { ok: false, message: 'Category not found' };
+            }
+
+            if (category.created_by !== user.id) {
+                const { data: membership } = category.group_id
+                    ? await supabase
+                        .from('group_members')
+                        .select('role')
+                        .eq('group_id', category.group_id)
+                        .eq('user_id', user.id)
+                        .eq('is_active', true)
+                        .maybeSingle()
+                    : { data: null };
+
+                if (!membership) {
+                    return { ok: false, message: 'You do not have access to this category' };
+                }
+            }
+
+            return { ok: true, value: { category_id: category.id } };
+        },
+        apply: async (document, value, user) => {
+            return supabase
+                .from('documents')
+                .update({ category_id: value.category_id, last_edited_by: user.id })
+                .eq('id', document.id);
+        }
+    },
+
+    add_tags: {
+        permission: 'edit',
+        parse: async (params) => {
+            const tags = normalizeTagList(params.tags);
+            return tags.length
+                ? { ok: true, value: { tags } }
+                : { ok: false, message: 'tags must be a non-empty array of strings' };
+        },
+        apply: async (document, value, user) => {
+            const current = Array.isArray(document.tags) ? document.tags : [];
+            const merged = normalizeTagList([...current, ...value.tags]);
+            if (merged.length === current.length) return { error: null };
+
+            const result = await supabase
+                .from('documents')
+                .update({ tags: merged, last_edited_by: user.id })
+                .eq('id', document.id);
+
+            if (!result.error) {
+                queueTagRegistration(document, value.tags, user.id);
+            }
+            return result;
+        }
+    },
+
+    remove_tags: {
+        permission: 'edit',
+        parse: async (params) => {
+            const tags = normalizeTagList(params.tags);
+            return tags.length
+                ? { ok: true, value: { tags } }
+                : { ok: false, message: 'tags must be a non-empty array of strings' };
+        },
+        apply: async (document, value, user) => {
+            const current = Array.isArray(document.tags) ? document.tags : [];
+            const removed = new Set(value.tags.map((tag) => tag.toLowerCase()));
+            const remaining = current.filter((tag) => !removed.has(tag.toLowerCase()));
+            if (remaining.length === current.length) return { error: null };
+
+            return supabase
+                .from('documents')
+                .update({ tags: remaining, last_edited_by: user.id })
+                .eq('id', document.id);
+        }
+    },
+
+    attach_group: {
+        permission: 'admin',
+        parse: async (params, user) => {
+            const { group_id, access_level = 'read' } = params;
+            if (!group_id) {
+                return { ok: false, message: 'group_id is required' };
+            }
+            if (!GROUP_ACCESS_LEVELS.includes(access_level)) {
+                return { ok: false, message: `access_level must be one of: ${GROUP_ACCESS_LEVELS.join(', ')}` };
+            }
+
+            // Giống POST /api/groups/:groupId/documents: chỉ owner / admin của group được thêm document
+            const { data: membership } = await supabase
+                .from('group_members')
+                .select('role')
+                .eq('group_id', group_id)
+                .eq('user_id', user.id)
+                .eq('is_active', true)
+                .maybeSingle();
+
+            if (!membership || !['owner', 'admin'].includes(membership.role)) {
+                return { ok: false, status: 403, message: 'You must be an owner or admin of the group' };
+            }
+
+            return { ok: true, value: { group_id, access_level } };
+        },
+        apply: async (document, value, user) => {
+            const result = await supabase
+                .from('group_documents')
+                .upsert({
+                    group_id: value.group_id,
+                    document_id: document.id,
+                    access_level: value.access_level,
+                    added_by: user.id
+                }, { onConflict: 'group_id,document_id' });
+
+            if (!result.error) {
+                await supabase
+                    .from('group_activity_logs')
+                    .insert({
+                        group_id: value.group_id,
+                        user_id: user.id,
+                        activity_type: 'document_added',
+                        metadata: {
+                            document_id: document.id,
+                            document_title: document.title || 'Untitled',
+                            access_level: value.access_level
+                        }
+                    });
+            }
+            return result;
+        }
+    },
+
+    set_visibility: {
+        permission: 'admin',
+        parse: async (params) => (VISIBILITIES.includes(params.visibility)
+            ? { ok: true, value: { visibility: params.visibility } }
+            : { ok: false, message: `visibility must be one of: ${VISIBILITIES.join(', ')}` }),
+        apply: async (document, value, user) => {
+            return supabase
+                .from('documents')
+                .update({
+                    visibility: value.visibility,
+                    is_public: value.visibility === 'public',
+                    last_edited_by: user.id
+                })
+                .eq('id', document.id);
+        }
+    },
+
+    delete: {
+        permission: 'admin',
+        parse: async () => ({ ok: true, value: {} }),
+        apply: async (document, value, user) => {
+            const result = await supabase
+                .from('documents')
+                .update({
+                    deleted_at: new Date().toISOString(),
+                    deleted_by: user.id
+                })
+                .eq('id', document.id);
+
+            if (!result.error) {
+                await supabase
+                    .from('activity_logs')
+                    .insert([{
+                        user_id: user.id,
+                        activity_type: 'document_trashed',
+                        metadata: {
+                            document_id: document.id,
+                            document_title: document.title,
+                            bulk: true
+                        }
+                    }]);
+            }
+            return result;
+        }
+    },
+
+    reembed: {
+        permission: 'edit',
+        parse: async () => ({ ok: true, value: {} }),
+        apply: async (document) => {
+            if (!EMBEDDABLE_MIME_TYPES.includes(document.mime_type)) {
+                return { error: { status: 415, code: 'NOT_EMBEDDABLE', message: `Files of type ${document.mime_type} are not embedded` } };
+            }
+            const jobId = await embeddingQueue.add(document.id, 'low');
+            return { error: null, data: { embedding_job_id: jobId } };
+        }
+    }
+};
+
+const BULK_OPERATIONS = Object.keys(OPERATIONS);
+
+/**
+ * Kiểm tra request bulk
+ * @returns {Promise<{ok: boolean, value?: {operation: string, documentIds: string[], params: Object}, status?: number, message?: string}>}
+ */
+async function parseBulkRequest(body = {}, user) {
+    const { operation, params = {} } = body;
+
+    if (!OPERATIONS[operation]) {
+        return { ok: false, status: 400, message: `operation must be one of: ${BULK_OPERATIONS.join(', ')}` };
+    }
+
+    const documentIds = Array.isArray(body.document_ids)
+        ? Array.from(new Set(body.document_ids.filter((value) => typeof value === 'string' && value)))
+        : [];
+
+    if (!documentIds.length) {
+        return { ok: false, status: 400, message: 'document_ids must be a non-empty array' };
+    }
+    if (documentIds.length > MAX_BULK_ITEMS) {
+        return { ok: false, status: 400, message: `At most ${MAX_BULK_ITEMS} documents per request` };
+    }
+
+    const parsed = await OPERATIONS[operation].parse(params || {}, user);
+    if (!parsed.ok) {
+        return { ok: false, status: parsed.status || 400, message: parsed.message };
+    }
+
+    return { ok: true, value: { operation, documentIds, params: parsed.value } };
+}
+
+/**
+ * Áp dụng thao tác cho một document
+ * @returns {Promise<{document_id: string, ok: boolean, status: number, code?: string, message?: string, data?: Object}>}
+ */
+async function applyToDocument(operation, documentId, params, user) {
+    const definition = OPERATIONS[operation];
+
+    try {
+        const { data: document } = await supabase
+            .from('documents')
+            .select(BULK_DOCUMENT_SELECT)
+            .eq('id', documentId)
+            .maybeSingle();
+
+        if (!document || document.deleted_at) {
+            return { document_id: documentId, ok: false, status: 404, code: 'NOT_FOUND', message: 'Document not found' };
+        }
+
+        const allowed = await hasDocumentAccess(user.id, user.email, document, definition.permission);
+        if (!allowed) {
+            return { document_id: documentId, ok: false, status: 403, code: 'FORBIDDEN', message: 'You do not have permission to modify this document' };
+        }
+
+        // Như các route /api/documents/:id: không nhập được mật khẩu từng document trong bulk, cần unlock trước
+        if (document.is_protected && document.password_hash && !(await getActiveUnlockGrant(user.id, document.id))) {
+            return { document_id: documentId, ok: false, status: 423, code: 'DOCUMENT_LOCKED', message: 'Document is password protected. Unlock it first' };
+        }
+
+        const { error, data } = await definition.apply(document, params, user);
+        if (error) {
+            return {
+                document_id: documentId,
+                ok: false,
+                status: error.status || 400,
+                code: error.code || 'OPERATION_FAILED',
+                message: error.message
+            };
+        }
+
+        return { document_id: documentId, ok: true, status: 200, ...(data ? { data } : {}) };
+    } catch (error) {
+        console.error(`[BULK] ${operation} on document ${documentId} failed:`, error);
+        return { document_id: documentId, ok: false, status: 500, code: 'OPERATION_FAILED', message: error.message || 'Operation failed' };
+    }
+}
+
+/**
+ * Chạy thao tác trên danh sách document (tuần tự để không dồn tải lên database)
+ * @param {Object} params
+ * @param {string} params.operation
+ * @param {string[]} params.documentIds
+ * @param {Object} params.params
+ * @param {Object} params.user - { id, email }
+ * @param {Function} [params.onItem] - async (result) => void, gọi sau mỗi document
+ * @param {Function} [params.shouldStop] - async () => boolean, dừng sớm (hủy job)
+ * @returns {Promise<{operation: string, results: Array, succeeded: number, failed: number, skipped: number}>}
+ */
+async function runBulkOperation({ operation, documentIds, params, user, onItem, shouldStop }) {
+    const results = [];
+
+    for (const documentId of documentIds) {
+        if (shouldStop && await shouldStop()) break;
+
+        const result = await applyToDocument(operation, documentId, params, user);
+        results.push(result);
+        if (onItem) await onItem(result);
+    }
+
+    return {
+        operation,
+        results,
+        succeeded: results.filter((result) => result.ok).length,
+        failed: results.filter((result) => !result.ok).length,
+        skipped: documentIds.length - results.length
+    };
+}
+
+module.exports = {
+    MAX_BULK_ITEMS,
+    BULK_SYNC_LIMIT,
+    BULK_OPERATIONS,
+    parseBulkRequest,
+    runBulkOperation
+};
@@ -0,0 +1,28 @@
+const { parentPort, workerData } = require('worker_threads');
+const Diff = require('diff');
+
+/**
+ * Diff Worker
+ * Chạy jsdiff (O(N*D), có thể mất vài giây với text lớn) trong worker thread để không chặn event loop
+ * Dùng bởi versionDiffService.runDiff
+ *
+ * workerData: { mode: 'line'|'word', oldText, newText, timeout, lineStats }
+ * Gửi về: { changes, lineChanges } - mảng { added, removed, value }, null khi jsdiff quá timeout.
+ * lineChanges chỉ có khi mode word và lineStats = true (thống kê dòng cần diff theo dòng)
+ */
+
+const simplify = (changes) => (changes
+    ? changes.map((change) => ({ added: !!change.added, removed: !!change.removed, value: change.value }))
+    : null);
+
+const { mode, oldText, newText, timeout, lineStats } = workerData;
+
+const lineChanges = mode === 'line' || lineStats
+    ? simplify(Diff.diffLines(oldText, newText, { timeout }))
+    : null;
+
+const changes = mode === 'word'
+    ? simplify(Diff.diffWordsWithSpace(oldText, newText, { timeout }))
+    : lineChanges;
+
+parentPort.postMessage({ changes, lineChanges: mode === 'word' ? lineChanges : null });
@@ -0,0 +1,118 @@
+const { supabase } = require('../config/supabase');
+
+/**
+ * Document Revision Service
+ * Optimistic concurrency cho document: documents.revision tăng mỗi khi một cột của document
+ * thay đổi (trigger bump_document_revision), ETag của document là "<id>:<revision>"
+ *
+ * Client gửi lại ETag qua header If-Match; revision đã cũ thì server trả 412 kèm trạng thái hiện tại.
+ * Không có If-Match thì ghi đè như trước (tương thích client cũ)
+ */
+
+// Cột của document trả về client (GET /:id, danh sách, response 412)
+// Không select content / content_pages (tới 1M ký tự, chỉ trả qua GET /:id/content khi đã unlock),
+// password_hash và bộ đếm unlock sai
+const DOCUMENT_SELECT = `
+    id,
+    title,
+    description,
+    file_name,
+    file_path,
+    file_size,
+    file_type,
+    mime_type,
+    content_hash,
+    category_id,
+    group_id,
+    created_by,
+    last_edited_by,
+    document_type,
+    tags,
+    metadata,
+    visibility,
+    is_protected,
+    revision,
+    deleted_at,
+    preview_status,
+    preview_generated_at,
+    content_extracted_at,
+    created_at,
+    updated_at,
+    categories:category_id (
+        id,
+        name,
+        color,
+        description
+    )
+`;
+
+const buildDocumentEtag = (document) => `"${document.id}:${document.revision ?? 1}"`;
+
+/**
+ * Đọc revision client mong đợi từ header If-Match
+ * @returns {{present: boolean, any?: boolean, revision?: number|null}}
+ *   revision = null khi header không khớp định dạng ETag của document (coi như đã cũ)
+ */
+function parseIfMatch(req, documentId) {
+    const header = req.get('If-Match');
+    if (!header) return { present: false };
+
+    const candidates = header.split(',').map((value) => value.trim()).filter(Boolean);
+    if (candidates.includes('*')) return { present: true, any: true };
+
+    for (const candidate of candidates) {
+        const match = /^(?:W\/)?"([^":]+):(\d+)"$/.exec(candidate);
+        if (match && match[1] === documentId) {
+            return { present: true, any: false, revision: parseInt(match[2], 10) };
+        }
+    }
+
+    return { present: true, any: false, revision: null };
+}
+
+/**
+ * Kiểm tra If-Match với revision hiện tại của document
+ * @param {Object} req
+ * @param {Object} document - { id, revision }
+ * @returns {{ok: boolean, expectedRevision: number|null}} - expectedRevision = null khi không cần điều kiện
+ */
+function checkIfMatch(req, document) {
+    const ifMatch = parseIfMatch(req, document.id);
+    if (!ifMatch.present || ifMatch.any) {
+        return { ok: true, expectedRevision: null };
+    }
+
+    const current = document.revision ?? 1;
+    return { ok: ifMatch.revision === current, expectedRevision: ifMatch.revision };
+}
+
+/**
+ * Trả 412 kèm trạng thái hiện tại của document để client merge / hỏi người dùng
+ * Chỉ trả các cột của DOCUMENT_SELECT (không có mật khẩu, bộ đếm unlock, content)
+ */
+async function sendPreconditionFailed(res, documentId) {
+    const { data: current } = await supabase
+        .from('documents')
+        .select(DOCUMENT_SELECT)
+        .eq('id', documentId)
+        .maybeSingle();
+
+    if (current) {
+        res.set('ETag', buildDocumentEtag(current));
+    }
+
+    return res.status(412).json({
+        error: 'Precondition Failed',
+        message: 'Document has been modified by someone else. Reload it and try again.',
+        code: 'REVISION_MISMATCH',
+        data: current || null
+    });
+}
+
+module.exports = {
+    DOCUMENT_SELECT,
+    buildDocumentEtag,
+    parseIfMatch,
+    checkIfMatch,
+    sendPreconditionFailed
+};
@@ -0,0 +1,287 @@
+const { supabase } = require('../config/supabase');
+const path = require('path');
+const embeddingQueue = require('./embeddingQueue');
+const { hashBuffer, putBlob, releaseBlob } = require('./blobStore');
+const { queueContentIndexing } = require('./textExtractionService');
+const { queuePreviewGeneration } = require('./previewService');
+const { normalizeTagList, queueTagRegistration } = require('./tagService');
+const { isMissingColumnError } = require('../utils/supabaseErrors');
+
+/**
+ * Document Upload Service
+ * Logic dùng chung giữa upload một lần (multer) và upload theo chunk (upload_sessions):
+ * kiểm tra quyền upload vào group, giới hạn dung lượng, lưu file lên Storage,
+ * tạo bản ghi documents + group_documents và đưa vào hàng đợi embedding
+ */
+
+// Danh sách file types được phép
+const ALLOWED_MIME_TYPES = [
+    // Documents
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain',
+    'text/markdown',
+    // Images
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'image/svg+xml',
+    // Videos
+    'video/mp4',
+    'video/webm',
+    'video/ogg',
+    // Archives
+    'application/zip',
+    'application/x-rar-compressed',
+];
+
+// Chỉ embedding cho các file types hỗ trợ text extraction (PDF, DOCX, TXT, MD)
+const EMBEDDABLE_MIME_TYPES = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'text/plain',
+    'text/markdown'
+];
+
+// Giới hạn mặc định khi group không cấu hình max_upload_bytes (50MB)
+const DEFAULT_MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_SIZE_BYTES || String(50 * 1024 * 1024), 10);
+
+// Xác định document type dựa vào mime type
+const getDocumentType = (mimeType) => {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType === 'application/pdf') return 'pdf';
+    return 'document';
+};
+
+const parseTags = (tags) => {
+    if (!tags) return [];
+    return normalizeTagList(Array.isArray(tags) ? tags : JSON.parse(tags));
+};
+
+/**
+ * Kiểm tra user có thể upload vào group (nếu có) và trả về giới hạn dung lượng áp dụng
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} [params.groupId]
+ * @returns {Promise<{ok: boolean, status?: number, error?: string, message?: string, groupMembership?: Object, maxBytes?: number}>}
+ */
+async function resolveUploadTarget({ userId, groupId }) {
+    if (!groupId) {
+        return { ok: true, groupMembership: null, maxBytes: DEFAULT_MAX_UPLOAD_BYTES };
+    }
+
+    const { data: membership, error: membershipError } = await supabase
+        .from('group_members')
+        .select('role')
+        .eq('group_id', groupId)
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .single();
+
+    if (membershipError || !membership) {
+        return {
+            ok: false,
+            status: 403,
+            error: 'Forbidden',
+            message: 'You are not a member of this group'
+        };
+    }
+
+    let maxBytes = DEFAULT_MAX_UPLOAD_BYTES;
+    const { data: group, error: groupError } = await supabase
+        .from('groups')
+        .select('max_upload_bytes')
+        .eq('id', groupId)
+        .single();
+
+    if (groupError) {
+        // Database chưa chạy migration upload_sessions.sql thì dùng giới hạn mặc định
+        if (!isMissingColumnError(groupError)) {
+            console.error('Fetch group upload limit error:', groupError);
+        }
+    } else if (group?.max_upload_bytes) {
+        maxBytes = Number(group.max_upload_bytes);
+    }
+
+    return { ok: true, groupMembership: membership, maxBytes };
+}
+
+/**
+ * Lưu file lên Supabase Storage (theo nội dung, xem blobStore) và tạo document
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Object} params.fields - { title, description, category_id, group_id, tags }
+ * @param {Object} params.file - { originalname, mimetype, size }
+ * @param {Buffer|import('stream').Readable} params.body - Nội dung file
+ * @param {string} [params.contentHash] - SHA-256 của nội dung, bắt buộc khi body là stream
+ * @param {Object|null} params.groupMembership - Kết quả từ resolveUploadTarget
+ * @returns {Promise<{ok: boolean, status?: number, error?: string, message?: string, document?: Object, embeddingJobId?: string|null, deduplicated?: boolean}>}
+ */
+async function storeDocument({ userId, fields, file, body, contentHash, groupMembership }) {
+    const { title, description, category_id, group_id, tags } = fields;
+    const fileExt = path.extname(file.originalname);
+    const hash = contentHash || hashBuffer(body);
+
+    // Upload file lên Supabase Storage (bỏ qua nếu nội dung đã tồn tại)
+    const blob = await putBlob({
+        hash,
+        body,
+        size: file.size,
+        mimeType: file.mimetype
+    });
+
+    if (!blob.ok) {
+        console.error('Storage upload error:', blob.error);
+        return {
+            ok: false,
+            status: 400,
+            error: 'Upload Failed',
+            message: blob.error?.message || 'Failed to store file'
+        };
+    }
+
+    const filePath = blob.filePath;
+
+    // Lưu metadata vào database
+    const documentData = {
+        title: title.trim(),
+        description: description || null,
+        file_name: file.originalname,
+        file_path: filePath,
+        file_size: file.size,
+        file_type: fileExt.replace('.', ''),
+        mime_type: file.mimetype,
+        content_hash: hash,
+        category_id: category_id || null,
+        group_id: group_id || null,
+        created_by: userId,
+        last_edited_by: userId,
+        document_type: getDocumentType(file.mimetype),
+        tags: parseTags(tags),
+        metadata: {
+            original_name: file.originalname,
+            upload_date: new Date().toISOString()
+        }
+    };
+
+    const { data, error } = await supabase
+        .from('documents')
+        .insert([documentData])
+        .select()
+        .single();
+
+    if (error) {
+        // Nếu lưu database thất bại, trả lại reference (xóa file nếu không ai dùng)
+        await releaseBlob(hash);
+        console.error('Database insert error:', error);
+        return {
+            ok: false,
+            status: 400,
+            error: 'Bad Request',
+            message: error.message
+        };
+    }
+
+    if (group_id) {
+        const defaultAccess = groupMembership?.role === 'owner' ? 'admin' : 'write';
+        const { error: linkError } = await supabase
+            .from('group_documents')
+            .upsert({
+                group_id,
+                document_id: data.id,
+                access_level: defaultAccess,
+                added_by: userId
+            }, { onConflict: 'group_id,document_id' });
+
+        if (linkError) {
+            console.error('Error linking document to group:', linkError);
+            await supabase
+                .from('documents')
+                .delete()
+                .eq('id', data.id);
+            await releaseBlob(hash);
+            return {
+                ok: false,
+                status: 500,
+                error: 'Internal Server Error',
+                message: 'Document created but failed to link to group'
+            };
+        }
+    }
+
+    // Log activity
+    await supabase
+        .from('activity_logs')
+        .insert([{
+            user_id: userId,
+            activity_type: 'document_created',
+            metadata: {
+                document_id: data.id,
+                document_title: data.title,
+                file_type: data.file_type
+            }
+        }]);
+
+    // Trích xuất text và tạo preview (chạy nền); body là stream thì tải lại từ Storage
+    const derivedParams = {
+        documentId: data.id,
+        contentHash: hash,
+        mimeType: file.mimetype,
+        size: file.size,
+        buffer: Buffer.isBuffer(body) ? body : undefined,
+        filePath
+    };
+    queueContentIndexing(derivedParams);
+    queuePreviewGeneration(derivedParams);
+    queueTagRegistration(data, data.tags, userId);
+
+    // AUTO EMBEDDING: Tự động tạo embeddings cho document vừa upload
+    let embeddingJobId = null;
+    if (EMBEDDABLE_MIME_TYPES.includes(file.mimetype)) {
+        console.log('[UPLOAD] Document có thể embedding, thêm vào hàng đợi...');
+
+        // Thêm vào hàng đợi embedding (async, không đợi)
+        embeddingJobId = await embeddingQueue.add(data.id, 'normal');
+
+        if (embeddingJobId) {
+            console.log('[UPLOAD] ✅ Embedding job đã được tạo:', embeddingJobId);
+        } else {
+            console.log('[UPLOAD] ⚠️ Không thể tạo embedding job (có thể đã có job đang chạy)');
+        }
+    } else {
+        console.log('[UPLOAD] File type không hỗ trợ embedding:', file.mimetype);
+    }
+
+    return { ok: true, document: data, embeddingJobId, deduplicated: blob.deduplicated };
+}
+
+/**
+ * Thông tin embedding trả về cho client sau khi upload
+ */
+const buildEmbeddingResponse = (embeddingJobId) => {
+    return embeddingJobId ? {
+        job_id: embeddingJobId,
+        status: 'pending',
+        message: 'Embedding queued for processing'
+    } : {
+        status: 'skipped',
+        message: 'File type not supported for embedding'
+    };
+};
+
+module.exports = {
+    ALLOWED_MIME_TYPES,
+    EMBEDDABLE_MIME_TYPES,
+    DEFAULT_MAX_UPLOAD_BYTES,
+    resolveUploadTarget,
+    storeDocument,
+    buildEmbeddingResponse
+};
@@ -2,6 +2,8 @@ const { supabase } = require('../config/supabase');
 const { spawn } = require('child_process');
 const path = require('path');
 
+const PRIORITY_ORDER = { high: 3, normal: 2, low: 1 };
+
 /**
  * Embedding Queue Service
  * Quản lý hàng đợi xử lý embedding cho documents
@@ -17,6 +19,8 @@ class EmbeddingQueue {
         this.processing = false;
         this.maxConcurrent = 2; // Giới hạn số process chạy cùng lúc
         this.activeJobs = new Set(); // Track đang chạy để tránh trùng lặp
+        this.pendingReruns = new Map(); // documentId -> priority, chạy lại sau khi job hiện tại xong
+        this.creatingJobs = new Map(); // documentId -> Promise<jobId>, job đang được tạo (chưa vào queue)
         
         EmbeddingQueue.instance = this;
     }
@@ -30,49 +34,91 @@ class EmbeddingQueue {
     async add(documentId, priority = 'normal') {
         try {
             // Kiểm tra xem document đã có job đang chạy chưa
+            // File của document có thể đã đổi (version mới / restore) nên chạy lại sau khi job hiện tại xong
             if (this.activeJobs.has(documentId)) {
-                console.log(`[EMBEDDING_QUEUE] Document ${documentId} already has an active job`);
+                console.log(`[EMBEDDING_QUEUE] Document ${documentId} already has an active job, will re-run after it finishes`);
+                const pendingPriority = this.pendingReruns.get(documentId);
+                this.pendingReruns.set(documentId, this.higherPriority(pendingPriority, priority));
                 return null;
             }
-            
-            // Tạo embedding job record
-            const { data, error } = await supabase.rpc('create_embedding_job', {
-                doc_id: documentId
-            });
-            
-            if (error) {
-                console.error('[EMBEDDING_QUEUE] Error creating job:', error);
-                throw error;
+
+            // Job đang chờ trong queue chưa đọc file nên sẽ lấy nội dung mới nhất: dùng lại job đó
+            // (giữ mức ưu tiên cao hơn) thay vì tạo thêm job, mỗi document chỉ có một job trong queue
+            const queued = this.queue.find((item) => item.documentId === documentId);
+            if (queued) {
+                queued.priority = this.higherPriority(queued.priority, priority);
+                this.sortQueue();
+                console.log(`[EMBEDDING_QUEUE] Document ${documentId} is already queued (job: ${queued.jobId}), priority ${queued.priority}`);
+                return queued.jobId;
             }
-            
-            const jobId = data;
-            
-            // Thêm vào queue
-            this.queue.push({
-                jobId,
-                documentId,
-                priority,
-                addedAt: Date.now()
-            });
-            
-            // Sort by priority (high > normal > low)
-            this.queue.sort((a, b) => {
-                const priorityOrder = { high: 3, normal: 2, low: 1 };
-                return priorityOrder[b.priority] - priorityOrder[a.priority];
-            });
-            
-            console.log(`[EMBEDDING_QUEUE] Added job ${jobId} for document ${documentId} with priority ${priority}`);
-            
-            // Start processing if not already
-            this.process();
-            
-            return jobId;
-            
+
+            if (this.creatingJobs.has(documentId)) {
+                return this.creatingJobs.get(documentId);
+            }
+
+            const creating = this.createJob(documentId, priority);
+            this.creatingJobs.set(documentId, creating);
+            try {
+                return await creating;
+            } finally {
+                this.creatingJobs.delete(documentId);
+            }
+
         } catch (error) {
             console.error('[EMBEDDING_QUEUE] Error adding to queue:', error);
             throw error;
         }
     }
+
+    /**
+     * Tạo embedding job record và đưa vào queue
+     * @param {string} documentId
+     * @param {string} priority
+     * @returns {Promise<string>} - Job ID
+     */
+    async createJob(documentId, priority) {
+        const { data, error } = await supabase.rpc('create_embedding_job', {
+            doc_id: documentId
+        });
+
+        if (error) {
+            console.error('[EMBEDDING_QUEUE] Error creating job:', error);
+            throw error;
+        }
+
+        const jobId = data;
+
+        // Thêm vào queue
+        this.queue.push({
+            jobId,
+            documentId,
+            priority,
+            addedAt: Date.now()
+        });
+        this.sortQueue();
+
+        console.log(`[EMBEDDING_QUEUE] Added job ${jobId} for document ${documentId} with priority ${priority}`);
+
+        // Start processing if not already
+        this.process();
+
+        return jobId;
+    }
+
+    /**
+     * Sort by priority (high > normal > low), cùng mức thì job vào trước chạy trước
+     */
+    sortQueue() {
+        this.queue.sort((a, b) => {
+            const priorityDiff = PRIORITY_ORDER[b.priority] - PRIORITY_ORDER[a.priority];
+            return priorityDiff !== 0 ? priorityDiff : a.addedAt - b.addedAt;
+        });
+    }
+
+    higherPriority(current, next) {
+        if (!current) return next;
+        return PRIORITY_ORDER[next] > PRIORITY_ORDER[current] ? next : current;
+    }
     
     /**
      * Xử lý hàng đợi embedding
@@ -86,9 +132,18 @@ class EmbeddingQueue {
         console.log('[EMBEDDING_QUEUE] Starting to process queue');
         
         while (this.queue.length > 0) {
-            // Lấy batch jobs để xử lý song song
-            const batchSize = Math.min(this.maxConcurrent, this.queue.length);
-            const batch = this.queue.splice(0, batchSize);
+            // Lấy batch jobs để xử lý song song, mỗi document tối đa một job trong batch
+            const batch = [];
+            const batchDocuments = new Set();
+            for (let i = 0; i < this.queue.length && batch.length < this.maxConcurrent;) {
+                const item = this.queue[i];
+                if (batchDocuments.has(item.documentId)) {
+                    i += 1;
+                    continue;
+                }
+                batchDocuments.add(item.documentId);
+                batch.push(...this.queue.splice(i, 1));
+            }
             
             // Xử lý song song
             await Promise.all(
@@ -121,6 +176,9 @@ class EmbeddingQueue {
             // Chạy embedding process
             const result = await this.runEmbeddingProcess(documentId, jobId);
             
+            // Thay chunk cũ bằng chunk mới (hoặc bỏ chunk dở dang khi thất bại)
+            await this.swapEmbeddings(jobId, documentId, result.success);
+
             // Cập nhật status cuối cùng
             if (result.success) {
                 await supabase.rpc('update_embedding_status', {
@@ -163,6 +221,34 @@ class EmbeddingQueue {
         } finally {
             // Xóa khỏi active jobs
             this.activeJobs.delete(documentId);
+
+            if (this.pendingReruns.has(documentId)) {
+                const priority = this.pendingReruns.get(documentId);
+                this.pendingReruns.delete(documentId);
+                this.add(documentId, priority).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Job thành công: xóa chunk cũ của document (tạo trước khi job bắt đầu) trong một câu lệnh
+     * Job thất bại: xóa chunk dở dang của job, giữ lại chunk cũ
+     * @param {string} jobId - ID của embedding job
+     * @param {string} documentId - ID của document
+     * @param {boolean} success - Job có thành công không
+     */
+    async swapEmbeddings(jobId, documentId, success) {
+        const rpcName = success ? 'replace_document_embeddings' : 'discard_document_embeddings';
+        const { data: removed, error } = await supabase.rpc(rpcName, { job_id: jobId });
+
+        if (error) {
+            // Chưa chạy migration version_restore_embeddings.sql
+            console.error(`[EMBEDDING_QUEUE] ${rpcName} failed for document ${documentId}:`, error.message || error);
+            return;
+        }
+
+        if (removed) {
+            console.log(`[EMBEDDING_QUEUE] Removed ${removed} ${success ? 'stale' : 'partial'} chunk(s) for document ${documentId}`);
         }
     }
     
@@ -0,0 +1,669 @@
+const { supabase } = require('../config/supabase');
+const JSZip = require('jszip');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { hasDocumentAccess, getActiveUnlockGrant } = require('../middleware/acl');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+/**
+ * Export Service
+ * Đóng gói toàn bộ document của user (hoặc của một group) thành file ZIP:
+ *   - files/<cây category>/<tên file>: nội dung hiện tại của từng document
+ *   - versions/<cây category>/<tên document>/v<N>-<tên file>: các version cũ (nếu chọn include_versions)
+ *   - manifest.json: title, mô tả, tag, version, bookmark, chia sẻ / ACL của từng document
+ *     (chia sẻ / ACL chỉ có với document người export sở hữu hoặc có quyền admin)
+ * Chạy trong job nền (background_jobs), kết quả là file trên Storage kèm signed URL
+ *
+ * File được tải dạng stream vào thư mục tạm, ZIP đọc lần lượt từng file khi ghi archive
+ * nên bộ nhớ không phụ thuộc dung lượng export. Số export chạy đồng thời bị giới hạn
+ * theo user (EXPORT_MAX_CONCURRENT_PER_USER) và toàn hệ thống (EXPORT_MAX_CONCURRENT)
+ */
+
+const BUCKET = 'documents';
+const EXPORT_FORMAT = 'mindmapnote-export';
+const EXPORT_FORMAT_VERSION = 1;
+
+const EXPORT_MAX_DOCUMENTS = parseInt(process.env.EXPORT_MAX_DOCUMENTS || '5000', 10);
+// File tải về thư mục tạm trước khi đóng gói: cần khoảng 2 lần dung lượng này trên đĩa
+const EXPORT_MAX_BYTES = parseInt(process.env.EXPORT_MAX_BYTES || String(1024 * 1024 * 1024), 10);
+const EXPORT_CONCURRENCY_LIMITS = {
+    perUser: parseInt(process.env.EXPORT_MAX_CONCURRENT_PER_USER || '1', 10),
+    total: parseInt(process.env.EXPORT_MAX_CONCURRENT || '2', 10)
+};
+// Signed URL nội bộ dùng để tải file dạng stream vào thư mục tạm
+const SPOOL_URL_TTL_SECONDS = 600;
+const EXPORT_URL_TTL_SECONDS = parseInt(process.env.EXPORT_URL_TTL_SECONDS || '86400', 10);
+// File export được giữ trên Storage N giờ rồi bị xóa
+const EXPORT_RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS || '72', 10);
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let cleanupTimer = null;
+
+// Giới hạn số id trong một filter .in() để URL không quá dài
+const ID_CHUNK_SIZE = 200;
+
+const EXPORT_DOCUMENT_SELECT = `
+    id,
+    title,
+    description,
+    file_name,
+    file_path,
+    file_size,
+    mime_type,
+    content_hash,
+    document_type,
+    category_id,
+    group_id,
+    tags,
+    visibility,
+    is_protected,
+    password_hash,
+    created_by,
+    created_at,
+    updated_at
+`;
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+};
+
+/**
+ * Tên file / thư mục an toàn trong ZIP (bỏ ký tự không hợp lệ trên Windows / macOS)
+ */
+const sanitizePathSegment = (name, fallback = 'untitled') => {
+    const cleaned = String(name || '')
+        .replace(/[\u0000-\u001f<>:"/\\|?*]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+/, '')
+        .replace(/[. ]+$/, '')
+        .slice(0, 100);
+    return cleaned || fallback;
+};
+
+/**
+ * Đường dẫn chưa dùng trong archive: trùng thì thêm " (2)", " (3)"... trước phần mở rộng
+ */
+const reservePath = (usedPaths, folder, fileName) => {
+    const ext = path.extname(fileName);
+    const base = ext ? fileName.slice(0, -ext.length) : fileName;
+    let candidate = folder ? `${folder}/${fileName}` : fileName;
+    let counter = 2;
+
+    while (usedPaths.has(candidate.toLowerCase())) {
+        const name = `${base} (${counter})${ext}`;
+        candidate = folder ? `${folder}/${name}` : name;
+        counter += 1;
+    }
+
+    usedPaths.add(candidate.toLowerCase());
+    return candidate;
+};
+
+/**
+ * Lấy các dòng của bảng liên quan theo document_id (chia nhỏ danh sách id)
+ * Bảng chưa được tạo (chưa chạy migration) thì trả về mảng rỗng
+ */
+const fetchByDocumentIds = async (table, select, documentIds, applyExtra = (query) => query) => {
+    const rows = [];
+    for (const ids of chunk(documentIds, ID_CHUNK_SIZE)) {
+        const { data, error } = await applyExtra(
+            supabase
+                .from(table)
+                .select(select)
+                .in('document_id', ids)
+        );
+
+        if (error) {
+            if (isMissingTableError(error)) return [];
+            throw new Error(`Failed to load ${table}: ${error.message}`);
+        }
+        rows.push(...(data || []));
+    }
+    return rows;
+};
+
+const groupByDocument = (rows) => {
+    const map = new Map();
+    for (const row of rows) {
+        if (!map.has(row.document_id)) map.set(row.document_id, []);
+        map.get(row.document_id).push(row);
+    }
+    return map;
+};
+
+/**
+ * Kiểm tra phạm vi export: toàn bộ document của user, hoặc của group (chỉ owner / admin)
+ * @returns {Promise<{ok: boolean, scope?: {type: string, id: string, name: string|null}, status?: number, message?: string}>}
+ */
+async function resolveExportScope(user, groupId) {
+    if (!groupId) {
+        return { ok: true, scope: { type: 'user', id: user.id, name: user.email || null } };
+    }
+
+    const { data: membership } = await supabase
+        .from('group_members')
+        .select('role')
+        .eq('group_id', groupId)
+        .eq('user_id', user.id)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (!membership || !['owner', 'admin'].includes(membership.role)) {
+        return { ok: false, status: 403, message: 'Only group owners and admins can export a group' };
+    }
+
+    const { data: group } = await supabase
+        .from('groups')
+        .select('id, name')
+        .eq('id', groupId)
+        .maybeSingle();
+
+    if (!group) {
+        return { ok: false, status: 404, message: 'Group not found' };
+    }
+
+    return { ok: true, scope: { type: 'group', id: group.id, name: group.name } };
+}
+
+/**
+ * Danh sách document cần export (bỏ document trong thùng rác)
+ * Group: document có group_id của group và document được gắn qua group_documents
+ * @returns {Promise<Array>}
+ */
+async function fetchExportDocuments(scope) {
+    if (scope.type === 'user') {
+        const { data, error } = await supabase
+            .from('documents')
+            .select(EXPORT_DOCUMENT_SELECT)
+            .eq('created_by', scope.id)
+            .is('deleted_at', null)
+            .order('created_at', { ascending: true });
+
+        if (error) throw new Error(error.message);
+        return data || [];
+    }
+
+    const { data: owned, error: ownedError } = await supabase
+        .from('documents')
+        .select(EXPORT_DOCUMENT_SELECT)
+        .eq('group_id', scope.id)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: true });
+
+    if (ownedError) throw new Error(ownedError.message);
+
+    const { data: links, error: linksError } = await supabase
+        .from('group_documents')
+        .select('document_id')
+        .eq('group_id', scope.id);
+
+    if (linksError) throw new Error(linksError.message);
+
+    const documents = owned || [];
+    const known = new Set(documents.map((doc) => doc.id));
+    const linkedIds = (links || []).map((link) => link.document_id).filter((id) => !known.has(id));
+
+    for (const ids of chunk(linkedIds, ID_CHUNK_SIZE)) {
+        const { data, error } = await supabase
+            .from('documents')
+            .select(EXPORT_DOCUMENT_SELECT)
+            .in('id', ids)
+            .is('deleted_at', null);
+
+        if (error) throw new Error(error.message);
+        documents.push(...(data || []));
+    }
+
+    return documents;
+}
+
+/**
+ * Category của các document kèm toàn bộ category cha, và đường dẫn thư mục tương ứng
+ * @returns {Promise<{categories: Array, folders: Map<string, string>}>}
+ */
+async function fetchCategoryTree(categoryIds) {
+    const byId = new Map();
+    let pending = Array.from(new Set(categoryIds.filter(Boolean)));
+
+    // Lấy dần category cha cho tới gốc
+    while (pending.length) {
+        const { data, error } = await supabase
+            .from('categories')
+            .select('id, name, description, color, parent_id')
+            .in('id', pending.slice(0, ID_CHUNK_SIZE));
+
+        if (error) throw new Error(error.message);
+
+        const fetchedIds = new Set(pending.slice(0, ID_CHUNK_SIZE));
+        for (const category of data || []) {
+            byId.set(category.id, category);
+        }
+
+        pending = pending.filter((id) => !fetchedIds.has(id));
+        for (const category of data || []) {
+            if (category.parent_id && !byId.has(category.parent_id) && !pending.includes(category.parent_id)) {
+                pending.push(category.parent_id);
+            }
+        }
+    }
+
+    const folders = new Map();
+    const resolveFolder = (categoryId, seen = new Set()) => {
+        if (folders.has(categoryId)) return folders.get(categoryId);
+        const category = byId.get(categoryId);
+        // Category đã bị xóa hoặc cây bị vòng lặp
+        if (!category || seen.has(categoryId)) return '';
+        seen.add(categoryId);
+
+        const parentFolder = category.parent_id ? resolveFolder(category.parent_id, seen) : '';
+        const folder = [parentFolder, sanitizePathSegment(category.name)].filter(Boolean).join('/');
+        folders.set(categoryId, folder);
+        return folder;
+    };
+
+    const categories = Array.from(byId.values()).map((category) => ({
+        ...category,
+        path: resolveFolder(category.id)
+    }));
+
+    return { categories, folders };
+}
+
+/**
+ * Chuẩn bị export: kiểm tra quyền, lấy danh sách document và giới hạn kích thước
+ * @returns {Promise<{ok: boolean, scope?: Object, documents?: Array, totalBytes?: number, status?: number, code?: string, message?: string}>}
+ */
+async function prepareExport(user, groupId, { includeVersions = false } = {}) {
+    const access = await resolveExportScope(user, groupId);
+    if (!access.ok) return access;
+
+    const documents = await fetchExportDocuments(access.scope);
+
+    if (!documents.length) {
+        return { ok: false, status: 400, code: 'NOTHING_TO_EXPORT', message: 'There are no documents to export' };
+    }
+
+    if (documents.length > EXPORT_MAX_DOCUMENTS) {
+        return {
+            ok: false,
+            status: 413,
+            code: 'EXPORT_TOO_LARGE',
+            message: `At most ${EXPORT_MAX_DOCUMENTS} documents can be exported at once`
+        };
+    }
+
+    let totalBytes = documents.reduce((sum, doc) => sum + (doc.file_size || 0), 0);
+    if (includeVersions) {
+        const versions = await fetchByDocumentIds(
+            'document_versions',
+            'document_id, file_size',
+            documents.map((doc) => doc.id),
+            (query) => query.eq('is_current', false)
+        );
+        totalBytes += versions.reduce((sum, version) => sum + (version.file_size || 0), 0);
+    }
+
+    if (totalBytes > EXPORT_MAX_BYTES) {
+        return {
+            ok: false,
+            status: 413,
+            code: 'EXPORT_TOO_LARGE',
+            message: `Export exceeds the ${Math.round(EXPORT_MAX_BYTES / (1024 * 1024))} MB limit`
+        };
+    }
+
+    return { ok: true, scope: access.scope, documents, totalBytes, limits: EXPORT_CONCURRENCY_LIMITS };
+}
+
+/**
+ * Tải file trên Storage dạng stream vào đường dẫn tạm (không giữ cả file trong bộ nhớ)
+ */
+const spoolFile = async (filePath, targetPath) => {
+    const { data, error } = await supabase.storage
+        .from(BUCKET)
+        .createSignedUrl(filePath, SPOOL_URL_TTL_SECONDS);
+
+    if (error || !data?.signedUrl) {
+        throw new Error(error?.message || `Failed to download ${filePath}`);
+    }
+
+    const response = await fetch(data.signedUrl);
+    if (!response.ok || !response.body) {
+        throw new Error(`Failed to download ${filePath}: HTTP ${response.status}`);
+    }
+
+    await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(targetPath));
+};
+
+/**
+ * Stream chỉ mở file khi ZIP bắt đầu đọc entry đó, để không giữ hàng nghìn file descriptor cùng lúc
+ */
+const lazyFileStream = (filePath) => {
+    let source = null;
+    return new Readable({
+        read() {
+            if (source) {
+                source.resume();
+                return;
+            }
+            source = fs.createReadStream(filePath);
+            source.on('data', (data) => {
+                if (!this.push(data)) source.pause();
+            });
+            source.on('end', () => this.push(null));
+            source.on('error', (error) => this.destroy(error));
+        }
+    });
+};
+
+/**
+ * Signed URL tải file export (tên file gợi ý khi tải về)
+ * @returns {Promise<{url: string|null, expiresAt: string|null}>}
+ */
+async function createExportDownloadUrl(filePath, fileName) {
+    const { data, error } = await supabase.storage
+        .from(BUCKET)
+        .createSignedUrl(filePath, EXPORT_URL_TTL_SECONDS, { download: fileName });
+
+    if (error) {
+        console.error('[EXPORT] Create signed URL error:', error);
+        return { url: null, expiresAt: null };
+    }
+
+    return {
+        url: data.signedUrl,
+        expiresAt: new Date(Date.now() + EXPORT_URL_TTL_SECONDS * 1000).toISOString()
+    };
+}
+
+/**
+ * Handler của job export (dùng với backgroundJobService.runJob)
+ * @param {Object} context - { job, reportItem, setResult, isCancelled }
+ * @param {Object} params
+ * @param {Object} params.user - { id, email }
+ * @param {Object} params.scope - { type, id, name }
+ * @param {Array} params.documents
+ * @param {boolean} [params.includeVersions]
+ * @returns {Promise<Object>} - result của job
+ */
+async function runExport({ job, reportItem, setResult, isCancelled }, { user, scope, documents, includeVersions = false }) {
+    const documentIds = documents.map((doc) => doc.id);
+
+    const [{ categories, folders }, versions, shares, grants, bookmarks] = await Promise.all([
+        fetchCategoryTree(documents.map((doc) => doc.category_id)),
+        fetchByDocumentIds(
+            'document_versions',
+            'id, document_id, version_number, file_path, file_name, file_size, mime_type, content_hash, change_description, is_current, created_at, created_by',
+            documentIds
+        ),
+        fetchByDocumentIds(
+            'shared_documents',
+            'document_id, shared_with_user, shared_with_email, access_level, expires_at, is_active, created_at',
+            documentIds
+        ),
+        fetchByDocumentIds(
+            'document_acl',
+            'document_id, subject_type, subject_id, role, expires_at, created_at',
+            documentIds
+        ),
+        // Bookmark là dữ liệu cá nhân: chỉ export bookmark của người export
+        fetchByDocumentIds('document_bookmarks', '*', documentIds, (query) => query.eq('user_id', user.id))
+    ]);
+
+    const versionsByDocument = groupByDocument(versions);
+    const sharesByDocument = groupByDocument(shares);
+    const grantsByDocument = groupByDocument(grants);
+    const bookmarksByDocument = groupByDocument(bookmarks);
+
+    const zip = new JSZip();
+    const usedPaths = new Set();
+    const manifestDocuments = [];
+    const skipped = [];
+
+    // File được tải vào workDir/spool, archive ghi ra workDir/export.zip rồi upload dạng stream
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'mindmapnote-export-'));
+    const spoolDir = path.join(workDir, 'spool');
+    await fsp.mkdir(spoolDir);
+    let spooled = 0;
+
+    const addFile = async (archivePath, filePath) => {
+        spooled += 1;
+        const localPath = path.join(spoolDir, String(spooled));
+        await spoolFile(filePath, localPath);
+        zip.file(archivePath, lazyFileStream(localPath));
+    };
+
+    try {
+        for (const doc of documents) {
+            if (await isCancelled()) {
+                return { cancelled: true, exported_documents: manifestDocuments.length };
+            }
+
+            // Chia sẻ / ACL chỉ export với document người export sở hữu hoặc quản trị (như /:id/shares, /:id/acl)
+            const administers = doc.created_by === user.id
+                || await hasDocumentAccess(user.id, user.email, doc, 'admin');
+
+            const folder = folders.get(doc.category_id) || '';
+            const entry = {
+                id: doc.id,
+                title: doc.title,
+                description: doc.description,
+                file_name: doc.file_name,
+                mime_type: doc.mime_type,
+                file_size: doc.file_size,
+                content_hash: doc.content_hash,
+                document_type: doc.document_type,
+                tags: doc.tags || [],
+                visibility: doc.visibility,
+                is_protected: !!doc.is_protected,
+                category_id: doc.category_id,
+                category_path: folder || null,
+                group_id: doc.group_id,
+                created_by: doc.created_by,
+                created_at: doc.created_at,
+                updated_at: doc.updated_at,
+                archive_path: null,
+                versions: [],
+                bookmarks: (bookmarksByDocument.get(doc.id) || []).map(({ document_id, user_id, ...bookmark }) => bookmark),
+                acl: administers
+                    ? {
+                        shares: (sharesByDocument.get(doc.id) || []).map(({ document_id, ...share }) => share),
+                        grants: (grantsByDocument.get(doc.id) || []).map(({ document_id, ...grant }) => grant)
+                    }
+                    : null
+            };
+
+            try {
+                // Document có mật khẩu: chỉ export nội dung khi người export đang có unlock grant
+                const locked = doc.is_protected && doc.password_hash
+                    && !(await getActiveUnlockGrant(user.id, doc.id));
+
+                if (locked) {
+                    entry.skipped_reason = 'password_protected';
+                    skipped.push({ document_id: doc.id, title: doc.title, reason: 'password_protected' });
+                } else {
+                    const fileName = sanitizePathSegment(doc.file_name || doc.title, doc.id);
+                    entry.archive_path = reservePath(usedPaths, ['files', folder].filter(Boolean).join('/'), fileName);
+                    await addFile(entry.archive_path, doc.file_path);
+
+                    const docVersions = (versionsByDocument.get(doc.id) || [])
+                        .sort((a, b) => a.version_number - b.version_number);
+                    const versionFolder = ['versions', folder, sanitizePathSegment(doc.title, doc.id)].filter(Boolean).join('/');
+
+                    for (const version of docVersions) {
+                        const versionEntry = {
+                            version_number: version.version_number,
+                            file_name: version.file_name,
+                            file_size: version.file_size,
+                            mime_type: version.mime_type,
+                            content_hash: version.content_hash,
+                            change_description: version.change_description,
+                            is_current: version.is_current,
+                            created_at: version.created_at,
+                            created_by: version.created_by,
+                            archive_path: version.is_current ? entry.archive_path : null
+                        };
+
+                        if (includeVersions && !version.is_current && version.file_path) {
+                            versionEntry.archive_path = reservePath(
+                                usedPaths,
+                                versionFolder,
+                                `v${version.version_number}-${sanitizePathSegment(version.file_name, 'file')}`
+                            );
+                            await addFile(versionEntry.archive_path, version.file_path);
+                        }
+
+                        entry.versions.push(versionEntry);
+                    }
+                }
+
+                manifestDocuments.push(entry);
+                await reportItem(true);
+            } catch (error) {
+                console.error(`[EXPORT] Document ${doc.id} failed:`, error);
+                entry.archive_path = null;
+                entry.skipped_reason = 'download_failed';
+                manifestDocuments.push(entry);
+                skipped.push({ document_id: doc.id, title: doc.title, reason: 'download_failed', message: error.message });
+                await reportItem(false);
+            }
+
+            setResult({ skipped });
+        }
+
+        const exportedAt = new Date().toISOString();
+        zip.file('manifest.json', JSON.stringify({
+            format: EXPORT_FORMAT,
+            format_version: EXPORT_FORMAT_VERSION,
+            exported_at: exportedAt,
+            exported_by: { id: user.id, email: user.email || null },
+            scope,
+            include_versions: includeVersions,
+            categories,
+            documents: manifestDocuments
+        }, null, 2));
+
+        const archivePath = path.join(workDir, 'export.zip');
+        const storagePath = `exports/${user.id}/${job.id}.zip`;
+        const downloadName = `${sanitizePathSegment(scope.type === 'group' ? scope.name : 'library', 'library')}-export-${exportedAt.slice(0, 10)}.zip`;
+
+        await pipeline(
+            zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' }),
+            fs.createWriteStream(archivePath)
+        );
+
+        const { size } = await fsp.stat(archivePath);
+
+        const { error: uploadError } = await supabase.storage
+            .from(BUCKET)
+            .upload(storagePath, fs.createReadStream(archivePath), {
+                contentType: 'application/zip',
+                upsert: true
+            });
+
+        if (uploadError) {
+            throw new Error(`Failed to upload export: ${uploadError.message}`);
+        }
+
+        const download = await createExportDownloadUrl(storagePath, downloadName);
+
+        return {
+            file_path: storagePath,
+            file_name: downloadName,
+            size,
+            exported_documents: manifestDocuments.filter((doc) => doc.archive_path).length,
+            skipped,
+            download_url: download.url,
+            expires_at: download.expiresAt
+        };
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Xóa file export quá EXPORT_RETENTION_HOURS; job vẫn giữ lại nhưng không tải được nữa
+ * @returns {Promise<number>} - số file đã xóa
+ */
+async function cleanupExpiredExports() {
+    const cutoff = new Date(Date.now() - EXPORT_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { data: jobs, error } = await supabase
+        .from('background_jobs')
+        .select('id, result')
+        .eq('job_type', 'export')
+        .eq('status', 'completed')
+        .lt('completed_at', cutoff)
+        .not('result->>file_path', 'is', null)
+        .limit(100);
+
+    if (error) {
+        if (!isMissingTableError(error)) {
+            console.error('[EXPORT] Fetch expired exports error:', error);
+        }
+        return 0;
+    }
+
+    let removed = 0;
+    for (const job of jobs || []) {
+        const { error: removeError } = await supabase.storage
+            .from(BUCKET)
+            .remove([job.result.file_path]);
+
+        if (removeError) {
+            console.error(`[EXPORT] Remove export ${job.id} error:`, removeError);
+            continue;
+        }
+
+        await supabase
+            .from('background_jobs')
+            .update({
+                result: { ...job.result, file_path: null, download_url: null, expired: true },
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', job.id);
+        removed += 1;
+    }
+
+    if (removed) {
+        console.log(`[EXPORT] Removed ${removed} expired export file(s)`);
+    }
+    return removed;
+}
+
+/**
+ * Dọn file export định kỳ (gọi một lần khi khởi động server)
+ */
+function startCleanupJob() {
+    if (cleanupTimer) return;
+
+    const run = () => {
+        cleanupExpiredExports().catch((error) => {
+            console.error('[EXPORT] Cleanup failed:', error);
+        });
+    };
+
+    run();
+    cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+    cleanupTimer.unref();
+}
+
+module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_FORMAT_VERSION,
+    prepareExport,
+    runExport,
+    createExportDownloadUrl,
+    sanitizePathSegment,
+    cleanupExpiredExports,
+    startCleanupJob
+};
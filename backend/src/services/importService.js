@@ -0,0 +1,740 @@
+const { supabase } = require('../config/supabase');
+const JSZip = require('jszip');
+const path = require('path');
+const {
+    ALLOWED_MIME_TYPES,
+    storeDocument
+} = require('./documentUploadService');
+const { hashBuffer, putBlob, retainBlob, releaseBlob } = require('./blobStore');
+const { inspectUpload } = require('./uploadInspector');
+const { checkQuota, reserveQuota, releaseQuota } = require('./storageQuotaService');
+const { logSecurityEvent } = require('../middleware/groupPermissions');
+const { readEntry, createInflateBudget } = require('./zipEntryReader');
+const { EXPORT_FORMAT } = require('./exportService');
+
+/**
+ * Import Service
+ * Nhập document từ file ZIP: thư mục trong ZIP thành category (theo parent_id),
+ * file thành document (cùng đường với upload: kiểm tra nội dung, quota, storeDocument, embedding)
+ *
+ * ZIP tạo bởi /api/export có manifest.json: title, mô tả, tag và các version cũ được khôi phục theo manifest
+ * ZIP thường (cây thư mục) thì title lấy theo tên file
+ *
+ * Dry-run chỉ lập kế hoạch (tạo gì, trùng gì, file nào bị bỏ) và không ghi gì
+ * File được giải nén dạng stream với giới hạn từng file và tổng dung lượng (không tin header ZIP)
+ * Số import chạy đồng thời bị giới hạn theo user (IMPORT_MAX_CONCURRENT_PER_USER) và toàn hệ thống (IMPORT_MAX_CONCURRENT)
+ */
+
+// Giới hạn số file và tổng dung lượng sau giải nén (chống zip bomb)
+const IMPORT_MAX_FILES = parseInt(process.env.IMPORT_MAX_FILES || '2000', 10);
+const IMPORT_MAX_UNCOMPRESSED_BYTES = parseInt(process.env.IMPORT_MAX_UNCOMPRESSED_BYTES || String(1024 * 1024 * 1024), 10);
+const MAX_MANIFEST_BYTES = 20 * 1024 * 1024;
+// Số import chạy đồng thời: mỗi job giữ toàn bộ ZIP trong memory (tối đa IMPORT_MAX_ARCHIVE_BYTES)
+const IMPORT_CONCURRENCY_LIMITS = {
+    perUser: parseInt(process.env.IMPORT_MAX_CONCURRENT_PER_USER || '1', 10),
+    total: parseInt(process.env.IMPORT_MAX_CONCURRENT || '2', 10)
+};
+
+const CONFLICT_STRATEGIES = ['skip', 'import'];
+const MAX_CATEGORY_NAME_LENGTH = 100;
+
+const MIME_BY_EXTENSION = {
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.markdown': 'text/markdown',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.ogg': 'video/ogg',
+    '.ogv': 'video/ogg',
+    '.zip': 'application/zip',
+    '.rar': 'application/x-rar-compressed'
+};
+
+// File hệ thống do hệ điều hành tạo khi nén thư mục
+const IGNORED_NAMES = new Set(['.ds_store', 'thumbs.db', 'desktop.ini']);
+
+const isIgnoredEntry = (name) => {
+    const segments = name.split('/');
+    if (segments[0] === '__MACOSX') return true;
+    const base = segments[segments.length - 1];
+    return !base || base.startsWith('.') || IGNORED_NAMES.has(base.toLowerCase());
+};
+
+// Kích thước sau giải nén ghi trong header ZIP (JSZip không công khai giá trị này).
+// Header có thể bị sửa nên chỉ dùng để từ chối sớm; giới hạn thật nằm ở readEntry
+const getUncompressedSize = (entry) => entry._data?.uncompressedSize ?? 0;
+
+const MB = 1024 * 1024;
+
+const splitFolder = (folder) => (folder || '')
+    .split('/')
+    .map((segment) => segment.trim().slice(0, MAX_CATEGORY_NAME_LENGTH))
+    .filter((segment) => segment && segment !== '.' && segment !== '..');
+
+/**
+ * Đọc ZIP và manifest.json (nếu có)
+ * @param {Buffer} buffer
+ * @returns {Promise<{ok: boolean, zip?: JSZip, manifest?: Object|null, files?: Array, status?: number, code?: string, message?: string}>}
+ */
+async function readArchive(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        return { ok: false, status: 400, code: 'INVALID_ARCHIVE', message: 'File is not a valid ZIP archive' };
+    }
+
+    let manifest = null;
+    const manifestEntry = zip.file('manifest.json');
+    if (manifestEntry) {
+        try {
+            const parsed = JSON.parse((await readEntry(manifestEntry, MAX_MANIFEST_BYTES)).toString('utf8'));
+            if (parsed?.format === EXPORT_FORMAT && Array.isArray(parsed.documents)) {
+                manifest = parsed;
+            }
+        } catch (error) {
+            if (error.code === 'ENTRY_TOO_LARGE') {
+                return { ok: false, status: 413, code: 'IMPORT_TOO_LARGE', message: `manifest.json must be smaller than ${MAX_MANIFEST_BYTES / MB} MB` };
+            }
+            return { ok: false, status: 400, code: 'INVALID_MANIFEST', message: 'manifest.json is not valid JSON' };
+        }
+    }
+
+    // Với manifest, file version cũ được khôi phục cùng document chứ không thành document riêng
+    const versionPaths = new Set();
+    for (const doc of manifest?.documents || []) {
+        for (const version of doc.versions || []) {
+            if (version.archive_path && version.archive_path !== doc.archive_path) {
+                versionPaths.add(version.archive_path);
+            }
+        }
+    }
+
+    const files = Object.values(zip.files).filter((entry) => (
+        !entry.dir &&
+        entry.name !== 'manifest.json' &&
+        !isIgnoredEntry(entry.name) &&
+        !versionPaths.has(entry.name)
+    ));
+
+    if (!files.length) {
+        return { ok: false, status: 400, code: 'EMPTY_ARCHIVE', message: 'The archive does not contain any files' };
+    }
+
+    if (files.length > IMPORT_MAX_FILES) {
+        return { ok: false, status: 413, code: 'IMPORT_TOO_LARGE', message: `At most ${IMPORT_MAX_FILES} files can be imported at once` };
+    }
+
+    const totalBytes = Object.values(zip.files).reduce((sum, entry) => sum + getUncompressedSize(entry), 0);
+    if (totalBytes > IMPORT_MAX_UNCOMPRESSED_BYTES) {
+        return {
+            ok: false,
+            status: 413,
+            code: 'IMPORT_TOO_LARGE',
+            message: `Archive content exceeds the ${Math.round(IMPORT_MAX_UNCOMPRESSED_BYTES / MB)} MB limit`
+        };
+    }
+
+    return { ok: true, zip, manifest, files };
+}
+
+/**
+ * Category đã có trong phạm vi đích (để dùng lại thay vì tạo trùng)
+ */
+async function fetchScopeCategories(userId, groupId) {
+    let query = supabase
+        .from('categories')
+        .select('id, name, parent_id');
+
+    query = groupId
+        ? query.eq('group_id', groupId)
+        : query.eq('created_by', userId).is('group_id', null);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+/**
+ * Document đã có trong phạm vi đích (để phát hiện trùng tên / trùng nội dung)
+ */
+async function fetchScopeDocuments(userId, groupId) {
+    let query = supabase
+        .from('documents')
+        .select('id, title, category_id, content_hash')
+        .is('deleted_at', null);
+
+    query = groupId
+        ? query.eq('group_id', groupId)
+        : query.eq('created_by', userId).is('group_id', null);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+/**
+ * Lập kế hoạch import: category cần tạo / dùng lại, document sẽ tạo / bỏ qua và lý do
+ * @param {Object} params
+ * @param {Object} params.archive - Kết quả readArchive
+ * @param {Object} params.user - { id, email }
+ * @param {string|null} params.groupId
+ * @param {string|null} params.parentCategoryId - Category chứa các thư mục gốc của ZIP
+ * @param {'skip'|'import'} params.onConflict
+ * @param {number} params.maxBytes - Giới hạn dung lượng mỗi file (resolveUploadTarget)
+ * @param {Function} [params.onItem] - async (ok) => void, gọi sau mỗi file (tiến độ job)
+ * @param {Function} [params.shouldStop] - async () => boolean, dừng sớm (hủy job)
+ * @returns {Promise<Object>} - plan; throw error.code = 'IMPORT_TOO_LARGE' khi tổng dung lượng giải nén vượt giới hạn
+ */
+async function planImport({ archive, user, groupId, parentCategoryId, onConflict, maxBytes, onItem, shouldStop }) {
+    const { zip, manifest, files } = archive;
+    const budget = createInflateBudget(IMPORT_MAX_UNCOMPRESSED_BYTES, 'IMPORT_TOO_LARGE');
+
+    const manifestByPath = new Map((manifest?.documents || [])
+        .filter((doc) => doc.archive_path)
+        .map((doc) => [doc.archive_path, doc]));
+    const manifestCategories = new Map((manifest?.categories || [])
+        .filter((category) => category.path)
+        .map((category) => [category.path, category]));
+
+    const [existingCategories, existingDocuments] = await Promise.all([
+        fetchScopeCategories(user.id, groupId),
+        fetchScopeDocuments(user.id, groupId)
+    ]);
+
+    const existingCategoryByKey = new Map(existingCategories.map((category) => [
+        `${category.parent_id || ''}|${category.name.toLowerCase()}`,
+        category
+    ]));
+    const documentsByTitle = new Map(existingDocuments.map((doc) => [
+        `${doc.category_id || ''}|${(doc.title || '').toLowerCase()}`,
+        doc
+    ]));
+    const documentsByHash = new Map(existingDocuments
+        .filter((doc) => doc.content_hash)
+        .map((doc) => [doc.content_hash, doc]));
+
+    // Category theo đường dẫn thư mục; category cha luôn đứng trước category con
+    const categories = [];
+    const categoryByPath = new Map();
+
+    const ensureCategory = (segments) => {
+        if (!segments.length) return null;
+        const categoryPath = segments.join('/');
+        if (categoryByPath.has(categoryPath)) return categoryByPath.get(categoryPath);
+
+        const parent = ensureCategory(segments.slice(0, -1));
+        const name = segments[segments.length - 1];
+        // Category cha sẽ được tạo mới thì category con chắc chắn chưa có
+        const existing = !parent || parent.action === 'existing'
+            ? existingCategoryByKey.get(`${(parent ? parent.id : parentCategoryId) || ''}|${name.toLowerCase()}`)
+            : null;
+        const fromManifest = manifestCategories.get(categoryPath);
+
+        const category = {
+            path: categoryPath,
+            parent_path: parent ? parent.path : null,
+            name,
+            description: fromManifest?.description || null,
+            color: fromManifest?.color || null,
+            action: existing ? 'existing' : 'create',
+            id: existing ? existing.id : undefined
+        };
+
+        categories.push(category);
+        categoryByPath.set(categoryPath, category);
+        return category;
+    };
+
+    const documents = [];
+    let totalBytes = 0;
+    let stopped = false;
+
+    // Lập kế hoạch cho một file: giải nén (có giới hạn), kiểm tra nội dung, phát hiện trùng
+    const planEntry = async (entry) => {
+        const fromManifest = manifestByPath.get(entry.name) || null;
+        const fileName = path.basename(entry.name);
+
+        let folder = fromManifest ? (fromManifest.category_path || '') : path.posix.dirname(entry.name);
+        // ZIP từ export để file trong files/<cây category>/
+        if (!fromManifest && manifest) folder = folder.replace(/^files(\/|$)/, '');
+        const category = ensureCategory(splitFolder(folder));
+
+        const extension = path.extname(fileName).toLowerCase();
+        const mimeType = ALLOWED_MIME_TYPES.includes(fromManifest?.mime_type)
+            ? fromManifest.mime_type
+            : MIME_BY_EXTENSION[extension] || null;
+
+        const item = {
+            archive_path: entry.name,
+            title: (fromManifest?.title || path.basename(fileName, path.extname(fileName)) || fileName).trim(),
+            description: fromManifest?.description || null,
+            file_name: fileName,
+            mime_type: mimeType,
+            size: getUncompressedSize(entry),
+            category_path: category ? category.path : null,
+            tags: Array.isArray(fromManifest?.tags) ? fromManifest.tags : [],
+            versions: (fromManifest?.versions || []).filter((version) => version.archive_path && version.archive_path !== entry.name).length,
+            version_bytes: 0,
+            action: 'create',
+            reason: null,
+            conflict: null,
+            manifest: fromManifest
+        };
+        documents.push(item);
+
+        if (!mimeType) {
+            item.action = 'skip';
+            item.reason = 'unsupported_type';
+            return item;
+        }
+
+        if (item.size > maxBytes) {
+            item.action = 'skip';
+            item.reason = 'too_large';
+            return item;
+        }
+
+        let buffer;
+        try {
+            buffer = await budget.read(entry, maxBytes);
+        } catch (error) {
+            if (error.code === 'IMPORT_TOO_LARGE') throw error;
+            // Entry hỏng (dữ liệu nén lỗi, kích thước không khớp header) thì bỏ riêng file đó
+            item.action = 'skip';
+            item.reason = error.code === 'ENTRY_TOO_LARGE' ? 'too_large' : 'corrupt';
+            return item;
+        }
+        item.size = buffer.length;
+        item.content_hash = hashBuffer(buffer);
+
+        const inspection = await inspectUpload({ originalname: fileName, mimetype: mimeType, size: buffer.length, buffer });
+        if (!inspection.ok) {
+            item.action = 'skip';
+            item.reason = 'rejected';
+            item.rejection = { code: inspection.code, message: inspection.message, inspector: inspection.inspector };
+            return item;
+        }
+
+        // Trùng: cùng nội dung trong phạm vi, hoặc cùng title trong category đã có sẵn
+        const sameContent = documentsByHash.get(item.content_hash);
+        const sameTitle = !category || category.action === 'existing'
+            ? documentsByTitle.get(`${(category ? category.id : parentCategoryId) || ''}|${item.title.toLowerCase()}`)
+            : null;
+
+        if (sameContent || sameTitle) {
+            const existing = sameContent || sameTitle;
+            item.conflict = {
+                type: sameContent ? 'duplicate_content' : 'title_exists',
+                document_id: existing.id,
+                title: existing.title
+            };
+            if (onConflict === 'skip') {
+                item.action = 'skip';
+                item.reason = 'conflict';
+                return item;
+            }
+        }
+
+        // Version cũ cũng tính vào dung lượng (quota), đo bằng cách giải nén thật
+        let versionCount = 0;
+        for (const version of fromManifest?.versions || []) {
+            const versionEntry = version.archive_path && version.archive_path !== entry.name ? zip.file(version.archive_path) : null;
+            if (!versionEntry) continue;
+            try {
+                item.version_bytes += (await budget.read(versionEntry, maxBytes)).length;
+                versionCount += 1;
+            } catch (error) {
+                if (error.code === 'IMPORT_TOO_LARGE') throw error;
+            }
+        }
+        item.versions = versionCount;
+
+        totalBytes += buffer.length + item.version_bytes;
+        return item;
+    };
+
+    for (const entry of files) {
+        if (shouldStop && await shouldStop()) {
+            stopped = true;
+            break;
+        }
+
+        const item = await planEntry(entry);
+        if (onItem) await onItem(item.action === 'create');
+    }
+
+    // Bỏ category không còn document nào cần tạo (mọi file trong đó bị bỏ qua)
+    const usedPaths = new Set();
+    for (const doc of documents) {
+        if (doc.action !== 'create' || !doc.category_path) continue;
+        const segments = doc.category_path.split('/');
+        for (let i = 1; i <= segments.length; i++) {
+            usedPaths.add(segments.slice(0, i).join('/'));
+        }
+    }
+    const plannedCategories = categories.filter((category) => usedPaths.has(category.path));
+
+    return {
+        manifest: manifest
+            ? { found: true, format_version: manifest.format_version, exported_at: manifest.exported_at || null }
+            : { found: false },
+        target: { group_id: groupId || null, parent_category_id: parentCategoryId || null },
+        on_conflict: onConflict,
+        categories: plannedCategories,
+        documents,
+        total_bytes: totalBytes,
+        stopped
+    };
+}
+
+/**
+ * Kế hoạch trả về cho client (bỏ dữ liệu nội bộ)
+ */
+function formatPlan(plan) {
+    const documents = plan.documents.map(({ manifest, content_hash, ...doc }) => doc);
+    return {
+        manifest: plan.manifest,
+        target: plan.target,
+        on_conflict: plan.on_conflict,
+        categories: plan.categories.map(({ id, ...category }) => ({ ...category, id: id || null })),
+        documents,
+        summary: {
+            categories_to_create: plan.categories.filter((category) => category.action === 'create').length,
+            categories_existing: plan.categories.filter((category) => category.action === 'existing').length,
+            documents_to_create: documents.filter((doc) => doc.action === 'create').length,
+            documents_skipped: documents.filter((doc) => doc.action === 'skip').length,
+            conflicts: documents.filter((doc) => doc.conflict).length,
+            versions_to_restore: documents
+                .filter((doc) => doc.action === 'create')
+                .reduce((sum, doc) => sum + doc.versions, 0),
+            total_bytes: plan.total_bytes
+        }
+    };
+}
+
+/**
+ * Tạo các category còn thiếu theo thứ tự cha trước con
+ * @returns {Promise<Map<string, string>>} - đường dẫn thư mục -> category_id
+ */
+async function createCategories(plan, user, groupId, parentCategoryId) {
+    const idByPath = new Map();
+
+    for (const category of plan.categories) {
+        if (category.action === 'existing') {
+            idByPath.set(category.path, category.id);
+            continue;
+        }
+
+        const parentId = category.parent_path ? idByPath.get(category.parent_path) : (parentCategoryId || null);
+        const { data, error } = await supabase
+            .from('categories')
+            .insert([{
+                name: category.name,
+                created_by: user.id,
+                description: category.description,
+                color: category.color || '#3b82f6',
+                group_id: groupId || null,
+                parent_id: parentId || null
+            }])
+            .select('id')
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to create category "${category.path}": ${error.message}`);
+        }
+
+        idByPath.set(category.path, data.id);
+    }
+
+    return idByPath;
+}
+
+/**
+ * Khôi phục các version cũ theo manifest: mỗi version có file trong ZIP thành một dòng document_versions,
+ * sau cùng là version hiện tại (nội dung document vừa tạo)
+ * Mỗi version cũng qua giới hạn dung lượng file như document; quota của version đã được
+ * giữ chỗ cùng document trong runImport (item.version_bytes)
+ * @param {Object} target - { maxBytes }
+ * @returns {Promise<{restored: number, skipped: number}>}
+ */
+async function restoreVersions(zip, document, manifestEntry, user, { maxBytes }) {
+    const versions = (manifestEntry?.versions || [])
+        .slice()
+        .sort((a, b) => a.version_number - b.version_number);
+    const older = versions.filter((version) => (
+        version.archive_path && version.archive_path !== manifestEntry.archive_path && zip.file(version.archive_path)
+    ));
+
+    if (!older.length) {
+        return { restored: 0, skipped: versions.filter((version) => !version.is_current).length };
+    }
+
+    let restored = 0;
+    for (const version of older) {
+        let buffer;
+        try {
+            buffer = await readEntry(zip.file(version.archive_path), maxBytes);
+        } catch (error) {
+            console.warn(`[IMPORT] Skip version ${version.version_number} of ${document.id}:`, error.message);
+            continue;
+        }
+
+        const mimeType = ALLOWED_MIME_TYPES.includes(version.mime_type) ? version.mime_type : document.mime_type;
+        const inspection = await inspectUpload({ originalname: version.file_name, mimetype: mimeType, size: buffer.length, buffer });
+        if (!inspection.ok) continue;
+
+        const contentHash = hashBuffer(buffer);
+        const blob = await putBlob({ hash: contentHash, body: buffer, size: buffer.length, mimeType });
+        if (!blob.ok) {
+            console.error(`[IMPORT] Store version ${version.version_number} of ${document.id} failed:`, blob.error);
+            continue;
+        }
+
+        const { error } = await supabase
+            .from('document_versions')
+            .insert({
+                document_id: document.id,
+                file_path: blob.filePath,
+                file_size: buffer.length,
+                file_name: version.file_name || document.file_name,
+                mime_type: mimeType,
+                content_hash: contentHash,
+                created_by: user.id,
+                change_description: version.change_description || `Imported v${version.version_number}`,
+                ...(version.created_at ? { created_at: version.created_at } : {})
+            });
+
+        if (error) {
+            await releaseBlob(contentHash);
+            console.error(`[IMPORT] Insert version ${version.version_number} of ${document.id} failed:`, error);
+            continue;
+        }
+        restored += 1;
+    }
+
+    // Version hiện tại trỏ tới cùng nội dung với document (giữ thêm một reference)
+    const current = versions.find((version) => version.is_current);
+    if (await retainBlob(document.content_hash)) {
+        const { data: currentVersion, error } = await supabase
+            .from('document_versions')
+            .insert({
+                document_id: document.id,
+                file_path: document.file_path,
+                file_size: document.file_size,
+                file_name: document.file_name,
+                mime_type: document.mime_type,
+                content_hash: document.content_hash,
+                created_by: user.id,
+                change_description: current?.change_description || 'Imported',
+                ...(current?.created_at ? { created_at: current.created_at } : {})
+            })
+            .select('id')
+            .single();
+
+        if (error) {
+            await releaseBlob(document.content_hash);
+            console.error(`[IMPORT] Insert current version of ${document.id} failed:`, error);
+        } else {
+            await supabase
+                .from('document_versions')
+                .update({ is_current: false })
+                .eq('document_id', document.id)
+                .neq('id', currentVersion.id);
+
+            await supabase
+                .from('document_versions')
+                .update({ is_current: true })
+                .eq('id', currentVersion.id);
+        }
+    }
+
+    return { restored, skipped: versions.filter((version) => !version.is_current).length - restored };
+}
+
+/**
+ * Handler của job dry-run: lập kế hoạch và kiểm tra quota, không ghi gì
+ * Chạy nền như import thật vì phải giải nén và quét toàn bộ archive
+ * @param {Object} context - { job, reportItem, setResult, isCancelled }
+ * @param {Object} params - như runImport
+ * @returns {Promise<Object>} - kế hoạch (formatPlan) kèm kết quả kiểm tra quota
+ */
+async function runImportPlan({ reportItem, isCancelled }, { archive, user, target, onConflict }) {
+    const { groupId, parentCategoryId, maxBytes } = target;
+
+    const plan = await planImport({
+        archive,
+        user,
+        groupId,
+        parentCategoryId,
+        onConflict,
+        maxBytes,
+        onItem: reportItem,
+        shouldStop: isCancelled
+    });
+
+    const quota = await checkQuota({ userId: user.id, groupId, additionalBytes: plan.total_bytes });
+
+    return {
+        dry_run: true,
+        ...formatPlan(plan),
+        quota: quota.ok
+            ? { ok: true }
+            : { ok: false, code: quota.code, message: quota.message, data: quota.data }
+    };
+}
+
+/**
+ * Handler của job import (dùng với backgroundJobService.runJob)
+ * @param {Object} context - { job, reportItem, setResult, isCancelled }
+ * @param {Object} params
+ * @param {Object} params.archive - Kết quả readArchive
+ * @param {Object} params.user - { id, email }
+ * @param {Object} params.target - { groupId, parentCategoryId, groupMembership, maxBytes }
+ * @param {'skip'|'import'} params.onConflict
+ * @param {Object} [params.requestInfo] - { ip, userAgent } cho security log
+ * @returns {Promise<Object>} - result của job
+ */
+async function runImport({ reportItem, setResult, isCancelled }, { archive, user, target, onConflict, requestInfo = {} }) {
+    const { groupId, parentCategoryId, groupMembership, maxBytes } = target;
+
+    const plan = await planImport({ archive, user, groupId, parentCategoryId, onConflict, maxBytes });
+    const idByPath = await createCategories(plan, user, groupId, parentCategoryId);
+
+    const created = [];
+    const skipped = [];
+    const failed = [];
+    const record = () => setResult({
+        created_documents: created.length,
+        skipped,
+        failed,
+        categories_created: plan.categories.filter((category) => category.action === 'create').length
+    });
+
+    for (const item of plan.documents) {
+        if (await isCancelled()) break;
+
+        if (item.action === 'skip') {
+            skipped.push({ archive_path: item.archive_path, reason: item.reason, conflict: item.conflict || undefined });
+            if (item.reason === 'rejected') {
+                await logSecurityEvent(user.id, 'upload_rejected', {
+                    ip: requestInfo.ip,
+                    userAgent: requestInfo.userAgent,
+                    file_name: item.file_name,
+                    claimed_mime_type: item.mime_type,
+                    file_size: item.size,
+                    inspector: item.rejection?.inspector,
+                    code: item.rejection?.code,
+                    reason: item.rejection?.message,
+                    source: 'import',
+                    group_id: groupId || null
+                });
+            }
+            record();
+            await reportItem(false);
+            continue;
+        }
+
+        let reservationId = null;
+        try {
+            // Version cũ đi kèm cũng chiếm dung lượng: giữ chỗ cho cả document và các version
+            const quota = await reserveQuota({ userId: user.id, groupId, additionalBytes: item.size + item.version_bytes });
+            if (!quota.ok) {
+                failed.push({ archive_path: item.archive_path, code: quota.code, message: quota.message });
+                record();
+                await reportItem(false);
+                continue;
+            }
+            reservationId = quota.reservationId;
+
+            const buffer = await readEntry(archive.zip.file(item.archive_path), maxBytes);
+            const result = await storeDocument({
+                userId: user.id,
+                fields: {
+                    title: item.title,
+                    description: item.description,
+                    category_id: item.category_path ? idByPath.get(item.category_path) : (parentCategoryId || null),
+                    group_id: groupId || null,
+                    tags: item.tags
+                },
+                file: { originalname: item.file_name, mimetype: item.mime_type, size: buffer.length },
+                body: buffer,
+                contentHash: item.content_hash,
+                groupMembership
+            });
+
+            if (!result.ok) {
+                failed.push({ archive_path: item.archive_path, message: result.message });
+                record();
+                await reportItem(false);
+                continue;
+            }
+
+            const versions = item.manifest
+                ? await restoreVersions(archive.zip, result.document, item.manifest, user, { maxBytes })
+                : { restored: 0, skipped: 0 };
+
+            created.push({
+                archive_path: item.archive_path,
+                document_id: result.document.id,
+                title: result.document.title,
+                embedding_job_id: result.embeddingJobId || null,
+                versions_restored: versions.restored
+            });
+            record();
+            await reportItem(true);
+        } catch (error) {
+            console.error(`[IMPORT] ${item.archive_path} failed:`, error);
+            failed.push({ archive_path: item.archive_path, message: error.message });
+            record();
+            await reportItem(false);
+        } finally {
+            await releaseQuota(reservationId);
+        }
+    }
+
+    await supabase
+        .from('activity_logs')
+        .insert([{
+            user_id: user.id,
+            activity_type: 'library_imported',
+            metadata: {
+                group_id: groupId || null,
+                created_documents: created.length,
+                skipped_documents: skipped.length,
+                failed_documents: failed.length,
+                manifest: plan.manifest.found
+            }
+        }]);
+
+    return {
+        created,
+        skipped,
+        failed,
+        created_documents: created.length,
+        categories_created: plan.categories.filter((category) => category.action === 'create').length
+    };
+}
+
+module.exports = {
+    IMPORT_CONCURRENCY_LIMITS,
+    CONFLICT_STRATEGIES,
+    readArchive,
+    planImport,
+    formatPlan,
+    runImportPlan,
+    runImport
+};
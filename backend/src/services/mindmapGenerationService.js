@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { hasDocumentAccess, memberRoleAllows } = require('../middleware/acl');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+const {
+    MINDMAP_MAX_NODES,
+    getGroupRole,
+    saveMindmapBatch
+} = require('./mindmapService');
+
+/**
+ * Mind Map Generation Service
+ * Tạo sẵn map có thể sửa tiếp thay vì canvas trống:
+ *   - từ cây category (get_category_descendants / get_category_tree): category là nhánh, document là lá
+ *   - từ dàn ý của một document: heading markdown trong documents.content (DOCX đã được chuyển heading
+ *     thành #, ##...), không có heading thì dùng bản đồ trang content_pages (trang PDF, slide, sheet)
+ *
+ * Map sinh ra lưu qua saveMindmapBatch nên cùng kiểm tra quyền / giới hạn node với canvas.
+ * Cây vượt MINDMAP_MAX_NODES bị cắt theo chiều rộng (giữ các tầng trên) và trả truncated = true
+ */
+
+// Bố cục cây nằm ngang: mỗi tầng một cột, lá cách nhau một hàng
+const LAYOUT_COLUMN_WIDTH = 320;
+const LAYOUT_ROW_HEIGHT = 72;
+const MAX_LABEL_LENGTH = 120;
+const MAX_EXCERPT_LENGTH = 280;
+
+const treeNode = (node, children = []) => ({ id: crypto.randomUUID(), node, children });
+
+const truncateText = (text, max) => {
+    const value = (text || '').replace(/\s+/g, ' ').trim();
+    return value.length > max ? `${value.slice(0, max - 1).trimEnd()}…` : value;
+};
+
+/**
+ * Cắt cây theo BFS cho vừa maxNodes
+ * @returns {{count: number, truncated: boolean}}
+ */
+function pruneTree(root, maxNodes) {
+    let count = 1;
+    let truncated = false;
+    const queue = [root];
+
+    while (queue.length) {
+        const item = queue.shift();
+        const room = Math.max(0, maxNodes - count);
+        if (item.children.length > room) {
+            item.children = item.children.slice(0, room);
+            truncated = true;
+        }
+        count += item.children.length;
+        queue.push(...item.children);
+    }
+
+    return { count, truncated };
+}
+
+/**
+ * Đặt vị trí: x theo tầng, lá xếp lần lượt theo y, nút cha nằm giữa các con
+ */
+function layoutTree(root) {
+    let nextRow = 0;
+
+    const place = (item, depth) => {
+        item.node.position_x = depth * LAYOUT_COLUMN_WIDTH;
+        if (!item.children.length) {
+            item.node.position_y = nextRow * LAYOUT_ROW_HEIGHT;
+            nextRow += 1;
+            return;
+        }
+        item.children.forEach((child) => place(child, depth + 1));
+        const first = item.children[0].node.position_y;
+        const last = item.children[item.children.length - 1].node.position_y;
+        item.node.position_y = (first + last) / 2;
+    };
+
+    place(root, 0);
+}
+
+/**
+ * Cây → danh sách node / edge cho saveMindmapBatch
+ */
+function flattenTree(root) {
+    const nodes = [];
+    const edges = [];
+    const stack = [root];
+
+    while (stack.length) {
+        const item = stack.pop();
+        nodes.push({ id: item.id, ...item.node });
+        for (const child of item.children) {
+            edges.push({ source_node_id: item.id, target_node_id: child.id });
+            stack.push(child);
+        }
+    }
+
+    return { nodes, edges };
+}
+
+/**
+ * Category gốc phải xem được; map sinh ra cùng phạm vi với category (cá nhân hoặc group)
+ * @returns {Promise<{ok: boolean, root?: Object|null, groupId?: string|null, status?: number, code?: string, message?: string}>}
+ */
+async function resolveCategorySource(user, categoryId, groupId) {
+    if (!categoryId) {
+        return { ok: true, root: null, groupId: groupId || null };
+    }
+
+    const { data: category, error } = await supabase
+        .from('categories')
+        .select('id, name, color, group_id, parent_id, created_by')
+        .eq('id', categoryId)
+        .maybeSingle();
+
+    if (error) return { ok: false, error };
+
+    const visible = category && (category.group_id
+        ? !!(await getGroupRole(user.id, category.group_id))
+        : category.created_by === user.id);
+
+    if (!visible) {
+        return { ok: false, status: 404, code: 'CATEGORY_NOT_FOUND', message: 'Category not found' };
+    }
+    if (groupId && category.group_id !== groupId) {
+        return { ok: false, status: 400, code: 'SCOPE_MISMATCH', message: 'category_id must belong to group_id' };
+    }
+
+    return { ok: true, root: category, groupId: category.group_id || null };
+}
+
+/**
+ * Category trong phạm vi: cây con của category gốc, toàn bộ category của group hoặc thư viện cá nhân
+ */
+async function fetchScopeCategories(user, root, groupId) {
+    if (root) {
+        const { data: descendants, error } = await supabase.rpc('get_category_descendants', { category_id: root.id });
+        if (error) return { ok: false, error };
+
+        const ids = (descendants || []).map((row) => row.id);
+        const { data, error: detailError } = await supabase
+            .from('categories')
+            .select('id, name, color, parent_id')
+            .in('id', ids.length ? ids : [root.id]);
+
+        return detailError ? { ok: false, error: detailError } : { ok: true, data: data || [] };
+    }
+
+    if (groupId) {
+        const { data, error } = await supabase
+            .from('categories')
+            .select('id, name, color, parent_id')
+            .eq('group_id', groupId);
+
+        return error ? { ok: false, error } : { ok: true, data: data || [] };
+    }
+
+    const { data, error } = await supabase.rpc('get_category_tree', { user_id: user.id });
+    return error ? { ok: false, error } : { ok: true, data: data || [] };
+}
+
+/**
+ * Cây category → document của một category, một group hoặc thư viện cá nhân
+ * @param {Object} user - { id, email }
+ * @param {Object} options - { categoryId?, groupId?, includeDocuments?, maxDepth? }
+ * @returns {Promise<{ok: boolean, tree?: Object, groupId?: string|null, title?: string, status?: number, code?: string, message?: string, error?: Object}>}
+ */
+async function buildCategoryTree(user, { categoryId, groupId, includeDocuments = true, maxDepth = null }) {
+    const source = await resolveCategorySource(user, categoryId, groupId);
+    if (!source.ok) return source;
+
+    if (source.groupId && !source.root && !(await getGroupRole(user.id, source.groupId))) {
+        return { ok: false, status: 403, code: 'NOT_GROUP_MEMBER', message: 'You are not a member of this group' };
+    }
+
+    const categories = await fetchScopeCategories(user, source.root, source.groupId);
+    if (!categories.ok) return categories;
+
+    const byParent = new Map();
+    for (const category of categories.data) {
+        if (source.root && category.id === source.root.id) continue;
+        const parentKey = category.parent_id || null;
+        if (!byParent.has(parentKey)) byParent.set(parentKey, []);
+        byParent.get(parentKey).push(category);
+    }
+
+    const documentsByCategory = new Map();
+    if (includeDocuments) {
+        const categoryIds = categories.data.map((category) => category.id);
+        if (source.root && !categoryIds.includes(source.root.id)) categoryIds.push(source.root.id);
+
+        if (categoryIds.length) {
+            const { data: documents, error } = await supabase
+                .from('documents')
+                .select('id, title, category_id, created_by, group_id')
+                .in('category_id', categoryIds)
+                .is('deleted_at', null)
+                .order('title', { ascending: true });
+
+            if (error) return { ok: false, error };
+
+            for (const doc of documents || []) {
+                if (!(await hasDocumentAccess(user.id, user.email, doc, 'view'))) continue;
+                if (!documentsByCategory.has(doc.category_id)) documentsByCategory.set(doc.category_id, []);
+                documentsByCategory.get(doc.category_id).push(doc);
+            }
+        }
+    }
+
+    const documentLeaves = (category) => (documentsByCategory.get(category) || []).map((doc) => treeNode({
+        node_type: 'document',
+        label: doc.title,
+        document_id: doc.id
+    }));
+
+    const buildBranch = (category, depth) => {
+        const children = maxDepth !== null && depth >= maxDepth
+            ? []
+            : (byParent.get(category.id) || [])
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map((child) => buildBranch(child, depth + 1));
+
+        return treeNode(
+            {
+                node_type: 'category',
+                label: category.name,
+                category_id: category.id,
+                style: category.color ? { color: category.color } : null
+            },
+            [...children, ...documentLeaves(category.id)]
+        );
+    };
+
+    if (source.root) {
+        return {
+            ok: true,
+            tree: buildBranch(source.root, 0),
+            groupId: source.groupId,
+            title: source.root.name
+        };
+    }
+
+    // Cả thư viện: nút gốc là topic, category gốc là nhánh đầu tiên
+    const roots = (byParent.get(null) || []).sort((a, b) => a.name.localeCompare(b.name));
+    let title = 'My library';
+    if (source.groupId) {
+        const { data: group } = await supabase
+            .from('groups')
+            .select('name')
+            .eq('id', source.groupId)
+            .maybeSingle();
+        title = group?.name || 'Group library';
+    }
+
+    return {
+        ok: true,
+        tree: treeNode(
+            { node_type: 'topic', label: title },
+            maxDepth === 0 ? [] : roots.map((category) => buildBranch(category, 1))
+        ),
+        groupId: source.groupId,
+        title
+    };
+}
+
+/**
+ * Heading markdown (#..######) của content, bỏ qua code block
+ * @returns {Array<{level: number, title: string, start: number, end: number}>}
+ */
+function extractHeadings(content) {
+    const headings = [];
+    let offset = 0;
+    let inFence = false;
+
+    for (const line of content.split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+        } else if (!inFence) {
+            const match = /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+            if (match) {
+                if (headings.length) headings[headings.length - 1].end = offset;
+                headings.push({ level: match[1].length, title: match[2], start: offset + line.length + 1, end: content.length });
+            }
+        }
+        offset += line.length + 1;
+    }
+
+    return headings;
+}
+
+/**
+ * Dàn ý của document: heading lồng nhau, nếu không có thì mỗi trang / slide / sheet là một nhánh
+ * @param {Object} document - { id, title, content, content_pages }
+ * @returns {{ok: boolean, tree?: Object, outline?: string, status?: number, code?: string, message?: string}}
+ */
+function buildDocumentOutline(document, { maxDepth = null } = {}) {
+    const content = document.content || '';
+    if (!content.trim()) {
+        return {
+            ok: false,
+            status: 422,
+            code: 'CONTENT_NOT_EXTRACTED',
+            message: 'No extracted text is available for this document yet'
+        };
+    }
+
+    const root = treeNode({ node_type: 'document', label: document.title, document_id: document.id });
+    const headings = extractHeadings(content);
+
+    if (headings.length) {
+        // Heading nhảy cấp (# rồi ###) vẫn gắn vào heading gần nhất cấp nhỏ hơn
+        const stack = [{ level: 0, item: root }];
+        for (const heading of headings) {
+            while (stack[stack.length - 1].level >= heading.level) stack.pop();
+            const depth = stack.length;
+            if (maxDepth !== null && depth > maxDepth) continue;
+
+            const excerpt = truncateText(content.slice(heading.start, heading.end).replace(/^(#{1,6}\s+|\s*(```|~~~)).*$/gm, ''), MAX_EXCERPT_LENGTH);
+            const item = treeNode({
+                node_type: 'topic',
+                label: truncateText(heading.title, MAX_LABEL_LENGTH),
+                note: excerpt || null
+            });
+            stack[stack.length - 1].item.children.push(item);
+            stack.push({ level: heading.level, item });
+        }
+
+        return { ok: true, tree: root, outline: 'headings' };
+    }
+
+    const pages = Array.isArray(document.content_pages) ? document.content_pages : [];
+    if (pages.length > 1 && maxDepth !== 0) {
+        root.children = pages.map((page) => {
+            const text = content.slice(page.start, page.end);
+            const firstLine = text.split('\n').map((line) => line.trim()).find(Boolean) || '';
+            const pageLabel = /^\d+$/.test(String(page.label)) ? `Page ${page.label}` : String(page.label || `Page ${page.page}`);
+
+            return treeNode({
+                node_type: 'topic',
+                label: truncateText(firstLine ? `${pageLabel}: ${firstLine}` : pageLabel, MAX_LABEL_LENGTH),
+                note: truncateText(text, MAX_EXCERPT_LENGTH) || null
+            });
+        });
+
+        return { ok: true, tree: root, outline: 'pages' };
+    }
+
+    return {
+        ok: false,
+        status: 422,
+        code: 'OUTLINE_UNAVAILABLE',
+        message: 'Document has no headings or page structure to build a mind map from'
+    };
+}
+
+/**
+ * Người tạo phải sửa được map của group đích
+ */
+async function canCreateInScope(user, groupId) {
+    if (!groupId) return true;
+    return memberRoleAllows(await getGroupRole(user.id, groupId), 'edit');
+}
+
+/**
+ * Tạo map từ cây đã dựng: insert map, bố cục rồi lưu node / edge một lần; lưu lỗi thì xóa map
+ * @param {Object} user - { id, email }
+ * @param {Object} params - { tree, title, description?, groupId, source }
+ * @returns {Promise<{ok: boolean, mindmap?: Object, truncated?: boolean, node_count?: number, status?: number, code?: string, message?: string, error?: Object}>}
+ */
+async function createGeneratedMindmap(user, { tree, title, description = null, groupId, source }) {
+    const { count, truncated } = pruneTree(tree, MINDMAP_MAX_NODES);
+    layoutTree(tree);
+
+    const record = {
+        title: truncateText(title, 200) || 'Untitled mind map',
+        description,
+        group_id: groupId || null,
+        created_by: user.id,
+        last_edited_by: user.id,
+        source
+    };
+
+    let { data: mindmap, error } = await supabase
+        .from('mindmaps')
+        .insert([record])
+        .select()
+        .single();
+
+    // Chưa chạy database/mindmap_generation.sql: tạo map không kèm nguồn
+    if (error && (error.code === '42703' || error.code === 'PGRST204')) {
+        const { source: omitted, ...withoutSource } = record;
+        ({ data: mindmap, error } = await supabase
+            .from('mindmaps')
+            .insert([withoutSource])
+            .select()
+            .single());
+    }
+
+    if (error) {
+        return isMissingTableError(error)
+            ? { ok: false, status: 503, code: 'MINDMAPS_UNAVAILABLE', message: 'Mind maps are not configured. Run database/mindmaps.sql' }
+            : { ok: false, error };
+    }
+
+    const saved = await saveMindmapBatch(user, mindmap, flattenTree(tree));
+    if (!saved.ok) {
+        await supabase.from('mindmaps').delete().eq('id', mindmap.id);
+        return saved;
+    }
+
+    return {
+        ok: true,
+        mindmap: { ...mindmap, revision: saved.revision },
+        truncated,
+        node_count: count
+    };
+}
+
+module.exports = {
+    treeNode,
+    truncateText,
+    pruneTree,
+    layoutTree,
+    flattenTree,
+    buildCategoryTree,
+    buildDocumentOutline,
+    canCreateInScope,
+    createGeneratedMindmap
+};
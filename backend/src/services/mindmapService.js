@@ -0,0 +1,688 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { hasDocumentAccess, memberRoleAllows } = require('../middleware/acl');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+/**
+ * Mind Map Service
+ * Map cá nhân (group_id null, chỉ người tạo truy cập) hoặc thuộc group (member xem, role member trở lên sửa,
+ * admin / owner hoặc người tạo quản lý). Node tham chiếu document, category, giữ ghi chú rich-text hoặc là topic
+ *
+ * Canvas lưu một lần qua save_mindmap_batch (database/mindmaps.sql); revision của map tăng mỗi lần lưu,
+ * ETag "<mapId>:<revision>" giống document để client gửi lại qua If-Match
+ */
+
+const NODE_TYPES = ['topic', 'document', 'category', 'note'];
+const MINDMAP_MAX_NODES = parseInt(process.env.MINDMAP_MAX_NODES || '500', 10);
+const MINDMAP_MAX_EDGES = parseInt(process.env.MINDMAP_MAX_EDGES || '1000', 10);
+const MAX_TITLE_LENGTH = 200;
+const MAX_NODE_LABEL_LENGTH = 500;
+const MAX_EDGE_LABEL_LENGTH = 200;
+// Giới hạn theo độ dài JSON của note
+const MAX_NOTE_LENGTH = 100000;
+const MAX_NOTE_TEXT_LENGTH = 10000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const NODE_COLUMNS = 'id, mindmap_id, node_type, label, document_id, category_id, note, note_text, position_x, position_y, width, height, style, created_by, created_at, updated_at';
+const EDGE_COLUMNS = 'id, mindmap_id, source_node_id, target_node_id, label, style, created_by, created_at, updated_at';
+
+const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const unavailable = () => ({
+    ok: false,
+    status: 503,
+    code: 'MINDMAPS_UNAVAILABLE',
+    message: 'Mind maps are not configured. Run database/mindmaps.sql'
+});
+
+const invalid = (message) => ({ ok: false, status: 400, code: 'INVALID_MINDMAP_ITEM', message });
+
+async function getGroupRole(userId, groupId) {
+    const { data: membership } = await supabase
+        .from('group_members')
+        .select('role')
+        .eq('group_id', groupId)
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    return membership?.role || null;
+}
+
+/**
+ * Quyền của user trên map
+ * @returns {Promise<{canView: boolean, canEdit: boolean, canManage: boolean, role: string|null}>}
+ */
+async function getMindmapAccess(user, mindmap) {
+    const isCreator = mindmap.created_by === user.id;
+
+    if (!mindmap.group_id) {
+        return { canView: isCreator, canEdit: isCreator, canManage: isCreator, role: isCreator ? 'owner' : null };
+    }
+
+    const role = await getGroupRole(user.id, mindmap.group_id);
+    if (!role) {
+        return { canView: false, canEdit: false, canManage: false, role: null };
+    }
+
+    return {
+        canView: true,
+        canEdit: memberRoleAllows(role, 'edit'),
+        canManage: isCreator || memberRoleAllows(role, 'admin'),
+        role
+    };
+}
+
+/**
+ * @returns {Promise<{ok: boolean, mindmap?: Object|null, status?: number, code?: string, message?: string, error?: Object}>}
+ */
+async function fetchMindmap(mindmapId) {
+    if (!isUuid(mindmapId)) {
+        return { ok: true, mindmap: null };
+    }
+
+    const { data, error } = await supabase
+        .from('mindmaps')
+        .select('*')
+        .eq('id', mindmapId)
+        .maybeSingle();
+
+    if (error) {
+        return isMissingTableError(error) ? unavailable() : { ok: false, error };
+    }
+
+    return { ok: true, mindmap: data };
+}
+
+/**
+ * Danh sách map cá nhân của user hoặc của một group, kèm số node
+ */
+async function listMindmaps({ userId, groupId }) {
+    let query = supabase
+        .from('mindmaps')
+        .select('id, title, description, group_id, created_by, last_edited_by, revision, created_at, updated_at, mindmap_nodes(count)')
+        .order('updated_at', { ascending: false });
+
+    query = groupId
+        ? query.eq('group_id', groupId)
+        : query.eq('created_by', userId).is('group_id', null);
+
+    const { data, error } = await query;
+    if (error) {
+        return isMissingTableError(error) ? unavailable() : { ok: false, error };
+    }
+
+    return {
+        ok: true,
+        data: (data || []).map(({ mindmap_nodes: nodeCount, ...map }) => ({
+            ...map,
+            node_count: nodeCount?.[0]?.count || 0
+        }))
+    };
+}
+
+const normalizeTitle = (title) => {
+    if (typeof title !== 'string' || !title.trim()) {
+        return { ok: false, message: 'title is required' };
+    }
+    if (title.trim().length > MAX_TITLE_LENGTH) {
+        return { ok: false, message: `title must be at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    return { ok: true, value: title.trim() };
+};
+
+/**
+ * viewport: { x, y, zoom } hoặc null; undefined = giữ nguyên
+ */
+const normalizeViewport = (viewport) => {
+    if (viewport === undefined) return { ok: true, value: undefined };
+    if (viewport === null) return { ok: true, value: null };
+    if (!isPlainObject(viewport) || !['x', 'y', 'zoom'].every((key) => isFiniteNumber(viewport[key])) || viewport.zoom <= 0) {
+        return { ok: false, message: 'viewport must be { x, y, zoom } with numeric values' };
+    }
+    return { ok: true, value: { x: viewport.x, y: viewport.y, zoom: viewport.zoom } };
+};
+
+/**
+ * Text thuần của note: bỏ thẻ HTML, hoặc gom các trường "text" của document JSON (ProseMirror / Slate...)
+ */
+function extractNoteText(note) {
+    const parts = [];
+    const walk = (value) => {
+        if (parts.length > 5000) return;
+        if (typeof value === 'string') {
+            parts.push(value);
+        } else if (Array.isArray(value)) {
+            value.forEach(walk);
+        } else if (isPlainObject(value)) {
+            if (typeof value.text === 'string') parts.push(value.text);
+            if (value.content !== undefined) walk(value.content);
+            if (value.children !== undefined) walk(value.children);
+        }
+    };
+
+    if (typeof note === 'string') {
+        parts.push(note.replace(/<[^>]*>/g, ' '));
+    } else {
+        walk(note);
+    }
+
+    const text = parts.join(' ').replace(/\s+/g, ' ').trim();
+    return text ? text.slice(0, MAX_NOTE_TEXT_LENGTH) : null;
+}
+
+/**
+ * Gộp dữ liệu node client gửi với node đang có (client có thể chỉ gửi vị trí)
+ * @returns {{ok: boolean, node?: Object, message?: string}}
+ */
+function normalizeNodeInput(input, existing) {
+    if (!isPlainObject(input)) {
+        return { ok: false, message: 'Each node must be an object' };
+    }
+
+    const node = existing
+        ? {
+            node_type: existing.node_type,
+            label: existing.label,
+            document_id: existing.document_id,
+            category_id: existing.category_id,
+            note: existing.note,
+            note_text: existing.note_text,
+            position_x: existing.position_x,
+            position_y: existing.position_y,
+            width: existing.width,
+            height: existing.height,
+            style: existing.style
+        }
+        : {
+            node_type: 'topic',
+            label: null,
+            document_id: null,
+            category_id: null,
+            note: null,
+            note_text: null,
+            position_x: 0,
+            position_y: 0,
+            width: null,
+            height: null,
+            style: null
+        };
+
+    if (input.node_type !== undefined) {
+        if (!NODE_TYPES.includes(input.node_type)) {
+            return { ok: false, message: `node_type must be one of: ${NODE_TYPES.join(', ')}` };
+        }
+        node.node_type = input.node_type;
+    }
+
+    if (input.label !== undefined) {
+        if (input.label !== null && typeof input.label !== 'string') {
+            return { ok: false, message: 'label must be a string' };
+        }
+        const label = input.label ? input.label.trim() : '';
+        if (label.length > MAX_NODE_LABEL_LENGTH) {
+            return { ok: false, message: `label must be at most ${MAX_NODE_LABEL_LENGTH} characters` };
+        }
+        node.label = label || null;
+    }
+
+    for (const field of ['document_id', 'category_id']) {
+        if (input[field] !== undefined) {
+            if (input[field] !== null && !isUuid(input[field])) {
+                return { ok: false, message: `${field} must be a UUID` };
+            }
+            node[field] = input[field];
+        }
+    }
+
+    if (input.note !== undefined) {
+        if (input.note !== null && typeof input.note !== 'string' && typeof input.note !== 'object') {
+            return { ok: false, message: 'note must be rich-text JSON or a string' };
+        }
+        if (input.note !== null && JSON.stringify(input.note).length > MAX_NOTE_LENGTH) {
+            return { ok: false, message: `note must be at most ${MAX_NOTE_LENGTH} characters` };
+        }
+        node.note = input.note;
+        node.note_text = input.note === null ? null : extractNoteText(input.note);
+    }
+
+    // Chấp nhận cả { position: { x, y } } lẫn position_x / position_y
+    const position = isPlainObject(input.position) ? input.position : {};
+    const x = position.x !== undefined ? position.x : input.position_x;
+    const y = position.y !== undefined ? position.y : input.position_y;
+    if (x !== undefined) {
+        if (!isFiniteNumber(x)) return { ok: false, message: 'position x must be a number' };
+        node.position_x = x;
+    }
+    if (y !== undefined) {
+        if (!isFiniteNumber(y)) return { ok: false, message: 'position y must be a number' };
+        node.position_y = y;
+    }
+
+    for (const field of ['width', 'height']) {
+        if (input[field] !== undefined) {
+            if (input[field] !== null && !(isFiniteNumber(input[field]) && input[field] > 0)) {
+                return { ok: false, message: `${field} must be a positive number` };
+            }
+            node[field] = input[field];
+        }
+    }
+
+    if (input.style !== undefined) {
+        if (input.style !== null && !isPlainObject(input.style)) {
+            return { ok: false, message: 'style must be an object' };
+        }
+        node.style = input.style;
+    }
+
+    // Reference chỉ giữ theo đúng loại node
+    if (node.node_type !== 'document') node.document_id = null;
+    if (node.node_type !== 'category') node.category_id = null;
+
+    // Reference bị xóa (SET NULL) vẫn cho lưu vị trí; chỉ bắt buộc khi client đổi loại / reference
+    const typeOrReferenceChanged = !existing
+        || input.node_type !== undefined
+        || input.document_id !== undefined
+        || input.category_id !== undefined;
+    if (typeOrReferenceChanged) {
+        if (node.node_type === 'document' && !node.document_id) {
+            return { ok: false, message: 'document nodes require document_id' };
+        }
+        if (node.node_type === 'category' && !node.category_id) {
+            return { ok: false, message: 'category nodes require category_id' };
+        }
+    }
+
+    return { ok: true, node };
+}
+
+/**
+ * @returns {{ok: boolean, edge?: Object, message?: string}}
+ */
+function normalizeEdgeInput(input, existing, resolveNodeId) {
+    if (!isPlainObject(input)) {
+        return { ok: false, message: 'Each edge must be an object' };
+    }
+
+    const edge = existing
+        ? {
+            source_node_id: existing.source_node_id,
+            target_node_id: existing.target_node_id,
+            label: existing.label,
+            style: existing.style
+        }
+        : { source_node_id: null, target_node_id: null, label: null, style: null };
+
+    for (const field of ['source_node_id', 'target_node_id']) {
+        if (input[field] !== undefined) {
+            const nodeId = resolveNodeId(input[field]);
+            if (!nodeId) {
+                return { ok: false, message: `${field} does not reference a node of this mind map` };
+            }
+            edge[field] = nodeId;
+        }
+    }
+
+    if (!edge.source_node_id || !edge.target_node_id) {
+        return { ok: false, message: 'Edges require source_node_id and target_node_id' };
+    }
+    if (edge.source_node_id === edge.target_node_id) {
+        return { ok: false, message: 'An edge cannot connect a node to itself' };
+    }
+
+    if (input.label !== undefined) {
+        if (input.label !== null && typeof input.label !== 'string') {
+            return { ok: false, message: 'label must be a string' };
+        }
+        const label = input.label ? input.label.trim() : '';
+        if (label.length > MAX_EDGE_LABEL_LENGTH) {
+            return { ok: false, message: `edge label must be at most ${MAX_EDGE_LABEL_LENGTH} characters` };
+        }
+        edge.label = label || null;
+    }
+
+    if (input.style !== undefined) {
+        if (input.style !== null && !isPlainObject(input.style)) {
+            return { ok: false, message: 'style must be an object' };
+        }
+        edge.style = input.style;
+    }
+
+    return { ok: true, edge };
+}
+
+async function fetchActiveMemberships(userId, groupIds) {
+    if (!groupIds.length) return new Set();
+
+    const { data } = await supabase
+        .from('group_members')
+        .select('group_id')
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .in('group_id', groupIds);
+
+    return new Set((data || []).map((row) => row.group_id));
+}
+
+/**
+ * Người sửa phải xem được document / category mới gắn vào node.
+ * Map của group chỉ nhận category của chính group đó
+ */
+async function validateNodeReferences(user, mindmap, documentIds, categoryIds) {
+    if (documentIds.length) {
+        const { data: documents, error } = await supabase
+            .from('documents')
+            .select('id, created_by, group_id, deleted_at')
+            .in('id', documentIds);
+
+        if (error) return { ok: false, error };
+
+        const byId = new Map((documents || []).map((doc) => [doc.id, doc]));
+        for (const documentId of documentIds) {
+            const doc = byId.get(documentId);
+            if (!doc || doc.deleted_at || !(await hasDocumentAccess(user.id, user.email, doc, 'view'))) {
+                return {
+                    ok: false,
+                    status: 403,
+                    code: 'DOCUMENT_NOT_ACCESSIBLE',
+                    message: `Document ${documentId} does not exist or you do not have access to it`
+                };
+            }
+        }
+    }
+
+    if (categoryIds.length) {
+        const { data: categories, error } = await supabase
+            .from('categories')
+            .select('id, created_by, group_id')
+            .in('id', categoryIds);
+
+        if (error) return { ok: false, error };
+
+        const memberships = await fetchActiveMemberships(
+            user.id,
+            [...new Set((categories || []).map((category) => category.group_id).filter(Boolean))]
+        );
+        const byId = new Map((categories || []).map((category) => [category.id, category]));
+
+        for (const categoryId of categoryIds) {
+            const category = byId.get(categoryId);
+            const allowed = category && (mindmap.group_id
+                ? category.group_id === mindmap.group_id
+                : (category.group_id ? memberships.has(category.group_id) : category.created_by === user.id));
+
+            if (!allowed) {
+                return {
+                    ok: false,
+                    status: 403,
+                    code: 'CATEGORY_NOT_ACCESSIBLE',
+                    message: mindmap.group_id
+                        ? `Category ${categoryId} does not belong to this group`
+                        : `Category ${categoryId} does not exist or you do not have access to it`
+                };
+            }
+        }
+    }
+
+    return { ok: true };
+}
+
+const mapBatchError = (error) => {
+    if (isMissingTableError(error)) return unavailable();
+
+    switch (error.code) {
+        case '40001':
+            return { ok: false, status: 412, code: 'REVISION_MISMATCH', message: 'Mind map has been modified by someone else. Reload it and try again.' };
+        case 'P0002':
+            return { ok: false, status: 404, code: 'MINDMAP_NOT_FOUND', message: 'Mind map not found' };
+        case '22023':
+            return { ok: false, status: 409, code: 'ID_CONFLICT', message: 'A node or edge id is already used by another mind map' };
+        case '23505':
+            return { ok: false, status: 409, code: 'EDGE_EXISTS', message: 'These nodes are already connected' };
+        case '23503':
+            return { ok: false, status: 400, code: 'INVALID_MINDMAP_ITEM', message: 'An edge references a node that does not exist' };
+        default:
+            return { ok: false, error };
+    }
+};
+
+/**
+ * Lưu thay đổi của canvas trong một transaction
+ *
+ * Node mới có thể gửi id (UUID do client sinh) hoặc client_id tạm; edge tham chiếu node bằng id hoặc client_id.
+ * Node / edge đã có chỉ cần gửi id và các trường thay đổi
+ *
+ * @param {Object} user - { id, email }
+ * @param {Object} mindmap
+ * @param {Object} changes - { nodes?, edges?, deleted_node_ids?, deleted_edge_ids?, viewport? }
+ * @param {number|null} expectedRevision - null khi client không gửi If-Match
+ * @returns {Promise<{ok: boolean, revision?: number, id_map?: Object, status?: number, code?: string, message?: string, error?: Object}>}
+ */
+async function saveMindmapBatch(user, mindmap, changes, expectedRevision = null) {
+    const {
+        nodes = [],
+        edges = [],
+        deleted_node_ids: deletedNodeIds = [],
+        deleted_edge_ids: deletedEdgeIds = []
+    } = changes;
+
+    if (![nodes, edges, deletedNodeIds, deletedEdgeIds].every(Array.isArray)) {
+        return invalid('nodes, edges, deleted_node_ids and deleted_edge_ids must be arrays');
+    }
+    if (![...deletedNodeIds, ...deletedEdgeIds].every(isUuid)) {
+        return invalid('Deleted ids must be UUIDs');
+    }
+    if (nodes.length > MINDMAP_MAX_NODES || edges.length > MINDMAP_MAX_EDGES) {
+        return invalid(`A save can contain at most ${MINDMAP_MAX_NODES} nodes and ${MINDMAP_MAX_EDGES} edges`);
+    }
+
+    const viewport = normalizeViewport(changes.viewport);
+    if (!viewport.ok) return invalid(viewport.message);
+
+    const [existingNodesResult, existingEdgesResult] = await Promise.all([
+        supabase.from('mindmap_nodes').select(NODE_COLUMNS).eq('mindmap_id', mindmap.id),
+        supabase.from('mindmap_edges').select(EDGE_COLUMNS).eq('mindmap_id', mindmap.id)
+    ]);
+
+    if (existingNodesResult.error) return mapBatchError(existingNodesResult.error);
+    if (existingEdgesResult.error) return mapBatchError(existingEdgesResult.error);
+
+    const deletedNodes = new Set(deletedNodeIds);
+    const deletedEdges = new Set(deletedEdgeIds);
+    const existingNodes = new Map(existingNodesResult.data.map((node) => [node.id, node]));
+    const existingEdges = new Map(existingEdgesResult.data.map((edge) => [edge.id, edge]));
+
+    const idMap = {};
+    const savedNodes = [];
+    const liveNodeIds = new Set([...existingNodes.keys()].filter((id) => !deletedNodes.has(id)));
+    const documentIds = new Set();
+    const categoryIds = new Set();
+
+    for (const input of nodes) {
+        if (input?.id !== undefined && !isUuid(input.id)) {
+            return invalid('Node id must be a UUID; use client_id for temporary ids');
+        }
+
+        const existing = input?.id ? existingNodes.get(input.id) : null;
+        if (input?.id && deletedNodes.has(input.id)) {
+            return invalid(`Node ${input.id} is both updated and deleted`);
+        }
+
+        const normalized = normalizeNodeInput(input, existing);
+        if (!normalized.ok) return invalid(normalized.message);
+
+        const id = input.id || crypto.randomUUID();
+        if (!input.id && input.client_id !== undefined) {
+            if (typeof input.client_id !== 'string' || !input.client_id || idMap[input.client_id]) {
+                return invalid('client_id must be a unique string');
+            }
+            idMap[input.client_id] = id;
+        }
+
+        if (normalized.node.document_id && normalized.node.document_id !== existing?.document_id) {
+            documentIds.add(normalized.node.document_id);
+        }
+        if (normalized.node.category_id && normalized.node.category_id !== existing?.category_id) {
+            categoryIds.add(normalized.node.category_id);
+        }
+
+        liveNodeIds.add(id);
+        savedNodes.push({ id, ...normalized.node });
+    }
+
+    if (liveNodeIds.size > MINDMAP_MAX_NODES) {
+        return { ok: false, status: 400, code: 'MINDMAP_TOO_LARGE', message: `A mind map can have at most ${MINDMAP_MAX_NODES} nodes` };
+    }
+
+    const resolveNodeId = (ref) => {
+        const id = idMap[ref] || ref;
+        return liveNodeIds.has(id) ? id : null;
+    };
+
+    const savedEdges = [];
+    for (const input of edges) {
+        if (input?.id !== undefined && !isUuid(input.id)) {
+            return invalid('Edge id must be a UUID');
+        }
+        if (input?.id && deletedEdges.has(input.id)) {
+            return invalid(`Edge ${input.id} is both updated and deleted`);
+        }
+
+        const normalized = normalizeEdgeInput(input, input?.id ? existingEdges.get(input.id) : null, resolveNodeId);
+        if (!normalized.ok) return invalid(normalized.message);
+
+        savedEdges.push({ id: input.id || crypto.randomUUID(), ...normalized.edge });
+    }
+
+    const liveEdgeCount = [...existingEdges.keys()].filter((id) => !deletedEdges.has(id)).length
+        + savedEdges.filter((edge) => !existingEdges.has(edge.id)).length;
+    if (liveEdgeCount > MINDMAP_MAX_EDGES) {
+        return { ok: false, status: 400, code: 'MINDMAP_TOO_LARGE', message: `A mind map can have at most ${MINDMAP_MAX_EDGES} edges` };
+    }
+
+    const references = await validateNodeReferences(user, mindmap, [...documentIds], [...categoryIds]);
+    if (!references.ok) return references;
+
+    const { data: revision, error } = await supabase.rpc('save_mindmap_batch', {
+        p_mindmap_id: mindmap.id,
+        p_user_id: user.id,
+        p_nodes: savedNodes,
+        p_edges: savedEdges,
+        p_deleted_node_ids: deletedNodeIds,
+        p_deleted_edge_ids: deletedEdgeIds,
+        p_viewport: viewport.value === undefined ? null : viewport.value,
+        p_expected_revision: expectedRevision
+    });
+
+    if (error) return mapBatchError(error);
+
+    return {
+        ok: true,
+        revision,
+        id_map: idMap,
+        node_ids: savedNodes.map((node) => node.id),
+        edge_ids: savedEdges.map((edge) => edge.id)
+    };
+}
+
+/**
+ * Gắn thông tin document / category cho node theo quyền của người xem.
+ * reference_status: ok | restricted (không có quyền) | missing (đã xóa hoặc nằm trong thùng rác)
+ */
+async function hydrateNodes(user, nodes) {
+    const documentIds = [...new Set(nodes.map((node) => node.document_id).filter(Boolean))];
+    const categoryIds = [...new Set(nodes.map((node) => node.category_id).filter(Boolean))];
+
+    const [documentsResult, categoriesResult] = await Promise.all([
+        documentIds.length
+            ? supabase
+                .from('documents')
+                .select('id, title, file_name, file_type, file_size, tags, created_by, group_id, category_id, deleted_at, updated_at')
+                .in('id', documentIds)
+            : { data: [] },
+        categoryIds.length
+            ? supabase
+                .from('categories')
+                .select('id, name, color, group_id, parent_id, created_by')
+                .in('id', categoryIds)
+            : { data: [] }
+    ]);
+
+    const documents = new Map();
+    for (const doc of documentsResult.data || []) {
+        if (doc.deleted_at) continue;
+        const accessible = await hasDocumentAccess(user.id, user.email, doc, 'view');
+        const { deleted_at: deletedAt, ...summary } = doc;
+        documents.set(doc.id, accessible ? summary : null);
+    }
+
+    const categoryRows = categoriesResult.data || [];
+    const memberships = await fetchActiveMemberships(
+        user.id,
+        [...new Set(categoryRows.map((category) => category.group_id).filter(Boolean))]
+    );
+    const categories = new Map(categoryRows.map((category) => [
+        category.id,
+        (category.group_id ? memberships.has(category.group_id) : category.created_by === user.id) ? category : null
+    ]));
+
+    return nodes.map((node) => {
+        if (node.node_type === 'document') {
+            const doc = documents.get(node.document_id);
+            return {
+                ...node,
+                document: doc || null,
+                reference_status: doc ? 'ok' : (doc === null ? 'restricted' : 'missing')
+            };
+        }
+        if (node.node_type === 'category') {
+            const category = categories.get(node.category_id);
+            return {
+                ...node,
+                category: category || null,
+                reference_status: category ? 'ok' : (category === null ? 'restricted' : 'missing')
+            };
+        }
+        return node;
+    });
+}
+
+/**
+ * Node (đã gắn reference) và edge của map
+ */
+async function fetchMindmapGraph(user, mindmap) {
+    const [nodesResult, edgesResult] = await Promise.all([
+        supabase.from('mindmap_nodes').select(NODE_COLUMNS).eq('mindmap_id', mindmap.id).order('created_at', { ascending: true }),
+        supabase.from('mindmap_edges').select(EDGE_COLUMNS).eq('mindmap_id', mindmap.id).order('created_at', { ascending: true })
+    ]);
+
+    if (nodesResult.error) return isMissingTableError(nodesResult.error) ? unavailable() : { ok: false, error: nodesResult.error };
+    if (edgesResult.error) return isMissingTableError(edgesResult.error) ? unavailable() : { ok: false, error: edgesResult.error };
+
+    return {
+        ok: true,
+        nodes: await hydrateNodes(user, nodesResult.data || []),
+        edges: edgesResult.data || []
+    };
+}
+
+module.exports = {
+    NODE_TYPES,
+    MINDMAP_MAX_NODES,
+    MINDMAP_MAX_EDGES,
+    isUuid,
+    getGroupRole,
+    getMindmapAccess,
+    fetchMindmap,
+    listMindmaps,
+    normalizeTitle,
+    normalizeViewport,
+    saveMindmapBatch,
+    hydrateNodes,
+    fetchMindmapGraph
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+/**
+ * Password Hasher
+ * Băm mật khẩu tài liệu bằng crypto.scrypt với salt ngẫu nhiên cho mỗi lần băm
+ *
+ * Định dạng lưu trữ (có version để có thể đổi tham số về sau):
+ *   scrypt$1$<N>$<r>$<p>$<salt base64>$<hash base64>
+ *
+ * Hash cũ (SHA-256 hex, không salt) vẫn verify được và được đánh dấu needsRehash
+ */
+
+const HASH_PREFIX = 'scrypt';
+const HASH_VERSION = '1';
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const DEFAULT_PARAMS = {
+    N: parseInt(process.env.PASSWORD_SCRYPT_N || '16384', 10),
+    r: 8,
+    p: 1
+};
+
+const LEGACY_SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+const scryptAsync = (password, salt, params) => {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, {
+            N: params.N,
+            r: params.r,
+            p: params.p,
+            // scrypt cần ~128 * N * r bytes, để dư gấp đôi
+            maxmem: 256 * params.N * params.r
+        }, (error, derivedKey) => {
+            if (error) return reject(error);
+            resolve(derivedKey);
+        });
+    });
+};
+
+const safeEqual = (a, b) => {
+    if (a.length !== b.length) return false;
+    return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Băm mật khẩu
+ * @param {string} password - Mật khẩu dạng plain text
+ * @returns {Promise<string>} - Chuỗi hash theo định dạng versioned
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const derivedKey = await scryptAsync(password, salt, DEFAULT_PARAMS);
+
+    return [
+        HASH_PREFIX,
+        HASH_VERSION,
+        DEFAULT_PARAMS.N,
+        DEFAULT_PARAMS.r,
+        DEFAULT_PARAMS.p,
+        salt.toString('base64'),
+        derivedKey.toString('base64')
+    ].join('$');
+}
+
+/**
+ * Kiểm tra mật khẩu với hash đã lưu (so sánh constant-time)
+ * @param {string} password - Mật khẩu người dùng nhập
+ * @param {string} storedHash - Hash trong database (scrypt hoặc SHA-256 cũ)
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>}
+ */
+async function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string' || !storedHash) {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (LEGACY_SHA256_PATTERN.test(storedHash)) {
+        const candidate = crypto.createHash('sha256').update(password).digest();
+        const valid = safeEqual(candidate, Buffer.from(storedHash, 'hex'));
+        return { valid, needsRehash: valid };
+    }
+
+    const parts = storedHash.split('$');
+    if (parts.length !== 7 || parts[0] !== HASH_PREFIX || parts[1] !== HASH_VERSION) {
+        console.warn('[PASSWORD] Unknown password hash format');
+        return { valid: false, needsRehash: false };
+    }
+
+    const params = {
+        N: parseInt(parts[2], 10),
+        r: parseInt(parts[3], 10),
+        p: parseInt(parts[4], 10)
+    };
+    const salt = Buffer.from(parts[5], 'base64');
+    const expected = Buffer.from(parts[6], 'base64');
+
+    const derivedKey = await scryptAsync(password, salt, params);
+    const valid = safeEqual(derivedKey, expected);
+
+    const outdated = params.N !== DEFAULT_PARAMS.N
+        || params.r !== DEFAULT_PARAMS.r
+        || params.p !== DEFAULT_PARAMS.p;
+
+    return { valid, needsRehash: valid && outdated };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,237 @@
+const { supabase } = require('../config/supabase');
+const { execFile } = require('child_process');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { isMissingColumnError } = require('../utils/supabaseErrors');
+
+/**
+ * Preview Service
+ * Tạo preview cho document sau khi upload / tạo version / restore version:
+ * - Ảnh: thumbnail WebP (sharp)
+ * - PDF: ảnh trang đầu (pdftoppm của poppler-utils, rồi chuyển sang WebP)
+ * - TXT / MD: đoạn text ngắn (preview_snippet)
+ *
+ * Ảnh preview được lưu trên Storage cạnh file gốc: <file_path>.preview.webp
+ * File gốc dùng chung theo nội dung (blobStore) nên preview cũng dùng chung
+ * và bị xóa cùng file gốc
+ */
+
+const BUCKET = 'documents';
+const PREVIEW_SUFFIX = '.preview.webp';
+const PREVIEW_MIME_TYPE = 'image/webp';
+
+const PREVIEW_WIDTH = parseInt(process.env.PREVIEW_WIDTH || '480', 10);
+// Không tạo preview cho file lớn hơn giới hạn này (mặc định 25MB)
+const MAX_PREVIEW_SOURCE_BYTES = parseInt(process.env.PREVIEW_MAX_SOURCE_BYTES || String(25 * 1024 * 1024), 10);
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const PDFTOPPM_TIMEOUT_MS = 30 * 1000;
+const SNIPPET_LENGTH = 300;
+
+const IMAGE_MIME_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'image/svg+xml'
+];
+
+const TEXT_MIME_TYPES = ['text/plain', 'text/markdown'];
+
+let pdftoppmMissing = false;
+
+const getPreviewPath = (filePath) => `${filePath}${PREVIEW_SUFFIX}`;
+
+// Ghi cùng lúc với file_path mới (tạo / restore version): preview cũ thuộc file trước đó
+// và có thể đã bị xóa cùng blob, client thấy trạng thái pending cho tới khi preview mới xong
+const PENDING_PREVIEW_FIELDS = Object.freeze({
+    preview_status: null,
+    preview_path: null,
+    preview_snippet: null,
+    preview_generated_at: null
+});
+
+/**
+ * Loại preview theo mime type
+ * @returns {'image'|'pdf'|'text'|null}
+ */
+const getPreviewKind = (mimeType) => {
+    if (IMAGE_MIME_TYPES.includes(mimeType)) return 'image';
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (TEXT_MIME_TYPES.includes(mimeType)) return 'text';
+    return null;
+};
+
+/**
+ * ETag của preview, đổi khi preview được tạo lại
+ */
+const buildPreviewEtag = (document) => {
+    const source = [
+        document.id,
+        document.content_hash || document.file_path,
+        document.preview_status || 'pending',
+        document.preview_generated_at || ''
+    ].join(':');
+    return `"${crypto.createHash('sha1').update(source).digest('hex')}"`;
+};
+
+async function renderImageThumbnail(buffer) {
+    return sharp(buffer, { animated: false })
+        .rotate()
+        .resize({ width: PREVIEW_WIDTH, height: PREVIEW_WIDTH, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+}
+
+async function renderPdfFirstPage(buffer) {
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'mindmapnote-preview-'));
+    const inputPath = path.join(workDir, 'source.pdf');
+    const outputBase = path.join(workDir, 'page');
+
+    try {
+        await fsp.writeFile(inputPath, buffer);
+
+        await new Promise((resolve, reject) => {
+            execFile(
+                PDFTOPPM_PATH,
+                ['-f', '1', '-l', '1', '-png', '-singlefile', '-scale-to', String(PREVIEW_WIDTH * 2), inputPath, outputBase],
+                { timeout: PDFTOPPM_TIMEOUT_MS },
+                (error) => (error ? reject(error) : resolve())
+            );
+        });
+
+        const pageImage = await fsp.readFile(`${outputBase}.png`);
+        return renderImageThumbnail(pageImage);
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+// Bỏ cú pháp markdown cơ bản và gộp khoảng trắng
+const buildSnippet = (buffer) => {
+    const text = buffer.toString('utf8', 0, Math.min(buffer.length, 64 * 1024))
+        .replace(/^\uFEFF/, '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+        .replace(/[*_`~]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return text.length > SNIPPET_LENGTH
+        ? `${text.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, '')}…`
+        : text;
+};
+
+/**
+ * Tạo preview cho document và lưu trạng thái vào documents.preview_*
+ * Chỉ ghi khi document vẫn giữ nội dung contentHash (tránh ghi đè preview của version mới hơn)
+ * @param {Object} params
+ * @param {string} params.documentId
+ * @param {string} [params.contentHash]
+ * @param {string} params.mimeType
+ * @param {number} params.size
+ * @param {string} params.filePath - Đường dẫn file gốc trên Storage
+ * @param {Buffer} [params.buffer] - Nội dung file; không có thì tải từ Storage
+ * @returns {Promise<{ok: boolean, status: string, error?: Object}>}
+ */
+async function generatePreview({ documentId, contentHash, mimeType, size, filePath, buffer }) {
+    const kind = getPreviewKind(mimeType);
+    const update = {
+        preview_status: 'unsupported',
+        preview_path: null,
+        preview_snippet: null,
+        preview_generated_at: new Date().toISOString()
+    };
+
+    if (kind && size <= MAX_PREVIEW_SOURCE_BYTES && !(kind === 'pdf' && pdftoppmMissing)) {
+        try {
+            let data = buffer;
+            if (!data) {
+                const { data: blob, error: downloadError } = await supabase.storage
+                    .from(BUCKET)
+                    .download(filePath);
+
+                if (downloadError) throw downloadError;
+                data = Buffer.from(await blob.arrayBuffer());
+            }
+
+            if (kind === 'text') {
+                update.preview_snippet = buildSnippet(data);
+            } else {
+                const image = kind === 'pdf'
+                    ? await renderPdfFirstPage(data)
+                    : await renderImageThumbnail(data);
+
+                const previewPath = getPreviewPath(filePath);
+                const { error: uploadError } = await supabase.storage
+                    .from(BUCKET)
+                    .upload(previewPath, image, {
+                        contentType: PREVIEW_MIME_TYPE,
+                        cacheControl: '3600',
+                        upsert: true
+                    });
+
+                if (uploadError) throw uploadError;
+                update.preview_path = previewPath;
+            }
+
+            update.preview_status = 'ready';
+        } catch (error) {
+            if (error.code === 'ENOENT' && error.syscall?.startsWith('spawn')) {
+                // Máy chủ chưa cài poppler-utils: bỏ qua preview PDF cho tới khi khởi động lại
+                pdftoppmMissing = true;
+                console.warn(`[PREVIEW] ${PDFTOPPM_PATH} not found; PDF previews are disabled`);
+            } else {
+                console.error(`[PREVIEW] Generate preview for document ${documentId} failed:`, error.message || error);
+                update.preview_status = 'failed';
+            }
+        }
+    }
+
+    let query = supabase
+        .from('documents')
+        .update(update)
+        .eq('id', documentId);
+
+    if (contentHash) {
+        query = query.eq('content_hash', contentHash);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+        if (isMissingColumnError(error)) {
+            // Chưa chạy migration document_previews.sql
+            return { ok: false, status: 'skipped', error };
+        }
+        console.error(`[PREVIEW] Save preview for document ${documentId} failed:`, error);
+        return { ok: false, status: 'failed', error };
+    }
+
+    return { ok: update.preview_status !== 'failed', status: update.preview_status };
+}
+
+/**
+ * Chạy generatePreview nền, không chặn response
+ */
+function queuePreviewGeneration(params) {
+    setImmediate(() => {
+        generatePreview(params).catch((error) => {
+            console.error('[PREVIEW] Generate preview failed:', error);
+        });
+    });
+}
+
+module.exports = {
+    PREVIEW_MIME_TYPE,
+    PENDING_PREVIEW_FIELDS,
+    getPreviewPath,
+    getPreviewKind,
+    buildPreviewEtag,
+    generatePreview,
+    queuePreviewGeneration
+};
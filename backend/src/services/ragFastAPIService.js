@@ -71,6 +71,38 @@ async function retrieveChunks({ query, userId, topK = 5 }) {
   }
 }
 
+/**
+ * Chỉ gọi LLM với prompt có sẵn, server không retrieve thêm chunk nào.
+ * Dùng khi backend đã tự retrieve và lọc quyền truy cập (vd. mind map từ RAG)
+ */
+async function generateAnswer({ prompt, systemPrompt = null, model = null }) {
+  try {
+    const response = await axios.post(
+      `${RAG_SERVER_URL}/rag/generate`,
+      {
+        prompt,
+        system_prompt: systemPrompt,
+        model: model
+      },
+      {
+        timeout: 180000, // 3 phút timeout (cho Ollama LLM)
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      throw new Error(`RAG server error: ${error.response.status}`);
+    } else if (error.request) {
+      throw new Error('RAG server không phản hồi');
+    }
+    throw error;
+  }
+}
+
 async function checkHealth() {
   try {
     const response = await axios.get(`${RAG_SERVER_URL}/health`, { timeout: 5000 });
@@ -83,6 +115,7 @@ async function checkHealth() {
 module.exports = {
   queryRAG,
   retrieveChunks,
+  generateAnswer,
   checkHealth,
   RAG_SERVER_URL
 };
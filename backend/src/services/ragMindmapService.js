@@ -0,0 +1,300 @@
+/**
+ * RAG Mind Map Service
+ * Tạo mind map cho một chủ đề từ các chunk retrieve được (ragFastAPIService.retrieveChunks):
+ *   1. Retrieve chunk, bỏ chunk của document user không xem được / đang khóa / trong thùng rác
+ *   2. Gửi các chunk đã đánh số cho LLM (qua /rag/generate, không retrieve lại nên LLM chỉ thấy chunk đã lọc)
+ *      và yêu cầu dàn ý JSON kèm số chunk làm nguồn
+ *   3. Mỗi node trích dẫn document + chunk; node không có nguồn hợp lệ bị bỏ (tránh nội dung bịa)
+ *
+ * LLM lỗi hoặc trả về không đúng định dạng thì dựng dàn ý từ chính các chunk (document → chunk).
+ * Chạy được với stand-in server (scripts/rag-standin-server.js) khi không có Ollama
+ */
+
+const { supabase } = require('../config/supabase');
+const ragFastAPIService = require('./ragFastAPIService');
+const { hasDocumentAccess, getActiveUnlockGrant } = require('../middleware/acl');
+const { treeNode, truncateText, pruneTree, layoutTree, flattenTree } = require('./mindmapGenerationService');
+const { MINDMAP_MAX_NODES } = require('./mindmapService');
+
+const DEFAULT_TOP_K = 8;
+const MAX_TOP_K = 20;
+const MAX_OUTLINE_DEPTH = 3;
+const MAX_CHILDREN_PER_NODE = 8;
+const MAX_LABEL_LENGTH = 120;
+// Độ dài tối đa của một chunk trong prompt và của đoạn trích trong citation
+const MAX_PROMPT_CHUNK_CHARS = 1200;
+const MAX_CITATION_EXCERPT_CHARS = 200;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Chuẩn hóa kết quả /rag/retrieve: { chunks | results | sources: [...] },
+ * mỗi chunk có document_id / content trực tiếp hoặc trong metadata
+ */
+function normalizeRetrievedChunks(response) {
+    const rows = Array.isArray(response)
+        ? response
+        : (response?.chunks || response?.results || response?.sources || []);
+
+    return rows
+        .map((row) => {
+            const metadata = isPlainObject(row?.metadata) ? row.metadata : {};
+            const chunkIndex = row.chunk_index ?? metadata.chunk_index ?? null;
+            return {
+                document_id: row.document_id || metadata.document_id || null,
+                chunk_id: row.chunk_id || row.id || metadata.chunk_id || null,
+                chunk_index: Number.isInteger(chunkIndex) ? chunkIndex : null,
+                content: row.content || row.text || row.page_content || row.chunk_text || '',
+                score: typeof row.score === 'number' ? row.score : (typeof row.similarity === 'number' ? row.similarity : null)
+            };
+        })
+        .filter((chunk) => chunk.document_id && chunk.content.trim());
+}
+
+/**
+ * Chỉ giữ chunk của document user xem được; document có mật khẩu cần unlock grant còn hạn
+ * @returns {Promise<Array>} chunk kèm document_title
+ */
+async function filterAccessibleChunks(user, chunks, documentIds = null) {
+    const ids = [...new Set(chunks.map((chunk) => chunk.document_id))]
+        .filter((id) => !documentIds || documentIds.includes(id));
+    if (!ids.length) return [];
+
+    const { data: documents, error } = await supabase
+        .from('documents')
+        .select('id, title, created_by, group_id, deleted_at, is_protected, password_hash')
+        .in('id', ids);
+
+    if (error) throw error;
+
+    const allowed = new Map();
+    for (const doc of documents || []) {
+        if (doc.deleted_at) continue;
+        if (!(await hasDocumentAccess(user.id, user.email, doc, 'view'))) continue;
+        if (doc.is_protected && doc.password_hash && !(await getActiveUnlockGrant(user.id, doc.id))) continue;
+        allowed.set(doc.id, doc.title);
+    }
+
+    return chunks
+        .filter((chunk) => allowed.has(chunk.document_id))
+        .map((chunk) => ({ ...chunk, document_title: allowed.get(chunk.document_id) }));
+}
+
+function buildOutlinePrompt(topic, chunks) {
+    const excerpts = chunks
+        .map((chunk, index) => `[${index + 1}] (${chunk.document_title}) ${truncateText(chunk.content, MAX_PROMPT_CHUNK_CHARS)}`)
+        .join('\n\n');
+
+    const systemPrompt = [
+        'You build mind maps from document excerpts. Use only the numbered excerpts below.',
+        'Reply with JSON only, no prose, in this shape:',
+        '{"title": string, "children": [{"label": string, "sources": [excerpt numbers], "children": [...]}]}',
+        `Every node must list the excerpt numbers it is based on. At most ${MAX_OUTLINE_DEPTH} levels,`,
+        `at most ${MAX_CHILDREN_PER_NODE} children per node, labels under 80 characters.`,
+        '',
+        'Excerpts:',
+        excerpts
+    ].join('\n');
+
+    return {
+        systemPrompt,
+        prompt: `Create a hierarchical mind map outline about: ${topic}`
+    };
+}
+
+/**
+ * Lấy object JSON đầu tiên trong câu trả lời (LLM hay bọc trong ```json)
+ */
+function parseOutlineAnswer(answer) {
+    if (isPlainObject(answer)) return answer;
+    if (typeof answer !== 'string') return null;
+
+    const text = answer.replace(/```(?:json)?/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    try {
+        const parsed = JSON.parse(text.slice(start, end + 1));
+        return isPlainObject(parsed) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Dàn ý của LLM → cây; số chunk ngoài danh sách bị bỏ qua.
+ * Node không tự ghi nguồn thì lấy nguồn của các node con
+ */
+function buildCitedTree(topic, outline, chunkCount) {
+    const convert = (entry, depth) => {
+        if (!isPlainObject(entry)) return null;
+
+        const label = truncateText(String(entry.label || entry.title || ''), MAX_LABEL_LENGTH);
+        if (!label) return null;
+
+        const children = depth < MAX_OUTLINE_DEPTH && Array.isArray(entry.children)
+            ? entry.children.slice(0, MAX_CHILDREN_PER_NODE).map((child) => convert(child, depth + 1)).filter(Boolean)
+            : [];
+
+        let sources = [...new Set((Array.isArray(entry.sources) ? entry.sources : [])
+            .map(Number)
+            .filter((number) => Number.isInteger(number) && number >= 1 && number <= chunkCount))];
+        if (!sources.length) {
+            sources = [...new Set(children.flatMap((child) => child.sources))];
+        }
+        if (!sources.length) return null;
+
+        const item = treeNode({ node_type: 'topic', label }, children);
+        item.sources = sources;
+        return item;
+    };
+
+    const children = (Array.isArray(outline.children) ? outline.children : [])
+        .slice(0, MAX_CHILDREN_PER_NODE)
+        .map((child) => convert(child, 1))
+        .filter(Boolean);
+    if (!children.length) return null;
+
+    const root = treeNode(
+        { node_type: 'topic', label: truncateText(String(outline.title || topic), MAX_LABEL_LENGTH) || topic },
+        children
+    );
+    root.sources = [...new Set(children.flatMap((child) => child.sources))];
+    return root;
+}
+
+/**
+ * Dàn ý dự phòng: chủ đề → document → chunk (câu đầu của chunk)
+ */
+function buildFallbackTree(topic, chunks) {
+    const byDocument = new Map();
+    chunks.forEach((chunk, index) => {
+        if (!byDocument.has(chunk.document_id)) byDocument.set(chunk.document_id, []);
+        byDocument.get(chunk.document_id).push(index + 1);
+    });
+
+    const documentBranches = [...byDocument.values()].map((numbers) => {
+        const leaves = numbers.map((number) => {
+            const firstSentence = chunks[number - 1].content.split(/(?<=[.!?])\s+|\n/).find((part) => part.trim()) || '';
+            const leaf = treeNode({ node_type: 'topic', label: truncateText(firstSentence, 80) || `Excerpt ${number}` });
+            leaf.sources = [number];
+            return leaf;
+        });
+
+        const branch = treeNode({ node_type: 'topic', label: truncateText(chunks[numbers[0] - 1].document_title, MAX_LABEL_LENGTH) }, leaves);
+        branch.sources = numbers;
+        return branch;
+    });
+
+    const root = treeNode({ node_type: 'topic', label: truncateText(topic, MAX_LABEL_LENGTH) }, documentBranches);
+    root.sources = chunks.map((chunk, index) => index + 1);
+    return root;
+}
+
+const toCitation = (chunk) => ({
+    document_id: chunk.document_id,
+    document_title: chunk.document_title,
+    chunk_id: chunk.chunk_id,
+    chunk_index: chunk.chunk_index,
+    score: chunk.score,
+    excerpt: truncateText(chunk.content, MAX_CITATION_EXCERPT_CHARS)
+});
+
+/**
+ * Tạo cấu trúc mind map (chưa lưu) cho một chủ đề
+ * @param {Object} user - { id, email }
+ * @param {Object} options - { topic, topK?, documentIds?, model? }
+ * @returns {Promise<{ok: boolean, data?: Object, status?: number, code?: string, message?: string}>}
+ */
+async function generateRagMindmap(user, { topic, topK = DEFAULT_TOP_K, documentIds = null, model = null }) {
+    const limit = Math.min(Math.max(parseInt(topK, 10) || DEFAULT_TOP_K, 1), MAX_TOP_K);
+
+    if (!(await ragFastAPIService.checkHealth())) {
+        return {
+            ok: false,
+            status: 503,
+            code: 'RAG_UNAVAILABLE',
+            message: `RAG server is not available at ${ragFastAPIService.RAG_SERVER_URL}`
+        };
+    }
+
+    // Lấy dư vì một phần chunk có thể bị lọc do quyền truy cập
+    let retrieved;
+    try {
+        retrieved = await ragFastAPIService.retrieveChunks({ query: topic, userId: user.id, topK: limit * 2 });
+    } catch (error) {
+        return { ok: false, status: 502, code: 'RAG_RETRIEVE_FAILED', message: error.message };
+    }
+
+    const chunks = (await filterAccessibleChunks(user, normalizeRetrievedChunks(retrieved), documentIds))
+        .slice(0, limit);
+
+    if (!chunks.length) {
+        return {
+            ok: false,
+            status: 422,
+            code: 'NO_RELEVANT_CONTENT',
+            message: 'No accessible document content matches this topic'
+        };
+    }
+
+    let tree = null;
+    let warning = null;
+    try {
+        const { systemPrompt, prompt } = buildOutlinePrompt(topic, chunks);
+        const result = await ragFastAPIService.generateAnswer({ prompt, systemPrompt, model });
+        const outline = parseOutlineAnswer(result?.answer);
+        tree = outline ? buildCitedTree(topic, outline, chunks.length) : null;
+        if (!tree) warning = 'LLM answer was not a usable outline; built the mind map from the retrieved excerpts';
+    } catch (error) {
+        console.warn('[RAG_MINDMAP] LLM outline failed:', error.message);
+        warning = 'LLM is not available; built the mind map from the retrieved excerpts';
+    }
+
+    const generatedBy = tree ? 'llm' : 'excerpts';
+    tree = tree || buildFallbackTree(topic, chunks);
+
+    const { truncated } = pruneTree(tree, MINDMAP_MAX_NODES);
+    layoutTree(tree);
+
+    // flattenTree chỉ giữ dữ liệu node; nguồn gắn theo id của node
+    const sourcesById = new Map();
+    const collect = (item) => {
+        sourcesById.set(item.id, item.sources);
+        item.children.forEach(collect);
+    };
+    collect(tree);
+
+    const { nodes, edges } = flattenTree(tree);
+    const documents = new Map();
+    for (const chunk of chunks) {
+        const entry = documents.get(chunk.document_id) || { document_id: chunk.document_id, title: chunk.document_title, chunk_count: 0 };
+        entry.chunk_count += 1;
+        documents.set(chunk.document_id, entry);
+    }
+
+    return {
+        ok: true,
+        data: {
+            topic,
+            title: tree.node.label,
+            generated_by: generatedBy,
+            warning,
+            truncated,
+            nodes: nodes.map((node) => ({
+                ...node,
+                citations: sourcesById.get(node.id).map((number) => toCitation(chunks[number - 1]))
+            })),
+            edges,
+            sources: [...documents.values()],
+            chunks_used: chunks.length
+        }
+    };
+}
+
+module.exports = {
+    normalizeRetrievedChunks,
+    parseOutlineAnswer,
+    generateRagMindmap
+};
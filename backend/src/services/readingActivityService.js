@@ -0,0 +1,110 @@
+const { supabase } = require('../config/supabase');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+/**
+ * Reading Activity Service
+ * Ghi lại việc user mở / tải / unlock document và trang đang đọc (bảng document_reads)
+ * Dữ liệu dùng cho /api/me/recent, /api/me/continue-reading, top documents và lượt xem theo group
+ */
+
+const READ_ACTIONS = ['view', 'download', 'unlock', 'progress'];
+
+// Số document mỗi lần gọi document_read_counts
+const READ_COUNTS_BATCH_SIZE = 500;
+
+let missingTableWarned = false;
+
+const toPositiveInt = (value) => {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= 1 ? parsed : null;
+};
+
+/**
+ * Ghi một lượt đọc
+ * @param {Object} params
+ * @param {string} params.documentId
+ * @param {string} params.userId
+ * @param {'view'|'download'|'unlock'|'progress'} params.action
+ * @param {number|string} [params.page] - Trang đang đọc
+ * @param {number|string} [params.totalPages]
+ * @returns {Promise<{ok: boolean, data?: Object, error?: Object}>}
+ */
+async function recordDocumentRead({ documentId, userId, action, page, totalPages }) {
+    if (!READ_ACTIONS.includes(action)) {
+        return { ok: false, error: { message: `Unknown read action: ${action}` } };
+    }
+
+    const { data, error } = await supabase.rpc('record_document_read', {
+        p_document_id: documentId,
+        p_user_id: userId,
+        p_action: action,
+        p_page: toPositiveInt(page),
+        p_total_pages: toPositiveInt(totalPages)
+    });
+
+    if (error) {
+        // Chưa chạy migration document_reads.sql: chỉ cảnh báo một lần
+        if (isMissingTableError(error)) {
+            if (!missingTableWarned) {
+                console.warn('[READING] document_reads is not configured. Run database/document_reads.sql');
+                missingTableWarned = true;
+            }
+        } else {
+            console.error('[READING] Record document read error:', error);
+        }
+        return { ok: false, error };
+    }
+
+    return { ok: true, data };
+}
+
+/**
+ * Ghi lượt đọc nền, không chặn response
+ */
+function queueDocumentRead(params) {
+    setImmediate(() => {
+        recordDocumentRead(params).catch((error) => {
+            console.error('[READING] Record document read failed:', error);
+        });
+    });
+}
+
+/**
+ * Tổng lượt xem / tải / số người đọc theo document (gộp trong SQL, theo từng lô document)
+ * @param {string[]} documentIds
+ * @returns {Promise<Map<string, {view_count: number, download_count: number, reader_count: number, last_opened_at: string|null}>>}
+ */
+async function fetchReadCounts(documentIds) {
+    const counts = new Map();
+
+    for (let i = 0; i < documentIds.length; i += READ_COUNTS_BATCH_SIZE) {
+        const { data, error } = await supabase.rpc('document_read_counts', {
+            p_document_ids: documentIds.slice(i, i + READ_COUNTS_BATCH_SIZE)
+        });
+
+        if (error) {
+            if (!isMissingTableError(error)) {
+                console.error('[READING] Fetch read counts error:', error);
+            }
+            return counts;
+        }
+
+        for (const row of data || []) {
+            counts.set(row.document_id, {
+                view_count: Number(row.view_count) || 0,
+                download_count: Number(row.download_count) || 0,
+                reader_count: Number(row.reader_count) || 0,
+                last_opened_at: row.last_opened_at || null
+            });
+        }
+    }
+
+    return counts;
+}
+
+module.exports = {
+    READ_ACTIONS,
+    recordDocumentRead,
+    queueDocumentRead,
+    fetchReadCounts
+};
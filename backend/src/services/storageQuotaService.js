@@ -0,0 +1,246 @@
+const { supabase } = require('../config/supabase');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+/**
+ * Storage Quota Service
+ * Tính dung lượng đã dùng (file hiện tại + file các version) và kiểm tra quota
+ * trước khi ghi file mới lên Storage
+ *
+ * Dung lượng được tính cho người tạo document và cho group chứa document (documents.group_id)
+ * Quota lấy từ bảng storage_quotas, không có thì dùng mặc định từ env
+ *
+ * Trước khi ghi file, reserveQuota kiểm tra và giữ chỗ trong một RPC (reserve_storage) để các upload
+ * song song không cùng vượt qua kiểm tra; ghi xong thì releaseQuota
+ */
+
+const GB = 1024 * 1024 * 1024;
+
+// '0' hoặc 'unlimited' = không giới hạn
+const parseQuota = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    if (value === '0' || value.toLowerCase() === 'unlimited') return null;
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const DEFAULT_QUOTAS = {
+    user: parseQuota(process.env.USER_STORAGE_QUOTA_BYTES, 1 * GB),
+    group: parseQuota(process.env.GROUP_STORAGE_QUOTA_BYTES, 5 * GB)
+};
+
+// Chỗ giữ bị bỏ nếu không được release trong khoảng này (server dừng giữa lúc ghi)
+const RESERVATION_TTL_SECONDS = 30 * 60;
+
+/**
+ * Quota (bytes) của user hoặc group, null = không giới hạn
+ * @param {'user'|'group'} subjectType
+ * @param {string} subjectId
+ * @returns {Promise<number|null>}
+ */
+async function getQuotaBytes(subjectType, subjectId) {
+    const { data, error } = await supabase
+        .from('storage_quotas')
+        .select('quota_bytes')
+        .eq('subject_type', subjectType)
+        .eq('subject_id', subjectId)
+        .maybeSingle();
+
+    if (error) {
+        if (!isMissingTableError(error)) {
+            console.error('[STORAGE_QUOTA] Fetch quota error:', error);
+        }
+        return DEFAULT_QUOTAS[subjectType];
+    }
+
+    if (!data) return DEFAULT_QUOTAS[subjectType];
+    return data.quota_bytes === null ? null : Number(data.quota_bytes);
+}
+
+/**
+ * Dung lượng đã dùng, chia theo category và document type
+ * @param {Object} scope - { userId } hoặc { groupId }
+ * @returns {Promise<{rows: Array, usedBytes: number, documentBytes: number, versionBytes: number, documentCount: number}>}
+ */
+async function getUsageBreakdown({ userId = null, groupId = null }) {
+    const { data, error } = await supabase.rpc('storage_usage_breakdown', {
+        owner_id: userId,
+        target_group_id: groupId
+    });
+
+    if (error) {
+        throw error;
+    }
+
+    const rows = (data || []).map((row) => ({
+        category_id: row.category_id,
+        document_type: row.document_type,
+        document_count: Number(row.document_count) || 0,
+        document_bytes: Number(row.document_bytes) || 0,
+        version_bytes: Number(row.version_bytes) || 0
+    }));
+
+    const documentBytes = rows.reduce((sum, row) => sum + row.document_bytes, 0);
+    const versionBytes = rows.reduce((sum, row) => sum + row.version_bytes, 0);
+
+    return {
+        rows,
+        documentBytes,
+        versionBytes,
+        usedBytes: documentBytes + versionBytes,
+        documentCount: rows.reduce((sum, row) => sum + row.document_count, 0)
+    };
+}
+
+const buildSummary = (quotaBytes, usedBytes) => ({
+    quota_bytes: quotaBytes,
+    used_bytes: usedBytes,
+    remaining_bytes: quotaBytes === null ? null : Math.max(quotaBytes - usedBytes, 0),
+    is_unlimited: quotaBytes === null
+});
+
+const buildQuotaExceeded = (scopeType, subjectId, quotaBytes, usedBytes, additionalBytes) => ({
+    ok: false,
+    status: 413,
+    code: 'QUOTA_EXCEEDED',
+    message: `${scopeType === 'user' ? 'Your' : 'The group\'s'} storage quota would be exceeded by this upload`,
+    data: {
+        scope: scopeType,
+        subject_id: subjectId,
+        required_bytes: additionalBytes,
+        ...buildSummary(quotaBytes, usedBytes)
+    }
+});
+
+/**
+ * Kiểm tra việc ghi thêm additionalBytes có vượt quota của user / group không
+ * @param {Object} params
+ * @param {string} params.userId - Người được tính dung lượng (người tạo document)
+ * @param {string} [params.groupId] - Group chứa document
+ * @param {number} params.additionalBytes
+ * @returns {Promise<{ok: boolean, status?: number, code?: string, message?: string, data?: Object}>}
+ */
+async function checkQuota({ userId, groupId, additionalBytes }) {
+    const scopes = [{ type: 'user', id: userId }];
+    if (groupId) scopes.push({ type: 'group', id: groupId });
+
+    for (const scope of scopes) {
+        const quotaBytes = await getQuotaBytes(scope.type, scope.id);
+        if (quotaBytes === null) continue;
+
+        let usage;
+        try {
+            usage = await getUsageBreakdown(scope.type === 'user' ? { userId: scope.id } : { groupId: scope.id });
+        } catch (error) {
+            // Chưa chạy migration storage_quotas.sql thì bỏ qua kiểm tra
+            if (isMissingTableError(error)) return { ok: true };
+            throw error;
+        }
+
+        if (usage.usedBytes + additionalBytes > quotaBytes) {
+            return buildQuotaExceeded(scope.type, scope.id, quotaBytes, usage.usedBytes, additionalBytes);
+        }
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Đặt quota cho user / group (ghi đè mặc định từ env)
+ * @param {Object} params
+ * @param {'user'|'group'} params.subjectType
+ * @param {string} params.subjectId
+ * @param {number|null} params.quotaBytes - null = không giới hạn
+ * @param {string} [params.note]
+ * @param {string} params.updatedBy
+ * @returns {Promise<{ok: boolean, data?: Object, status?: number, message?: string}>}
+ */
+async function setQuota({ subjectType, subjectId, quotaBytes, note = null, updatedBy }) {
+    const { data, error } = await supabase
+        .from('storage_quotas')
+        .upsert({
+            subject_type: subjectType,
+            subject_id: subjectId,
+            quota_bytes: quotaBytes,
+            note,
+            updated_by: updatedBy,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'subject_type,subject_id' })
+        .select('subject_type, subject_id, quota_bytes, note, updated_by, updated_at')
+        .single();
+
+    if (error) {
+        console.error('[STORAGE_QUOTA] Set quota error:', error);
+        return { ok: false, status: 400, message: error.message };
+    }
+
+    return { ok: true, data };
+}
+
+/**
+ * Kiểm tra quota và giữ chỗ additionalBytes cho tới khi releaseQuota (hoặc hết ttlSeconds)
+ * Chưa chạy migration reserve_storage thì chỉ kiểm tra như checkQuota (reservationId null)
+ * @param {Object} params - { userId, groupId?, additionalBytes, ttlSeconds? }
+ * @returns {Promise<{ok: boolean, reservationId?: string|null, status?: number, code?: string, message?: string, data?: Object}>}
+ */
+async function reserveQuota({ userId, groupId = null, additionalBytes, ttlSeconds = RESERVATION_TTL_SECONDS }) {
+    const [userQuota, groupQuota] = await Promise.all([
+        getQuotaBytes('user', userId),
+        groupId ? getQuotaBytes('group', groupId) : null
+    ]);
+
+    const { data, error } = await supabase.rpc('reserve_storage', {
+        p_user_id: userId,
+        p_group_id: groupId || null,
+        p_bytes: additionalBytes,
+        p_user_quota: userQuota,
+        p_group_quota: groupQuota,
+        p_ttl_seconds: ttlSeconds
+    });
+
+    if (error) {
+        if (!isMissingTableError(error)) throw error;
+        const checked = await checkQuota({ userId, groupId, additionalBytes });
+        return checked.ok ? { ok: true, reservationId: null } : checked;
+    }
+
+    const row = Array.isArray(data) ? data[0] : data;
+    if (!row?.reservation_id) {
+        const scopeType = row?.exceeded_scope === 'group' ? 'group' : 'user';
+        return buildQuotaExceeded(
+            scopeType,
+            scopeType === 'group' ? groupId : userId,
+            scopeType === 'group' ? groupQuota : userQuota,
+            Number(row?.used_bytes) || 0,
+            additionalBytes
+        );
+    }
+
+    return { ok: true, reservationId: row.reservation_id };
+}
+
+/**
+ * Bỏ chỗ đã giữ (gọi sau khi ghi xong, kể cả khi ghi lỗi)
+ */
+async function releaseQuota(reservationId) {
+    if (!reservationId) return;
+
+    const { error } = await supabase
+        .from('storage_reservations')
+        .delete()
+        .eq('id', reservationId);
+
+    if (error) {
+        console.error('[STORAGE_QUOTA] Release reservation error:', error);
+    }
+}
+
+module.exports = {
+    DEFAULT_QUOTAS,
+    getQuotaBytes,
+    getUsageBreakdown,
+    buildSummary,
+    checkQuota,
+    reserveQuota,
+    releaseQuota,
+    setQuota
+};
@@ -0,0 +1,270 @@
+const { supabase } = require('../config/supabase');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+/**
+ * Tag Service
+ * Registry tag theo phạm vi: tag của user (document cá nhân) và tag của group (document có group_id)
+ * documents.tags vẫn lưu tag của từng document; registry giữ màu, đếm số document,
+ * đổi tên và gộp tag (viết lại documents.tags qua RPC replace_tags)
+ */
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_DOCUMENT = 50;
+const TAG_SCOPES = ['user', 'group'];
+
+/**
+ * Chuẩn hóa tên tag: bỏ khoảng trắng thừa
+ * @returns {string|null} - null khi rỗng hoặc quá dài
+ */
+function normalizeTagName(name) {
+    if (typeof name !== 'string') return null;
+    const normalized = name.trim().replace(/\s+/g, ' ');
+    if (!normalized || normalized.length > MAX_TAG_LENGTH) return null;
+    return normalized;
+}
+
+/**
+ * Chuẩn hóa danh sách tag của document: bỏ trùng (không phân biệt hoa thường), giữ thứ tự
+ * @returns {string[]}
+ */
+function normalizeTagList(tags) {
+    const seen = new Set();
+    const result = [];
+    for (const tag of Array.isArray(tags) ? tags : []) {
+        const name = normalizeTagName(tag);
+        if (!name || seen.has(name.toLowerCase())) continue;
+        seen.add(name.toLowerCase());
+        result.push(name);
+    }
+    return result.slice(0, MAX_TAGS_PER_DOCUMENT);
+}
+
+/**
+ * Parse filter ?tags=a,b (hoặc mảng) từ query string
+ * @returns {string[]}
+ */
+function parseTagFilter(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return normalizeTagList(list);
+}
+
+/**
+ * Áp dụng filter tag lên query documents
+ * mode = all: document có đủ các tag; any: có ít nhất một tag
+ */
+function applyTagFilter(query, tags, mode = 'all') {
+    if (!tags.length) return query;
+    return mode === 'any' ? query.overlaps('tags', tags) : query.contains('tags', tags);
+}
+
+/**
+ * Phạm vi registry chứa tag của một document
+ */
+function getDocumentTagScope(document) {
+    return document.group_id
+        ? { type: 'group', id: document.group_id }
+        : { type: 'user', id: document.created_by };
+}
+
+/**
+ * Thêm các tag chưa có vào registry của phạm vi
+ */
+async function registerTags(scope, names, userId) {
+    const tags = normalizeTagList(names);
+    if (!tags.length) return;
+
+    const { data: existing, error } = await supabase
+        .from('tags')
+        .select('name')
+        .eq('scope_type', scope.type)
+        .eq('scope_id', scope.id);
+
+    if (error) {
+        if (!isMissingTableError(error)) {
+            console.error('[TAGS] Fetch registry error:', error);
+        }
+        return;
+    }
+
+    const known = new Set((existing || []).map((tag) => tag.name.toLowerCase()));
+    const missing = tags.filter((tag) => !known.has(tag.toLowerCase()));
+    if (!missing.length) return;
+
+    // Request song song có thể đã thêm cùng tag: lỗi trùng (23505) bỏ qua
+    for (const name of missing) {
+        const { error: insertError } = await supabase
+            .from('tags')
+            .insert({ scope_type: scope.type, scope_id: scope.id, name, created_by: userId });
+
+        if (insertError && insertError.code !== '23505') {
+            console.error('[TAGS] Register tag error:', insertError);
+        }
+    }
+}
+
+/**
+ * Đăng ký tag của document vào registry (chạy nền)
+ * @param {Object} document - { group_id, created_by }
+ * @param {string[]} tags
+ * @param {string} userId
+ */
+function queueTagRegistration(document, tags, userId) {
+    if (!tags?.length) return;
+    setImmediate(() => {
+        registerTags(getDocumentTagScope(document), tags, userId).catch((error) => {
+            console.error('[TAGS] Register tags failed:', error);
+        });
+    });
+}
+
+/**
+ * Kiểm tra quyền trên registry: user chỉ dùng registry của mình;
+ * registry group đọc được bởi thành viên, sửa bởi owner / admin
+ * @param {Object} user - { id }
+ * @param {string|undefined} groupId
+ * @param {'read'|'write'} mode
+ * @returns {Promise<{ok: boolean, scope?: {type: string, id: string}, status?: number, message?: string}>}
+ */
+async function resolveTagScope(user, groupId, mode = 'read') {
+    if (!groupId) {
+        return { ok: true, scope: { type: 'user', id: user.id } };
+    }
+
+    const { data: membership } = await supabase
+        .from('group_members')
+        .select('role')
+        .eq('group_id', groupId)
+        .eq('user_id', user.id)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (!membership) {
+        return { ok: false, status: 403, message: 'You are not a member of this group' };
+    }
+
+    if (mode === 'write' && !['owner', 'admin'].includes(membership.role)) {
+        return { ok: false, status: 403, message: 'Only group owners and admins can manage group tags' };
+    }
+
+    return { ok: true, scope: { type: 'group', id: groupId } };
+}
+
+/**
+ * Tag của phạm vi kèm số document (gồm cả tag có trên document nhưng chưa có trong registry)
+ * @returns {Promise<{ok: boolean, data?: Array, error?: Object}>}
+ */
+async function fetchTagsWithCounts(scope) {
+    const [registryResult, countsResult] = await Promise.all([
+        supabase
+            .from('tags')
+            .select('id, name, color, created_at, updated_at')
+            .eq('scope_type', scope.type)
+            .eq('scope_id', scope.id),
+        supabase.rpc('get_tag_counts', { p_scope_type: scope.type, p_scope_id: scope.id })
+    ]);
+
+    if (registryResult.error && !isMissingTableError(registryResult.error)) {
+        return { ok: false, error: registryResult.error };
+    }
+    if (countsResult.error && !isMissingTableError(countsResult.error)) {
+        return { ok: false, error: countsResult.error };
+    }
+
+    const byName = new Map();
+    for (const tag of registryResult.data || []) {
+        byName.set(tag.name.toLowerCase(), { ...tag, scope: scope.type, document_count: 0 });
+    }
+
+    for (const row of countsResult.data || []) {
+        const key = row.name.toLowerCase();
+        const entry = byName.get(key) || {
+            id: null,
+            name: row.name,
+            color: null,
+            scope: scope.type,
+            document_count: 0
+        };
+        entry.document_count += Number(row.document_count) || 0;
+        byName.set(key, entry);
+    }
+
+    const data = Array.from(byName.values())
+        .sort((a, b) => b.document_count - a.document_count || a.name.localeCompare(b.name));
+
+    return { ok: true, data };
+}
+
+/**
+ * Màu tag trong registry của phạm vi
+ * @returns {Promise<Map<string, string|null>>} - key là tên tag viết thường
+ */
+async function fetchTagColors(scope) {
+    const colors = new Map();
+    const { data, error } = await supabase
+        .from('tags')
+        .select('name, color')
+        .eq('scope_type', scope.type)
+        .eq('scope_id', scope.id);
+
+    if (error) {
+        if (!isMissingTableError(error)) {
+            console.error('[TAGS] Fetch tag colors error:', error);
+        }
+        return colors;
+    }
+
+    for (const tag of data || []) {
+        colors.set(tag.name.toLowerCase(), tag.color);
+    }
+    return colors;
+}
+
+/**
+ * Đổi tên / gộp tag: mọi document trong phạm vi có một trong các tag nguồn được viết lại
+ * @returns {Promise<{ok: boolean, affected?: number, error?: Object}>}
+ */
+async function replaceTags(scope, sources, target, userId) {
+    const { data, error } = await supabase.rpc('replace_tags', {
+        p_scope_type: scope.type,
+        p_scope_id: scope.id,
+        p_sources: sources,
+        p_target: target,
+        p_user_id: userId
+    });
+
+    if (error) return { ok: false, error };
+    return { ok: true, affected: Number(data) || 0 };
+}
+
+/**
+ * Gỡ tag khỏi mọi document trong phạm vi
+ * @returns {Promise<{ok: boolean, affected?: number, error?: Object}>}
+ */
+async function removeTagFromDocuments(scope, name, userId) {
+    const { data, error } = await supabase.rpc('remove_tag_from_documents', {
+        p_scope_type: scope.type,
+        p_scope_id: scope.id,
+        p_name: name,
+        p_user_id: userId
+    });
+
+    if (error) return { ok: false, error };
+    return { ok: true, affected: Number(data) || 0 };
+}
+
+module.exports = {
+    MAX_TAG_LENGTH,
+    TAG_SCOPES,
+    normalizeTagName,
+    normalizeTagList,
+    parseTagFilter,
+    applyTagFilter,
+    getDocumentTagScope,
+    queueTagRegistration,
+    resolveTagScope,
+    fetchTagsWithCounts,
+    fetchTagColors,
+    replaceTags,
+    removeTagFromDocuments
+};
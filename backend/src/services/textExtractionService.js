@@ -0,0 +1,379 @@
+const { supabase } = require('../config/supabase');
+const JSZip = require('jszip');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { createInflateBudget } = require('./zipEntryReader');
+const { isMissingColumnError } = require('../utils/supabaseErrors');
+
+/**
+ * Text Extraction Service
+ * Trích xuất text từ file upload (TXT, MD, PDF, DOCX, XLSX, PPTX) và lưu vào
+ * documents.content + documents.content_pages để tìm kiếm theo nội dung
+ * không phụ thuộc vào Python embedding pipeline
+ *
+ * content_pages là bản đồ trang: [{ page, label, start, end }], start/end là vị trí
+ * ký tự trong content. PDF theo trang, PPTX theo slide, XLSX theo sheet,
+ * DOCX theo page break thủ công, TXT / MD là một trang duy nhất
+ *
+ * Heading của DOCX được chuyển thành heading markdown (#, ##, ...)
+ */
+
+// Không trích xuất file lớn hơn giới hạn này (mặc định 25MB)
+const MAX_EXTRACT_BYTES = parseInt(process.env.TEXT_EXTRACTION_MAX_BYTES || String(25 * 1024 * 1024), 10);
+// Cắt bớt content quá dài (mặc định 1 triệu ký tự)
+const MAX_CONTENT_CHARS = parseInt(process.env.TEXT_EXTRACTION_MAX_CHARS || '1000000', 10);
+// Giới hạn kích thước một file XML bên trong DOCX / XLSX / PPTX sau khi giải nén (chống zip bomb)
+const MAX_XML_ENTRY_BYTES = 50 * 1024 * 1024;
+// Tổng số byte được giải nén cho một file DOCX / XLSX / PPTX
+const MAX_INFLATED_BYTES = parseInt(process.env.TEXT_EXTRACTION_MAX_INFLATED_BYTES || String(200 * 1024 * 1024), 10);
+
+const MIME_TYPES = {
+    PDF: 'application/pdf',
+    DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    PPTX: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const EXTRACTABLE_MIME_TYPES = [
+    'text/plain',
+    'text/markdown',
+    MIME_TYPES.PDF,
+    MIME_TYPES.DOCX,
+    MIME_TYPES.XLSX,
+    MIME_TYPES.PPTX
+];
+
+const decodeXmlEntities = (value) => value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+
+// Gộp khoảng trắng thừa, giữ xuống dòng
+const normalizeText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00A0]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Ghép các trang thành content và bản đồ trang
+ * @param {Array<{label: string, text: string}>} pages
+ */
+const buildResult = (format, pages) => {
+    let content = '';
+    const pageMap = [];
+
+    pages.forEach((page, index) => {
+        const text = normalizeText(page.text || '');
+        if (content) content += '\n\n';
+        const start = content.length;
+        content += text;
+        pageMap.push({ page: index + 1, label: page.label, start, end: content.length });
+    });
+
+    let truncated = false;
+    if (content.length > MAX_CONTENT_CHARS) {
+        content = content.slice(0, MAX_CONTENT_CHARS);
+        truncated = true;
+    }
+
+    return {
+        format,
+        content,
+        pages: pageMap
+            .filter((page) => page.start <= content.length)
+            .map((page) => ({ ...page, end: Math.min(page.end, content.length) })),
+        truncated
+    };
+};
+
+/**
+ * Mở file Office (ZIP) kèm bộ đếm byte giải nén; entry được giải nén dạng stream
+ * nên header ZIP bị sửa cũng không vượt được giới hạn
+ * @param {Buffer} buffer
+ * @returns {Promise<{zip: JSZip, read: (name: string) => Promise<string|null>}>}
+ */
+const openOfficeArchive = async (buffer) => {
+    const zip = await JSZip.loadAsync(buffer);
+    const budget = createInflateBudget(MAX_INFLATED_BYTES, 'EXTRACTION_TOO_LARGE');
+    const read = async (name) => {
+        const entry = zip.file(name);
+        if (!entry) return null;
+        return (await budget.read(entry, MAX_XML_ENTRY_BYTES)).toString('utf8');
+    };
+    return { zip, read };
+};
+
+// Sắp xếp slide1, slide2, ..., slide10 theo số
+const sortByTrailingNumber = (names) => names.sort((a, b) => {
+    const numA = parseInt(a.match(/(\d+)\.xml$/)?.[1] || '0', 10);
+    const numB = parseInt(b.match(/(\d+)\.xml$/)?.[1] || '0', 10);
+    return numA - numB;
+});
+
+async function extractPlainText(buffer) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    return buildResult('text', [{ label: null, text }]);
+}
+
+async function extractPdf(buffer) {
+    const pages = [];
+
+    // pdf-parse render từng trang tuần tự nên thứ tự push đúng với thứ tự trang
+    const renderPage = async (pageData) => {
+        const textContent = await pageData.getTextContent({
+            normalizeWhitespace: true,
+            disableCombineTextItems: false
+        });
+
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+            if (lastY === undefined || lastY === item.transform[5]) {
+                text += item.str;
+            } else {
+                text += `\n${item.str}`;
+            }
+            lastY = item.transform[5];
+        }
+
+        pages.push({ label: String(pages.length + 1), text });
+        return text;
+    };
+
+    await pdfParse(buffer, { pagerender: renderPage });
+    return buildResult('pdf', pages);
+}
+
+async function extractDocx(buffer) {
+    const { read } = await openOfficeArchive(buffer);
+    const xml = await read('word/document.xml');
+    if (!xml) {
+        throw new Error('Invalid DOCX file: missing word/document.xml');
+    }
+
+    const pages = [];
+    let lines = [];
+
+    const paragraphs = xml.match(/<w:p[ >][\s\S]*?<\/w:p>|<w:p\/>/g) || [];
+    for (const paragraph of paragraphs) {
+        // Page break thủ công nằm trước text của paragraph thì sang trang trước
+        if (/<w:br [^>]*w:type="page"/.test(paragraph) || /<w:pageBreakBefore\/>/.test(paragraph)) {
+            pages.push({ label: String(pages.length + 1), text: lines.join('\n') });
+            lines = [];
+        }
+
+        let text = '';
+        const tokens = paragraph.match(/<w:t(?: [^>]*)?>[\s\S]*?<\/w:t>|<w:tab\/>|<w:br\/>/g) || [];
+        for (const token of tokens) {
+            if (token === '<w:tab/>') text += '\t';
+            else if (token === '<w:br/>') text += '\n';
+            else text += decodeXmlEntities(token.replace(/<[^>]+>/g, ''));
+        }
+
+        const style = paragraph.match(/<w:pStyle w:val="([^"]+)"/)?.[1] || '';
+        const headingLevel = /^(?:Heading|heading)(\d)$/.exec(style)?.[1]
+            || (style === 'Title' ? '1' : null);
+
+        if (headingLevel && text.trim()) {
+            lines.push(`${'#'.repeat(Math.min(parseInt(headingLevel, 10), 6))} ${text.trim()}`);
+        } else if (/<w:numPr>/.test(paragraph) && text.trim()) {
+            lines.push(`- ${text.trim()}`);
+        } else {
+            lines.push(text);
+        }
+    }
+
+    pages.push({ label: String(pages.length + 1), text: lines.join('\n') });
+    return buildResult('docx', pages);
+}
+
+async function extractXlsx(buffer) {
+    const { zip, read } = await openOfficeArchive(buffer);
+
+    const sharedStrings = [];
+    const sharedXml = await read('xl/sharedStrings.xml');
+    if (sharedXml) {
+        for (const item of sharedXml.match(/<si>[\s\S]*?<\/si>/g) || []) {
+            const parts = item.match(/<t(?: [^>]*)?>[\s\S]*?<\/t>/g) || [];
+            sharedStrings.push(parts.map((part) => decodeXmlEntities(part.replace(/<[^>]+>/g, ''))).join(''));
+        }
+    }
+
+    // Tên sheet theo thứ tự trong workbook.xml
+    const workbookXml = await read('xl/workbook.xml');
+    const sheetNames = (workbookXml?.match(/<sheet [^>]*>/g) || [])
+        .map((tag) => decodeXmlEntities(tag.match(/name="([^"]*)"/)?.[1] || ''));
+
+    const sheetFiles = sortByTrailingNumber(
+        Object.keys(zip.files).filter((name) => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+    );
+
+    const pages = [];
+    for (const [index, sheetFile] of sheetFiles.entries()) {
+        const sheetXml = await read(sheetFile);
+        const rows = [];
+
+        for (const row of sheetXml.match(/<row[ >][\s\S]*?<\/row>/g) || []) {
+            const values = [];
+            for (const cell of row.match(/<c [^>]*\/>|<c [^>]*>[\s\S]*?<\/c>/g) || []) {
+                const type = cell.match(/ t="([^"]+)"/)?.[1];
+                let value = '';
+
+                if (type === 'inlineStr') {
+                    const parts = cell.match(/<t(?: [^>]*)?>[\s\S]*?<\/t>/g) || [];
+                    value = parts.map((part) => decodeXmlEntities(part.replace(/<[^>]+>/g, ''))).join('');
+                } else {
+                    const raw = cell.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+                    if (raw !== undefined) {
+                        value = type === 's' ? (sharedStrings[parseInt(raw, 10)] || '') : decodeXmlEntities(raw);
+                    }
+                }
+
+                values.push(value);
+            }
+
+            if (values.some((value) => value !== '')) {
+                rows.push(values.join('\t').replace(/\t+$/, ''));
+            }
+        }
+
+        pages.push({ label: sheetNames[index] || `Sheet${index + 1}`, text: rows.join('\n') });
+    }
+
+    return buildResult('xlsx', pages);
+}
+
+async function extractPptx(buffer) {
+    const { zip, read } = await openOfficeArchive(buffer);
+
+    const slideFiles = sortByTrailingNumber(
+        Object.keys(zip.files).filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    );
+
+    const pages = [];
+    for (const [index, slideFile] of slideFiles.entries()) {
+        const slideXml = await read(slideFile);
+        const lines = [];
+
+        for (const paragraph of slideXml.match(/<a:p>[\s\S]*?<\/a:p>/g) || []) {
+            const parts = paragraph.match(/<a:t>[\s\S]*?<\/a:t>/g) || [];
+            const text = parts.map((part) => decodeXmlEntities(part.replace(/<[^>]+>/g, ''))).join('');
+            if (text.trim()) lines.push(text);
+        }
+
+        pages.push({ label: String(index + 1), text: lines.join('\n') });
+    }
+
+    return buildResult('pptx', pages);
+}
+
+const EXTRACTORS = {
+    'text/plain': extractPlainText,
+    'text/markdown': extractPlainText,
+    [MIME_TYPES.PDF]: extractPdf,
+    [MIME_TYPES.DOCX]: extractDocx,
+    [MIME_TYPES.XLSX]: extractXlsx,
+    [MIME_TYPES.PPTX]: extractPptx
+};
+
+/**
+ * Trích xuất text từ nội dung file
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {Promise<{format: string, content: string, pages: Array, truncated: boolean}|null>} - null nếu không hỗ trợ
+ */
+async function extractText(buffer, mimeType) {
+    const extractor = EXTRACTORS[mimeType];
+    if (!extractor) return null;
+    return extractor(buffer);
+}
+
+/**
+ * Trích xuất text và lưu vào documents.content / content_pages
+ * Chỉ ghi khi document vẫn giữ nội dung contentHash (tránh ghi đè kết quả của version mới hơn)
+ * @param {Object} params
+ * @param {string} params.documentId
+ * @param {string} params.contentHash - content_hash của file đang được trích xuất
+ * @param {string} params.mimeType
+ * @param {number} params.size
+ * @param {Buffer} [params.buffer] - Nội dung file; không có thì tải từ Storage theo filePath
+ * @param {string} [params.filePath]
+ * @returns {Promise<{ok: boolean, status: 'indexed'|'cleared'|'skipped'|'failed', error?: Object}>}
+ */
+async function indexDocumentContent({ documentId, contentHash, mimeType, size, buffer, filePath }) {
+    let result = null;
+    let status = 'cleared';
+
+    if (EXTRACTORS[mimeType] && size <= MAX_EXTRACT_BYTES) {
+        try {
+            let data = buffer;
+            if (!data) {
+                const { data: blob, error: downloadError } = await supabase.storage
+                    .from('documents')
+                    .download(filePath);
+
+                if (downloadError) throw downloadError;
+                data = Buffer.from(await blob.arrayBuffer());
+            }
+
+            result = await extractText(data, mimeType);
+            status = 'indexed';
+        } catch (error) {
+            console.error(`[TEXT_EXTRACTION] Extract document ${documentId} failed:`, error.message || error);
+            status = 'failed';
+        }
+    }
+
+    // File không hỗ trợ / lỗi trích xuất: xóa content cũ để không tìm thấy nội dung của file trước
+    let query = supabase
+        .from('documents')
+        .update({
+            content: result?.content || null,
+            content_pages: result?.pages || null,
+            content_extracted_at: result ? new Date().toISOString() : null
+        })
+        .eq('id', documentId);
+
+    if (contentHash) {
+        query = query.eq('content_hash', contentHash);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+        if (isMissingColumnError(error)) {
+            // Chưa chạy migration document_content.sql
+            return { ok: false, status: 'skipped', error };
+        }
+        console.error(`[TEXT_EXTRACTION] Save content for document ${documentId} failed:`, error);
+        return { ok: false, status: 'failed', error };
+    }
+
+    if (result) {
+        console.log(`[TEXT_EXTRACTION] Indexed document ${documentId}: ${result.content.length} chars, ${result.pages.length} page(s)${result.truncated ? ' (truncated)' : ''}`);
+    }
+
+    return { ok: status !== 'failed', status };
+}
+
+/**
+ * Chạy indexDocumentContent nền, không chặn response
+ */
+function queueContentIndexing(params) {
+    setImmediate(() => {
+        indexDocumentContent(params).catch((error) => {
+            console.error('[TEXT_EXTRACTION] Index content failed:', error);
+        });
+    });
+}
+
+module.exports = {
+    EXTRACTABLE_MIME_TYPES,
+    extractText,
+    indexDocumentContent,
+    queueContentIndexing
+};
@@ -0,0 +1,175 @@
+const { supabase } = require('../config/supabase');
+const { releaseBlob } = require('./blobStore');
+const { getPreviewPath } = require('./previewService');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+/**
+ * Trash Service
+ * Xóa hẳn document đã nằm trong thùng rác: bản ghi documents, document_versions,
+ * document_embeddings và file trên Storage được dọn cùng lúc
+ *
+ * Job purge chạy định kỳ, xóa các document nằm trong thùng rác quá TRASH_RETENTION_DAYS ngày
+ */
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+// Các cột cần để purge một document
+const PURGE_SELECT = 'id, file_path, content_hash';
+
+let purgeTimer = null;
+
+/**
+ * Thời điểm document trong thùng rác sẽ bị purge
+ * @param {string} deletedAt - ISO timestamp
+ * @returns {Date}
+ */
+const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Xóa hẳn một document đang nằm trong thùng rác
+ * Document đã được khôi phục (deleted_at = null) sẽ không bị xóa
+ * @param {Object} document - { id, file_path, content_hash }
+ * @returns {Promise<{ok: boolean, error?: Object}>}
+ */
+async function purgeDocument(document) {
+    // Lấy các version trước khi xóa để giải phóng file của chúng
+    const { data: versions, error: versionsError } = await supabase
+        .from('document_versions')
+        .select('file_path, content_hash')
+        .eq('document_id', document.id);
+
+    if (versionsError && !isMissingTableError(versionsError)) {
+        return { ok: false, error: versionsError };
+    }
+
+    // Xóa document trước (chỉ khi vẫn còn trong thùng rác): nếu document vừa được khôi phục
+    // thì dừng lại, không đụng tới version / embedding / file của nó
+    const { data: deleted, error } = await supabase
+        .from('documents')
+        .delete()
+        .eq('id', document.id)
+        .not('deleted_at', 'is', null)
+        .select('id');
+
+    if (error) {
+        return { ok: false, error };
+    }
+
+    if (!deleted?.length) {
+        return { ok: false, error: { message: 'Document is not in trash' } };
+    }
+
+    // Dọn bảng phụ (không phụ thuộc vào ON DELETE CASCADE của schema)
+    const { error: embeddingsError } = await supabase
+        .from('document_embeddings')
+        .delete()
+        .eq('document_id', document.id);
+
+    if (embeddingsError && !isMissingTableError(embeddingsError)) {
+        console.error('[TRASH] Delete embeddings error:', embeddingsError);
+    }
+
+    const { error: deleteVersionsError } = await supabase
+        .from('document_versions')
+        .delete()
+        .eq('document_id', document.id);
+
+    if (deleteVersionsError && !isMissingTableError(deleteVersionsError)) {
+        console.error('[TRASH] Delete versions error:', deleteVersionsError);
+    }
+
+    // File dùng chung (content_hash) chỉ bị xóa khi không còn document / version nào tham chiếu
+    // File upload trước khi có dedup (không có content_hash) thuộc riêng document này nên xóa luôn
+    const legacyPaths = new Set();
+    for (const entry of [document, ...(versions || [])]) {
+        if (entry.content_hash) {
+            await releaseBlob(entry.content_hash);
+        } else if (entry.file_path) {
+            legacyPaths.add(entry.file_path);
+            legacyPaths.add(getPreviewPath(entry.file_path));
+        }
+    }
+
+    if (legacyPaths.size) {
+        const { error: storageError } = await supabase.storage
+            .from('documents')
+            .remove(Array.from(legacyPaths));
+
+        if (storageError) {
+            console.error('[TRASH] Storage delete error:', storageError);
+        }
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Purge các document nằm trong thùng rác quá thời hạn lưu giữ
+ * @returns {Promise<number>} - Số document đã purge
+ */
+async function purgeExpiredDocuments() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    let purged = 0;
+
+    // Xử lý theo lô; lô không purge được gì thì dừng để tránh lặp vô hạn
+    while (true) {
+        const { data: documents, error } = await supabase
+            .from('documents')
+            .select(PURGE_SELECT)
+            .lt('deleted_at', cutoff)
+            .order('deleted_at', { ascending: true })
+            .limit(PURGE_BATCH_SIZE);
+
+        if (error) {
+            console.error('[TRASH] Fetch expired documents error:', error);
+            break;
+        }
+
+        let batchPurged = 0;
+        for (const document of documents || []) {
+            const result = await purgeDocument(document);
+            if (result.ok) {
+                batchPurged++;
+            } else {
+                console.error(`[TRASH] Purge document ${document.id} failed:`, result.error);
+            }
+        }
+
+        purged += batchPurged;
+        if (!documents || documents.length < PURGE_BATCH_SIZE || batchPurged === 0) break;
+    }
+
+    if (purged) {
+        console.log(`[TRASH] Purged ${purged} document(s) older than ${TRASH_RETENTION_DAYS} day(s)`);
+    }
+
+    return purged;
+}
+
+/**
+ * Chạy purge định kỳ (gọi một lần khi khởi động server)
+ */
+function startPurgeJob() {
+    if (purgeTimer) return;
+
+    const run = () => {
+        purgeExpiredDocuments().catch((error) => {
+            console.error('[TRASH] Purge failed:', error);
+        });
+    };
+
+    run();
+    purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+    purgeTimer.unref();
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    PURGE_SELECT,
+    getPurgeDate,
+    purgeDocument,
+    purgeExpiredDocuments,
+    startPurgeJob
+};
@@ -0,0 +1,489 @@
+const net = require('net');
+const { Readable } = require('stream');
+const { logSecurityEvent } = require('../middleware/groupPermissions');
+
+/**
+ * Upload Inspector
+ * Pipeline kiểm tra nội dung file trước khi lưu, không tin vào mimetype client gửi lên
+ *
+ * Mỗi inspector là async (file) => null | { status, code, message }
+ * trả về null nghĩa là file qua bước đó. Inspector mặc định:
+ *   1. magicBytes  - so khớp chữ ký file với mimetype khai báo
+ *   2. svgScripts  - SVG chỉ được chứa phần tử / thuộc tính tĩnh trong allowlist (parse XML, không dùng regex denylist)
+ *   3. clamd       - quét virus qua clamd (chỉ bật khi cấu hình CLAMD_SOCKET hoặc CLAMD_HOST)
+ * Có thể thêm inspector khác bằng registerInspector()
+ *
+ * file: { originalname, mimetype, size, buffer } hoặc { ..., createReadStream: () => Readable }
+ */
+
+const HEAD_BYTES = 4100;
+// SVG được đọc toàn bộ vào memory để parse
+const MAX_SVG_BYTES = 5 * 1024 * 1024;
+
+const CLAMD_SOCKET = process.env.CLAMD_SOCKET || '';
+const CLAMD_HOST = process.env.CLAMD_HOST || '';
+const CLAMD_PORT = parseInt(process.env.CLAMD_PORT || '3310', 10);
+const CLAMD_TIMEOUT_MS = parseInt(process.env.CLAMD_TIMEOUT_MS || '30000', 10);
+// Mặc định từ chối file khi không quét được (fail closed)
+const CLAMD_FAIL_OPEN = process.env.CLAMD_FAIL_OPEN === 'true';
+const CLAMD_CHUNK_BYTES = 64 * 1024;
+
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const ZIP_SIGNATURES = [[0x50, 0x4b, 0x03, 0x04], [0x50, 0x4b, 0x05, 0x06]];
+
+const startsWith = (head, bytes, offset = 0) => {
+    if (head.length < offset + bytes.length) return false;
+    return bytes.every((byte, i) => head[offset + i] === byte);
+};
+
+const ascii = (text) => Array.from(Buffer.from(text, 'latin1'));
+
+const isZip = (head) => ZIP_SIGNATURES.some((sig) => startsWith(head, sig));
+
+/**
+ * File text: không có byte NUL và không phải file thực thi
+ */
+const looksLikeText = (head) => {
+    if (head.includes(0x00)) return false;
+    if (startsWith(head, ascii('MZ')) || startsWith(head, [0x7f, 0x45, 0x4c, 0x46])) return false;
+    return true;
+};
+
+const stripBom = (text) => text.replace(/^\uFEFF/, '');
+
+// Mỗi mimetype được phép có một hàm nhận diện từ các byte đầu file
+const SIGNATURE_MATCHERS = {
+    // PDF cho phép header nằm trong 1024 byte đầu
+    'application/pdf': (head) => head.subarray(0, 1024).includes(Buffer.from('%PDF-')),
+    'application/msword': (head) => startsWith(head, OLE_SIGNATURE),
+    'application/vnd.ms-excel': (head) => startsWith(head, OLE_SIGNATURE),
+    'application/vnd.ms-powerpoint': (head) => startsWith(head, OLE_SIGNATURE),
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': isZip,
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': isZip,
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': isZip,
+    'application/zip': isZip,
+    'application/x-rar-compressed': (head) => startsWith(head, ascii('Rar!\x1a\x07')),
+    'text/plain': looksLikeText,
+    'text/markdown': looksLikeText,
+    'image/jpeg': (head) => startsWith(head, [0xff, 0xd8, 0xff]),
+    'image/png': (head) => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    'image/gif': (head) => startsWith(head, ascii('GIF87a')) || startsWith(head, ascii('GIF89a')),
+    'image/webp': (head) => startsWith(head, ascii('RIFF')) && startsWith(head, ascii('WEBP'), 8),
+    'image/svg+xml': (head) => looksLikeText(head) && /<svg[\s>]/i.test(stripBom(head.toString('utf8'))),
+    'video/mp4': (head) => startsWith(head, ascii('ftyp'), 4),
+    'video/webm': (head) => startsWith(head, [0x1a, 0x45, 0xdf, 0xa3]),
+    'video/ogg': (head) => startsWith(head, ascii('OggS'))
+};
+
+// SVG chỉ được chứa phần tử / thuộc tính tĩnh trong allowlist: không script, animation,
+// foreignObject, namespace lạ hay tham chiếu ra ngoài file
+const SVG_ALLOWED_ELEMENTS = new Set([
+    'svg', 'g', 'defs', 'symbol', 'use', 'switch', 'title', 'desc', 'style',
+    'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'image',
+    'text', 'tspan', 'textPath',
+    'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker',
+    'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix',
+    'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood',
+    'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feMerge', 'feMergeNode',
+    'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence'
+]);
+
+const SVG_ALLOWED_ATTRIBUTES = new Set([
+    // Core, khung nhìn
+    'id', 'class', 'lang', 'xml:lang', 'xml:space', 'version', 'baseProfile',
+    'width', 'height', 'viewBox', 'preserveAspectRatio',
+    // Hình học, text
+    'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'fr',
+    'd', 'points', 'pathLength', 'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust',
+    'startOffset', 'method', 'spacing', 'side',
+    // Gradient, pattern, clip, mask, marker
+    'offset', 'gradientUnits', 'gradientTransform', 'spreadMethod',
+    'patternUnits', 'patternContentUnits', 'patternTransform', 'clipPathUnits',
+    'maskUnits', 'maskContentUnits', 'markerUnits', 'markerWidth', 'markerHeight', 'refX', 'refY', 'orient',
+    // Filter primitive
+    'filterUnits', 'primitiveUnits', 'in', 'in2', 'result', 'stdDeviation', 'mode', 'type', 'values',
+    'operator', 'k1', 'k2', 'k3', 'k4', 'order', 'kernelMatrix', 'divisor', 'bias', 'targetX', 'targetY',
+    'edgeMode', 'kernelUnitLength', 'preserveAlpha', 'surfaceScale', 'diffuseConstant', 'specularConstant',
+    'specularExponent', 'scale', 'xChannelSelector', 'yChannelSelector', 'azimuth', 'elevation',
+    'pointsAtX', 'pointsAtY', 'pointsAtZ', 'limitingConeAngle', 'radius', 'baseFrequency', 'numOctaves',
+    'seed', 'stitchTiles', 'tableValues', 'slope', 'intercept', 'amplitude', 'exponent',
+    // Presentation attribute
+    'alignment-baseline', 'baseline-shift', 'clip', 'clip-path', 'clip-rule', 'color', 'color-interpolation',
+    'color-interpolation-filters', 'color-rendering', 'direction', 'display', 'dominant-baseline',
+    'fill', 'fill-opacity', 'fill-rule', 'filter', 'flood-color', 'flood-opacity', 'font-family', 'font-size',
+    'font-size-adjust', 'font-stretch', 'font-style', 'font-variant', 'font-weight', 'image-rendering',
+    'isolation', 'letter-spacing', 'lighting-color', 'marker-end', 'marker-mid', 'marker-start', 'mask',
+    'mix-blend-mode', 'opacity', 'overflow', 'paint-order', 'pointer-events', 'shape-rendering',
+    'stop-color', 'stop-opacity', 'stroke', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-linecap',
+    'stroke-linejoin', 'stroke-miterlimit', 'stroke-opacity', 'stroke-width', 'text-anchor',
+    'text-decoration', 'text-rendering', 'transform', 'transform-origin', 'unicode-bidi', 'vector-effect',
+    'visibility', 'word-spacing', 'writing-mode'
+]);
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+const SVG_ALLOWED_ENCODINGS = ['utf-8', 'us-ascii', 'ascii', 'iso-8859-1', 'latin1', 'windows-1252'];
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Tên XML có tối đa một prefix; regex sticky để không phải cắt chuỗi (SVG tới MAX_SVG_BYTES)
+const XML_NAME = '[A-Za-z_][\\w.-]*(?::[A-Za-z_][\\w.-]*)?';
+const XML_DECLARATION = /^<\?xml(\s[^?>]*)?\?>/;
+const START_TAG = new RegExp(`<(${XML_NAME})((?:\\s+${XML_NAME}\\s*=\\s*(?:"[^"<]*"|'[^'<]*'))*)\\s*(/?)>`, 'y');
+const END_TAG = new RegExp(`</(${XML_NAME})\\s*>`, 'y');
+const ATTRIBUTE = new RegExp(`(${XML_NAME})\\s*=\\s*(?:"([^"<]*)"|'([^'<]*)')`, 'g');
+// url(...) chỉ được trỏ tới phần tử trong chính file (url(#id))
+const NON_LOCAL_URL = /url\s*\(\s*(?!['"]?\s*#)/i;
+const SAFE_IMAGE_DATA_URL = /^data:image\/(?:png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]*$/i;
+
+/**
+ * Giải mã entity XML (chỉ 5 entity có sẵn và &#...; vì DOCTYPE bị chặn)
+ * @returns {string|null} - null nếu có entity không hợp lệ
+ */
+const decodeXmlEntities = (text) => {
+    if (!text.includes('&')) return text;
+
+    let decoded = '';
+    let index = 0;
+    while (index < text.length) {
+        const amp = text.indexOf('&', index);
+        if (amp === -1) {
+            decoded += text.slice(index);
+            break;
+        }
+
+        const end = text.indexOf(';', amp);
+        if (end === -1) return null;
+
+        const name = text.slice(amp + 1, end);
+        let char = XML_ENTITIES[name];
+        if (/^#x[0-9a-f]{1,6}$/i.test(name) || /^#[0-9]{1,7}$/.test(name)) {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            char = code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : undefined;
+        }
+        if (char === undefined) return null;
+
+        decoded += text.slice(index, amp) + char;
+        index = end + 1;
+    }
+    return decoded;
+};
+
+const isSafeCss = (css) => !/[\\<]|@import|expression\s*\(|javascript:|-moz-binding|behavior\s*:/i.test(css)
+    && !NON_LOCAL_URL.test(css);
+
+/**
+ * Kiểm tra một thuộc tính (giá trị đã giải mã entity)
+ * @returns {string|null} - Lý do từ chối
+ */
+const checkSvgAttribute = (element, name, value) => {
+    if (name === 'xmlns') {
+        return value === SVG_NAMESPACE ? null : `namespace ${value} is not allowed`;
+    }
+    if (name === 'xmlns:xlink') {
+        return value === XLINK_NAMESPACE ? null : `namespace ${value} is not allowed`;
+    }
+    if (name === 'href' || name === 'xlink:href') {
+        const target = value.trim();
+        if (target.startsWith('#')) return null;
+        if (element === 'image' && SAFE_IMAGE_DATA_URL.test(target)) return null;
+        return `<${element}> may only reference elements inside the file`;
+    }
+    if (name === 'style') {
+        return isSafeCss(value) ? null : `style on <${element}> is not allowed`;
+    }
+    if (!SVG_ALLOWED_ATTRIBUTES.has(name)) {
+        return `attribute ${name} on <${element}> is not allowed`;
+    }
+    return NON_LOCAL_URL.test(value) || /javascript:/i.test(value)
+        ? `attribute ${name} on <${element}> references external content`
+        : null;
+};
+
+/**
+ * Parse SVG theo cú pháp XML và đối chiếu allowlist. Cấu trúc nào không nhận ra đều bị từ chối
+ * (DOCTYPE, CDATA, processing instruction, tag sai cú pháp) để trình duyệt không hiểu khác bộ kiểm tra
+ * @returns {string|null} - Lý do từ chối, null nếu SVG hợp lệ
+ */
+const findSvgViolation = (source) => {
+    const text = stripBom(source);
+    const stack = [];
+    let sawRoot = false;
+    let styleText = '';
+    let index = 0;
+
+    const declaration = XML_DECLARATION.exec(text);
+    if (declaration) {
+        const encoding = /encoding\s*=\s*["']([^"']*)["']/i.exec(declaration[1] || '');
+        if (encoding && !SVG_ALLOWED_ENCODINGS.includes(encoding[1].toLowerCase())) {
+            return `encoding ${encoding[1]} is not allowed`;
+        }
+        index = declaration[0].length;
+    }
+
+    while (index < text.length) {
+        const lt = text.indexOf('<', index);
+        const chunk = text.slice(index, lt === -1 ? text.length : lt);
+
+        if (chunk) {
+            if (!stack.length && chunk.trim()) return 'text outside the root element';
+            const decoded = decodeXmlEntities(chunk);
+            if (decoded === null) return 'invalid entity reference';
+            if (stack[stack.length - 1] === 'style') styleText += decoded;
+        }
+        if (lt === -1) break;
+
+        if (text.startsWith('<!--', lt)) {
+            const end = text.indexOf('-->', lt + 4);
+            if (end === -1) return 'unterminated comment';
+            index = end + 3;
+            continue;
+        }
+        if (text.startsWith('<!', lt)) return 'DOCTYPE and CDATA sections are not allowed';
+        if (text.startsWith('<?', lt)) return 'processing instructions are not allowed';
+
+        if (text.startsWith('</', lt)) {
+            END_TAG.lastIndex = lt;
+            const match = END_TAG.exec(text);
+            if (!match || match[1] !== stack.pop()) return 'malformed or mismatched closing tag';
+            if (match[1] === 'style') {
+                if (!isSafeCss(styleText)) return '<style> contains external references or scripts';
+                styleText = '';
+            }
+            index = END_TAG.lastIndex;
+            continue;
+        }
+
+        START_TAG.lastIndex = lt;
+        const match = START_TAG.exec(text);
+        if (!match) return 'malformed tag';
+
+        const [, element, attributes, selfClosing] = match;
+        if (!SVG_ALLOWED_ELEMENTS.has(element)) return `element <${element}> is not allowed`;
+        if (!stack.length) {
+            if (sawRoot || element !== 'svg') return 'root element must be a single <svg>';
+            sawRoot = true;
+        }
+
+        for (const attribute of attributes.matchAll(ATTRIBUTE)) {
+            const value = decodeXmlEntities(attribute[2] ?? attribute[3]);
+            if (value === null) return 'invalid entity reference';
+            const violation = checkSvgAttribute(element, attribute[1], value);
+            if (violation) return violation;
+        }
+
+        if (!selfClosing) stack.push(element);
+        index = START_TAG.lastIndex;
+    }
+
+    if (stack.length) return 'unclosed elements';
+    if (!sawRoot) return 'no <svg> root element';
+    return null;
+};
+
+const createStream = (file) => {
+    if (file.buffer) return Readable.from([file.buffer]);
+    return file.createReadStream();
+};
+
+/**
+ * Đọc tối đa maxBytes đầu tiên của file
+ */
+const readHead = async (file, maxBytes) => {
+    if (file.buffer) return file.buffer.subarray(0, maxBytes);
+
+    const stream = createStream(file);
+    const parts = [];
+    let length = 0;
+    for await (const chunk of stream) {
+        parts.push(chunk);
+        length += chunk.length;
+        if (length >= maxBytes) break;
+    }
+    stream.destroy();
+    return Buffer.concat(parts).subarray(0, maxBytes);
+};
+
+const magicBytesInspector = async (file) => {
+    const matcher = SIGNATURE_MATCHERS[file.mimetype];
+    if (!matcher) {
+        return {
+            status: 415,
+            code: 'FILE_TYPE_NOT_ALLOWED',
+            message: `File type ${file.mimetype} not allowed`
+        };
+    }
+
+    const head = await readHead(file, HEAD_BYTES);
+    if (!matcher(head)) {
+        return {
+            status: 415,
+            code: 'FILE_TYPE_MISMATCH',
+            message: `File content does not match declared type ${file.mimetype}`
+        };
+    }
+
+    return null;
+};
+
+const svgScriptInspector = async (file) => {
+    if (file.mimetype !== 'image/svg+xml') return null;
+
+    if (file.size > MAX_SVG_BYTES) {
+        return {
+            status: 413,
+            code: 'SVG_TOO_LARGE',
+            message: `SVG files must be smaller than ${MAX_SVG_BYTES} bytes`
+        };
+    }
+
+    const violation = findSvgViolation((await readHead(file, MAX_SVG_BYTES)).toString('utf8'));
+    if (violation) {
+        return {
+            status: 422,
+            code: 'SVG_CONTENT_NOT_ALLOWED',
+            message: 'SVG files may only contain static shapes, text and images embedded in the file',
+            detail: violation
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Gửi nội dung file tới clamd bằng lệnh INSTREAM
+ * @returns {Promise<string>} - Response của clamd, ví dụ "stream: OK"
+ */
+const scanWithClamd = (file) => {
+    return new Promise((resolve, reject) => {
+        const socket = CLAMD_SOCKET
+            ? net.createConnection(CLAMD_SOCKET)
+            : net.createConnection(CLAMD_PORT, CLAMD_HOST);
+        let response = '';
+        let settled = false;
+
+        const finish = (error, result) => {
+            if (settled) return;
+            settled = true;
+            socket.destroy();
+            if (error) reject(error);
+            else resolve(result);
+        };
+
+        socket.setTimeout(CLAMD_TIMEOUT_MS, () => finish(new Error('clamd scan timed out')));
+        socket.on('error', (error) => finish(error));
+        socket.on('data', (data) => { response += data.toString(); });
+        socket.on('end', () => finish(null, response.replace(/\0/g, '').trim()));
+
+        socket.on('connect', async () => {
+            try {
+                socket.write('zINSTREAM\0');
+                for await (const data of createStream(file)) {
+                    // clamd nhận từng khối: 4 byte độ dài (big-endian) + dữ liệu
+                    for (let offset = 0; offset < data.length; offset += CLAMD_CHUNK_BYTES) {
+                        const chunk = data.subarray(offset, offset + CLAMD_CHUNK_BYTES);
+                        const length = Buffer.alloc(4);
+                        length.writeUInt32BE(chunk.length, 0);
+                        socket.write(length);
+                        if (!socket.write(chunk)) {
+                            await new Promise((resume) => socket.once('drain', resume));
+                        }
+                    }
+                }
+                socket.write(Buffer.alloc(4));
+            } catch (error) {
+                finish(error);
+            }
+        });
+    });
+};
+
+const clamdInspector = async (file) => {
+    let result;
+    try {
+        result = await scanWithClamd(file);
+    } catch (error) {
+        console.error('[UPLOAD_INSPECTOR] clamd scan failed:', error.message);
+        if (CLAMD_FAIL_OPEN) return null;
+        return {
+            status: 503,
+            code: 'SCAN_FAILED',
+            message: 'File could not be scanned for viruses, please try again later'
+        };
+    }
+
+    if (/FOUND$/.test(result)) {
+        return {
+            status: 422,
+            code: 'MALWARE_DETECTED',
+            message: 'File was rejected by the virus scanner',
+            detail: result.replace(/^stream:\s*/, '')
+        };
+    }
+
+    if (!/OK$/.test(result)) {
+        console.error('[UPLOAD_INSPECTOR] Unexpected clamd response:', result);
+        if (CLAMD_FAIL_OPEN) return null;
+        return {
+            status: 503,
+            code: 'SCAN_FAILED',
+            message: 'File could not be scanned for viruses, please try again later'
+        };
+    }
+
+    return null;
+};
+
+const inspectors = [
+    { name: 'magicBytes', inspect: magicBytesInspector },
+    { name: 'svgScripts', inspect: svgScriptInspector }
+];
+
+if (CLAMD_SOCKET || CLAMD_HOST) {
+    inspectors.push({ name: 'clamd', inspect: clamdInspector });
+}
+
+/**
+ * Thêm inspector vào cuối pipeline (ví dụ một virus scanner khác)
+ * @param {string} name
+ * @param {(file: Object) => Promise<null|{status: number, code: string, message: string}>} inspect
+ */
+function registerInspector(name, inspect) {
+    inspectors.push({ name, inspect });
+}
+
+/**
+ * Chạy file qua toàn bộ pipeline, dừng ở inspector đầu tiên từ chối
+ * @returns {Promise<{ok: boolean, status?: number, code?: string, message?: string, inspector?: string, detail?: string}>}
+ */
+async function inspectUpload(file) {
+    for (const { name, inspect } of inspectors) {
+        const rejection = await inspect(file);
+        if (rejection) {
+            return { ok: false, inspector: name, ...rejection };
+        }
+    }
+    return { ok: true };
+}
+
+/**
+ * Ghi upload bị từ chối vào security_logs
+ */
+async function logRejectedUpload(req, file, inspection, extra = {}) {
+    await logSecurityEvent(req.user?.id || null, 'upload_rejected', {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        file_name: file.originalname,
+        claimed_mime_type: file.mimetype,
+        file_size: file.size,
+        inspector: inspection.inspector,
+        code: inspection.code,
+        reason: inspection.detail || inspection.message,
+        ...extra
+    });
+}
+
+module.exports = {
+    inspectUpload,
+    registerInspector,
+    logRejectedUpload
+};
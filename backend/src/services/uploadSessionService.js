@@ -0,0 +1,308 @@
+const { supabase } = require('../config/supabase');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Upload Session Service
+ * Lưu các chunk của upload session trên đĩa local và dọn dẹp session hết hạn
+ *
+ * Chunk được ghi vào <UPLOAD_TMP_DIR>/<sessionId>/<index>.part, đĩa là nguồn sự thật
+ * về những chunk đã nhận. Khi complete, thư mục được đổi tên thành <sessionId>.sealed
+ * (sealSessionFiles) nên chunk gửi tới sau đó không thay được nội dung đã kiểm tra. Vì vậy khi chạy nhiều instance backend, các request
+ * của cùng một session phải đi vào cùng một instance (sticky session) hoặc
+ * UPLOAD_TMP_DIR phải là thư mục dùng chung
+ */
+
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'mindmapnote-uploads');
+// Session không hoạt động quá TTL sẽ bị thu hồi (mặc định 24 giờ)
+const SESSION_TTL_SECONDS = parseInt(process.env.UPLOAD_SESSION_TTL_SECONDS || '86400', 10);
+// Session kẹt ở completing quá lâu (server dừng giữa lúc complete) được trả về pending (mặc định 1 giờ)
+const COMPLETING_TIMEOUT_SECONDS = parseInt(process.env.UPLOAD_SESSION_COMPLETING_TIMEOUT_SECONDS || '3600', 10);
+// Số session chưa xong (pending / completing) tối đa của một user
+const MAX_ACTIVE_SESSIONS_PER_USER = parseInt(process.env.UPLOAD_SESSION_MAX_PER_USER || '5', 10);
+const SEALED_SUFFIX = '.sealed';
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_TOTAL_CHUNKS = 10000;
+
+let cleanupTimer = null;
+
+const getSessionDir = (sessionId) => path.join(UPLOAD_TMP_DIR, sessionId);
+
+const getSealedDir = (sessionId) => path.join(UPLOAD_TMP_DIR, `${sessionId}${SEALED_SUFFIX}`);
+
+const getChunkPath = (sessionId, index) => path.join(getSessionDir(sessionId), `${index}.part`);
+
+const getSessionExpiry = () => new Date(Date.now() + SESSION_TTL_SECONDS * 1000).toISOString();
+
+/**
+ * Kích thước mong đợi của chunk: mọi chunk bằng chunk_size, trừ chunk cuối
+ */
+const getExpectedChunkSize = (session, index) => {
+    if (index < session.total_chunks - 1) {
+        return session.chunk_size;
+    }
+    return session.total_size - session.chunk_size * (session.total_chunks - 1);
+};
+
+/**
+ * Ghi một chunk từ stream xuống đĩa
+ * Ghi ra file tạm rồi rename để chunk dở dang không bao giờ được tính là đã nhận
+ * @returns {Promise<{ok: boolean, status?: number, message?: string, size?: number}>}
+ */
+async function writeChunk(session, index, source) {
+    const expectedSize = getExpectedChunkSize(session, index);
+    const sessionDir = getSessionDir(session.id);
+    const finalPath = getChunkPath(session.id, index);
+    const tempPath = `${finalPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fsp.mkdir(sessionDir, { recursive: true });
+
+    let received = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > expectedSize) {
+                const error = new Error('Chunk exceeds expected size');
+                error.code = 'CHUNK_TOO_LARGE';
+                return callback(error);
+            }
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        await pipeline(source, limiter, fs.createWriteStream(tempPath));
+    } catch (error) {
+        await fsp.rm(tempPath, { force: true });
+        if (error.code === 'CHUNK_TOO_LARGE') {
+            return {
+                ok: false,
+                status: 413,
+                message: `Chunk ${index} must be exactly ${expectedSize} bytes`
+            };
+        }
+        throw error;
+    }
+
+    if (received !== expectedSize) {
+        await fsp.rm(tempPath, { force: true });
+        return {
+            ok: false,
+            status: 400,
+            message: `Chunk ${index} must be exactly ${expectedSize} bytes (received ${received})`
+        };
+    }
+
+    await fsp.rename(tempPath, finalPath);
+    return { ok: true, size: received };
+}
+
+/**
+ * Danh sách index các chunk đã nhận đủ dung lượng
+ * @returns {Promise<number[]>}
+ */
+async function listReceivedChunks(session) {
+    // Session đang complete: chunk nằm trong thư mục đã chốt
+    const sessionDir = session.status === 'completing' ? getSealedDir(session.id) : getSessionDir(session.id);
+    let entries;
+    try {
+        entries = await fsp.readdir(sessionDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const received = [];
+    for (const entry of entries) {
+        const match = /^(\d+)\.part$/.exec(entry);
+        if (!match) continue;
+
+        const index = parseInt(match[1], 10);
+        if (index >= session.total_chunks) continue;
+
+        const stat = await fsp.stat(path.join(sessionDir, entry));
+        if (stat.size === getExpectedChunkSize(session, index)) {
+            received.push(index);
+        }
+    }
+
+    return received.sort((a, b) => a - b);
+}
+
+/**
+ * Chốt các chunk đã nhận trước khi kiểm tra / lưu file (gọi sau khi chiếm session pending -> completing)
+ * Chunk đang ghi dở hoặc gửi tới sau đó nằm ở thư mục cũ, không ảnh hưởng nội dung đã chốt
+ */
+async function sealSessionFiles(sessionId) {
+    await fsp.rm(getSealedDir(sessionId), { recursive: true, force: true });
+    await fsp.rename(getSessionDir(sessionId), getSealedDir(sessionId));
+}
+
+/**
+ * Trả các chunk đã chốt về thư mục session (complete lỗi, session quay lại pending)
+ * Chunk gửi tới trong lúc complete bị bỏ
+ */
+async function unsealSessionFiles(sessionId) {
+    try {
+        await fsp.access(getSealedDir(sessionId));
+    } catch (error) {
+        return;
+    }
+    await fsp.rm(getSessionDir(sessionId), { recursive: true, force: true });
+    await fsp.rename(getSealedDir(sessionId), getSessionDir(sessionId));
+}
+
+/**
+ * Stream nối các chunk đã chốt (sealSessionFiles) theo thứ tự, dùng để kiểm tra và làm body khi upload lên Storage
+ * @returns {Readable}
+ */
+function createAssembledStream(session) {
+    async function* readChunks() {
+        for (let index = 0; index < session.total_chunks; index++) {
+            yield* fs.createReadStream(path.join(getSealedDir(session.id), `${index}.part`));
+        }
+    }
+    return Readable.from(readChunks());
+}
+
+async function removeSessionFiles(sessionId) {
+    try {
+        await fsp.rm(getSessionDir(sessionId), { recursive: true, force: true });
+        await fsp.rm(getSealedDir(sessionId), { recursive: true, force: true });
+    } catch (error) {
+        console.error(`[UPLOAD_SESSION] Failed to remove files of session ${sessionId}:`, error);
+    }
+}
+
+/**
+ * Số session chưa xong của user (pending còn hạn hoặc đang completing)
+ */
+async function countActiveSessions(userId) {
+    const { count, error } = await supabase
+        .from('upload_sessions')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .or(`status.eq.completing,and(status.eq.pending,expires_at.gt.${new Date().toISOString()})`);
+
+    if (error) throw error;
+    return count || 0;
+}
+
+/**
+ * Đánh dấu các session pending đã hết hạn là expired và xóa chunk trên đĩa
+ * Session kẹt ở completing quá COMPLETING_TIMEOUT_SECONDS được trả về pending trước:
+ * client gọi complete lại được, hoặc session hết hạn và bị dọn như session pending
+ * Đồng thời xóa các thư mục mồ côi (session đã bị xóa khỏi database)
+ */
+async function cleanupExpiredSessions() {
+    const { data: released, error: releaseError } = await supabase
+        .from('upload_sessions')
+        .update({ status: 'pending', updated_at: new Date().toISOString() })
+        .eq('status', 'completing')
+        .lt('updated_at', new Date(Date.now() - COMPLETING_TIMEOUT_SECONDS * 1000).toISOString())
+        .select('id');
+
+    if (releaseError) {
+        console.error('[UPLOAD_SESSION] Release stuck sessions error:', releaseError);
+    } else if (released?.length) {
+        for (const session of released) {
+            await unsealSessionFiles(session.id).catch((error) => {
+                console.error(`[UPLOAD_SESSION] Failed to restore chunks of session ${session.id}:`, error);
+            });
+        }
+        console.log(`[UPLOAD_SESSION] Released ${released.length} upload session(s) stuck in completing`);
+    }
+
+    const { data: expired, error } = await supabase
+        .from('upload_sessions')
+        .update({ status: 'expired', updated_at: new Date().toISOString() })
+        .eq('status', 'pending')
+        .lt('expires_at', new Date().toISOString())
+        .select('id');
+
+    if (error) {
+        console.error('[UPLOAD_SESSION] Cleanup query error:', error);
+        return;
+    }
+
+    for (const session of expired || []) {
+        await removeSessionFiles(session.id);
+    }
+
+    let entries = [];
+    try {
+        entries = await fsp.readdir(UPLOAD_TMP_DIR);
+    } catch (readError) {
+        if (readError.code !== 'ENOENT') {
+            console.error('[UPLOAD_SESSION] Cannot read upload directory:', readError);
+        }
+    }
+
+    const staleBefore = Date.now() - SESSION_TTL_SECONDS * 1000;
+    for (const entry of entries) {
+        const stat = await fsp.stat(path.join(UPLOAD_TMP_DIR, entry)).catch(() => null);
+        if (!stat || !stat.isDirectory() || stat.mtimeMs > staleBefore) continue;
+
+        const sessionId = entry.endsWith(SEALED_SUFFIX) ? entry.slice(0, -SEALED_SUFFIX.length) : entry;
+        const { data: session, error: sessionError } = await supabase
+            .from('upload_sessions')
+            .select('status')
+            .eq('id', sessionId)
+            .maybeSingle();
+
+        if (sessionError) continue;
+
+        if (!session || !['pending', 'completing'].includes(session.status)) {
+            await removeSessionFiles(sessionId);
+        }
+    }
+
+    if (expired?.length) {
+        console.log(`[UPLOAD_SESSION] Expired ${expired.length} upload session(s)`);
+    }
+}
+
+/**
+ * Chạy cleanup định kỳ (gọi một lần khi khởi động server)
+ */
+function startCleanupJob() {
+    if (cleanupTimer) return;
+
+    const run = () => {
+        cleanupExpiredSessions().catch((error) => {
+            console.error('[UPLOAD_SESSION] Cleanup failed:', error);
+        });
+    };
+
+    run();
+    cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+    cleanupTimer.unref();
+}
+
+module.exports = {
+    MIN_CHUNK_SIZE,
+    MAX_CHUNK_SIZE,
+    DEFAULT_CHUNK_SIZE,
+    MAX_TOTAL_CHUNKS,
+    MAX_ACTIVE_SESSIONS_PER_USER,
+    getSessionExpiry,
+    getExpectedChunkSize,
+    writeChunk,
+    listReceivedChunks,
+    sealSessionFiles,
+    unsealSessionFiles,
+    createAssembledStream,
+    removeSessionFiles,
+    countActiveSessions,
+    cleanupExpiredSessions,
+    startCleanupJob
+};
@@ -0,0 +1,288 @@
+const { supabase } = require('../config/supabase');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { EXTRACTABLE_MIME_TYPES, extractText } = require('./textExtractionService');
+
+/**
+ * Version Diff Service
+ * So sánh nội dung text giữa các version của document (TXT, MD và các định dạng
+ * có text trích xuất được: PDF, DOCX, XLSX, PPTX)
+ *
+ * Khi tạo version mới, thống kê số dòng thêm / xóa so với nội dung trước đó được lưu
+ * vào document_versions.diff_stats để danh sách version hiển thị "changed N lines"
+ *
+ * Diff (O(N*D)) chạy trong worker thread (diffWorker.js), tối đa DIFF_MAX_WORKERS worker cùng lúc;
+ * thống kê dòng lấy luôn từ kết quả diff theo dòng, không diff lần hai
+ */
+
+// Giới hạn độ dài text mỗi bên khi diff
+const MAX_DIFF_CHARS = parseInt(process.env.VERSION_DIFF_MAX_CHARS || '200000', 10);
+const MAX_WORD_DIFF_CHARS = 100000;
+const DIFF_TIMEOUT_MS = 5000;
+const DIFF_MAX_WORKERS = Math.max(parseInt(process.env.VERSION_DIFF_MAX_WORKERS || '2', 10) || 1, 1);
+const DEFAULT_CONTEXT_LINES = 3;
+const DIFF_WORKER_PATH = path.join(__dirname, 'diffWorker.js');
+
+let activeWorkers = 0;
+const waitingForWorker = [];
+
+const isDiffable = (mimeType) => EXTRACTABLE_MIME_TYPES.includes(mimeType);
+
+const countLines = (value) => {
+    if (!value) return 0;
+    const lines = value.split('\n');
+    return value.endsWith('\n') ? lines.length - 1 : lines.length;
+};
+
+const countWords = (value) => (value.match(/\S+/g) || []).length;
+
+/**
+ * Tải file của version và trích xuất text
+ * @param {Object} version - { file_path, mime_type }
+ * @returns {Promise<{ok: boolean, text?: string, status?: number, code?: string, message?: string}>}
+ */
+async function loadVersionText(version) {
+    if (!isDiffable(version.mime_type)) {
+        return {
+            ok: false,
+            status: 415,
+            code: 'DIFF_UNSUPPORTED',
+            message: `Cannot diff files of type ${version.mime_type || 'unknown'}`
+        };
+    }
+
+    const { data: blob, error } = await supabase.storage
+        .from('documents')
+        .download(version.file_path);
+
+    if (error) {
+        console.error('[VERSION_DIFF] Download version file error:', error);
+        return { ok: false, status: 404, code: 'FILE_NOT_FOUND', message: 'Version file is no longer available' };
+    }
+
+    const result = await extractText(Buffer.from(await blob.arrayBuffer()), version.mime_type);
+    return { ok: true, text: result?.content || '' };
+}
+
+/**
+ * Chạy diff trong worker thread; hàng đợi khi đã đủ DIFF_MAX_WORKERS worker
+ * @param {Object} task - { mode: 'line'|'word', oldText, newText, lineStats? }
+ * @returns {Promise<{changes: Array|null, lineChanges: Array|null}>} - changes null khi diff quá lâu
+ */
+async function runDiff(task) {
+    if (activeWorkers >= DIFF_MAX_WORKERS) {
+        // Worker kết thúc sẽ chuyển thẳng slot của nó cho task đang chờ
+        await new Promise((resolve) => waitingForWorker.push(resolve));
+    } else {
+        activeWorkers += 1;
+    }
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const worker = new Worker(DIFF_WORKER_PATH, { workerData: { ...task, timeout: DIFF_TIMEOUT_MS } });
+            let settled = false;
+
+            const settle = (error, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            // jsdiff tự dừng sau DIFF_TIMEOUT_MS; phòng trường hợp worker treo thì tự kết thúc
+            const timer = setTimeout(() => {
+                worker.terminate();
+                settle(null, { changes: null, lineChanges: null });
+            }, DIFF_TIMEOUT_MS * 2);
+
+            worker.once('message', (result) => settle(null, result));
+            worker.once('error', (error) => settle(error));
+            worker.once('exit', (code) => settle(new Error(`Diff worker exited with code ${code}`)));
+        });
+    } finally {
+        const next = waitingForWorker.shift();
+        if (next) next();
+        else activeWorkers -= 1;
+    }
+}
+
+/**
+ * Thống kê số dòng thêm / xóa từ kết quả diff theo dòng
+ * @returns {{lines_added: number, lines_removed: number, lines_unchanged: number}|null} - null khi diff quá lâu
+ */
+function lineStatsFromChanges(changes) {
+    if (!changes) return null;
+
+    const stats = { lines_added: 0, lines_removed: 0, lines_unchanged: 0 };
+    for (const change of changes) {
+        const lines = countLines(change.value);
+        if (change.added) stats.lines_added += lines;
+        else if (change.removed) stats.lines_removed += lines;
+        else stats.lines_unchanged += lines;
+    }
+    return stats;
+}
+
+/**
+ * Rút gọn đoạn không đổi dài, chỉ giữ `context` dòng quanh thay đổi
+ */
+function collapseUnchanged(changes, context) {
+    const result = [];
+
+    changes.forEach((change, index) => {
+        if (change.type !== 'unchanged') {
+            result.push(change);
+            return;
+        }
+
+        const lines = change.value.split('\n');
+        const trailingNewline = change.value.endsWith('\n');
+        if (trailingNewline) lines.pop();
+
+        const keepHead = index === 0 ? 0 : context;
+        const keepTail = index === changes.length - 1 ? 0 : context;
+
+        if (lines.length <= keepHead + keepTail + 1) {
+            result.push(change);
+            return;
+        }
+
+        if (keepHead) {
+            result.push({ type: 'unchanged', value: `${lines.slice(0, keepHead).join('\n')}\n`, count: keepHead });
+        }
+        result.push({ type: 'skipped', count: lines.length - keepHead - keepTail });
+        if (keepTail) {
+            const tail = lines.slice(lines.length - keepTail).join('\n');
+            result.push({ type: 'unchanged', value: trailingNewline ? `${tail}\n` : tail, count: keepTail });
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Diff hai đoạn text theo dòng hoặc theo từ
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {Object} [options]
+ * @param {'line'|'word'} [options.mode='line']
+ * @param {number} [options.context=3] - Số dòng giữ lại quanh thay đổi (chỉ mode line)
+ * @returns {Promise<{ok: boolean, stats?: Object, changes?: Array, status?: number, code?: string, message?: string}>}
+ */
+async function diffTexts(oldText, newText, { mode = 'line', context = DEFAULT_CONTEXT_LINES } = {}) {
+    const limit = mode === 'word' ? MAX_WORD_DIFF_CHARS : MAX_DIFF_CHARS;
+    if (oldText.length > limit || newText.length > limit) {
+        return {
+            ok: false,
+            status: 413,
+            code: 'DIFF_TOO_LARGE',
+            message: `Versions are too large to diff in ${mode} mode (limit ${limit} characters)`
+        };
+    }
+
+    const { changes: rawChanges, lineChanges } = await runDiff({ mode, oldText, newText, lineStats: true });
+    const stats = lineStatsFromChanges(mode === 'word' ? lineChanges : rawChanges);
+
+    if (!stats || !rawChanges) {
+        return {
+            ok: false,
+            status: 422,
+            code: 'DIFF_TOO_COMPLEX',
+            message: 'Versions differ too much to compute a diff'
+        };
+    }
+
+    let changes = rawChanges.map((change) => ({
+        type: change.added ? 'added' : change.removed ? 'removed' : 'unchanged',
+        value: change.value,
+        count: mode === 'word' ? countWords(change.value) : countLines(change.value)
+    }));
+
+    if (mode === 'word') {
+        stats.words_added = changes.filter((c) => c.type === 'added').reduce((sum, c) => sum + c.count, 0);
+        stats.words_removed = changes.filter((c) => c.type === 'removed').reduce((sum, c) => sum + c.count, 0);
+    } else {
+        changes = collapseUnchanged(changes, context);
+    }
+
+    return { ok: true, stats, changes };
+}
+
+/**
+ * Tính và lưu diff_stats cho version vừa tạo
+ * Nội dung trước đó lấy từ previousText (documents.content trước khi cập nhật),
+ * không có thì tải file của version liền trước
+ * @param {Object} params
+ * @param {Object} params.version - Bản ghi document_versions vừa tạo
+ * @param {Buffer} [params.buffer] - Nội dung file của version mới; không có thì tải từ Storage
+ * @param {string|null} [params.previousText]
+ */
+async function recordVersionDiffStats({ version, buffer, previousText }) {
+    if (!isDiffable(version.mime_type)) return;
+
+    const { data: previous } = await supabase
+        .from('document_versions')
+        .select('id, file_path, mime_type')
+        .eq('document_id', version.document_id)
+        .lt('version_number', version.version_number)
+        .order('version_number', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    let baseText = previousText;
+    if (typeof baseText !== 'string') {
+        if (!previous) return;
+        const loaded = await loadVersionText(previous);
+        if (!loaded.ok) return;
+        baseText = loaded.text;
+    }
+
+    let newText;
+    if (buffer) {
+        const extracted = await extractText(buffer, version.mime_type);
+        newText = extracted?.content || '';
+    } else {
+        const loaded = await loadVersionText(version);
+        if (!loaded.ok) return;
+        newText = loaded.text;
+    }
+    if (baseText.length > MAX_DIFF_CHARS || newText.length > MAX_DIFF_CHARS) return;
+
+    const { changes } = await runDiff({ mode: 'line', oldText: baseText, newText });
+    const stats = lineStatsFromChanges(changes);
+    if (!stats) return;
+
+    const { error } = await supabase
+        .from('document_versions')
+        .update({
+            diff_stats: {
+                base_version_id: previous?.id || null,
+                lines_added: stats.lines_added,
+                lines_removed: stats.lines_removed
+            }
+        })
+        .eq('id', version.id);
+
+    if (error) {
+        console.error('[VERSION_DIFF] Save diff stats error:', error);
+    }
+}
+
+/**
+ * Chạy recordVersionDiffStats nền, không chặn response
+ */
+function queueVersionDiffStats(params) {
+    setImmediate(() => {
+        recordVersionDiffStats(params).catch((error) => {
+            console.error('[VERSION_DIFF] Compute diff stats failed:', error);
+        });
+    });
+}
+
+module.exports = {
+    isDiffable,
+    loadVersionText,
+    diffTexts,
+    queueVersionDiffStats
+};
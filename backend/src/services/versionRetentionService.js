@@ -0,0 +1,338 @@
+const { supabase } = require('../config/supabase');
+const { releaseBlob } = require('./blobStore');
+const { getPreviewPath } = require('./previewService');
+const { isMissingTableError } = require('../utils/supabaseErrors');
+
+/**
+ * Version Retention Service
+ * Áp dụng chính sách giữ version (version_retention_policies) và xóa các version thừa:
+ * bản ghi document_versions + file trên Storage (theo reference của blobStore)
+ *
+ * Version đang dùng và version được ghim (is_pinned) không bao giờ bị xóa
+ * Policy của document ưu tiên hơn policy của group; không có policy thì giữ tất cả
+ */
+
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const POLICY_FIELDS = ['keep_last', 'keep_daily_days', 'keep_monthly', 'keep_monthly_months'];
+const VERSION_SELECT = 'id, version_number, file_path, file_size, content_hash, is_current, is_pinned, created_at';
+
+let pruneTimer = null;
+
+const hasRules = (policy) => !!(policy && (policy.keep_last || policy.keep_daily_days || policy.keep_monthly));
+
+/**
+ * Kiểm tra và chuẩn hóa policy từ request body
+ * @returns {{ok: boolean, value?: Object, message?: string}}
+ */
+function parsePolicyInput(body = {}) {
+    const value = {};
+
+    for (const field of ['keep_last', 'keep_daily_days', 'keep_monthly_months']) {
+        const raw = body[field];
+        if (raw === undefined || raw === null || raw === '') {
+            value[field] = null;
+            continue;
+        }
+        const parsed = Number(raw);
+        if (!Number.isInteger(parsed) || parsed < 1) {
+            return { ok: false, message: `${field} must be a positive integer or null` };
+        }
+        value[field] = parsed;
+    }
+
+    value.keep_monthly = body.keep_monthly === true || body.keep_monthly === 'true';
+    if (!value.keep_monthly) {
+        value.keep_monthly_months = null;
+    }
+
+    if (!hasRules(value)) {
+        return { ok: false, message: 'Policy must set at least one of keep_last, keep_daily_days or keep_monthly' };
+    }
+
+    return { ok: true, value };
+}
+
+/**
+ * Chọn các version sẽ bị xóa theo policy
+ * @param {Array} versions - document_versions của một document
+ * @param {Object} policy
+ * @param {Object} document - { file_path, content_hash } của document (file hiện tại)
+ * @param {Date} [now]
+ * @returns {Array} - Các version bị xóa
+ */
+function selectVersionsToPrune(versions, policy, document, now = new Date()) {
+    if (!hasRules(policy)) return [];
+
+    const sorted = [...versions].sort((a, b) => b.version_number - a.version_number);
+    const keep = new Set();
+
+    sorted.forEach((version, index) => {
+        const isCurrentFile = version.is_current
+            || version.file_path === document.file_path
+            || (version.content_hash && version.content_hash === document.content_hash);
+
+        if (version.is_pinned || isCurrentFile) keep.add(version.id);
+        if (policy.keep_last && index < policy.keep_last) keep.add(version.id);
+    });
+
+    const dailyCutoff = policy.keep_daily_days ? now.getTime() - policy.keep_daily_days * DAY_MS : now.getTime();
+    const monthlyCutoff = policy.keep_monthly_months
+        ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - policy.keep_monthly_months, 1)).getTime()
+        : -Infinity;
+
+    // sorted giảm dần nên version đầu tiên gặp trong mỗi ngày / tháng là version mới nhất
+    const seenDays = new Set();
+    const seenMonths = new Set();
+    for (const version of sorted) {
+        const createdAt = new Date(version.created_at);
+        const isoDate = createdAt.toISOString();
+
+        if (policy.keep_daily_days && createdAt.getTime() >= dailyCutoff) {
+            const day = isoDate.slice(0, 10);
+            if (!seenDays.has(day)) {
+                seenDays.add(day);
+                keep.add(version.id);
+            }
+        } else if (policy.keep_monthly && createdAt.getTime() < dailyCutoff && createdAt.getTime() >= monthlyCutoff) {
+            const month = isoDate.slice(0, 7);
+            if (!seenMonths.has(month)) {
+                seenMonths.add(month);
+                keep.add(version.id);
+            }
+        }
+    }
+
+    return sorted.filter((version) => !keep.has(version.id));
+}
+
+/**
+ * Policy áp dụng cho document: policy riêng của document, không có thì của group
+ * @returns {Promise<Object|null>}
+ */
+async function resolvePolicy(document) {
+    const subjects = [{ type: 'document', id: document.id }];
+    if (document.group_id) subjects.push({ type: 'group', id: document.group_id });
+
+    const { data, error } = await supabase
+        .from('version_retention_policies')
+        .select('*')
+        .in('subject_id', subjects.map((subject) => subject.id));
+
+    if (error) {
+        if (!isMissingTableError(error)) {
+            console.error('[VERSION_RETENTION] Fetch policy error:', error);
+        }
+        return null;
+    }
+
+    for (const subject of subjects) {
+        const policy = data?.find((entry) => entry.subject_type === subject.type && entry.subject_id === subject.id);
+        if (policy) return policy;
+    }
+    return null;
+}
+
+/**
+ * Xóa các version thừa của một document theo policy
+ * @param {string} documentId
+ * @param {Object} [policy] - Bỏ trống thì tự tìm policy áp dụng
+ * @returns {Promise<{ok: boolean, pruned: number, bytesFreed?: number, error?: Object}>}
+ */
+async function pruneDocumentVersions(documentId, policy) {
+    const { data: document, error: documentError } = await supabase
+        .from('documents')
+        .select('id, title, created_by, group_id, file_path, content_hash, deleted_at')
+        .eq('id', documentId)
+        .maybeSingle();
+
+    // Document trong thùng rác: version được dọn cùng lúc khi purge
+    if (documentError || !document || document.deleted_at) {
+        return { ok: !documentError, pruned: 0, error: documentError || undefined };
+    }
+
+    const effectivePolicy = policy || await resolvePolicy(document);
+    if (!hasRules(effectivePolicy)) {
+        return { ok: true, pruned: 0 };
+    }
+
+    const { data: versions, error: versionsError } = await supabase
+        .from('document_versions')
+        .select(VERSION_SELECT)
+        .eq('document_id', documentId);
+
+    if (versionsError) {
+        return { ok: false, pruned: 0, error: versionsError };
+    }
+
+    const toPrune = selectVersionsToPrune(versions || [], effectivePolicy, document);
+    if (!toPrune.length) {
+        return { ok: true, pruned: 0 };
+    }
+
+    // Không xóa version vừa được ghim trong lúc pruner đang chạy
+    const { data: deleted, error: deleteError } = await supabase
+        .from('document_versions')
+        .delete()
+        .in('id', toPrune.map((version) => version.id))
+        .eq('is_pinned', false)
+        .select('id, version_number, file_path, file_size, content_hash');
+
+    if (deleteError) {
+        return { ok: false, pruned: 0, error: deleteError };
+    }
+
+    const remainingPaths = new Set(
+        (versions || [])
+            .filter((version) => !deleted.some((entry) => entry.id === version.id))
+            .map((version) => version.file_path)
+    );
+    remainingPaths.add(document.file_path);
+
+    const legacyPaths = new Set();
+    for (const version of deleted) {
+        if (version.content_hash) {
+            await releaseBlob(version.content_hash);
+        } else if (version.file_path && !remainingPaths.has(version.file_path)) {
+            legacyPaths.add(version.file_path);
+            legacyPaths.add(getPreviewPath(version.file_path));
+        }
+    }
+
+    if (legacyPaths.size) {
+        const { error: storageError } = await supabase.storage
+            .from('documents')
+            .remove(Array.from(legacyPaths));
+
+        if (storageError) {
+            console.error('[VERSION_RETENTION] Storage delete error:', storageError);
+        }
+    }
+
+    const bytesFreed = deleted.reduce((sum, version) => sum + (Number(version.file_size) || 0), 0);
+
+    await supabase
+        .from('activity_logs')
+        .insert([{
+            user_id: document.created_by,
+            activity_type: 'versions_pruned',
+            metadata: {
+                document_id: document.id,
+                document_title: document.title,
+                policy_id: effectivePolicy.id || null,
+                policy_scope: effectivePolicy.subject_type || null,
+                pruned_count: deleted.length,
+                version_numbers: deleted.map((version) => version.version_number).sort((a, b) => a - b),
+                bytes_freed: bytesFreed
+            }
+        }]);
+
+    return { ok: true, pruned: deleted.length, bytesFreed };
+}
+
+/**
+ * Áp dụng tất cả policy (chạy định kỳ)
+ * @returns {Promise<number>} - Tổng số version đã xóa
+ */
+async function runRetentionPruner() {
+    const { data: policies, error } = await supabase
+        .from('version_retention_policies')
+        .select('*');
+
+    if (error) {
+        if (!isMissingTableError(error)) {
+            console.error('[VERSION_RETENTION] Fetch policies error:', error);
+        }
+        return 0;
+    }
+
+    const documentPolicies = (policies || []).filter((policy) => policy.subject_type === 'document');
+    const groupPolicies = (policies || []).filter((policy) => policy.subject_type === 'group');
+    const overridden = new Set(documentPolicies.map((policy) => policy.subject_id));
+
+    let total = 0;
+    const prune = async (documentId, policy) => {
+        const result = await pruneDocumentVersions(documentId, policy);
+        if (!result.ok) {
+            console.error(`[VERSION_RETENTION] Prune document ${documentId} failed:`, result.error);
+        }
+        total += result.pruned;
+    };
+
+    for (const policy of documentPolicies) {
+        await prune(policy.subject_id, policy);
+    }
+
+    for (const policy of groupPolicies) {
+        const { data: documents, error: documentsError } = await supabase
+            .from('documents')
+            .select('id')
+            .eq('group_id', policy.subject_id)
+            .is('deleted_at', null);
+
+        if (documentsError) {
+            console.error('[VERSION_RETENTION] Fetch group documents error:', documentsError);
+            continue;
+        }
+
+        for (const document of documents || []) {
+            if (!overridden.has(document.id)) {
+                await prune(document.id, policy);
+            }
+        }
+    }
+
+    if (policies?.length) {
+        await supabase
+            .from('version_retention_policies')
+            .update({ last_pruned_at: new Date().toISOString() })
+            .in('id', policies.map((policy) => policy.id));
+    }
+
+    if (total) {
+        console.log(`[VERSION_RETENTION] Pruned ${total} version(s)`);
+    }
+
+    return total;
+}
+
+/**
+ * Chạy pruner nền cho một document, không chặn response
+ */
+function queueVersionPruning(documentId) {
+    setImmediate(() => {
+        pruneDocumentVersions(documentId).catch((error) => {
+            console.error('[VERSION_RETENTION] Prune failed:', error);
+        });
+    });
+}
+
+/**
+ * Chạy pruner định kỳ (gọi một lần khi khởi động server)
+ */
+function startPruneJob() {
+    if (pruneTimer) return;
+
+    const run = () => {
+        runRetentionPruner().catch((error) => {
+            console.error('[VERSION_RETENTION] Pruner failed:', error);
+        });
+    };
+
+    run();
+    pruneTimer = setInterval(run, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+}
+
+module.exports = {
+    POLICY_FIELDS,
+    VERSION_SELECT,
+    parsePolicyInput,
+    selectVersionsToPrune,
+    resolvePolicy,
+    pruneDocumentVersions,
+    runRetentionPruner,
+    queueVersionPruning,
+    startPruneJob
+};
@@ -0,0 +1,77 @@
+/**
+ * Zip Entry Reader
+ * Giải nén entry của JSZip dạng stream với giới hạn từng entry và tổng số byte (chống zip bomb).
+ * Không tin kích thước ghi trong header ZIP vì header có thể bị sửa
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Giải nén một entry dạng stream, dừng ngay khi số byte đã giải nén vượt maxBytes
+ * @param {Object} entry - JSZip file
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>} - reject với error.code = 'ENTRY_TOO_LARGE' khi vượt giới hạn
+ */
+function readEntry(entry, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const parts = [];
+        let received = 0;
+        let settled = false;
+
+        const settle = (error, buffer) => {
+            if (settled) return;
+            settled = true;
+            if (error) reject(error);
+            else resolve(buffer);
+        };
+
+        const helper = entry.internalStream('nodebuffer');
+        helper
+            .on('data', (chunk) => {
+                if (settled) return;
+                received += chunk.length;
+                if (received > maxBytes) {
+                    helper.pause();
+                    const error = new Error(`${entry.name} is larger than ${maxBytes} bytes after decompression`);
+                    error.code = 'ENTRY_TOO_LARGE';
+                    settle(error);
+                    return;
+                }
+                parts.push(chunk);
+            })
+            .on('error', (error) => settle(error))
+            .on('end', () => settle(null, Buffer.concat(parts, received)))
+            .resume();
+    });
+}
+
+/**
+ * Bộ đếm tổng số byte đã giải nén trong một lượt đọc archive
+ * @param {number} totalBytes - tổng số byte được phép giải nén
+ * @param {string} code - error.code khi vượt tổng
+ */
+function createInflateBudget(totalBytes, code) {
+    let used = 0;
+    return {
+        read: async (entry, maxBytes) => {
+            const remaining = totalBytes - used;
+            try {
+                const buffer = await readEntry(entry, Math.min(maxBytes, remaining));
+                used += buffer.length;
+                return buffer;
+            } catch (error) {
+                if (error.code === 'ENTRY_TOO_LARGE' && remaining <= maxBytes) {
+                    const tooLarge = new Error(`Archive content exceeds the ${Math.round(totalBytes / MB)} MB limit`);
+                    tooLarge.code = code;
+                    throw tooLarge;
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    readEntry,
+    createInflateBudget
+};
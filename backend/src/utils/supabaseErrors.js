@@ -0,0 +1,44 @@
+/**
+ * Nhận diện lỗi Supabase / PostgREST khi migration chưa chạy
+ * Các tính năng tùy chọn dùng để bỏ qua hoặc trả 503 thay vì báo lỗi 500
+ */
+
+/**
+ * Bảng / function chưa tồn tại (hoặc chưa có trong schema cache của PostgREST)
+ * 42P01: undefined_table, 42883: undefined_function,
+ * PGRST202 / PGRST204 / PGRST205: không tìm thấy function / cột / bảng trong schema cache
+ * @param {Object} error
+ * @returns {boolean}
+ */
+const isMissingTableError = (error) => {
+    if (!error) return false;
+    const code = error.code || error.hint;
+    const rawMessage = error.message || error.details || '';
+    const normalizedMessage = typeof rawMessage === 'string' ? rawMessage.toLowerCase() : '';
+    return (
+        code === '42P01' ||
+        code === '42883' ||
+        code === 'PGRST202' ||
+        code === 'PGRST204' ||
+        code === 'PGRST205' ||
+        normalizedMessage.includes('does not exist') ||
+        normalizedMessage.includes('could not find')
+    );
+};
+
+/**
+ * Cột chưa tồn tại (42703, PGRST204)
+ * @param {Object} error
+ * @returns {boolean}
+ */
+const isMissingColumnError = (error) => {
+    if (!error) return false;
+    const rawMessage = error.message || error.details || '';
+    const normalizedMessage = typeof rawMessage === 'string' ? rawMessage.toLowerCase() : '';
+    return error.code === '42703' || error.code === 'PGRST204' || normalizedMessage.includes('column');
+};
+
+module.exports = {
+    isMissingTableError,
+    isMissingColumnError
+};